@@ -51,6 +51,13 @@ const initializeDbSchema = async () => {
       REQUIRE u.id IS UNIQUE
     `);
 
+    // Email addresses identify accounts at login
+    await session.run(`
+      CREATE CONSTRAINT user_email_unique IF NOT EXISTS
+      FOR (u:User)
+      REQUIRE u.email IS UNIQUE
+    `);
+
     // Create constraints for Story nodes
     await session.run(`
       CREATE CONSTRAINT story_id_unique IF NOT EXISTS
@@ -58,6 +65,20 @@ const initializeDbSchema = async () => {
       REQUIRE s.id IS UNIQUE
     `);
 
+    // One reward per story and receiver, so reshares cannot farm points
+    await session.run(`
+      CREATE CONSTRAINT reward_event_key_unique IF NOT EXISTS
+      FOR (e:RewardEvent)
+      REQUIRE e.key IS UNIQUE
+    `);
+
+    // One notification per event and recipient
+    await session.run(`
+      CREATE CONSTRAINT notification_key_unique IF NOT EXISTS
+      FOR (n:Notification)
+      REQUIRE n.key IS UNIQUE
+    `);
+
     // Create indexes for better query performance
     await session.run(`
       CREATE INDEX user_name_index IF NOT EXISTS
@@ -71,6 +92,19 @@ const initializeDbSchema = async () => {
       ON (s.title)
     `);
 
+    // Full-text indexes back the /api/search endpoint
+    await session.run(`
+      CREATE FULLTEXT INDEX story_fulltext_index IF NOT EXISTS
+      FOR (s:Story)
+      ON EACH [s.title, s.content]
+    `);
+
+    await session.run(`
+      CREATE FULLTEXT INDEX user_fulltext_index IF NOT EXISTS
+      FOR (u:User)
+      ON EACH [u.name, u.bio]
+    `);
+
     logger.info('Database schema initialized successfully');
   } catch (error) {
     logger.error(`Failed to initialize database schema: ${error.message}`);
@@ -0,0 +1,65 @@
+const analyticsService = require('../services/analyticsService');
+const { logger } = require('../utils/logger');
+const { parseRelationshipTypes } = require('../utils/relationshipTypes');
+
+/**
+ * Rank users by centrality
+ * @route GET /api/analytics/centrality
+ */
+const getCentrality = async (req, res, next) => {
+  try {
+    const { metric, limit } = req.query;
+    const types = parseRelationshipTypes(req.query.types);
+
+    logger.info(`Computing ${metric} centrality (types: ${types ? types.join(',') : 'all'})`);
+
+    const result = await analyticsService.getCentrality({ metric, types, limit });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Detect communities of users
+ * @route GET /api/analytics/communities
+ */
+const getCommunities = async (req, res, next) => {
+  try {
+    const { algorithm, seed } = req.query;
+    const types = parseRelationshipTypes(req.query.types);
+
+    logger.info(`Detecting communities with ${algorithm} (types: ${types ? types.join(',') : 'all'})`);
+
+    const result = await analyticsService.getCommunities({ algorithm, types, seed });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find bridge relationships and articulation-point users
+ * @route GET /api/analytics/bridges
+ */
+const getBridges = async (req, res, next) => {
+  try {
+    const types = parseRelationshipTypes(req.query.types);
+
+    logger.info(`Finding bridges (types: ${types ? types.join(',') : 'all'})`);
+
+    const result = await analyticsService.getBridges({ types });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCentrality,
+  getCommunities,
+  getBridges
+};
@@ -0,0 +1,141 @@
+const { v4: uuidv4 } = require('uuid');
+const neo4jService = require('../services/neo4jService');
+const authService = require('../services/authService');
+const dataService = require('../services/dataService');
+const eventService = require('../services/eventService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Register a new account and issue a token
+ * @route POST /api/auth/signup
+ */
+const signup = async (req, res, next) => {
+  try {
+    const { name, email, password, bio } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !password) {
+      throw ApiError.badRequest('Name, email, and password are required');
+    }
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      throw ApiError.badRequest('Name must be a non-empty string of at most 100 characters');
+    }
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      throw ApiError.badRequest('Email must be a valid email address');
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw ApiError.badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    if (bio !== undefined && (typeof bio !== 'string' || bio.length > 1000)) {
+      throw ApiError.badRequest('Bio must be a string of at most 1000 characters');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    logger.info(`Signing up new user: "${name}"`);
+
+    const existingEmail = await neo4jService.getUserByEmail(normalizedEmail);
+
+    if (existingEmail && existingEmail.user) {
+      throw ApiError.conflict('An account with this email already exists');
+    }
+
+    const existingName = await neo4jService.getUserByName(name.trim());
+
+    if (existingName && existingName.user) {
+      throw ApiError.conflict(`A user named '${name.trim()}' already exists`);
+    }
+
+    const userId = uuidv4();
+    await neo4jService.createUser({
+      id: userId,
+      name: name.trim(),
+      bio: bio || null,
+      email: normalizedEmail,
+      passwordHash: await authService.hashPassword(password),
+      role: authService.getRoleForEmail(normalizedEmail)
+    });
+
+    const result = await neo4jService.getUserById(userId);
+
+    eventService.publish('user.created', { user: dataService.formatUser(result.user) }, { userIds: [userId] });
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      token: authService.signToken(result.user),
+      user: dataService.formatUser(result.user, { includePrivate: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log in with email and password and issue a token
+ * @route POST /api/auth/login
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate required fields
+    if (!email || !password) {
+      throw ApiError.badRequest('Email and password are required');
+    }
+
+    logger.info(`Login attempt for ${email}`);
+
+    const result = await neo4jService.getUserByEmail(String(email).trim());
+    const valid = result && result.user
+      ? await authService.verifyPassword(String(password), result.user.passwordHash)
+      : false;
+
+    if (!valid) {
+      throw ApiError.unauthorized('Invalid email or password');
+    }
+
+    if (result.user.isActive === false) {
+      throw ApiError.forbidden('User account is deactivated');
+    }
+
+    res.json({
+      message: 'Logged in successfully',
+      token: authService.signToken(result.user),
+      user: dataService.formatUser(result.user, { includePrivate: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the authenticated user's profile
+ * @route GET /api/auth/me
+ */
+const getCurrentUser = async (req, res, next) => {
+  try {
+    const result = await neo4jService.getUserById(req.user.id);
+
+    if (!result || !result.user) {
+      throw ApiError.notFound(`User with ID ${req.user.id} not found`);
+    }
+
+    res.json(dataService.formatUser(result.user, { includePrivate: true }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  signup,
+  login,
+  getCurrentUser
+};
@@ -0,0 +1,219 @@
+const neo4jService = require('../services/neo4jService');
+const eventService = require('../services/eventService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { CONNECTION_TYPES, getConnectionType } = require('../utils/relationshipTypes');
+
+const DIRECTIONS = ['outgoing', 'incoming'];
+
+// Properties a connection may carry
+const CONNECTION_PROPERTIES = {
+  since: 'Date the connection started (YYYY-MM-DD)',
+  strength: 'Tie strength between 0 and 1',
+  note: 'Free-text note, at most 500 characters'
+};
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Validate the properties of a connection
+ *
+ * @param {object} properties - The requested properties
+ * @returns {object} - The validated properties
+ */
+const validateConnectionProperties = (properties = {}) => {
+  if (properties === null || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw ApiError.badRequest('Properties must be an object');
+  }
+
+  const unknown = Object.keys(properties).find(key => !CONNECTION_PROPERTIES[key]);
+  if (unknown) {
+    throw ApiError.badRequest(`Unknown connection property '${unknown}'; allowed: ${Object.keys(CONNECTION_PROPERTIES).join(', ')}`);
+  }
+
+  const validated = {};
+  const { since, strength, note } = properties;
+
+  if (since !== undefined && since !== null) {
+    if (typeof since !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(since) || Number.isNaN(Date.parse(since))) {
+      throw ApiError.badRequest('since must be a date in YYYY-MM-DD format');
+    }
+    validated.since = since;
+  }
+
+  if (strength !== undefined && strength !== null) {
+    if (typeof strength !== 'number' || !Number.isFinite(strength) || strength < 0 || strength > 1) {
+      throw ApiError.badRequest('strength must be a number between 0 and 1');
+    }
+    validated.strength = strength;
+  }
+
+  if (note !== undefined && note !== null) {
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+      throw ApiError.badRequest(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    validated.note = note.trim();
+  }
+
+  return validated;
+};
+
+/**
+ * Validate the endpoints, type and direction of a connection request
+ *
+ * @param {object} input - sourceId, targetId, type and direction
+ * @param {object} actor - The authenticated user (req.user)
+ * @returns {object} - { from, to, type, symmetric } with the direction applied
+ */
+const resolveConnection = (input, actor) => {
+  const { sourceId, targetId, direction = 'outgoing' } = input;
+
+  if (!sourceId || !targetId) {
+    throw ApiError.badRequest('sourceId and targetId are required');
+  }
+
+  if (sourceId === targetId) {
+    throw ApiError.badRequest('A user cannot be connected to themselves');
+  }
+
+  if (!input.type) {
+    throw ApiError.badRequest('type is required');
+  }
+
+  if (!DIRECTIONS.includes(direction)) {
+    throw ApiError.badRequest(`Direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+
+  if (actor.role !== 'admin' && actor.id !== sourceId && actor.id !== targetId) {
+    throw ApiError.forbidden('You can only manage your own connections');
+  }
+
+  const { type, symmetric } = getConnectionType(input.type);
+  const [from, to] = direction === 'incoming' ? [targetId, sourceId] : [sourceId, targetId];
+
+  return { from, to, type, symmetric };
+};
+
+/**
+ * Format a connection returned by the service
+ *
+ * @param {object} record - { type, source, target, properties }
+ * @returns {object} - The formatted connection
+ */
+const formatConnection = record => {
+  const { createdAt, updatedAt, since, ...properties } = record.properties;
+
+  return {
+    type: record.type,
+    symmetric: CONNECTION_TYPES[record.type] ? CONNECTION_TYPES[record.type].symmetric : false,
+    source: record.source,
+    target: record.target,
+    properties: {
+      ...properties,
+      since: since ? since.toString() : null
+    },
+    createdAt: createdAt ? createdAt.toString() : null,
+    updatedAt: updatedAt ? updatedAt.toString() : undefined
+  };
+};
+
+/**
+ * List the relationship types connections can have
+ * @route GET /api/relationship-types
+ */
+const getRelationshipTypes = async (req, res, next) => {
+  try {
+    res.json({
+      relationshipTypes: Object.entries(CONNECTION_TYPES).map(([type, definition]) => ({ type, ...definition })),
+      directions: DIRECTIONS,
+      properties: CONNECTION_PROPERTIES
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a typed connection between two users, or update an existing one
+ * @route POST /api/connections
+ */
+const createConnection = async (req, res, next) => {
+  try {
+    const { from, to, type, symmetric } = resolveConnection(req.body, req.user);
+    const properties = validateConnectionProperties(req.body.properties);
+
+    const [source, target] = await Promise.all([
+      neo4jService.getUserById(from),
+      neo4jService.getUserById(to)
+    ]);
+
+    if (!source || !source.user) {
+      throw ApiError.notFound(`User with ID ${from} not found`);
+    }
+    if (!target || !target.user) {
+      throw ApiError.notFound(`User with ID ${to} not found`);
+    }
+
+    logger.info(`Connecting ${from} -[${type}]-> ${to}`);
+
+    const result = await neo4jService.createConnection(from, to, type, { symmetric, properties });
+
+    if (!result) {
+      throw ApiError.internalServer('Failed to create connection');
+    }
+
+    const connection = formatConnection(result);
+
+    eventService.publish(result.created ? 'connection.created' : 'connection.updated', {
+      connection,
+      link: { source: connection.source, target: connection.target, type }
+    }, { userIds: [from, to] });
+
+    res.status(result.created ? 201 : 200).json({
+      message: result.created ? 'Connection created successfully' : 'Connection already existed and was updated',
+      created: result.created,
+      connection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a typed connection between two users
+ * @route DELETE /api/connections
+ */
+const deleteConnection = async (req, res, next) => {
+  try {
+    // DELETE bodies are dropped by some clients, so the query string works too
+    const input = { ...req.query, ...req.body };
+    const { from, to, type, symmetric } = resolveConnection(input, req.user);
+
+    logger.info(`Disconnecting ${from} -[${type}]-> ${to}`);
+
+    const result = await neo4jService.deleteConnection(from, to, type, { symmetric });
+
+    if (!result || !result.deleted) {
+      throw ApiError.notFound(`No ${type} connection between ${from} and ${to}`);
+    }
+
+    eventService.publish('connection.deleted', {
+      link: { source: from, target: to, type },
+      symmetric,
+      deleted: result.deleted
+    }, { userIds: [from, to] });
+
+    res.json({
+      message: 'Connection deleted successfully',
+      deleted: result.deleted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRelationshipTypes,
+  createConnection,
+  deleteConnection
+};
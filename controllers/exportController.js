@@ -0,0 +1,97 @@
+const exportService = require('../services/exportService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { parseRelationshipTypes } = require('../utils/relationshipTypes');
+
+const CSV_TABLES = ['nodes', 'relationships'];
+
+// Chunks are buffered up to this size before being written to the response
+const WRITE_BUFFER_SIZE = 64 * 1024;
+
+/**
+ * Wait until a response can take more data, or has been closed
+ *
+ * @param {object} res - The Express response
+ * @returns {Promise<void>}
+ */
+const drained = res => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Stream the User/Story graph (or a full snapshot) as GraphML, GEXF, CSV, a Cypher dump or JSON
+ * @route GET /api/export
+ */
+const exportGraph = async (req, res, next) => {
+  let chunks;
+
+  try {
+    const format = req.query.format || 'json';
+    const table = req.query.table || 'nodes';
+
+    if (format === 'csv' && !CSV_TABLES.includes(table)) {
+      throw ApiError.badRequest(`Table must be one of ${CSV_TABLES.join(', ')}`);
+    }
+
+    const filters = exportService.normalizeFilters({
+      labels: req.query.labels ? req.query.labels.split(',').map(label => label.trim()).filter(Boolean) : null,
+      types: parseRelationshipTypes(req.query.types),
+      activeOnly: req.query.activeOnly === 'true',
+      snapshot: req.query.snapshot === 'true'
+    });
+    const { contentType, filename } = exportService.describe(format, { table });
+
+    logger.info(`Exporting ${filters.labels.join(', ')} graph as ${format}${filters.includeCredentials ? ' with credentials' : ''} for ${req.user.id}`);
+
+    chunks = exportService.export(format, filters, { table });
+
+    // Produce the header before responding so query errors still get a proper error response
+    const first = await chunks.next();
+
+    res.status(200);
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    let buffer = first.done ? '' : first.value;
+
+    for await (const chunk of chunks) {
+      if (res.destroyed) {
+        break;
+      }
+
+      buffer += chunk;
+
+      if (buffer.length >= WRITE_BUFFER_SIZE) {
+        const flushed = res.write(buffer);
+        buffer = '';
+        if (!flushed) {
+          await drained(res);
+        }
+      }
+    }
+
+    res.end(buffer);
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    // Too late for an error response; cut the download short so it is not mistaken for complete
+    logger.error(`Export failed mid-stream: ${error.message}`);
+    res.destroy(error);
+  } finally {
+    if (chunks) {
+      await chunks.return();
+    }
+  }
+};
+
+module.exports = {
+  exportGraph
+};
@@ -0,0 +1,112 @@
+const importService = require('../services/importService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Parse a mapping passed as JSON in the query string
+ *
+ * @param {string} value - The raw query value
+ * @returns {object|undefined} - The mapping
+ */
+const parseQueryMapping = value => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw ApiError.badRequest('Mapping must be valid JSON');
+  }
+};
+
+/**
+ * Import characters, associations and stories from a JSON, CSV or JSON Lines upload
+ * @route POST /api/import
+ */
+const importData = async (req, res, next) => {
+  try {
+    const body = req.body;
+    const queryMapping = parseQueryMapping(req.query.mapping);
+    let upload;
+
+    if (typeof body === 'string') {
+      // Raw CSV or JSON Lines upload; options come from the query string
+      upload = {
+        format: req.query.format || importService.detectFormat(req.get('Content-Type')),
+        dataset: req.query.dataset,
+        data: body,
+        mapping: queryMapping
+      };
+    } else if (body && !Array.isArray(body) && body.data !== undefined) {
+      // JSON envelope: { format, dataset, data, mapping }
+      upload = {
+        format: body.format || req.query.format || 'json',
+        dataset: body.dataset || req.query.dataset,
+        data: body.data,
+        mapping: body.mapping || queryMapping
+      };
+    } else {
+      upload = {
+        format: 'json',
+        dataset: req.query.dataset,
+        data: body,
+        mapping: queryMapping
+      };
+    }
+
+    if (!upload.format) {
+      throw ApiError.badRequest(`Unsupported content type; pass format as one of ${importService.getFormats().join(', ')}`);
+    }
+
+    if (upload.data === undefined || upload.data === null || upload.data === '') {
+      throw ApiError.badRequest('Nothing to import');
+    }
+
+    const options = importService.normalizeOptions({
+      mode: req.query.mode || body.mode,
+      batchSize: req.query.batchSize || body.batchSize
+    });
+
+    // Validate the upload before touching the database
+    const { records, errors } = importService.prepare(upload);
+    const clear = req.query.clear === 'true' || body.clear === true;
+
+    logger.info(`Importing ${upload.format} upload from ${req.user.id} (${options.mode}, batches of ${options.batchSize}${clear ? ', clearing first' : ''})`);
+
+    // The clear runs with the writes, so a rolled-back import keeps the existing graph
+    const summary = await importService.importRecords(records, errors, { ...options, clear });
+
+    logger.info(`Import complete: ${summary.characters} characters, ${summary.relationships} relationships, ${summary.stories} stories, ${summary.errors.length} errors`);
+
+    // An atomic import that failed wrote nothing
+    if (summary.mode === 'atomic' && !summary.committed) {
+      return res.status(422).json({
+        message: 'Import rolled back: no data was written',
+        format: upload.format,
+        summary
+      });
+    }
+
+    // A batch import does not clear the graph for an upload with rejected rows
+    if (clear && !summary.cleared) {
+      return res.status(422).json({
+        message: 'Import refused: rows were rejected, so nothing was cleared or written',
+        format: upload.format,
+        summary
+      });
+    }
+
+    res.status(201).json({
+      message: summary.committed ? 'Import completed' : 'Import completed with failed batches',
+      format: upload.format,
+      summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importData
+};
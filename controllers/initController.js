@@ -1,5 +1,7 @@
 const neo4jService = require('../services/neo4jService');
 const dataService = require('../services/dataService');
+const importService = require('../services/importService');
+const { ApiError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
 
 /**
@@ -10,17 +12,24 @@ const initializeDatabase = async (req, res, next) => {
   try {
     logger.info('Starting database initialization');
     
-    // Clear existing data if requested
-    if (req.query.clear === 'true' || req.body.clear === true) {
+    // Clearing keeps the accounts, and runs in the import's transaction
+    const clear = req.query.clear === true || req.body.clear === true;
+    if (clear) {
       logger.info('Clearing existing database data');
-      await neo4jService.clearDatabase();
     }
     
-    // Generate sample WoT character data
-    const wotCharacters = dataService.generateSampleWotCharacters();
+    // Import the sample WoT dataset through the regular importer
+    const summary = await importService.importData({
+      format: 'json',
+      data: {
+        characters: dataService.generateSampleWotCharacters(),
+        stories: dataService.generateSampleWotStories()
+      }
+    }, { clear });
     
-    // Initialize with the data
-    const summary = await dataService.initializeWithWotData(wotCharacters);
+    if (!summary.committed) {
+      throw ApiError.internalServer(`Sample data import was rolled back: ${summary.errors.map(error => error.message).join('; ')}`);
+    }
     
     logger.info(`Database initialization complete: ${JSON.stringify(summary)}`);
     
@@ -43,23 +52,10 @@ const getDatabaseStatus = async (req, res, next) => {
     logger.info('Checking database status');
     
     // Check connectivity
-    const isConnected = await require('../config/db').verifyConnectivity();
+    const isConnected = await neo4jService.verifyConnectivity();
     
     // Count nodes and relationships
-    const countResult = await neo4jService.executeQuery(`
-      MATCH (n)
-      WITH count(n) AS nodeCount
-      MATCH ()-[r]->()
-      WITH nodeCount, count(r) AS relationshipCount
-      MATCH (u:User)
-      WITH nodeCount, relationshipCount, count(u) AS userCount
-      MATCH (s:Story)
-      RETURN 
-        nodeCount,
-        relationshipCount,
-        userCount,
-        count(s) AS storyCount
-    `, {}, true);
+    const countResult = await neo4jService.getDatabaseStats();
     
     res.json({
       connected: isConnected,
@@ -0,0 +1,39 @@
+const metricsService = require('../services/metricsService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Get the cached network metrics dashboard
+ * @route GET /api/metrics/network
+ */
+const getNetworkMetrics = async (req, res, next) => {
+  try {
+    logger.info('Retrieving network metrics');
+
+    const metrics = await metricsService.getNetworkMetrics();
+
+    res.json(metrics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recompute the network metrics now
+ * @route POST /api/metrics/network/refresh
+ */
+const refreshNetworkMetrics = async (req, res, next) => {
+  try {
+    logger.info(`Network metrics refresh requested by ${req.user.id}`);
+
+    const metrics = await metricsService.getNetworkMetrics({ refresh: true });
+
+    res.json(metrics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNetworkMetrics,
+  refreshNetworkMetrics
+};
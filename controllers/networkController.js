@@ -1,90 +1,230 @@
 const neo4jService = require('../services/neo4jService');
 const dataService = require('../services/dataService');
+const analyticsService = require('../services/analyticsService');
+const layoutService = require('../services/layoutService');
 const { ApiError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
+const { parseRelationshipTypes } = require('../utils/relationshipTypes');
+const { toPublicUser } = require('../utils/publicUser');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_ALL_PATHS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Timeline range when ?from= is omitted, and the most intervals one request may span
+const DEFAULT_TIMELINE_DAYS = 30;
+const MAX_TIMELINE_INTERVALS = 366;
+
+/**
+ * Parse a date or datetime query parameter. A bare YYYY-MM-DD date means the
+ * start of that day (UTC), or its last millisecond when `endOfDay` is set.
+ *
+ * @param {string} value - The query value
+ * @param {string} name - The parameter name, for error messages
+ * @param {object} options - Set `endOfDay` to include the whole of a bare date
+ * @returns {number} - Epoch milliseconds
+ */
+const parseDateParam = (value, name, { endOfDay = false } = {}) => {
+  const millis = Date.parse(value);
+  
+  if (Number.isNaN(millis)) {
+    throw ApiError.badRequest(`${name} must be a valid date (YYYY-MM-DD) or ISO datetime`);
+  }
+  
+  return endOfDay && DATE_ONLY_PATTERN.test(value) ? millis + DAY_MS - 1 : millis;
+};
 
 /**
- * Get network data for visualization
+ * Get network data for visualization: a filtered view ranked by degree, or the
+ * ego graph around ?focus=, optionally as it was at a point in time
  * @route GET /api/network
  */
 const getNetworkData = async (req, res, next) => {
   try {
-    const limit = req.query.limit || 100;
+    const { limit, affiliation, nationality, gender, minDegree, focus, radius, includeStories, layout, seed } = req.query;
+    const types = parseRelationshipTypes(req.query.types);
+    const asOf = req.query.asOf
+      ? new Date(parseDateParam(req.query.asOf, 'asOf', { endOfDay: true })).toISOString()
+      : null;
     
-    logger.info(`Retrieving network data with limit: ${limit}`);
+    if (focus) {
+      const result = await neo4jService.getUserById(focus);
+      
+      if (!result || !result.user) {
+        throw ApiError.notFound(`User with ID ${focus} not found`);
+      }
+    }
+    
+    const filters = {
+      affiliation: affiliation || null,
+      nationality: nationality || null,
+      gender: gender || null,
+      types,
+      minDegree
+    };
+    
+    logger.info(`Retrieving network data with limit: ${limit}${focus ? ` around ${focus} (radius ${radius})` : ''}${asOf ? ` as of ${asOf}` : ''}`);
     
     // Get network data from Neo4j
-    const networkData = await neo4jService.getNetworkData(parseInt(limit));
+    let networkData = await neo4jService.getNetworkData(limit, {
+      ...filters,
+      asOf,
+      focus: focus || null,
+      radius,
+      includeStories
+    });
+    
+    // Precompute coordinates, centred on the focus user for radial and hierarchical layouts
+    if (layout) {
+      const center = networkData.nodes.find(node => node.distance === 0);
+      networkData = layoutService.layoutNetwork(networkData, { algorithm: layout, seed, rootId: center ? center.id : null });
+    }
     
     // Return formatted data for D3.js visualization
-    res.json(networkData);
+    res.json({
+      asOf,
+      filters,
+      focus: focus ? { id: focus, radius } : null,
+      includeStories,
+      ...networkData
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get how the network grew over a time range, as the users and links added per interval
+ * @route GET /api/network/timeline
+ */
+const getNetworkTimeline = async (req, res, next) => {
+  try {
+    const { step } = req.query;
+    const to = req.query.to ? parseDateParam(req.query.to, 'to', { endOfDay: true }) : Date.now();
+    const from = req.query.from ? parseDateParam(req.query.from, 'from') : to - DEFAULT_TIMELINE_DAYS * DAY_MS;
+    
+    if (from >= to) {
+      throw ApiError.badRequest('from must be before to');
+    }
+    
+    const intervals = dataService.getTimelineIntervals(from, to, step, MAX_TIMELINE_INTERVALS + 1);
+    
+    if (intervals.length > MAX_TIMELINE_INTERVALS) {
+      throw ApiError.badRequest(`The range spans more than ${MAX_TIMELINE_INTERVALS} ${step} intervals; use a larger step or a shorter range`);
+    }
+    
+    const fromIso = new Date(from).toISOString();
+    const toIso = new Date(to).toISOString();
+    
+    logger.info(`Building network timeline from ${fromIso} to ${toIso} by ${step}`);
+    
+    const [baseline, changes] = await Promise.all([
+      neo4jService.getNetworkCounts(fromIso),
+      neo4jService.getNetworkChanges(fromIso, toIso)
+    ]);
+    
+    const timeline = dataService.buildNetworkTimeline(intervals, changes, baseline);
+    
+    res.json({
+      from: fromIso,
+      to: toIso,
+      step,
+      baseline: { asOf: fromIso, nodes: baseline.nodes, links: baseline.links },
+      intervals: timeline,
+      totals: timeline[timeline.length - 1].totals
+    });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Find the shortest path between two nodes
+ * Resolve a user from an ID or a (case-insensitive) name
+ *
+ * @param {string} value - A user ID or name
+ * @param {string} role - 'Source' or 'Target', for error messages
+ * @returns {Promise<object>} - The user properties
+ */
+const resolveUser = async (value, role) => {
+  const result = UUID_PATTERN.test(value)
+    ? await neo4jService.getUserById(value)
+    : await neo4jService.getUserByName(value);
+  
+  if (!result || !result.user) {
+    throw ApiError.notFound(`${role} user '${value}' not found`);
+  }
+  
+  return result.user;
+};
+
+/**
+ * Find the shortest path(s) between two users
  * @route GET /api/path
  */
 const getPath = async (req, res, next) => {
   try {
-    const { source, target } = req.query;
+    // Presence, ranges and defaults are checked by the route's validation schema
+    const { source, target, mode, maxHops, k, weighted } = req.query;
+    const types = parseRelationshipTypes(req.query.types);
     
-    // Validate input
-    if (!source || !target) {
-      throw ApiError.badRequest('Source and target parameters are required');
+    if (weighted && mode === 'all') {
+      throw ApiError.badRequest('Weighted path finding supports the single and k modes');
     }
     
-    logger.info(`Finding path from ${source} to ${target}`);
+    logger.info(`Finding ${weighted ? 'weighted ' : ''}${mode} path from ${source} to ${target} (types: ${types ? types.join(',') : 'all'}, maxHops: ${maxHops})`);
+    
+    const [sourceUser, targetUser] = await Promise.all([
+      resolveUser(source, 'Source'),
+      resolveUser(target, 'Target')
+    ]);
+    
+    if (sourceUser.id === targetUser.id) {
+      throw ApiError.badRequest('Source and target must be different users');
+    }
     
-    let pathData;
+    let paths;
     
-    // Check if we're searching by ID or by name
-    if (source.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
-      // It's a UUID, search by ID
-      pathData = await neo4jService.findShortestPath(source, target);
+    // k-shortest and weighted (strongest-tie) paths are computed in-process
+    if (mode === 'k' || weighted) {
+      paths = await analyticsService.findKShortestPaths(sourceUser.id, targetUser.id, {
+        k: mode === 'k' ? k : 1,
+        types,
+        maxHops,
+        weighted
+      });
     } else {
-      // It's likely a name, search for the characters first
-      // Use a case-insensitive query with the LOWER function
-      const sourceNode = await neo4jService.executeQuery(
-        'MATCH (u:User) WHERE LOWER(u.name) = LOWER($name) RETURN u',
-        { name: source },
-        true
-      );
-      
-      const targetNode = await neo4jService.executeQuery(
-        'MATCH (u:User) WHERE LOWER(u.name) = LOWER($name) RETURN u',
-        { name: target },
-        true
-      );
-      
-      if (!sourceNode || !sourceNode.u) {
-        throw ApiError.notFound(`Source user '${source}' not found`);
-      }
-      
-      if (!targetNode || !targetNode.u) {
-        throw ApiError.notFound(`Target user '${target}' not found`);
-      }
-      
-      // Now get the path between them
-      pathData = await neo4jService.findShortestPath(sourceNode.u.id, targetNode.u.id);
+      paths = await neo4jService.findShortestPaths(sourceUser.id, targetUser.id, {
+        types,
+        maxHops,
+        all: mode === 'all',
+        limit: MAX_ALL_PATHS
+      });
     }
     
-    if (!pathData) {
+    if (!paths.length) {
       return res.json({
         message: 'No path found between the specified users',
+        mode,
+        weighted,
         path: null,
-        length: -1
+        length: -1,
+        paths: []
       });
     }
     
-    // Format the path data for the frontend
-    const formattedPath = dataService.formatPathData(pathData);
+    // Format the path data for the frontend, best route first
+    const formattedPaths = paths
+      .map(path => dataService.formatPathData(path))
+      .map((path, index) => ({ rank: index + 1, ...path }));
     
     res.json({
-      message: `Path found with length ${formattedPath.length}`,
-      ...formattedPath
+      message: `Path found with length ${formattedPaths[0].length}`,
+      mode,
+      weighted,
+      ...formattedPaths[0],
+      paths: formattedPaths
     });
   } catch (error) {
     next(error);
@@ -98,36 +238,37 @@ const getPath = async (req, res, next) => {
 const getCharacterConnections = async (req, res, next) => {
   try {
     const { characterName } = req.params;
-    const depth = req.query.depth || 1;
+    const { depth, layout, seed } = req.query;
     
     logger.info(`Getting connections for character: ${characterName} with depth: ${depth}`);
     
     // Get character connections
-    const connectionData = await neo4jService.getCharacterConnections(
-      characterName,
-      parseInt(depth)
-    );
+    const connectionData = await neo4jService.getCharacterConnections(characterName, depth);
     
     if (!connectionData || !connectionData.character) {
       throw ApiError.notFound(`Character '${characterName}' not found`);
     }
     
     // Format the network data for visualization
-    const formattedData = dataService.formatNetworkForD3({
+    let formattedData = dataService.formatNetworkForD3({
       paths: connectionData.paths
     });
     
-    // Add the central character info
+    if (layout) {
+      formattedData = layoutService.layoutNetwork(formattedData, { algorithm: layout, seed, rootId: connectionData.character.id });
+    }
+    
+    // Add the central character info, public properties only
     res.json({
       character: {
         id: connectionData.character.id,
         name: connectionData.character.name,
-        ...connectionData.character
+        ...toPublicUser(connectionData.character)
       },
       connections: connectionData.connections.map(c => ({
         id: c.id,
         name: c.name,
-        ...c
+        ...toPublicUser(c)
       })),
       network: formattedData
     });
@@ -138,6 +279,7 @@ const getCharacterConnections = async (req, res, next) => {
 
 module.exports = {
   getNetworkData,
+  getNetworkTimeline,
   getPath,
   getCharacterConnections
 };
\ No newline at end of file
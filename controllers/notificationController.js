@@ -0,0 +1,243 @@
+const neo4jService = require('../services/neo4jService');
+const notificationService = require('../services/notificationService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { parsePagination, buildPage } = require('../utils/pagination');
+
+/**
+ * Ensure the acting user may read or change a user's notifications
+ *
+ * @param {string} id - The ID of the user whose notifications are accessed
+ * @param {object} actor - The authenticated user (req.user)
+ */
+const assertOwnNotifications = (id, actor) => {
+  if (actor.role !== 'admin' && actor.id !== id) {
+    throw ApiError.forbidden('You can only access your own notifications');
+  }
+};
+
+/**
+ * Describe a notification in a sentence
+ *
+ * @param {object} notification - Raw Notification properties
+ * @param {object} actor - The user who caused it ({id, name}), if they still exist
+ * @param {object} story - The story it concerns ({id, title}), if it still exists
+ * @returns {string} - The message
+ */
+const describeNotification = (notification, actor, story) => {
+  const who = actor ? actor.name : 'Someone';
+  const what = story ? `"${story.title}"` : 'a deleted story';
+
+  switch (notification.type) {
+    case 'share':
+      return `${who} shared ${what} with you`;
+    case 'mention':
+      return `${who} mentioned you in ${what}`;
+    case 'reward':
+      return `You earned ${notification.points} points when ${what} reached ${actor ? actor.name : 'a reader'}`;
+    default:
+      return notificationService.getTypes()[notification.type] || 'New notification';
+  }
+};
+
+/**
+ * Format a notification for the API
+ *
+ * @param {object} record - { notification, actor, story }
+ * @returns {object} - The formatted notification
+ */
+const formatNotification = ({ notification, actor, story }) => ({
+  id: notification.id,
+  type: notification.type,
+  message: describeNotification(notification, actor, story),
+  read: notification.read,
+  actor: actor || null,
+  story: story || null,
+  points: notification.points,
+  createdAt: notification.createdAt ? notification.createdAt.toString() : null,
+  readAt: notification.readAt ? notification.readAt.toString() : null
+});
+
+/**
+ * Format muted types as a preference per notification type
+ *
+ * @param {Array<string>} muted - The muted types
+ * @returns {object} - Type names mapped to whether they are received
+ */
+const formatPreferences = muted => Object.fromEntries(
+  Object.keys(notificationService.getTypes()).map(type => [type, !muted.includes(type)])
+);
+
+/**
+ * Get a user's notifications with unread counts
+ * @route GET /api/users/:id/notifications
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { unread, type = null } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+    assertOwnNotifications(id, req.user);
+
+    logger.info(`Retrieving notifications for user ${id}`);
+
+    const counts = await neo4jService.countUserNotifications(id, type);
+
+    if (!counts) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const notifications = await neo4jService.getUserNotifications(id, {
+      unreadOnly: unread === true,
+      type,
+      ...(pagination.mode === 'cursor'
+        ? { limit: pagination.limit + 1, cursor: pagination.cursor }
+        : { skip: pagination.skip, limit: pagination.limit })
+    });
+
+    const total = unread === true ? counts.unread : counts.total;
+    const { items, meta } = buildPage(notifications, pagination, total, record => record.notification);
+
+    res.json({
+      userId: id,
+      unreadCount: counts.unread,
+      notifications: items.map(formatNotification),
+      ...meta
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route POST /api/users/:id/notifications/:notificationId/read
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const { id, notificationId } = req.params;
+
+    assertOwnNotifications(id, req.user);
+
+    const result = await neo4jService.markNotificationRead(id, notificationId);
+
+    if (!result || !result.notification) {
+      throw ApiError.notFound(`Notification with ID ${notificationId} not found`);
+    }
+
+    const counts = await neo4jService.countUserNotifications(id);
+
+    res.json({
+      message: 'Notification marked as read',
+      id: notificationId,
+      readAt: result.notification.readAt.toString(),
+      unreadCount: counts ? counts.unread : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all of a user's notifications (optionally of one type) as read
+ * @route POST /api/users/:id/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type = null } = req.query;
+
+    assertOwnNotifications(id, req.user);
+
+    logger.info(`Marking ${type || 'all'} notifications read for user ${id}`);
+
+    const result = await neo4jService.markAllNotificationsRead(id, type);
+    const counts = await neo4jService.countUserNotifications(id);
+
+    if (!counts) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result ? result.updated : 0,
+      unreadCount: counts.unread
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get which notification types a user receives
+ * @route GET /api/users/:id/notification-preferences
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    assertOwnNotifications(id, req.user);
+
+    const result = await neo4jService.getMutedNotificationTypes(id);
+
+    if (!result) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    res.json({
+      userId: id,
+      preferences: formatPreferences(result.muted),
+      types: notificationService.getTypes()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn notification types on or off; types left out keep their setting
+ * @route PATCH /api/users/:id/notification-preferences
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    assertOwnNotifications(id, req.user);
+
+    const current = await neo4jService.getMutedNotificationTypes(id);
+
+    if (!current) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const preferences = formatPreferences(current.muted);
+    Object.keys(preferences).forEach(type => {
+      if (req.body[type] !== undefined) {
+        preferences[type] = req.body[type];
+      }
+    });
+
+    const muted = Object.keys(preferences).filter(type => !preferences[type]);
+
+    logger.info(`Updating notification preferences for user ${id}: muted ${muted.join(', ') || 'none'}`);
+
+    const result = await neo4jService.setMutedNotificationTypes(id, muted);
+
+    res.json({
+      message: 'Notification preferences updated',
+      userId: id,
+      preferences: formatPreferences(result.muted)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,103 @@
+const neo4jService = require('../services/neo4jService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { parsePagination, buildPage } = require('../utils/pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leaderboard windows and how far back each one reaches (null = all time)
+const LEADERBOARD_WINDOWS = {
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  all: null
+};
+
+/**
+ * Format a reward event for the API
+ *
+ * @param {object} event - Raw RewardEvent properties
+ * @param {object} story - The story the event was earned for ({id, title}), if it still exists
+ * @returns {object} - The formatted event
+ */
+const formatRewardEvent = (event, story) => ({
+  id: event.id,
+  points: event.points,
+  pathReduction: event.pathReduction,
+  reason: event.reason,
+  storyId: event.storyId,
+  storyTitle: story ? story.title : null,
+  receiverId: event.receiverId,
+  createdAt: event.createdAt ? event.createdAt.toString() : null
+});
+
+/**
+ * Get a user's points balance and reward history
+ * @route GET /api/users/:id/points
+ */
+const getUserPoints = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+    logger.info(`Retrieving points for user ${id}`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const [balance, events] = await Promise.all([
+      neo4jService.getUserPointsBalance(id),
+      pagination.mode === 'cursor'
+        ? neo4jService.getUserRewardEvents(id, { limit: pagination.limit + 1, cursor: pagination.cursor })
+        : neo4jService.getUserRewardEvents(id, { skip: pagination.skip, limit: pagination.limit })
+    ]);
+
+    const total = balance ? balance.events : 0;
+    const { items, meta } = buildPage(events, pagination, total, record => record.event);
+
+    res.json({
+      userId: id,
+      points: balance ? balance.points : 0,
+      history: items.map(record => formatRewardEvent(record.event, record.story)),
+      ...meta
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rank users by points earned within a time window
+ * @route GET /api/leaderboard
+ */
+const getLeaderboard = async (req, res, next) => {
+  try {
+    const { window, limit } = req.query;
+    const span = LEADERBOARD_WINDOWS[window];
+    const since = span ? new Date(Date.now() - span).toISOString() : null;
+
+    logger.info(`Retrieving ${window} leaderboard`);
+
+    const results = await neo4jService.getLeaderboard(since, limit);
+
+    res.json({
+      window,
+      since,
+      leaderboard: results.map((record, i) => ({
+        rank: i + 1,
+        user: record.user,
+        points: record.points,
+        events: record.events
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUserPoints,
+  getLeaderboard
+};
@@ -0,0 +1,88 @@
+const neo4jService = require('../services/neo4jService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { tokenize, highlight } = require('../utils/search');
+
+// Searchable result types, with accepted aliases
+const SEARCH_TYPES = {
+  story: 'story',
+  stories: 'story',
+  user: 'user',
+  users: 'user',
+  character: 'user',
+  characters: 'user'
+};
+
+/**
+ * Search stories and users with fuzzy full-text matching
+ * @route GET /api/search
+ */
+const search = async (req, res, next) => {
+  try {
+    const { q, limit, fuzzy } = req.query;
+
+    // ?type= may be repeated (?type=story&type=user) as well as comma-separated
+    const requestedTypes = [].concat(req.query.type || 'story,user')
+      .join(',')
+      .split(',')
+      .map(type => type.trim().toLowerCase());
+    const invalidType = requestedTypes.find(type => !SEARCH_TYPES[type]);
+
+    if (invalidType) {
+      throw ApiError.badRequest(`Invalid type '${invalidType}'. Use story and/or user`);
+    }
+
+    const types = [...new Set(requestedTypes.map(type => SEARCH_TYPES[type]))];
+    const terms = tokenize(q);
+
+    if (terms.length === 0) {
+      throw ApiError.badRequest('Query must contain at least one search term');
+    }
+
+    logger.info(`Searching ${types.join(', ')} for "${q}" (terms: ${terms.join(', ')})`);
+
+    const [stories, users] = await Promise.all([
+      types.includes('story') ? neo4jService.searchStories(terms, limit, { fuzzy }) : [],
+      types.includes('user') ? neo4jService.searchUsers(terms, limit, { fuzzy }) : []
+    ]);
+
+    const storyResults = stories.map(record => ({
+      type: 'story',
+      id: record.story.id,
+      score: record.score,
+      title: record.story.title,
+      author: record.author ? { id: record.author.id, name: record.author.name } : null,
+      highlights: {
+        title: highlight(record.story.title, terms, { fuzzy }).snippet,
+        content: highlight(record.story.content, terms, { fuzzy }).snippet
+      }
+    }));
+
+    const userResults = users.map(record => ({
+      type: 'user',
+      id: record.user.id,
+      score: record.score,
+      name: record.user.name,
+      highlights: {
+        name: highlight(record.user.name, terms, { fuzzy }).snippet,
+        bio: highlight(record.user.bio, terms, { fuzzy }).snippet
+      }
+    }));
+
+    res.json({
+      query: q,
+      types,
+      counts: {
+        story: storyResults.length,
+        user: userResults.length
+      },
+      results: [...storyResults, ...userResults].sort((a, b) => b.score - a.score)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  search
+};
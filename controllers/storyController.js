@@ -1,7 +1,76 @@
 const { v4: uuidv4 } = require('uuid');
 const neo4jService = require('../services/neo4jService');
+const dataService = require('../services/dataService');
+const eventService = require('../services/eventService');
+const layoutService = require('../services/layoutService');
 const { ApiError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
+const { diffLines } = require('../utils/diff');
+const { parsePagination, buildPage } = require('../utils/pagination');
+
+// Editable story fields; types and lengths are checked by the route's validation schema
+const STORY_FIELDS = ['title', 'content'];
+
+// Receivers evaluated per share-suggestion request, closest to the sender first
+const SHARE_CANDIDATE_LIMIT = 200;
+
+/**
+ * Pick the editable story fields from a validated request body
+ *
+ * @param {object} body - The request body
+ * @returns {object} - The fields present in the body
+ */
+const pickStoryFields = (body = {}) => {
+  const fields = {};
+
+  for (const field of STORY_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw ApiError.badRequest(`At least one of ${STORY_FIELDS.join(', ')} is required`);
+  }
+
+  return fields;
+};
+
+/**
+ * Load a story and ensure the acting user is its author
+ *
+ * @param {string} id - The ID of the story
+ * @param {object} actor - The authenticated user attempting the change (req.user)
+ * @param {object} options - Set `allowAdmin` to also permit admins
+ * @returns {Promise<object>} - The story properties
+ */
+const loadAuthoredStory = async (id, actor, { allowAdmin = false } = {}) => {
+  const result = await neo4jService.getStory(id);
+
+  if (!result || !result.story) {
+    throw ApiError.notFound(`Story with ID ${id} not found`);
+  }
+
+  if (result.story.authorId !== actor.id && !(allowAdmin && actor.role === 'admin')) {
+    throw ApiError.forbidden('Only the author can modify this story');
+  }
+
+  return result.story;
+};
+
+/**
+ * Format a story or revision's temporal properties for the frontend
+ *
+ * @param {object} item - The raw story or revision properties
+ * @returns {object} - The formatted item
+ */
+const formatVersioned = item => ({
+  ...item,
+  version: item.version || 1,
+  createdAt: item.createdAt ? item.createdAt.toString() : null,
+  updatedAt: item.updatedAt ? item.updatedAt.toString() : undefined,
+  supersededAt: item.supersededAt ? item.supersededAt.toString() : undefined
+});
 
 /**
  * Get all stories
@@ -9,17 +78,22 @@ const { logger } = require('../utils/logger');
  */
 const getStories = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 0;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = page * limit;
+    const pagination = parsePagination(req.query);
     
-    logger.info(`Retrieving stories with pagination: page=${page}, limit=${limit}`);
+    logger.info(`Retrieving stories with ${pagination.mode} pagination: ${pagination.mode === 'cursor' ? 'cursor' : `page=${pagination.page}`}, limit=${pagination.limit}`);
     
-    // Get stories from Neo4j
-    const stories = await neo4jService.getStories(skip, limit);
+    // Cursor mode fetches one extra row to know whether another page exists
+    const [stories, total] = await Promise.all([
+      pagination.mode === 'cursor'
+        ? neo4jService.getStories(0, pagination.limit + 1, pagination.cursor)
+        : neo4jService.getStories(pagination.skip, pagination.limit),
+      neo4jService.countStories()
+    ]);
+    
+    const { items, meta } = buildPage(stories, pagination, total, record => record.s);
     
     // Process the results for the frontend
-    const formattedStories = stories.map(record => {
+    const formattedStories = items.map(record => {
       return {
         id: record.s.id,
         title: record.s.title,
@@ -34,9 +108,7 @@ const getStories = async (req, res, next) => {
     
     res.json({
       stories: formattedStories,
-      page,
-      limit,
-      total: formattedStories.length // This is just the current page count, ideally we would have a total count
+      ...meta
     });
   } catch (error) {
     next(error);
@@ -53,40 +125,20 @@ const getStoryById = async (req, res, next) => {
     
     logger.info(`Retrieving story with ID: ${id}`);
     
-    // Get story from Neo4j
-    const result = await neo4jService.executeQuery(
-      `
-      MATCH (s:Story {id: $id})<-[:AUTHORED]-(author:User)
-      OPTIONAL MATCH (sharer:User)-[shared:SHARED]->(s)
-      RETURN s, author, collect(distinct {sharer: sharer, shared: shared}) as shares
-      `,
-      { id },
-      true
-    );
+    const result = await neo4jService.getStoryWithShares(id);
     
-    if (!result || !result.s) {
+    if (!result || !result.story) {
       throw ApiError.notFound(`Story with ID ${id} not found`);
     }
     
     // Format response
     const story = {
-      id: result.s.id,
-      title: result.s.title,
-      content: result.s.content,
-      createdAt: result.s.createdAt,
-      author: {
-        id: result.author.id,
-        name: result.author.name
-      },
+      id: result.story.id,
+      title: result.story.title,
+      content: result.story.content,
+      createdAt: result.story.createdAt,
+      author: result.author,
       shares: result.shares
-        .filter(share => share.sharer && share.shared) // Filter out null entries
-        .map(share => ({
-          user: {
-            id: share.sharer.id,
-            name: share.sharer.name
-          },
-          timestamp: share.shared.timestamp
-        }))
     };
     
     res.json(story);
@@ -101,23 +153,16 @@ const getStoryById = async (req, res, next) => {
  */
 const createStory = async (req, res, next) => {
   try {
-    const { title, content, authorId } = req.body;
-    
-    // Validate required fields
-    if (!title || !content || !authorId) {
-      throw ApiError.badRequest('Title, content, and authorId are required');
-    }
+    const { title, content } = req.body;
+    // The author is always the authenticated user
+    const authorId = req.user.id;
     
     logger.info(`Creating new story: "${title}" by author ${authorId}`);
     
     // Check if the author exists
-    const authorResult = await neo4jService.executeQuery(
-      'MATCH (u:User {id: $authorId}) RETURN u',
-      { authorId },
-      true
-    );
+    const authorResult = await neo4jService.getUserById(authorId);
     
-    if (!authorResult || !authorResult.u) {
+    if (!authorResult || !authorResult.user) {
       throw ApiError.notFound(`Author with ID ${authorId} not found`);
     }
     
@@ -130,15 +175,21 @@ const createStory = async (req, res, next) => {
       authorId
     });
     
+    const created = {
+      id: storyId,
+      title,
+      content,
+      authorId,
+      createdAt: new Date().toISOString()
+    };
+    
+    eventService.publish('story.created', {
+      story: { id: storyId, title, authorId, createdAt: created.createdAt }
+    }, { userIds: [authorId], storyId });
+    
     res.status(201).json({
       message: 'Story created successfully',
-      story: {
-        id: storyId,
-        title,
-        content,
-        authorId,
-        createdAt: new Date().toISOString()
-      }
+      story: created
     });
   } catch (error) {
     next(error);
@@ -151,109 +202,413 @@ const createStory = async (req, res, next) => {
  */
 const shareStory = async (req, res, next) => {
   try {
-    const { storyId, senderId, receiverId } = req.body;
-    
-    // Validate required fields
-    if (!storyId || !senderId || !receiverId) {
-      throw ApiError.badRequest('StoryId, senderId, and receiverId are required');
-    }
+    const { storyId, receiverId } = req.body;
+    // The sender is always the authenticated user
+    const senderId = req.user.id;
     
     logger.info(`Sharing story ${storyId} from ${senderId} to ${receiverId}`);
     
+    if (receiverId === senderId) {
+      throw ApiError.badRequest('You cannot share a story with yourself');
+    }
+    
     // Check if story exists
-    const storyResult = await neo4jService.executeQuery(
-      'MATCH (s:Story {id: $storyId}) RETURN s',
-      { storyId },
-      true
-    );
+    const storyResult = await neo4jService.getStory(storyId);
     
-    if (!storyResult || !storyResult.s) {
+    if (!storyResult || !storyResult.story) {
       throw ApiError.notFound(`Story with ID ${storyId} not found`);
     }
     
     // Check if sender exists
-    const senderResult = await neo4jService.executeQuery(
-      'MATCH (u:User {id: $senderId}) RETURN u',
-      { senderId },
-      true
-    );
+    const senderResult = await neo4jService.getUserById(senderId);
     
-    if (!senderResult || !senderResult.u) {
+    if (!senderResult || !senderResult.user) {
       throw ApiError.notFound(`Sender with ID ${senderId} not found`);
     }
     
     // Check if receiver exists
-    const receiverResult = await neo4jService.executeQuery(
-      'MATCH (u:User {id: $receiverId}) RETURN u',
-      { receiverId },
-      true
-    );
+    const receiverResult = await neo4jService.getUserById(receiverId);
     
-    if (!receiverResult || !receiverResult.u) {
+    if (!receiverResult || !receiverResult.user) {
       throw ApiError.notFound(`Receiver with ID ${receiverId} not found`);
     }
     
     // Record the share
     const shareResult = await neo4jService.shareStory(storyId, senderId, receiverId);
     
-    // Find paths before and after the share to see if the path length was reduced
-    const pathBeforeShare = await neo4jService.executeQuery(
-      `
-      MATCH (author:User)-[:AUTHORED]->(s:Story {id: $storyId})
-      MATCH (receiver:User {id: $receiverId})
-      CALL {
-        WITH author, receiver
-        MATCH p = shortestPath((author)-[r:KNOWS|SHARED_WITH*]-(receiver))
-        WHERE NONE(rel IN r WHERE rel.storyId = $storyId)
-        RETURN length(p) AS pathLength
-      }
-      RETURN pathLength
-      `,
-      { storyId, receiverId },
-      true
-    );
+    // Nothing is written if the story or either user was deleted in the meantime
+    if (!shareResult) {
+      throw ApiError.notFound('The story, sender or receiver no longer exists');
+    }
     
-    const pathAfterShare = await neo4jService.executeQuery(
-      `
-      MATCH (author:User)-[:AUTHORED]->(s:Story {id: $storyId})
-      MATCH (receiver:User {id: $receiverId})
-      CALL {
-        WITH author, receiver
-        MATCH p = shortestPath((author)-[r:KNOWS|SHARED_WITH*]-(receiver))
-        RETURN length(p) AS pathLength
-      }
-      RETURN pathLength
-      `,
-      { storyId, receiverId },
-      true
+    // Find paths before and after the share to see if the path length was reduced;
+    // shortestPath cannot run from the author to themselves, who earn nothing anyway
+    const sharedWithAuthor = receiverId === storyResult.story.authorId;
+    const [pathBefore, pathAfter] = sharedWithAuthor ? [] : await Promise.all([
+      neo4jService.getAuthorPathLength(storyId, receiverId, { excludeStoryShares: true }),
+      neo4jService.getAuthorPathLength(storyId, receiverId)
+    ]);
+    
+    const { pathReduction, rewardPoints: earnedPoints } = dataService.calculateShareReward(
+      pathBefore ? pathBefore.pathLength : null,
+      pathAfter ? pathAfter.pathLength : null
     );
+    let rewardPoints = earnedPoints;
     
-    // Calculate reward points based on path reduction
-    let rewardPoints = 0;
-    let pathReduction = 0;
+    // Persist the reward; reaching the same receiver again earns nothing
+    let alreadyRewarded = false;
     
-    if (pathBeforeShare && pathBeforeShare.pathLength && pathAfterShare && pathAfterShare.pathLength) {
-      const before = pathBeforeShare.pathLength;
-      const after = pathAfterShare.pathLength;
-      
-      pathReduction = before - after;
+    if (rewardPoints > 0) {
+      const reward = await neo4jService.recordReward({
+        id: uuidv4(),
+        userId: senderId,
+        storyId,
+        receiverId,
+        points: rewardPoints,
+        pathReduction
+      });
       
-      // Award points based on path reduction
-      if (pathReduction > 0) {
-        rewardPoints = pathReduction * 10; // 10 points per hop reduction
+      if (reward && !reward.created) {
+        alreadyRewarded = true;
+        rewardPoints = 0;
       }
     }
     
+    const share = {
+      storyId,
+      senderId,
+      receiverId,
+      timestamp: new Date().toISOString()
+    };
+    
+    // The link is in the same shape as the network endpoints, so clients can add it to the graph as is
+    eventService.publish('story.shared', {
+      share,
+      link: { source: senderId, target: receiverId, type: 'SHARED_WITH', storyId },
+      pathReduction,
+      rewardPoints
+    }, { userIds: [senderId, receiverId], storyId });
+    
     res.json({
       message: 'Story shared successfully',
-      share: {
-        storyId,
-        senderId,
-        receiverId,
-        timestamp: new Date().toISOString()
-      },
+      share,
       pathReduction,
-      rewardPoints
+      rewardPoints,
+      alreadyRewarded
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest who a user should share a story with, ranked by the path reduction
+ * and reward points each share would earn
+ * @route GET /api/stories/:id/share-suggestions
+ */
+const getShareSuggestions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { senderId, depth, limit } = req.query;
+
+    logger.info(`Suggesting receivers of story ${id} for sender ${senderId}`);
+
+    const [storyResult, senderResult] = await Promise.all([
+      neo4jService.getStory(id),
+      neo4jService.getUserById(senderId)
+    ]);
+
+    if (!storyResult || !storyResult.story) {
+      throw ApiError.notFound(`Story with ID ${id} not found`);
+    }
+
+    if (!senderResult || !senderResult.user) {
+      throw ApiError.notFound(`Sender with ID ${senderId} not found`);
+    }
+
+    // shortestPath cannot run from the author to themselves
+    let senderDistance = 0;
+    if (storyResult.story.authorId !== senderId) {
+      const senderPath = await neo4jService.getAuthorPathLength(id, senderId);
+      senderDistance = senderPath ? senderPath.pathLength : null;
+    }
+
+    const candidates = await neo4jService.getShareCandidates(id, senderId, {
+      depth,
+      limit: SHARE_CANDIDATE_LIMIT
+    });
+
+    const suggestions = dataService.rankShareSuggestions(candidates, senderDistance);
+
+    res.json({
+      storyId: id,
+      senderId,
+      senderDistance,
+      evaluated: candidates.length,
+      suggestions: suggestions.slice(0, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the diffusion tree of a story from its author through every share
+ * @route GET /api/stories/:id/cascade
+ */
+const getStoryCascade = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { layout, seed } = req.query;
+
+    logger.info(`Building share cascade for story ${id}`);
+
+    const result = await neo4jService.getStoryCascade(id);
+
+    if (!result || !result.story) {
+      throw ApiError.notFound(`Story with ID ${id} not found`);
+    }
+
+    const { tree, stats } = dataService.buildCascadeTree(result);
+
+    // Precompute coordinates with the author at the root
+    const positioned = layout ? layoutService.layoutTree(tree, { algorithm: layout, seed }) : { tree };
+
+    res.json({
+      story: {
+        id: result.story.id,
+        title: result.story.title,
+        createdAt: result.story.createdAt ? result.story.createdAt.toString() : null
+      },
+      ...stats,
+      ...positioned
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply an edit to a story, archiving the previous version
+ *
+ * @param {string} id - The ID of the story
+ * @param {object} updates - The new title and/or content
+ * @returns {Promise<object>} - The formatted updated story
+ */
+const applyStoryEdit = async (id, updates) => {
+  const result = await neo4jService.updateStory(id, updates, uuidv4());
+
+  if (!result || !result.story) {
+    throw ApiError.notFound(`Story with ID ${id} not found`);
+  }
+
+  const story = formatVersioned(result.story);
+
+  eventService.publish('story.updated', {
+    story: { id, title: story.title, authorId: story.authorId, version: story.version, updatedAt: story.updatedAt }
+  }, { userIds: [story.authorId], storyId: id });
+
+  return story;
+};
+
+/**
+ * Replace a story's title and content
+ * @route PUT /api/stories/:id
+ */
+const replaceStory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = pickStoryFields(req.body);
+
+    logger.info(`Replacing story ${id}`);
+
+    await loadAuthoredStory(id, req.user);
+    const story = await applyStoryEdit(id, updates);
+
+    res.json({
+      message: 'Story updated successfully',
+      story
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Partially update a story
+ * @route PATCH /api/stories/:id
+ */
+const updateStory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = pickStoryFields(req.body);
+
+    logger.info(`Updating story ${id} fields: ${Object.keys(updates).join(', ')}`);
+
+    await loadAuthoredStory(id, req.user);
+    const story = await applyStoryEdit(id, updates);
+
+    res.json({
+      message: 'Story updated successfully',
+      story
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a story with its revisions and shares
+ * @route DELETE /api/stories/:id
+ */
+const deleteStory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Deleting story ${id}`);
+
+    await loadAuthoredStory(id, req.user, { allowAdmin: true });
+    const result = await neo4jService.deleteStory(id);
+
+    res.json({
+      message: 'Story deleted successfully',
+      id,
+      deletedRevisions: result ? result.revisions : 0,
+      deletedShares: result ? result.shares : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the revision history of a story
+ * @route GET /api/stories/:id/revisions
+ */
+const getStoryRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Retrieving revisions for story ${id}`);
+
+    const result = await neo4jService.getStory(id);
+
+    if (!result || !result.story) {
+      throw ApiError.notFound(`Story with ID ${id} not found`);
+    }
+
+    const revisions = await neo4jService.getStoryRevisions(id);
+
+    res.json({
+      storyId: id,
+      current: formatVersioned(result.story),
+      revisions: revisions.map(record => formatVersioned(record.revision))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a version of a story: an archived revision or the current story
+ *
+ * @param {string} id - The ID of the story
+ * @param {string} version - A version number, or 'current'
+ * @returns {Promise<object>} - The title/content/version of that version
+ */
+const loadStoryVersion = async (id, version) => {
+  if (version === 'current') {
+    const result = await neo4jService.getStory(id);
+
+    if (!result || !result.story) {
+      throw ApiError.notFound(`Story with ID ${id} not found`);
+    }
+
+    return formatVersioned(result.story);
+  }
+
+  const versionNumber = parseInt(version);
+
+  if (!Number.isInteger(versionNumber) || versionNumber < 1 || String(versionNumber) !== String(version)) {
+    throw ApiError.badRequest(`Invalid version '${version}'`);
+  }
+
+  const result = await neo4jService.getStoryRevision(id, versionNumber);
+
+  if (!result || !result.revision) {
+    throw ApiError.notFound(`Revision ${versionNumber} of story ${id} not found`);
+  }
+
+  return formatVersioned(result.revision);
+};
+
+/**
+ * Get a single revision of a story
+ * @route GET /api/stories/:id/revisions/:version
+ */
+const getStoryRevision = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+
+    logger.info(`Retrieving revision ${version} of story ${id}`);
+
+    const revision = await loadStoryVersion(id, version);
+
+    res.json(revision);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Diff a revision against another revision or the current story
+ * @route GET /api/stories/:id/revisions/:version/diff
+ */
+const diffStoryRevision = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    const { against } = req.query;
+
+    logger.info(`Diffing revision ${version} of story ${id} against ${against}`);
+
+    const [from, to] = await Promise.all([
+      loadStoryVersion(id, version),
+      loadStoryVersion(id, against)
+    ]);
+
+    res.json({
+      storyId: id,
+      from: from.version,
+      to: to.version,
+      title: diffLines(from.title, to.title),
+      content: diffLines(from.content, to.content)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a story to a previous revision (recorded as a new edit)
+ * @route POST /api/stories/:id/revisions/:version/restore
+ */
+const restoreStoryRevision = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+
+    logger.info(`Restoring story ${id} to revision ${version}`);
+
+    await loadAuthoredStory(id, req.user);
+    const revision = await loadStoryVersion(id, version);
+
+    const story = await applyStoryEdit(id, {
+      title: revision.title,
+      content: revision.content
+    });
+
+    res.json({
+      message: `Story restored to revision ${revision.version}`,
+      story
     });
   } catch (error) {
     next(error);
@@ -264,5 +619,14 @@ module.exports = {
   getStories,
   getStoryById,
   createStory,
-  shareStory
+  shareStory,
+  getShareSuggestions,
+  getStoryCascade,
+  replaceStory,
+  updateStory,
+  deleteStory,
+  getStoryRevisions,
+  getStoryRevision,
+  diffStoryRevision,
+  restoreStoryRevision
 };
\ No newline at end of file
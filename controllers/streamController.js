@@ -0,0 +1,62 @@
+const streamService = require('../services/streamService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Split a comma-separated query value into a list
+ *
+ * @param {string} value - The query value
+ * @returns {Array<string>|undefined} - The list, or undefined when absent
+ */
+const toList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+/**
+ * Stream live network events as Server-Sent Events
+ * @route GET /api/stream
+ */
+const streamEvents = async (req, res, next) => {
+  try {
+    const { users, stories, neighbourhood, depth, types } = req.query;
+
+    if (!streamService.hasCapacity()) {
+      throw new ApiError('Too many open streams, please try again later', 503);
+    }
+
+    const filters = {
+      users: toList(users),
+      stories: toList(stories),
+      neighbourhood,
+      depth,
+      types: toList(types)
+    };
+
+    // EventSource sends the header on reconnect; the query parameter covers manual resumes
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    logger.info('Opening event stream', { filters });
+
+    // Listen before subscribing, the client may go away while the neighbourhood loads
+    let client;
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      streamService.unsubscribe(client);
+    });
+
+    client = await streamService.subscribe(res, filters, lastEventId);
+
+    if (!client) {
+      throw ApiError.notFound(`User with ID ${neighbourhood} not found`);
+    }
+
+    if (closed) {
+      streamService.unsubscribe(client);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,465 @@
+const { v4: uuidv4 } = require('uuid');
+const neo4jService = require('../services/neo4jService');
+const dataService = require('../services/dataService');
+const eventService = require('../services/eventService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { parsePagination, buildPage } = require('../utils/pagination');
+
+// Editable user fields and their maximum lengths
+const USER_FIELDS = {
+  name: 100,
+  bio: 1000,
+  affiliation: 100,
+  nationality: 100,
+  gender: 50
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Feed candidates considered per request, and the window share velocity is counted over
+const FEED_CANDIDATE_LIMIT = 500;
+const FEED_VELOCITY_HOURS = 72;
+
+// People evaluated per connection recommendation request
+const RECOMMENDATION_CANDIDATE_LIMIT = 500;
+
+/**
+ * Validate and normalize user fields from a request body
+ *
+ * @param {object} body - The request body
+ * @param {object} options - Set `partial` to allow the name to be omitted (PATCH)
+ * @returns {object} - The validated fields
+ */
+const validateUserInput = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const [field, maxLength] of Object.entries(USER_FIELDS)) {
+    const value = body[field];
+
+    if (value === undefined) {
+      continue;
+    }
+
+    // Optional fields can be cleared by sending null
+    if (value === null && field !== 'name') {
+      fields[field] = null;
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      throw ApiError.badRequest(`${field} must be a string`);
+    }
+
+    const trimmed = value.trim();
+
+    if (field === 'name' && !trimmed) {
+      throw ApiError.badRequest('Name cannot be empty');
+    }
+
+    if (trimmed.length > maxLength) {
+      throw ApiError.badRequest(`${field} must be at most ${maxLength} characters`);
+    }
+
+    fields[field] = trimmed;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      throw ApiError.badRequest('isActive must be a boolean');
+    }
+    fields.isActive = body.isActive;
+  }
+
+  if (!partial && !fields.name) {
+    throw ApiError.badRequest('Name is required');
+  }
+
+  return fields;
+};
+
+/**
+ * Ensure no other user already has the given name (case-insensitive)
+ *
+ * @param {string} name - The name to check
+ * @param {string} excludeId - A user ID to ignore (the user being updated)
+ */
+const assertNameAvailable = async (name, excludeId = null) => {
+  const existing = await neo4jService.getUserByName(name);
+
+  if (existing && existing.user && existing.user.id !== excludeId) {
+    throw ApiError.conflict(`A user named '${name}' already exists`);
+  }
+};
+
+/**
+ * Ensure the acting user may modify an account (their own, or any account as an admin)
+ *
+ * @param {object} actor - The authenticated user (req.user)
+ * @param {string} id - The ID of the account being modified
+ */
+const assertCanModify = (actor, id) => {
+  if (actor.role !== 'admin' && actor.id !== id) {
+    throw ApiError.forbidden('You can only modify your own account');
+  }
+};
+
+/**
+ * Get all users with pagination
+ * @route GET /api/users
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { maxLimit: MAX_PAGE_SIZE });
+    const { includeInactive } = req.query;
+
+    logger.info(`Retrieving users with ${pagination.mode} pagination: limit=${pagination.limit}, includeInactive=${includeInactive}`);
+
+    // Both modes list users newest first, so switching modes keeps the order
+    const [users, total] = await Promise.all([
+      pagination.mode === 'cursor'
+        ? neo4jService.getUsersByCursor(pagination.cursor, pagination.limit + 1, includeInactive)
+        : neo4jService.getUsers(pagination.skip, pagination.limit, includeInactive),
+      neo4jService.countUsers(includeInactive)
+    ]);
+
+    const { items, meta } = buildPage(users, pagination, total, record => record.user);
+
+    res.json({
+      users: items.map(record => dataService.formatUser(record.user)),
+      ...meta
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific user by ID
+ * @route GET /api/users/:id
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Retrieving user with ID: ${id}`);
+
+    const result = await neo4jService.getUserById(id);
+
+    if (!result || !result.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    res.json(dataService.formatUser(result.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a user's direct connections with pagination
+ * @route GET /api/users/:id/connections
+ */
+const getUserConnections = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+
+    logger.info(`Retrieving connections for user ${id} with ${pagination.mode} pagination`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const [connections, total] = await Promise.all([
+      pagination.mode === 'cursor'
+        ? neo4jService.getUserConnectionList(id, { limit: pagination.limit + 1, cursor: pagination.cursor })
+        : neo4jService.getUserConnectionList(id, { skip: pagination.skip, limit: pagination.limit }),
+      neo4jService.countUserConnections(id)
+    ]);
+
+    const { items, meta } = buildPage(connections, pagination, total, record => record.user);
+
+    res.json({
+      userId: id,
+      connections: items.map(record => ({
+        ...dataService.formatUser(record.user),
+        relationshipTypes: record.relationshipTypes
+      })),
+      ...meta
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's personalized feed: stories their network is passing around,
+ * ranked by proximity, recency and share velocity
+ * @route GET /api/users/:id/feed
+ */
+const getUserFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { depth } = req.query;
+    // Ranking is computed per request, so the feed pages by offset only
+    const pagination = parsePagination({ page: req.query.page, limit: req.query.limit }, { defaultLimit: 20, maxLimit: 50 });
+
+    logger.info(`Building feed for user ${id} (depth ${depth}, page ${pagination.page})`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const candidates = await neo4jService.getFeedCandidates(id, {
+      depth,
+      recentHours: FEED_VELOCITY_HOURS,
+      limit: FEED_CANDIDATE_LIMIT
+    });
+
+    const ranked = dataService.rankFeed(candidates);
+    const { items, meta } = buildPage(ranked.slice(pagination.skip, pagination.skip + pagination.limit), pagination, ranked.length);
+
+    res.json({
+      userId: id,
+      depth,
+      feed: items,
+      ...meta
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Recommend people a user is not connected to yet, with the reasons for each
+ * @route GET /api/users/:id/recommendations
+ */
+const getConnectionRecommendations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    logger.info(`Recommending connections for user ${id}`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const candidates = await neo4jService.getConnectionCandidates(id, { limit: RECOMMENDATION_CANDIDATE_LIMIT });
+    const recommendations = dataService.rankConnectionRecommendations(existing.user, candidates);
+
+    res.json({
+      userId: id,
+      evaluated: candidates.length,
+      recommendations: recommendations.slice(0, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific user by name (case-insensitive)
+ * @route GET /api/users/name/:name
+ */
+const getUserByName = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+
+    logger.info(`Retrieving user with name: ${name}`);
+
+    const result = await neo4jService.getUserByName(name);
+
+    if (!result || !result.user) {
+      throw ApiError.notFound(`User '${name}' not found`);
+    }
+
+    res.json(dataService.formatUser(result.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new user
+ * @route POST /api/users
+ */
+const createUser = async (req, res, next) => {
+  try {
+    // New users are always active
+    const { isActive, ...fields } = validateUserInput(req.body);
+
+    logger.info(`Creating new user: "${fields.name}"`);
+
+    await assertNameAvailable(fields.name);
+
+    const userId = uuidv4();
+    await neo4jService.createUser({ id: userId, ...fields });
+
+    const result = await neo4jService.getUserById(userId);
+    const user = dataService.formatUser(result.user);
+
+    eventService.publish('user.created', { user }, { userIds: [userId] });
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a user's editable fields
+ * @route PUT /api/users/:id
+ */
+const replaceUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = validateUserInput(req.body);
+
+    // Fields missing from a full replacement are cleared
+    for (const field of Object.keys(USER_FIELDS)) {
+      if (fields[field] === undefined) {
+        fields[field] = null;
+      }
+    }
+
+    assertCanModify(req.user, id);
+
+    logger.info(`Replacing user ${id}`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    await assertNameAvailable(fields.name, id);
+
+    const result = await neo4jService.updateUser(id, fields);
+    const user = dataService.formatUser(result.user);
+
+    eventService.publish('user.updated', { user }, { userIds: [id] });
+
+    res.json({
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Partially update a user
+ * @route PATCH /api/users/:id
+ */
+const updateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const fields = validateUserInput(req.body, { partial: true });
+
+    if (Object.keys(fields).length === 0) {
+      throw ApiError.badRequest(`At least one of ${Object.keys(USER_FIELDS).join(', ')}, isActive is required`);
+    }
+
+    assertCanModify(req.user, id);
+
+    logger.info(`Updating user ${id} fields: ${Object.keys(fields).join(', ')}`);
+
+    const existing = await neo4jService.getUserById(id);
+
+    if (!existing || !existing.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    if (fields.name) {
+      await assertNameAvailable(fields.name, id);
+    }
+
+    const result = await neo4jService.updateUser(id, fields);
+    const user = dataService.formatUser(result.user);
+
+    eventService.publish('user.updated', { user }, { userIds: [id] });
+
+    res.json({
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a user, or delete them permanently with ?permanent=true
+ * @route DELETE /api/users/:id
+ */
+const deleteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { permanent } = req.query;
+
+    assertCanModify(req.user, id);
+
+    if (permanent && req.user.role !== 'admin') {
+      throw ApiError.forbidden('Only admins can permanently delete users');
+    }
+
+    logger.info(`${permanent ? 'Deleting' : 'Deactivating'} user ${id}`);
+
+    if (permanent) {
+      const result = await neo4jService.deleteUser(id);
+
+      if (!result || !result.deleted) {
+        throw ApiError.notFound(`User with ID ${id} not found`);
+      }
+
+      eventService.publish('user.deleted', { id }, { userIds: [id] });
+
+      return res.json({
+        message: 'User deleted successfully',
+        id
+      });
+    }
+
+    const result = await neo4jService.deactivateUser(id);
+
+    if (!result || !result.user) {
+      throw ApiError.notFound(`User with ID ${id} not found`);
+    }
+
+    const user = dataService.formatUser(result.user);
+
+    eventService.publish('user.updated', { user }, { userIds: [id] });
+
+    res.json({
+      message: 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  getUserConnections,
+  getUserFeed,
+  getConnectionRecommendations,
+  getUserByName,
+  createUser,
+  replaceUser,
+  updateUser,
+  deleteUser
+};
@@ -0,0 +1,62 @@
+const authService = require('../services/authService');
+const neo4jService = require('../services/neo4jService');
+const { ApiError } = require('../utils/errorHandler');
+
+/**
+ * Require a valid Bearer token and populate req.user
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      throw ApiError.unauthorized('Authentication token is required');
+    }
+
+    const payload = authService.verifyToken(token);
+
+    // Load the user so deactivations and role changes take effect immediately
+    const result = await neo4jService.getUserById(payload.sub);
+
+    if (!result || !result.user) {
+      throw ApiError.unauthorized('User for this token no longer exists');
+    }
+
+    if (result.user.isActive === false) {
+      throw ApiError.forbidden('User account is deactivated');
+    }
+
+    req.user = {
+      id: result.user.id,
+      name: result.user.name,
+      role: result.user.role || 'user'
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restrict a route to users with one of the given roles (use after authenticate)
+ *
+ * @param {...string} roles - The allowed roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(ApiError.unauthorized('Authentication token is required'));
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return next(ApiError.forbidden(`This action requires the ${roles.join(' or ')} role`));
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,135 @@
+const { ApiError } = require('../utils/errorHandler');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Request locations checked, in the order problems are reported
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Check a single value against a rule
+ *
+ * Rules support `type` (string, uuid, integer, number, boolean), `required`,
+ * `default`, `min`/`max` for numbers, `minLength`/`maxLength`/`pattern`/`trim`
+ * for strings and `enum` for any type. Query and route parameters arrive as
+ * strings, so numbers and booleans are parsed from them; JSON bodies must
+ * already carry the right type.
+ *
+ * @param {*} value - The raw value
+ * @param {object} rule - The rule
+ * @param {boolean} fromString - Whether the value came from the URL
+ * @returns {object} - { value } when valid, otherwise { error }
+ */
+const checkValue = (value, rule, fromString) => {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) {
+      return { error: 'is required' };
+    }
+    return { value: rule.default };
+  }
+
+  let checked = value;
+
+  switch (rule.type || 'string') {
+    case 'integer':
+    case 'number': {
+      if (fromString && typeof value === 'string') {
+        checked = rule.type === 'integer' && /^-?\d+$/.test(value.trim()) ? parseInt(value, 10)
+          : rule.type === 'number' && value.trim() !== '' ? Number(value) : NaN;
+      }
+      if (typeof checked !== 'number' || !Number.isFinite(checked) || (rule.type === 'integer' && !Number.isInteger(checked))) {
+        return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if ((rule.min !== undefined && checked < rule.min) || (rule.max !== undefined && checked > rule.max)) {
+        const range = [
+          rule.min !== undefined && `at least ${rule.min}`,
+          rule.max !== undefined && `at most ${rule.max}`
+        ].filter(Boolean).join(' and ');
+        return { error: `must be ${range}` };
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (fromString && (value === 'true' || value === 'false')) {
+        checked = value === 'true';
+      }
+      if (typeof checked !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      break;
+    }
+
+    case 'uuid': {
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+        return { error: 'must be a valid ID' };
+      }
+      break;
+    }
+
+    default: {
+      if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+      }
+      checked = rule.trim ? value.trim() : value;
+      if (rule.minLength !== undefined && checked.length < rule.minLength) {
+        return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && checked.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(checked)) {
+        return { error: rule.message || 'has an invalid format' };
+      }
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(checked)) {
+    return { error: `must be one of ${rule.enum.join(', ')}` };
+  }
+
+  return { value: checked };
+};
+
+/**
+ * Build middleware validating req.params, req.query and req.body against a
+ * schema of per-field rules (see checkValue). Valid values are written back
+ * parsed and with defaults applied; otherwise every problem is reported in one
+ * 400 response.
+ *
+ * @param {object} schema - { params, query, body }, each mapping field names to rules
+ * @returns {Function} - Express middleware
+ */
+const validate = schema => (req, res, next) => {
+  const details = [];
+
+  for (const location of LOCATIONS) {
+    const rules = schema[location];
+
+    if (!rules) {
+      continue;
+    }
+
+    if (location === 'body' && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+      details.push({ location, field: null, message: 'body must be a JSON object' });
+      continue;
+    }
+
+    const source = req[location] || {};
+
+    for (const [field, rule] of Object.entries(rules)) {
+      const result = checkValue(source[field], rule, location !== 'body');
+
+      if (result.error) {
+        details.push({ location, field, message: `${location}.${field} ${result.error}` });
+      } else if (result.value !== undefined) {
+        source[field] = result.value;
+      }
+    }
+  }
+
+  next(details.length ? ApiError.validation(details) : undefined);
+};
+
+module.exports = {
+  validate
+};
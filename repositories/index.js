@@ -0,0 +1,34 @@
+const { logger } = require('../utils/logger');
+
+// Storage backends, loaded on demand so the in-memory backend never creates a Neo4j driver
+const BACKENDS = {
+  neo4j: () => require('./neo4jRepository'),
+  memory: () => require('./memoryRepository')
+};
+
+const DEFAULT_BACKEND = 'neo4j';
+
+/**
+ * Create the repository for a storage backend
+ *
+ * @param {string} backend - neo4j or memory
+ * @returns {object} - The repository instance
+ */
+const createRepository = (backend = DEFAULT_BACKEND) => {
+  const name = String(backend || DEFAULT_BACKEND).trim().toLowerCase();
+
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown storage backend '${backend}'; use one of ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  const Repository = BACKENDS[name]();
+
+  logger.info(`Using ${name} storage backend`);
+
+  return new Repository();
+};
+
+module.exports = {
+  BACKENDS: Object.keys(BACKENDS),
+  createRepository
+};
@@ -0,0 +1,2284 @@
+const { logger } = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { RELATIONSHIP_TYPE_PATTERN, CONNECTION_TYPES } = require('../utils/relationshipTypes');
+const { fuzzyDistance, editDistance } = require('../utils/search');
+const { TIMELINE_USER_PROPERTIES, toPublicUser } = require('../utils/publicUser');
+const { traversalDepth } = require('./shared');
+
+// Properties unique per label, mirroring the constraints in config/db.js
+const UNIQUE_PROPERTIES = {
+  User: ['id', 'email'],
+  Story: ['id'],
+  RewardEvent: ['key'],
+  Notification: ['key']
+};
+
+// Relationship types that make up the social graph for path lengths and feeds
+const SOCIAL_TYPES = ['KNOWS', 'SHARED_WITH'];
+
+// Paths returned by the connection queries, and a guard on how many partial paths are expanded
+const MAX_CONNECTION_PATHS = 50;
+const MAX_PATH_FRONTIER = 10000;
+
+const now = () => new Date().toISOString();
+
+const epochMillis = value => (value === null || value === undefined ? null : Date.parse(value.toString()));
+
+/**
+ * Project properties like a Cypher map projection: missing keys become null
+ *
+ * @param {object} properties - The node or relationship properties
+ * @param {Array<string>} keys - The keys to keep
+ * @returns {object} - The projected map
+ */
+const project = (properties, keys) => Object.fromEntries(
+  keys.map(key => [key, properties[key] === undefined ? null : properties[key]])
+);
+
+/**
+ * Apply `SET x += updates` semantics: null removes a property
+ *
+ * @param {object} properties - The properties to change in place
+ * @param {object} updates - The new values
+ */
+const assignProperties = (properties, updates = {}) => {
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      delete properties[key];
+    } else {
+      properties[key] = value;
+    }
+  });
+};
+
+const compareValues = (a, b) => {
+  const left = a === null || a === undefined ? '' : String(a);
+  const right = b === null || b === undefined ? '' : String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// `ORDER BY createdAt DESC, id DESC` over property maps
+const newestFirst = (a, b) => compareValues(b.createdAt, a.createdAt) || compareValues(b.id, a.id);
+
+/**
+ * The keyset condition of cursor pagination (see utils/pagination)
+ *
+ * @param {object} properties - The item's properties
+ * @param {object} cursor - A decoded { createdAt, id } cursor, or null
+ * @returns {boolean} - Whether the item comes after the cursor
+ */
+const afterCursor = (properties, cursor) => !cursor ||
+  compareValues(properties.createdAt, cursor.createdAt) < 0 ||
+  (compareValues(properties.createdAt, cursor.createdAt) === 0 && compareValues(properties.id, cursor.id) < 0);
+
+/**
+ * Score a text against search terms the way the full-text query ranks it:
+ * exact words count most, then prefixes, then fuzzy matches, and the whole
+ * phrase adds a bonus. Every term has to match.
+ *
+ * @param {Array<string>} texts - The indexed fields
+ * @param {Array<string>} terms - The search terms
+ * @param {boolean} fuzzy - Whether edit-distance matches count
+ * @returns {number} - The score, 0 when the text does not match
+ */
+const scoreText = (texts, terms, fuzzy) => {
+  const text = texts.filter(Boolean).join(' ').toLowerCase();
+  const words = text.match(/[\p{L}\p{N}']+/gu) || [];
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    for (const word of words) {
+      if (word === term) {
+        best = 2;
+        break;
+      }
+      if (word.startsWith(term)) {
+        best = Math.max(best, 1);
+      } else if (fuzzy && fuzzyDistance(term) > 0 && editDistance(word, term) <= fuzzyDistance(term)) {
+        best = Math.max(best, 0.5);
+      }
+    }
+
+    if (!best) {
+      return 0;
+    }
+    score += best;
+  }
+
+  return terms.length > 1 && text.includes(terms.join(' ')) ? score + 3 : score;
+};
+
+/**
+ * Storage backend keeping the whole graph in process memory. It implements
+ * every repository method with the same record shapes as the Neo4j backend,
+ * so the API, imports, exports and analytics run without a database. Data is
+ * lost on restart; temporal properties are stored as ISO-8601 strings.
+ */
+class MemoryRepository {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Empty the graph
+   */
+  reset() {
+    // `${label}:${id}` -> { key, label, seq, properties }
+    this.nodes = new Map();
+    // id -> { id, type, start, end, properties } where start/end are node keys
+    this.relationships = new Map();
+    // node key -> Set of relationship IDs
+    this.adjacency = new Map();
+    // `${label}.${property}:${value}` -> node key
+    this.uniqueIndex = new Map();
+    this.nextNodeSeq = 1;
+    this.nextRelationshipId = 1;
+  }
+
+  /**
+   * The in-memory graph is always reachable
+   *
+   * @returns {Promise<boolean>}
+   */
+  async verifyConnectivity() {
+    return true;
+  }
+
+  /**
+   * Constraints are enforced on write, so there is no schema to create
+   *
+   * @returns {Promise<void>}
+   */
+  async initializeSchema() {
+    logger.info('In-memory graph ready');
+  }
+
+  /**
+   * Nothing to close
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Cypher cannot run against the in-memory graph
+   */
+  async executeQuery() {
+    throw new ApiError('Cypher queries are not supported by the in-memory storage backend', 501);
+  }
+
+  /**
+   * Cypher cannot run against the in-memory graph
+   */
+  async *streamQuery() {
+    throw new ApiError('Cypher queries are not supported by the in-memory storage backend', 501);
+  }
+
+  /**
+   * Run several writes atomically: the graph is snapshotted first and
+   * restored if the work throws. The work receives a `run` function only for
+   * signature compatibility; the import methods below ignore it. Writes from
+   * other requests during the work are rolled back too, which is acceptable
+   * for tests and local use.
+   *
+   * @param {Function} work - async run => result
+   * @returns {Promise<*>} - The result of the work
+   */
+  async runInTransaction(work) {
+    const snapshot = this.snapshot();
+
+    try {
+      return await work(() => {
+        throw new ApiError('Cypher queries are not supported by the in-memory storage backend', 501);
+      });
+    } catch (error) {
+      this.restore(snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy the graph state
+   *
+   * @returns {object} - The snapshot
+   */
+  snapshot() {
+    const copyEntity = entity => ({ ...entity, properties: { ...entity.properties } });
+
+    return {
+      nodes: new Map([...this.nodes].map(([key, node]) => [key, copyEntity(node)])),
+      relationships: new Map([...this.relationships].map(([id, rel]) => [id, copyEntity(rel)])),
+      adjacency: new Map([...this.adjacency].map(([key, ids]) => [key, new Set(ids)])),
+      uniqueIndex: new Map(this.uniqueIndex),
+      nextNodeSeq: this.nextNodeSeq,
+      nextRelationshipId: this.nextRelationshipId
+    };
+  }
+
+  /**
+   * Put back a snapshot taken by snapshot()
+   *
+   * @param {object} snapshot - The snapshot
+   */
+  restore(snapshot) {
+    Object.assign(this, snapshot);
+  }
+
+  /**
+   * Find a node by label and ID
+   *
+   * @param {string} label - The node label
+   * @param {string} id - The node's id property
+   * @returns {object} - The node, or undefined
+   */
+  findNode(label, id) {
+    return this.nodes.get(`${label}:${id}`);
+  }
+
+  /**
+   * List the nodes with a label, in creation order
+   *
+   * @param {string} label - The node label
+   * @returns {Array<object>} - The nodes
+   */
+  nodesOf(label) {
+    return [...this.nodes.values()].filter(node => node.label === label);
+  }
+
+  /**
+   * Check and record the unique properties of a node
+   *
+   * @param {string} label - The node label
+   * @param {object} properties - The node's new properties
+   * @param {string} key - The node key, for nodes being updated
+   */
+  indexUnique(label, properties, key) {
+    const entries = (UNIQUE_PROPERTIES[label] || [])
+      .filter(property => properties[property] !== null && properties[property] !== undefined)
+      .map(property => [property, `${label}.${property}:${properties[property]}`]);
+
+    for (const [property, indexKey] of entries) {
+      const owner = this.uniqueIndex.get(indexKey);
+      if (owner && owner !== key) {
+        throw new ApiError(`Database query failed: Node already exists with label \`${label}\` and property \`${property}\` = '${properties[property]}'`, 500);
+      }
+    }
+
+    entries.forEach(([, indexKey]) => this.uniqueIndex.set(indexKey, key || `${label}:${properties.id}`));
+  }
+
+  /**
+   * Remove a node's unique properties from the index
+   *
+   * @param {object} node - The node
+   */
+  unindexUnique(node) {
+    (UNIQUE_PROPERTIES[node.label] || []).forEach(property => {
+      const indexKey = `${node.label}.${property}:${node.properties[property]}`;
+      if (this.uniqueIndex.get(indexKey) === node.key) {
+        this.uniqueIndex.delete(indexKey);
+      }
+    });
+  }
+
+  /**
+   * Create a node
+   *
+   * @param {string} label - The node label
+   * @param {object} properties - The node properties, including a unique `id`
+   * @returns {object} - The node
+   */
+  addNode(label, properties) {
+    const stored = {};
+    assignProperties(stored, properties);
+    this.indexUnique(label, stored);
+
+    const node = { key: `${label}:${stored.id}`, label, seq: this.nextNodeSeq++, properties: stored };
+    this.nodes.set(node.key, node);
+    this.adjacency.set(node.key, new Set());
+
+    return node;
+  }
+
+  /**
+   * Set properties on a node, keeping the unique index in step
+   *
+   * @param {object} node - The node
+   * @param {object} updates - The properties to set (null removes)
+   */
+  updateNode(node, updates) {
+    const next = { ...node.properties };
+    assignProperties(next, updates);
+    this.indexUnique(node.label, next, node.key);
+    this.unindexUnique(node);
+    node.properties = next;
+    this.indexUnique(node.label, next, node.key);
+  }
+
+  /**
+   * Delete a node and its relationships
+   *
+   * @param {object} node - The node
+   */
+  detachDelete(node) {
+    [...this.adjacency.get(node.key)].forEach(id => this.deleteRelationship(this.relationships.get(id)));
+    this.unindexUnique(node);
+    this.adjacency.delete(node.key);
+    this.nodes.delete(node.key);
+  }
+
+  /**
+   * Create a relationship
+   *
+   * @param {string} type - The relationship type
+   * @param {object} start - The start node
+   * @param {object} end - The end node
+   * @param {object} properties - The relationship properties
+   * @returns {object} - The relationship
+   */
+  relate(type, start, end, properties = {}) {
+    const stored = {};
+    assignProperties(stored, properties);
+
+    const rel = { id: this.nextRelationshipId++, type, start: start.key, end: end.key, properties: stored };
+    this.relationships.set(rel.id, rel);
+    this.adjacency.get(start.key).add(rel.id);
+    this.adjacency.get(end.key).add(rel.id);
+
+    return rel;
+  }
+
+  /**
+   * Delete a relationship
+   *
+   * @param {object} rel - The relationship
+   */
+  deleteRelationship(rel) {
+    this.relationships.delete(rel.id);
+    this.adjacency.get(rel.start).delete(rel.id);
+    this.adjacency.get(rel.end).delete(rel.id);
+  }
+
+  /**
+   * List a node's relationships with the node at the other end
+   *
+   * @param {object} node - The node
+   * @param {object} options - `types` to keep (null for all) and `direction` (out, in or both)
+   * @returns {Array<object>} - { rel, other } pairs
+   */
+  relationshipsOf(node, { types = null, direction = 'both' } = {}) {
+    const result = [];
+
+    for (const id of this.adjacency.get(node.key) || []) {
+      const rel = this.relationships.get(id);
+
+      if (types && !types.includes(rel.type)) {
+        continue;
+      }
+      if (direction === 'out' && rel.start !== node.key) {
+        continue;
+      }
+      if (direction === 'in' && rel.end !== node.key) {
+        continue;
+      }
+
+      result.push({ rel, other: this.nodes.get(rel.start === node.key ? rel.end : rel.start) });
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the relationships of a type between two nodes
+   *
+   * @param {object} start - The start node
+   * @param {object} end - The end node
+   * @param {string} type - The relationship type
+   * @param {boolean} eitherDirection - Whether end -> start relationships count too
+   * @returns {Array<object>} - The relationships
+   */
+  relationshipsBetween(start, end, type, eitherDirection) {
+    return this.relationshipsOf(start, { types: [type], direction: eitherDirection ? 'both' : 'out' })
+      .filter(({ other }) => other === end)
+      .map(({ rel }) => rel);
+  }
+
+  /**
+   * Breadth-first hop counts from a node
+   *
+   * @param {object} start - The start node
+   * @param {object} options - `types` (null for all), `maxDepth` (null for unlimited),
+   *   `usersOnly` to only travel through User nodes, and `skip` to ignore some relationships
+   * @returns {Map<string, number>} - Node keys mapped to their distance, including the start at 0
+   */
+  distancesFrom(start, { types = null, maxDepth = null, usersOnly = true, skip = null } = {}) {
+    const distances = new Map([[start.key, 0]]);
+    let frontier = [start];
+
+    for (let depth = 1; frontier.length && (maxDepth === null || depth <= maxDepth); depth++) {
+      const next = [];
+
+      for (const node of frontier) {
+        for (const { rel, other } of this.relationshipsOf(node, { types })) {
+          if (distances.has(other.key) || (usersOnly && other.label !== 'User') || (skip && skip(rel))) {
+            continue;
+          }
+          distances.set(other.key, depth);
+          next.push(other);
+        }
+      }
+
+      frontier = next;
+    }
+
+    return distances;
+  }
+
+  /**
+   * Enumerate the shortest paths from a user, level by level, in the shape
+   * executeQuery gives Neo4j paths ({ segments: [{ start, relationship, end }] })
+   *
+   * @param {object} start - The start node
+   * @param {number} depth - The maximum path length
+   * @returns {object} - { paths, connections } for at most MAX_CONNECTION_PATHS paths
+   */
+  connectionPaths(start, depth) {
+    const found = [];
+    let frontier = [{ nodes: [start], rels: [] }];
+
+    for (let length = 1; length <= depth && found.length < MAX_CONNECTION_PATHS && frontier.length; length++) {
+      const next = [];
+
+      for (const path of frontier) {
+        const last = path.nodes[path.nodes.length - 1];
+
+        for (const { rel, other } of this.relationshipsOf(last)) {
+          // Cypher paths never reuse a relationship
+          if (path.rels.includes(rel)) {
+            continue;
+          }
+
+          const extended = { nodes: [...path.nodes, other], rels: [...path.rels, rel] };
+          if (next.length < MAX_PATH_FRONTIER) {
+            next.push(extended);
+          }
+          if (other.label === 'User' && other !== start && found.length < MAX_CONNECTION_PATHS) {
+            found.push(extended);
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    const connections = [...new Set(found.map(path => path.nodes[path.nodes.length - 1]))];
+
+    return {
+      paths: found.map(path => ({
+        segments: path.rels.map((rel, i) => ({
+          start: this.toRecordNode(path.nodes[i]),
+          relationship: this.toRecordRelationship(rel),
+          end: this.toRecordNode(path.nodes[i + 1])
+        }))
+      })),
+      connections: connections.map(node => this.toRecordNode(node))
+    };
+  }
+
+  /**
+   * Format a node the way executeQuery formats Neo4j nodes
+   *
+   * @param {object} node - The node
+   * @returns {object} - Its properties with `labels`
+   */
+  toRecordNode(node) {
+    return { ...node.properties, labels: [node.label] };
+  }
+
+  /**
+   * Format a relationship the way executeQuery formats Neo4j relationships
+   *
+   * @param {object} rel - The relationship
+   * @returns {object} - Its properties with id, type and the IDs of its end nodes
+   */
+  toRecordRelationship(rel) {
+    return {
+      ...rel.properties,
+      id: String(rel.id),
+      type: rel.type,
+      startNodeId: this.nodes.get(rel.start).properties.id,
+      endNodeId: this.nodes.get(rel.end).properties.id
+    };
+  }
+
+  /**
+   * Whether a user node is active
+   *
+   * @param {object} node - The user node
+   * @returns {boolean}
+   */
+  isActive(node) {
+    return node.properties.isActive !== false;
+  }
+
+  /**
+   * The author of a story, following its AUTHORED relationship
+   *
+   * @param {object} story - The story node
+   * @returns {object} - The author node, or undefined
+   */
+  authorOf(story) {
+    const authored = this.relationshipsOf(story, { types: ['AUTHORED'], direction: 'in' })
+      .find(({ other }) => other.label === 'User');
+    return authored ? authored.other : undefined;
+  }
+
+  /**
+   * Whether a user received a story through a SHARED_WITH relationship
+   *
+   * @param {object} user - The user node
+   * @param {string} storyId - The ID of the story
+   * @returns {boolean}
+   */
+  hasReceived(user, storyId) {
+    return this.relationshipsOf(user, { types: ['SHARED_WITH'], direction: 'in' })
+      .some(({ rel }) => rel.properties.storyId === storyId);
+  }
+
+  /**
+   * Delete the graph inside a transaction, keeping accounts (users with a
+   * password) without their relationships
+   *
+   * @param {Function} run - Unused; see runInTransaction
+   * @returns {Promise<void>}
+   */
+  async clearGraph(run) {
+    [...this.nodes.values()]
+      .filter(node => !(node.label === 'User' && node.properties.passwordHash))
+      .forEach(node => this.detachDelete(node));
+    [...this.relationships.values()].forEach(rel => this.deleteRelationship(rel));
+  }
+
+  /**
+   * Create a batch of users inside a transaction
+   *
+   * @param {Function} run - Unused; see runInTransaction
+   * @param {Array} rows - { ref, id, name, bio, properties }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importUsers(run, rows) {
+    return rows.map(row => {
+      this.addNode('User', {
+        id: row.id,
+        name: row.name,
+        bio: row.bio,
+        createdAt: now(),
+        isActive: true,
+        ...row.properties
+      });
+      return row.ref;
+    });
+  }
+
+  /**
+   * Merge a batch of relationships of one type inside a transaction
+   *
+   * @param {Function} run - Unused; see runInTransaction
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {Array} rows - { ref, sourceId, targetId }
+   * @param {object} options - `symmetric` matches existing connections in either direction
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importConnections(run, relationshipType, rows, { symmetric = true } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+
+    const written = [];
+
+    rows.forEach(row => {
+      const source = this.findNode('User', row.sourceId);
+      const target = this.findNode('User', row.targetId);
+
+      if (!source || !target || source === target) {
+        return;
+      }
+
+      if (!this.relationshipsBetween(source, target, relationshipType, symmetric).length) {
+        this.relate(relationshipType, source, target, { createdAt: now() });
+      }
+      written.push(row.ref);
+    });
+
+    return written;
+  }
+
+  /**
+   * Create a batch of stories with their authors inside a transaction
+   *
+   * @param {Function} run - Unused; see runInTransaction
+   * @param {Array} rows - { ref, id, title, content, authorId }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importStories(run, rows) {
+    const written = [];
+
+    rows.forEach(row => {
+      const author = this.findNode('User', row.authorId);
+
+      if (!author) {
+        return;
+      }
+
+      const story = this.addNode('Story', {
+        id: row.id,
+        title: row.title,
+        content: row.content,
+        createdAt: now(),
+        authorId: row.authorId
+      });
+      this.relate('AUTHORED', author, story);
+      written.push(row.ref);
+    });
+
+    return written;
+  }
+
+  /**
+   * Record a batch of story shares inside a transaction
+   *
+   * @param {Function} run - Unused; see runInTransaction
+   * @param {Array} rows - { ref, storyId, senderId, receiverId }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importShares(run, rows) {
+    const written = [];
+
+    rows.forEach(row => {
+      if (this.writeShare(row.storyId, row.senderId, row.receiverId)) {
+        written.push(row.ref);
+      }
+    });
+
+    return written;
+  }
+
+  /**
+   * Create the SHARED and SHARED_WITH relationships of a share
+   *
+   * @param {string} storyId - The ID of the story
+   * @param {string} senderId - The ID of the sender
+   * @param {string} receiverId - The ID of the receiver
+   * @returns {object} - { story, sender, receiver, share, connection }, or undefined if any is missing
+   */
+  writeShare(storyId, senderId, receiverId) {
+    const story = this.findNode('Story', storyId);
+    const sender = this.findNode('User', senderId);
+    const receiver = this.findNode('User', receiverId);
+
+    if (!story || !sender || !receiver || sender === receiver) {
+      return undefined;
+    }
+
+    const timestamp = now();
+    const share = this.relate('SHARED', sender, story, { timestamp });
+    const connection = this.relate('SHARED_WITH', sender, receiver, { timestamp, storyId });
+
+    return { story, sender, receiver, share, connection };
+  }
+
+  /**
+   * Creates a user node
+   *
+   * @param {object} user - The user data (id, name, bio and any extra scalar properties)
+   * @returns {Promise<object>} - The created user
+   */
+  async createUser(user) {
+    const { id, name, bio = null, ...properties } = user;
+    const node = this.addNode('User', { ...properties, id, name, bio, createdAt: now(), isActive: true });
+
+    return { u: this.toRecordNode(node) };
+  }
+
+  /**
+   * Get a user by their ID
+   *
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserById(id) {
+    const node = this.findNode('User', id);
+    return node ? { user: { ...node.properties } } : undefined;
+  }
+
+  /**
+   * Get a user by name (case-insensitive)
+   *
+   * @param {string} name - The name of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserByName(name) {
+    const lower = String(name).toLowerCase();
+    const node = this.nodesOf('User').find(user => String(user.properties.name).toLowerCase() === lower);
+
+    return node ? { user: { ...node.properties } } : undefined;
+  }
+
+  /**
+   * Get the property keys of the nodes and relationships an export will contain
+   *
+   * @param {object} filters - `labels`, `types` (null for all) and `activeOnly`
+   * @returns {Promise<object>} - { nodeKeys, relationshipKeys } as [{ key, sample }]
+   */
+  async getExportSchema(filters) {
+    const collectKeys = items => {
+      const samples = new Map();
+      items.forEach(properties => Object.entries(properties).forEach(([key, value]) => {
+        if (!samples.has(key) && value !== null && value !== undefined) {
+          samples.set(key, value);
+        }
+      }));
+      return [...samples.keys()].sort().map(key => ({ key, sample: samples.get(key) }));
+    };
+
+    return {
+      nodeKeys: collectKeys(this.exportNodes(filters).map(node => node.properties)),
+      relationshipKeys: collectKeys(this.exportRelationships(filters).map(rel => rel.properties))
+    };
+  }
+
+  /**
+   * The nodes an export contains, ordered by label and ID
+   *
+   * @param {object} filters - `labels` and `activeOnly`
+   * @returns {Array<object>} - The nodes
+   */
+  exportNodes({ labels, activeOnly = false }) {
+    return [...this.nodes.values()]
+      .filter(node => labels.includes(node.label) && (!activeOnly || node.label !== 'User' || this.isActive(node)))
+      .sort((a, b) => compareValues(a.label, b.label) || compareValues(a.properties.id, b.properties.id));
+  }
+
+  /**
+   * The relationships between exported nodes, ordered by type, source and target
+   *
+   * @param {object} filters - `labels`, `types` and `activeOnly`
+   * @returns {Array<object>} - The relationships
+   */
+  exportRelationships(filters) {
+    const exported = new Set(this.exportNodes(filters).map(node => node.key));
+    const { types = null } = filters;
+    const endId = key => this.nodes.get(key).properties.id;
+
+    return [...this.relationships.values()]
+      .filter(rel => exported.has(rel.start) && exported.has(rel.end) && (!types || types.includes(rel.type)))
+      .sort((a, b) => compareValues(a.type, b.type) || compareValues(endId(a.start), endId(b.start)) || compareValues(endId(a.end), endId(b.end)));
+  }
+
+  /**
+   * Stream the nodes of an export
+   *
+   * @param {object} filters - See getExportSchema
+   * @returns {AsyncGenerator<object>} - { id, labels, properties }
+   */
+  async *streamExportNodes(filters) {
+    for (const node of this.exportNodes(filters)) {
+      yield { id: node.properties.id, labels: [node.label], properties: { ...node.properties } };
+    }
+  }
+
+  /**
+   * Stream the relationships between exported nodes
+   *
+   * @param {object} filters - See getExportSchema
+   * @returns {AsyncGenerator<object>} - { source, sourceLabels, target, targetLabels, type, properties }
+   */
+  async *streamExportRelationships(filters) {
+    for (const rel of this.exportRelationships(filters)) {
+      const start = this.nodes.get(rel.start);
+      const end = this.nodes.get(rel.end);
+
+      yield {
+        source: start.properties.id,
+        sourceLabels: [start.label],
+        target: end.properties.id,
+        targetLabels: [end.label],
+        type: rel.type,
+        properties: { ...rel.properties }
+      };
+    }
+  }
+
+  /**
+   * Find users by name (case-insensitive)
+   *
+   * @param {Array<string>} names - The names to look up
+   * @param {object} options - `accountsOnly` to match only users with a password
+   * @returns {Promise<array>} - Matching users as { id, name }
+   */
+  async getUsersByNames(names, { accountsOnly = false } = {}) {
+    const wanted = new Set(names.map(name => String(name).toLowerCase()));
+
+    return this.nodesOf('User')
+      .filter(user => wanted.has(String(user.properties.name).toLowerCase()))
+      .filter(user => !accountsOnly || user.properties.passwordHash)
+      .map(user => ({ user: project(user.properties, ['id', 'name']) }));
+  }
+
+  /**
+   * Get a user by email address (stored lowercased)
+   *
+   * @param {string} email - The email of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserByEmail(email) {
+    const key = this.uniqueIndex.get(`User.email:${String(email).toLowerCase()}`);
+    return key ? { user: { ...this.nodes.get(key).properties } } : undefined;
+  }
+
+  /**
+   * Update properties on a user node. Properties set to null are removed.
+   *
+   * @param {string} id - The ID of the user
+   * @param {object} updates - The properties to set
+   * @returns {Promise<object>} - The updated user properties under `user`, or undefined
+   */
+  async updateUser(id, updates) {
+    const node = this.findNode('User', id);
+
+    if (!node) {
+      return undefined;
+    }
+
+    this.updateNode(node, { ...updates, updatedAt: now() });
+    return { user: { ...node.properties } };
+  }
+
+  /**
+   * Soft-deactivate a user by clearing their isActive flag
+   *
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The deactivated user properties under `user`, or undefined
+   */
+  async deactivateUser(id) {
+    const timestamp = now();
+    return this.updateUser(id, { isActive: false, deactivatedAt: timestamp, updatedAt: timestamp });
+  }
+
+  /**
+   * Permanently delete a user and all of their relationships
+   *
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The number of deleted nodes under `deleted`
+   */
+  async deleteUser(id) {
+    const node = this.findNode('User', id);
+
+    if (!node) {
+      return undefined;
+    }
+
+    [
+      ...this.relationshipsOf(node, { types: ['EARNED'], direction: 'out' }),
+      ...this.relationshipsOf(node, { types: ['HAS_NOTIFICATION'], direction: 'out' })
+    ].forEach(({ other }) => this.detachDelete(other));
+    this.detachDelete(node);
+
+    return { deleted: 1 };
+  }
+
+  /**
+   * Creates a story node
+   *
+   * @param {object} story - The story data
+   * @returns {Promise<object>} - The created story
+   */
+  async createStory(story) {
+    const node = this.addNode('Story', {
+      id: story.id,
+      title: story.title,
+      content: story.content,
+      createdAt: now(),
+      authorId: story.authorId
+    });
+    const author = this.findNode('User', story.authorId);
+
+    if (!author) {
+      return undefined;
+    }
+
+    this.relate('AUTHORED', author, node);
+    return { s: this.toRecordNode(node) };
+  }
+
+  /**
+   * Get a story's properties by ID
+   *
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - The story properties under `story`, or undefined
+   */
+  async getStory(id) {
+    const node = this.findNode('Story', id);
+    return node ? { story: { ...node.properties } } : undefined;
+  }
+
+  /**
+   * Get a story with its author and the users who shared it, oldest share first
+   *
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - { story, author, shares } where shares are { user, timestamp },
+   *   or undefined if the story (or its author) does not exist
+   */
+  async getStoryWithShares(id) {
+    const node = this.findNode('Story', id);
+    const author = node && this.authorOf(node);
+
+    if (!author) {
+      return undefined;
+    }
+
+    const shares = this.relationshipsOf(node, { types: ['SHARED'], direction: 'in' })
+      .filter(({ other }) => other.label === 'User')
+      .sort((a, b) => compareValues(a.rel.properties.timestamp, b.rel.properties.timestamp))
+      .map(({ rel, other }) => ({ user: project(other.properties, ['id', 'name']), timestamp: rel.properties.timestamp }));
+
+    return {
+      story: { ...node.properties },
+      author: project(author.properties, ['id', 'name']),
+      shares
+    };
+  }
+
+  /**
+   * Update a story, archiving its current title and content as a Revision node
+   *
+   * @param {string} id - The ID of the story
+   * @param {object} updates - The new title and/or content
+   * @param {string} revisionId - The ID to give the archived revision
+   * @returns {Promise<object>} - The updated story properties under `story`, or undefined
+   */
+  async updateStory(id, updates, revisionId) {
+    const node = this.findNode('Story', id);
+
+    if (!node) {
+      return undefined;
+    }
+
+    const current = node.properties;
+    const revision = this.addNode('Revision', {
+      id: revisionId,
+      storyId: current.id,
+      version: current.version || 1,
+      title: current.title,
+      content: current.content,
+      createdAt: current.updatedAt || current.createdAt,
+      supersededAt: now()
+    });
+    this.relate('HAS_REVISION', node, revision);
+    this.updateNode(node, { ...updates, version: (current.version || 1) + 1, updatedAt: now() });
+
+    return { story: { ...node.properties } };
+  }
+
+  /**
+   * The archived revisions of a story
+   *
+   * @param {string} id - The ID of the story
+   * @returns {Array<object>} - The revision nodes
+   */
+  revisionsOf(id) {
+    const node = this.findNode('Story', id);
+
+    return node
+      ? this.relationshipsOf(node, { types: ['HAS_REVISION'], direction: 'out' }).map(({ other }) => other)
+      : [];
+  }
+
+  /**
+   * Get the archived revisions of a story, newest first
+   *
+   * @param {string} id - The ID of the story
+   * @returns {Promise<array>} - The revisions under `revision`
+   */
+  async getStoryRevisions(id) {
+    return this.revisionsOf(id)
+      .sort((a, b) => b.properties.version - a.properties.version)
+      .map(revision => ({ revision: { ...revision.properties } }));
+  }
+
+  /**
+   * Get a single archived revision of a story
+   *
+   * @param {string} id - The ID of the story
+   * @param {number} version - The revision version number
+   * @returns {Promise<object>} - The revision under `revision`, or undefined
+   */
+  async getStoryRevision(id, version) {
+    const revision = this.revisionsOf(id).find(node => node.properties.version === parseInt(version));
+    return revision ? { revision: { ...revision.properties } } : undefined;
+  }
+
+  /**
+   * Delete a story along with its revisions and the shares recorded for it
+   *
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - Counts of deleted revisions and shares, or undefined if not found
+   */
+  async deleteStory(id) {
+    const node = this.findNode('Story', id);
+
+    if (!node) {
+      return undefined;
+    }
+
+    const revisions = this.revisionsOf(id);
+    const shares = [...this.relationships.values()]
+      .filter(rel => rel.type === 'SHARED_WITH' && rel.properties.storyId === id);
+
+    shares.forEach(rel => this.deleteRelationship(rel));
+    revisions.forEach(revision => this.detachDelete(revision));
+    this.detachDelete(node);
+
+    return { revisions: revisions.length, shares: shares.length };
+  }
+
+  /**
+   * Create a typed connection between two users, or update its properties if
+   * it already exists. Symmetric types match an existing connection in either
+   * direction, so each pair is connected at most once per type.
+   *
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {object} options - `symmetric`, and `properties` (since as YYYY-MM-DD, strength, note)
+   * @returns {Promise<object>} - The relationship's properties, type, source, target and whether it was `created`
+   */
+  async createConnection(sourceId, targetId, relationshipType = 'CONNECTED_TO', { symmetric = true, properties = {} } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+
+    const source = this.findNode('User', sourceId);
+    const target = this.findNode('User', targetId);
+
+    if (!source || !target || source === target) {
+      return undefined;
+    }
+
+    const { since = null, ...rest } = properties;
+    let [rel] = this.relationshipsBetween(source, target, relationshipType, symmetric);
+    const created = !rel;
+
+    if (created) {
+      rel = this.relate(relationshipType, source, target, { createdAt: now() });
+    } else {
+      rel.properties.updatedAt = now();
+    }
+
+    assignProperties(rel.properties, rest);
+    if (since !== null) {
+      rel.properties.since = since;
+    }
+
+    return {
+      properties: { ...rel.properties },
+      type: rel.type,
+      source: this.nodes.get(rel.start).properties.id,
+      target: this.nodes.get(rel.end).properties.id,
+      created
+    };
+  }
+
+  /**
+   * Delete a typed connection between two users. Symmetric types are deleted
+   * in either direction.
+   *
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {object} options - `symmetric`
+   * @returns {Promise<object>} - The number of relationships `deleted`
+   */
+  async deleteConnection(sourceId, targetId, relationshipType, { symmetric = true } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+
+    const source = this.findNode('User', sourceId);
+    const target = this.findNode('User', targetId);
+    const relationships = source && target ? this.relationshipsBetween(source, target, relationshipType, symmetric) : [];
+
+    relationships.forEach(rel => this.deleteRelationship(rel));
+    return { deleted: relationships.length };
+  }
+
+  /**
+   * Users, optionally including deactivated ones
+   *
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Array<object>} - The user nodes
+   */
+  listUsers(includeInactive) {
+    return this.nodesOf('User').filter(node => includeInactive || this.isActive(node));
+  }
+
+  /**
+   * Get all users with pagination, newest first
+   *
+   * @param {number} skip - The number of records to skip
+   * @param {number} limit - The number of records to return
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<array>} - The list of users
+   */
+  async getUsers(skip = 0, limit = 50, includeInactive = false) {
+    const start = parseInt(skip) || 0;
+
+    return this.listUsers(includeInactive)
+      .map(node => node.properties)
+      .sort(newestFirst)
+      .slice(start, start + parseInt(limit))
+      .map(properties => ({ user: { ...properties } }));
+  }
+
+  /**
+   * Count users
+   *
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<number>} - The number of users
+   */
+  async countUsers(includeInactive = false) {
+    return this.listUsers(includeInactive).length;
+  }
+
+  /**
+   * Get users newest first, continuing after a cursor position
+   *
+   * @param {object} cursor - A decoded { createdAt, id } cursor, or null for the first page
+   * @param {number} limit - The number of records to return
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<array>} - The list of users
+   */
+  async getUsersByCursor(cursor, limit = 50, includeInactive = false) {
+    return this.listUsers(includeInactive)
+      .map(node => node.properties)
+      .filter(properties => afterCursor(properties, cursor))
+      .sort(newestFirst)
+      .slice(0, parseInt(limit))
+      .map(properties => ({ user: { ...properties } }));
+  }
+
+  /**
+   * Stories that have an author, with the author node
+   *
+   * @returns {Array<object>} - { story, author } nodes
+   */
+  authoredStories() {
+    return this.nodesOf('Story')
+      .map(story => ({ story, author: this.authorOf(story) }))
+      .filter(({ author }) => author);
+  }
+
+  /**
+   * Get all stories with pagination, newest first
+   *
+   * @param {number} skip - The number of records to skip
+   * @param {number} limit - The number of records to return
+   * @param {object} cursor - A decoded { createdAt, id } cursor to continue after, or null
+   * @returns {Promise<array>} - The list of stories
+   */
+  async getStories(skip = 0, limit = 50, cursor = null) {
+    const start = parseInt(skip) || 0;
+
+    return this.authoredStories()
+      .filter(({ story }) => afterCursor(story.properties, cursor))
+      .sort((a, b) => newestFirst(a.story.properties, b.story.properties))
+      .slice(start, start + (parseInt(limit) || 50))
+      .map(({ story, author }) => ({ s: { ...story.properties }, author: { ...author.properties } }));
+  }
+
+  /**
+   * Count all stories that have an author
+   *
+   * @returns {Promise<number>} - The number of stories
+   */
+  async countStories() {
+    return this.authoredStories().length;
+  }
+
+  /**
+   * Search stories by title and content
+   *
+   * @param {Array<string>} terms - The search terms from utils/search tokenize
+   * @param {number} limit - The maximum number of results
+   * @param {object} options - Set `fuzzy` to false to disable edit-distance matching
+   * @returns {Promise<array>} - Matching stories with their author and score
+   */
+  async searchStories(terms, limit = 20, { fuzzy = true } = {}) {
+    return this.nodesOf('Story')
+      .map(story => ({ story, score: scoreText([story.properties.title, story.properties.content], terms, fuzzy) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, parseInt(limit))
+      .map(({ story, score }) => {
+        const author = this.authorOf(story);
+        return { story: { ...story.properties }, author: author ? { ...author.properties } : null, score };
+      });
+  }
+
+  /**
+   * Search active users by name and bio
+   *
+   * @param {Array<string>} terms - The search terms from utils/search tokenize
+   * @param {number} limit - The maximum number of results
+   * @param {object} options - Set `fuzzy` to false to disable edit-distance matching
+   * @returns {Promise<array>} - Matching users with their score
+   */
+  async searchUsers(terms, limit = 20, { fuzzy = true } = {}) {
+    return this.listUsers(false)
+      .map(user => ({ user, score: scoreText([user.properties.name, user.properties.bio], terms, fuzzy) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, parseInt(limit))
+      .map(({ user, score }) => ({ user: { ...user.properties }, score }));
+  }
+
+  /**
+   * Find the shortest path(s) between two users, travelling only through User nodes
+   *
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {object} options - `types` (relationship types, null for all), `maxHops`,
+   *   `all` to return every shortest path, and `limit` on how many to return
+   * @returns {Promise<array>} - Paths as `nodes` ({id, name}) and `relationships` ({type, source, target})
+   */
+  async findShortestPaths(sourceId, targetId, { types = null, maxHops = 15, all = false, limit = 10 } = {}) {
+    const source = this.findNode('User', sourceId);
+    const target = this.findNode('User', targetId);
+    const hops = Math.max(parseInt(maxHops) || 15, 1);
+
+    if (!source || !target || source === target) {
+      return [];
+    }
+
+    // Every relationship reaching a node on a shortest route, by node key
+    const parents = new Map([[source.key, []]]);
+    const typeFilter = types && types.length ? types : null;
+    let frontier = [source];
+
+    for (let depth = 1; depth <= hops && frontier.length && !parents.has(target.key); depth++) {
+      const reached = new Map();
+
+      for (const node of frontier) {
+        for (const { rel, other } of this.relationshipsOf(node, { types: typeFilter })) {
+          if (other.label !== 'User' || parents.has(other.key)) {
+            continue;
+          }
+          if (!reached.has(other.key)) {
+            reached.set(other.key, []);
+          }
+          reached.get(other.key).push({ rel, from: node });
+        }
+      }
+
+      reached.forEach((links, key) => parents.set(key, links));
+      frontier = [...reached.keys()].map(key => this.nodes.get(key));
+    }
+
+    if (!parents.has(target.key)) {
+      return [];
+    }
+
+    const wanted = all ? parseInt(limit) : 1;
+    const paths = [];
+
+    // Walk back from the target through every parent link
+    const walk = (node, nodes, rels) => {
+      if (paths.length >= wanted) {
+        return;
+      }
+      if (node === source) {
+        paths.push({ nodes: [node, ...nodes], rels });
+        return;
+      }
+      parents.get(node.key).forEach(({ rel, from }) => walk(from, [node, ...nodes], [rel, ...rels]));
+    };
+    walk(target, [], []);
+
+    return paths.map(path => ({
+      nodes: path.nodes.map(node => project(node.properties, ['id', 'name'])),
+      relationships: path.rels.map(rel => ({
+        type: rel.type,
+        source: this.nodes.get(rel.start).properties.id,
+        target: this.nodes.get(rel.end).properties.id
+      }))
+    }));
+  }
+
+  /**
+   * Whether a node or relationship existed at a point in time; undated ones always did
+   *
+   * @param {object} entity - The node or relationship
+   * @param {number} asOf - Epoch milliseconds, or null for now
+   * @returns {boolean}
+   */
+  existedAt(entity, asOf) {
+    const created = epochMillis(entity.properties.createdAt || entity.properties.timestamp);
+    return asOf === null || created === null || created <= asOf;
+  }
+
+  /**
+   * Format a user or story node for D3.js visualization; users keep only their public properties
+   *
+   * @param {object} node - The node
+   * @param {Array<string>} properties - The user properties to keep
+   * @returns {object} - The node with its label and group
+   */
+  toNetworkNode(node, properties) {
+    const record = this.toRecordNode(node);
+    return { id: record.id, label: record.name || record.title, group: record.labels[0], ...toPublicUser(record, properties) };
+  }
+
+  /**
+   * Format a relationship for D3.js visualization
+   *
+   * @param {object} rel - The relationship
+   * @returns {object} - The link with its source, target and type
+   */
+  toNetworkLink(rel) {
+    const record = this.toRecordRelationship(rel);
+    return { source: record.startNodeId, target: record.endNodeId, type: record.type, ...record };
+  }
+
+  /**
+   * Whether a user matches the network view filters (see the Neo4j repository)
+   *
+   * @param {object} user - The user node
+   * @param {object} filters - affiliation, nationality and gender, null to match any
+   * @returns {boolean}
+   */
+  matchesNetworkFilters(user, { affiliation, nationality, gender }) {
+    const lower = value => String(value || '').trim().toLowerCase();
+    const hasValue = (key, wanted) => wanted === null ||
+      String(user.properties[key] || '').split('/').some(value => lower(value) === lower(wanted));
+
+    return hasValue('affiliation', affiliation) && hasValue('nationality', nationality) &&
+      (gender === null || lower(user.properties.gender) === lower(gender));
+  }
+
+  /**
+   * Get the network data for visualization: the most connected users
+   * matching the filters and the relationships among them. In focus mode the
+   * ego graph of one user is returned instead, closest users first.
+   *
+   * @param {number} limit - The maximum number of users (and of stories) to return
+   * @param {object} options - `asOf` (ISO datetime) to only include what was created by then;
+   *   `affiliation`, `nationality` and `gender` user filters; relationship `types`; `minDegree`;
+   *   `focus` (a user ID) and `radius` in hops; `includeStories` to add the stories the users
+   *   authored or shared
+   * @returns {Promise<object>} - The network data, each user with its `degree` (and `distance` from the focus)
+   */
+  async getNetworkData(limit = 100, {
+    asOf = null,
+    affiliation = null,
+    nationality = null,
+    gender = null,
+    types = null,
+    minDegree = 0,
+    focus = null,
+    radius = 2,
+    includeStories = false
+  } = {}) {
+    const cutoff = epochMillis(asOf);
+    const filters = { affiliation, nationality, gender };
+    const counts = rel => (!types || types.includes(rel.type)) && this.existedAt(rel, cutoff);
+    let candidates;
+
+    if (focus) {
+      const center = this.findNode('User', focus);
+
+      if (!center || !this.existedAt(center, cutoff)) {
+        return { nodes: [], links: [] };
+      }
+
+      const distances = this.distancesFrom(center, {
+        maxDepth: traversalDepth(radius),
+        skip: rel => !counts(rel) || !this.existedAt(this.nodes.get(rel.start), cutoff) || !this.existedAt(this.nodes.get(rel.end), cutoff)
+      });
+      candidates = [...distances].map(([key, distance]) => ({ node: this.nodes.get(key), distance }));
+    } else {
+      candidates = this.nodesOf('User')
+        .filter(user => this.existedAt(user, cutoff))
+        .map(node => ({ node, distance: null }));
+    }
+
+    const selected = candidates
+      .filter(({ node, distance }) => distance === 0 || this.matchesNetworkFilters(node, filters))
+      .map(candidate => ({
+        ...candidate,
+        degree: new Set(this.relationshipsOf(candidate.node)
+          .filter(({ rel, other }) => other.label === 'User' && other !== candidate.node && counts(rel) && this.existedAt(other, cutoff))
+          .map(({ other }) => other.key)).size
+      }))
+      .filter(({ distance, degree }) => distance === 0 || degree >= minDegree)
+      .sort((a, b) => (a.distance || 0) - (b.distance || 0) || b.degree - a.degree ||
+        compareValues(a.node.properties.name, b.node.properties.name))
+      .slice(0, parseInt(limit));
+
+    const keys = new Set(selected.map(({ node }) => node.key));
+    const relationships = [...this.relationships.values()]
+      .filter(rel => keys.has(rel.start) && keys.has(rel.end) && counts(rel));
+
+    const nodes = selected.map(({ node, degree, distance }) => ({
+      ...this.toNetworkNode(node),
+      degree,
+      ...(focus && { distance })
+    }));
+    const links = relationships.map(rel => this.toNetworkLink(rel));
+
+    if (includeStories) {
+      this.networkStories(keys, parseInt(limit), cutoff).forEach(({ story, rels }) => {
+        nodes.push(this.toNetworkNode(story));
+        links.push(...rels.map(rel => this.toNetworkLink(rel)));
+      });
+    }
+
+    return { nodes, links };
+  }
+
+  /**
+   * The stories a set of users authored or shared, most involved first
+   *
+   * @param {Set<string>} userKeys - The node keys of the users
+   * @param {number} limit - The maximum number of stories
+   * @param {number} cutoff - Epoch milliseconds to only include what was created by then, or null
+   * @returns {Array<object>} - { story, rels } with the AUTHORED and SHARED relationships from those users
+   */
+  networkStories(userKeys, limit, cutoff) {
+    const stories = new Map();
+
+    [...this.relationships.values()]
+      .filter(rel => ['AUTHORED', 'SHARED'].includes(rel.type) && userKeys.has(rel.start) && this.existedAt(rel, cutoff))
+      .forEach(rel => {
+        const story = this.nodes.get(rel.end);
+        if (story.label !== 'Story' || !this.existedAt(story, cutoff)) {
+          return;
+        }
+        const entry = stories.get(story.key) || { story, rels: [] };
+        entry.rels.push(rel);
+        stories.set(story.key, entry);
+      });
+
+    return [...stories.values()]
+      .sort((a, b) => b.rels.length - a.rels.length || compareValues(b.story.properties.createdAt, a.story.properties.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Count the users and the relationships between them that existed at a point in time
+   *
+   * @param {string} asOf - ISO datetime, or null for now
+   * @returns {Promise<object>} - { nodes, links }
+   */
+  async getNetworkCounts(asOf = null) {
+    const cutoff = epochMillis(asOf);
+    const users = new Set(this.nodesOf('User').filter(user => this.existedAt(user, cutoff)).map(user => user.key));
+    const links = [...this.relationships.values()]
+      .filter(rel => users.has(rel.start) && users.has(rel.end) && this.existedAt(rel, cutoff));
+
+    return { nodes: users.size, links: links.length };
+  }
+
+  /**
+   * Get the users and relationships created in a time range, oldest first, in
+   * the same format as getNetworkData. Users carry only their ID, name,
+   * profile and createdAt.
+   *
+   * @param {string} from - ISO datetime the range starts after (exclusive)
+   * @param {string} to - ISO datetime the range ends at (inclusive)
+   * @returns {Promise<object>} - { nodes, links }, each item with `at` in epoch milliseconds
+   */
+  async getNetworkChanges(from, to) {
+    const start = epochMillis(from);
+    const end = epochMillis(to);
+    const inRange = at => at !== null && at > start && at <= end;
+    const byTime = (a, b) => a.at - b.at;
+
+    const nodes = this.nodesOf('User')
+      .map(user => ({ user, at: epochMillis(user.properties.createdAt) }))
+      .filter(({ at }) => inRange(at))
+      .map(({ user, at }) => ({ ...this.toNetworkNode(user, TIMELINE_USER_PROPERTIES), at }))
+      .sort(byTime);
+
+    const links = [...this.relationships.values()]
+      .filter(rel => this.nodes.get(rel.start).label === 'User' && this.nodes.get(rel.end).label === 'User')
+      .map(rel => ({ rel, at: epochMillis(rel.properties.createdAt || rel.properties.timestamp) }))
+      .filter(({ at }) => inRange(at))
+      .map(({ rel, at }) => ({ ...this.toNetworkLink(rel), at }))
+      .sort(byTime);
+
+    return { nodes, links };
+  }
+
+  /**
+   * Load the active user graph (users and the relationships between them)
+   * for in-process analysis
+   *
+   * @param {Array<string>} types - Relationship types to include, or null for all
+   * @returns {Promise<object>} - { nodes: [{id, name}], edges: [{source, target, type, timestamp, strength}] }
+   *   where timestamp is the relationship's createdAt/timestamp in epoch milliseconds
+   */
+  async getUserGraph(types = null) {
+    const active = this.listUsers(false);
+    const activeKeys = new Set(active.map(node => node.key));
+
+    const edges = [...this.relationships.values()]
+      .filter(rel => rel.start !== rel.end && activeKeys.has(rel.start) && activeKeys.has(rel.end) && (!types || types.includes(rel.type)))
+      .map(rel => ({
+        source: this.nodes.get(rel.start).properties.id,
+        target: this.nodes.get(rel.end).properties.id,
+        type: rel.type,
+        timestamp: epochMillis(rel.properties.createdAt || rel.properties.timestamp),
+        strength: rel.properties.strength === undefined ? null : rel.properties.strength
+      }));
+
+    return {
+      nodes: active.map(node => project(node.properties, ['id', 'name'])),
+      edges
+    };
+  }
+
+  /**
+   * Record a story share event
+   *
+   * @param {string} storyId - The ID of the story
+   * @param {string} senderId - The ID of the user sharing the story
+   * @param {string} receiverId - The ID of the user receiving the story
+   * @returns {Promise<object>} - The created share relationship
+   */
+  async shareStory(storyId, senderId, receiverId) {
+    const written = this.writeShare(storyId, senderId, receiverId);
+
+    if (!written) {
+      return undefined;
+    }
+
+    return {
+      story: this.toRecordNode(written.story),
+      sender: this.toRecordNode(written.sender),
+      receiver: this.toRecordNode(written.receiver),
+      share: this.toRecordRelationship(written.share),
+      connection: this.toRecordRelationship(written.connection)
+    };
+  }
+
+  /**
+   * Get a story, its author and every SHARED_WITH hop recorded for it, oldest first
+   *
+   * @param {string} storyId - The ID of the story
+   * @returns {Promise<object>} - { story, author, shares } or undefined if the story is missing;
+   *   shares carry sender/receiver IDs and names and `at` in epoch milliseconds
+   */
+  async getStoryCascade(storyId) {
+    const story = this.findNode('Story', storyId);
+    const author = story && this.authorOf(story);
+
+    if (!author) {
+      return undefined;
+    }
+
+    const shares = [...this.relationships.values()]
+      .filter(rel => rel.type === 'SHARED_WITH' && rel.properties.storyId === storyId)
+      .sort((a, b) => compareValues(a.properties.timestamp, b.properties.timestamp))
+      .map(rel => {
+        const sender = this.nodes.get(rel.start).properties;
+        const receiver = this.nodes.get(rel.end).properties;
+
+        return {
+          senderId: sender.id,
+          senderName: sender.name,
+          receiverId: receiver.id,
+          receiverName: receiver.name,
+          at: epochMillis(rel.properties.timestamp)
+        };
+      });
+
+    return {
+      story: { ...story.properties },
+      author: project(author.properties, ['id', 'name']),
+      shares
+    };
+  }
+
+  /**
+   * Hop counts from a story's author over KNOWS/SHARED_WITH relationships
+   *
+   * @param {object} author - The author node
+   * @param {string} storyId - The ID of the story
+   * @param {boolean} excludeStoryShares - Whether to ignore SHARED_WITH hops of this story
+   * @returns {Map<string, number>} - Node keys mapped to their distance
+   */
+  authorDistances(author, storyId, excludeStoryShares) {
+    return this.distancesFrom(author, {
+      types: SOCIAL_TYPES,
+      skip: excludeStoryShares ? rel => rel.properties.storyId === storyId : null
+    });
+  }
+
+  /**
+   * Get the shortest KNOWS/SHARED_WITH path length from a story's author to a user
+   *
+   * @param {string} storyId - The ID of the story
+   * @param {string} userId - The ID of the user
+   * @param {object} options - Set `excludeStoryShares` to ignore SHARED_WITH hops of this story
+   * @returns {Promise<object>} - The length under `pathLength`, or undefined if there is no path
+   * @throws {ApiError} - For the author themselves, like shortestPath in Neo4j
+   */
+  async getAuthorPathLength(storyId, userId, { excludeStoryShares = false } = {}) {
+    const story = this.findNode('Story', storyId);
+    const author = story && this.authorOf(story);
+    const user = this.findNode('User', userId);
+
+    if (!author || !user) {
+      return undefined;
+    }
+
+    if (author === user) {
+      throw new ApiError('Database query failed: The shortest path algorithm does not work when the start and end nodes are the same', 500);
+    }
+
+    const distance = this.authorDistances(author, storyId, excludeStoryShares).get(user.key);
+    return distance === undefined ? undefined : { pathLength: distance };
+  }
+
+  /**
+   * Evaluate users near a sender as receivers of a story (see the Neo4j repository)
+   *
+   * @param {string} storyId - The ID of the story
+   * @param {string} senderId - The ID of the sender
+   * @param {object} options - depth and limit (the number of candidates, closest to the sender first)
+   * @returns {Promise<array>} - Candidates under `user` with `hops` from the sender, `before` and `current`
+   */
+  async getShareCandidates(storyId, senderId, { depth = 2, limit = 100 } = {}) {
+    const story = this.findNode('Story', storyId);
+    const author = story && this.authorOf(story);
+    const sender = this.findNode('User', senderId);
+
+    if (!author || !sender) {
+      return [];
+    }
+
+    const hops = this.distancesFrom(sender, { types: SOCIAL_TYPES, maxDepth: traversalDepth(depth) });
+    const before = this.authorDistances(author, storyId, true);
+    const current = this.authorDistances(author, storyId, false);
+    const lengthTo = (distances, key) => (distances.has(key) ? distances.get(key) : null);
+
+    return [...hops]
+      .map(([key, distance]) => ({ node: this.nodes.get(key), distance }))
+      .filter(({ node }) => node !== sender && node !== author && this.isActive(node) && !this.hasReceived(node, storyId))
+      .sort((a, b) => a.distance - b.distance || compareValues(a.node.properties.name, b.node.properties.name))
+      .slice(0, parseInt(limit))
+      .map(({ node, distance }) => ({
+        user: project(node.properties, ['id', 'name']),
+        hops: distance,
+        before: lengthTo(before, node.key),
+        current: lengthTo(current, node.key)
+      }));
+  }
+
+  /**
+   * Record reward points for a share. Idempotent per story and receiver.
+   *
+   * @param {object} reward - id, userId, storyId, receiverId, points, pathReduction
+   * @returns {Promise<object>} - The event under `event` and whether it was `created` now
+   */
+  async recordReward(reward) {
+    const user = this.findNode('User', reward.userId);
+    const story = this.findNode('Story', reward.storyId);
+
+    if (!user || !story) {
+      return undefined;
+    }
+
+    const key = `${reward.storyId}:${reward.receiverId}`;
+    const existing = this.uniqueIndex.get(`RewardEvent.key:${key}`);
+
+    if (existing) {
+      return { event: { ...this.nodes.get(existing).properties }, created: false };
+    }
+
+    const event = this.addNode('RewardEvent', {
+      key,
+      id: reward.id,
+      userId: reward.userId,
+      storyId: reward.storyId,
+      receiverId: reward.receiverId,
+      points: reward.points,
+      pathReduction: reward.pathReduction,
+      reason: 'share',
+      createdAt: now()
+    });
+    this.relate('EARNED', user, event);
+    this.relate('FOR_STORY', event, story);
+
+    return { event: { ...event.properties }, created: true };
+  }
+
+  /**
+   * A user's reward event nodes
+   *
+   * @param {object} user - The user node
+   * @returns {Array<object>} - The RewardEvent nodes
+   */
+  rewardEventsOf(user) {
+    return this.relationshipsOf(user, { types: ['EARNED'], direction: 'out' }).map(({ other }) => other);
+  }
+
+  /**
+   * Get a user's reward points balance
+   *
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<object>} - { points, events }
+   */
+  async getUserPointsBalance(userId) {
+    const user = this.findNode('User', userId);
+
+    if (!user) {
+      return undefined;
+    }
+
+    const events = this.rewardEventsOf(user);
+    return { points: events.reduce((sum, event) => sum + (event.properties.points || 0), 0), events: events.length };
+  }
+
+  /**
+   * Get a user's reward events, newest first
+   *
+   * @param {string} userId - The ID of the user
+   * @param {object} options - skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - Events with the story they were earned for
+   */
+  async getUserRewardEvents(userId, { skip = 0, limit = 20, cursor = null } = {}) {
+    const user = this.findNode('User', userId);
+    const start = parseInt(skip) || 0;
+
+    if (!user) {
+      return [];
+    }
+
+    return this.rewardEventsOf(user)
+      .filter(event => afterCursor(event.properties, cursor))
+      .sort((a, b) => newestFirst(a.properties, b.properties))
+      .slice(start, start + parseInt(limit))
+      .map(event => {
+        const [forStory] = this.relationshipsOf(event, { types: ['FOR_STORY'], direction: 'out' });
+        return {
+          event: { ...event.properties },
+          story: forStory ? project(forStory.other.properties, ['id', 'title']) : null
+        };
+      });
+  }
+
+  /**
+   * Rank users by points earned since a given time
+   *
+   * @param {string} since - ISO datetime to count events from, or null for all time
+   * @param {number} limit - The number of users to return
+   * @returns {Promise<array>} - Users with their `points` and `events` counts
+   */
+  async getLeaderboard(since = null, limit = 10) {
+    const cutoff = since ? Date.parse(since) : null;
+
+    return this.listUsers(false)
+      .map(user => {
+        const events = this.rewardEventsOf(user)
+          .filter(event => cutoff === null || epochMillis(event.properties.createdAt) >= cutoff);
+        return {
+          user: project(user.properties, ['id', 'name']),
+          points: events.reduce((sum, event) => sum + (event.properties.points || 0), 0),
+          events: events.length
+        };
+      })
+      .filter(entry => entry.events > 0)
+      .sort((a, b) => b.points - a.points || b.events - a.events || compareValues(a.user.name, b.user.name))
+      .slice(0, parseInt(limit));
+  }
+
+  /**
+   * Find active users by exact name
+   *
+   * @param {Array<string>} names - The names to look up
+   * @returns {Promise<array>} - The matching users under `user` ({id, name})
+   */
+  async getActiveUsersByExactNames(names) {
+    const wanted = new Set(names);
+
+    return this.listUsers(false)
+      .filter(user => wanted.has(user.properties.name))
+      .map(user => ({ user: project(user.properties, ['id', 'name']) }));
+  }
+
+  /**
+   * Create notifications, skipping types a recipient has muted. Idempotent per `key`.
+   *
+   * @param {Array<object>} notifications - id, key, userId, type, actorId, storyId and points
+   * @returns {Promise<array>} - The notifications created now under `notification`
+   */
+  async createNotifications(notifications) {
+    const created = [];
+
+    notifications.forEach(row => {
+      const user = this.findNode('User', row.userId);
+
+      if (!user || (user.properties.mutedNotificationTypes || []).includes(row.type) ||
+        this.uniqueIndex.has(`Notification.key:${row.key}`)) {
+        return;
+      }
+
+      const notification = this.addNode('Notification', {
+        key: row.key,
+        id: row.id,
+        userId: row.userId,
+        type: row.type,
+        actorId: row.actorId,
+        storyId: row.storyId,
+        points: row.points,
+        read: false,
+        createdAt: now()
+      });
+      this.relate('HAS_NOTIFICATION', user, notification);
+      created.push({ notification: { ...notification.properties } });
+    });
+
+    return created;
+  }
+
+  /**
+   * A user's notification nodes
+   *
+   * @param {object} user - The user node
+   * @param {string} type - Only this notification type, or null for all
+   * @returns {Array<object>} - The Notification nodes
+   */
+  notificationsOf(user, type = null) {
+    return this.relationshipsOf(user, { types: ['HAS_NOTIFICATION'], direction: 'out' })
+      .map(({ other }) => other)
+      .filter(notification => !type || notification.properties.type === type);
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   *
+   * @param {string} userId - The ID of the user
+   * @param {object} options - unreadOnly, type, skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - Notifications with their `actor` and `story`, if they still exist
+   */
+  async getUserNotifications(userId, { unreadOnly = false, type = null, skip = 0, limit = 20, cursor = null } = {}) {
+    const user = this.findNode('User', userId);
+    const start = parseInt(skip) || 0;
+
+    if (!user) {
+      return [];
+    }
+
+    return this.notificationsOf(user, type)
+      .map(notification => notification.properties)
+      .filter(properties => (!unreadOnly || properties.read === false) && afterCursor(properties, cursor))
+      .sort(newestFirst)
+      .slice(start, start + parseInt(limit))
+      .map(properties => {
+        const actor = properties.actorId && this.findNode('User', properties.actorId);
+        const story = properties.storyId && this.findNode('Story', properties.storyId);
+
+        return {
+          notification: { ...properties },
+          actor: actor ? project(actor.properties, ['id', 'name']) : null,
+          story: story ? project(story.properties, ['id', 'title']) : null
+        };
+      });
+  }
+
+  /**
+   * Count a user's notifications
+   *
+   * @param {string} userId - The ID of the user
+   * @param {string} type - Only count this notification type, or null for all
+   * @returns {Promise<object>} - { total, unread }
+   */
+  async countUserNotifications(userId, type = null) {
+    const user = this.findNode('User', userId);
+
+    if (!user) {
+      return undefined;
+    }
+
+    const notifications = this.notificationsOf(user, type);
+    return {
+      total: notifications.length,
+      unread: notifications.filter(notification => notification.properties.read === false).length
+    };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   *
+   * @param {string} userId - The ID of the user
+   * @param {string} notificationId - The ID of the notification
+   * @returns {Promise<object>} - The notification under `notification`, or undefined if not found
+   */
+  async markNotificationRead(userId, notificationId) {
+    const user = this.findNode('User', userId);
+    const notification = user && this.notificationsOf(user).find(node => node.properties.id === notificationId);
+
+    if (!notification) {
+      return undefined;
+    }
+
+    if (!notification.properties.read) {
+      notification.properties.read = true;
+      notification.properties.readAt = now();
+    }
+
+    return { notification: { ...notification.properties } };
+  }
+
+  /**
+   * Mark all of a user's unread notifications as read
+   *
+   * @param {string} userId - The ID of the user
+   * @param {string} type - Only mark this notification type, or null for all
+   * @returns {Promise<object>} - The number of notifications marked under `updated`
+   */
+  async markAllNotificationsRead(userId, type = null) {
+    const user = this.findNode('User', userId);
+    const unread = user ? this.notificationsOf(user, type).filter(node => node.properties.read === false) : [];
+    const timestamp = now();
+
+    unread.forEach(node => {
+      node.properties.read = true;
+      node.properties.readAt = timestamp;
+    });
+
+    return { updated: unread.length };
+  }
+
+  /**
+   * Get the notification types a user has muted
+   *
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<object>} - The types under `muted`, or undefined if the user does not exist
+   */
+  async getMutedNotificationTypes(userId) {
+    const user = this.findNode('User', userId);
+    return user ? { muted: [...(user.properties.mutedNotificationTypes || [])] } : undefined;
+  }
+
+  /**
+   * Replace the notification types a user has muted
+   *
+   * @param {string} userId - The ID of the user
+   * @param {Array<string>} muted - The muted types
+   * @returns {Promise<object>} - The stored types under `muted`, or undefined if the user does not exist
+   */
+  async setMutedNotificationTypes(userId, muted) {
+    const user = this.findNode('User', userId);
+
+    if (!user) {
+      return undefined;
+    }
+
+    user.properties.mutedNotificationTypes = [...muted];
+    return { muted: [...muted] };
+  }
+
+  /**
+   * Get the candidate stories for a user's feed (see the Neo4j repository)
+   *
+   * @param {string} userId - The ID of the user
+   * @param {object} options - depth, recentHours (the share velocity window) and limit
+   * @returns {Promise<array>} - Stories with their author, sources, closest distance, share counts and times
+   */
+  async getFeedCandidates(userId, { depth = 2, recentHours = 72, limit = 500 } = {}) {
+    const me = this.findNode('User', userId);
+
+    if (!me) {
+      return [];
+    }
+
+    const distances = this.distancesFrom(me, { types: SOCIAL_TYPES, maxDepth: traversalDepth(depth) });
+    const candidates = new Map();
+
+    distances.forEach((distance, key) => {
+      const peer = this.nodes.get(key);
+
+      if (peer === me || !this.isActive(peer)) {
+        return;
+      }
+
+      const reached = [
+        ...this.relationshipsOf(peer, { types: ['AUTHORED'], direction: 'out' }).map(({ other }) => ({ story: other, via: 'authored' })),
+        ...this.relationshipsOf(peer, { types: ['SHARED'], direction: 'out' }).map(({ other }) => ({ story: other, via: 'shared' }))
+      ];
+      const seen = new Set();
+
+      reached.forEach(({ story, via }) => {
+        if (seen.has(`${story.key}|${via}`)) {
+          return;
+        }
+        seen.add(`${story.key}|${via}`);
+
+        const candidate = candidates.get(story.key) || { story, sources: [], distance: distance };
+        candidate.sources.push({ id: peer.properties.id, name: peer.properties.name, distance, via });
+        candidate.distance = Math.min(candidate.distance, distance);
+        candidates.set(story.key, candidate);
+      });
+    });
+
+    const cutoff = Date.now() - recentHours * 60 * 60 * 1000;
+    const mine = story => this.relationshipsOf(me, { types: ['AUTHORED', 'SHARED'], direction: 'out' })
+      .some(({ other }) => other === story);
+
+    return [...candidates.values()]
+      .filter(({ story }) => !mine(story) && !this.hasReceived(me, story.properties.id))
+      .map(({ story, sources, distance }) => {
+        const author = this.authorOf(story);
+
+        if (!author) {
+          return null;
+        }
+
+        const shares = this.relationshipsOf(story, { types: ['SHARED'], direction: 'in' })
+          .map(({ rel }) => epochMillis(rel.properties.timestamp));
+
+        return {
+          story: project(story.properties, ['id', 'title', 'content']),
+          author: project(author.properties, ['id', 'name']),
+          sources,
+          distance,
+          shares: shares.length,
+          recentShares: shares.filter(at => at >= cutoff).length,
+          createdAt: epochMillis(story.properties.createdAt),
+          lastSharedAt: shares.length ? Math.max(...shares) : null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.lastSharedAt || b.createdAt || 0) - (a.lastSharedAt || a.createdAt || 0))
+      .slice(0, parseInt(limit));
+  }
+
+  /**
+   * Get people a user is not connected to yet, with the signals used to
+   * recommend them (see the Neo4j repository)
+   *
+   * @param {string} userId - The ID of the user
+   * @param {object} options - limit (the number of candidates evaluated)
+   * @returns {Promise<array>} - Candidates under `user` with their `degree`, `mutualConnections`
+   *   ({id, name, degree}), `coReceivedStories` and the user's own `userDegree`
+   */
+  async getConnectionCandidates(userId, { limit = 500 } = {}) {
+    const me = this.findNode('User', userId);
+
+    if (!me) {
+      return [];
+    }
+
+    const types = Object.keys(CONNECTION_TYPES);
+    const neighbours = node => new Set(
+      this.relationshipsOf(node, { types }).map(({ other }) => other).filter(other => other.label === 'User')
+    );
+    const received = node => new Set(
+      this.relationshipsOf(node, { types: ['SHARED_WITH'], direction: 'in' }).map(({ rel }) => rel.properties.storyId)
+    );
+    const values = (node, key) => String(node.properties[key] || '').split('/').map(value => value.trim()).filter(Boolean);
+
+    const myNeighbours = neighbours(me);
+    const myStories = received(me);
+    const eligible = candidate => candidate !== me && candidate.label === 'User' && this.isActive(candidate) && !myNeighbours.has(candidate);
+
+    // Each source ranks and limits its own candidates, friends of friends first
+    const ranked = scores => [...scores]
+      .filter(([candidate, score]) => score > 0 && eligible(candidate))
+      .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || compareValues(a.properties.id, b.properties.id))
+      .slice(0, parseInt(limit))
+      .map(([candidate]) => candidate);
+
+    const mutualCounts = new Map();
+    myNeighbours.forEach(neighbour => neighbours(neighbour).forEach(candidate => {
+      mutualCounts.set(candidate, (mutualCounts.get(candidate) || 0) + 1);
+    }));
+
+    const sharedAttributes = new Map(this.nodesOf('User').map(user => [user, ['affiliation', 'nationality']
+      .filter(key => values(me, key).some(value => values(user, key).includes(value))).length]));
+
+    const coReceived = new Map();
+    [...this.relationships.values()]
+      .filter(rel => rel.type === 'SHARED_WITH' && myStories.has(rel.properties.storyId))
+      .forEach(rel => {
+        const candidate = this.nodes.get(rel.end);
+        const stories = coReceived.get(candidate) || new Set();
+        coReceived.set(candidate, stories.add(rel.properties.storyId));
+      });
+
+    const candidates = new Set([
+      ...ranked(mutualCounts),
+      ...ranked(sharedAttributes),
+      ...ranked([...coReceived].map(([candidate, stories]) => [candidate, stories.size]))
+    ]);
+
+    return [...candidates]
+      .slice(0, parseInt(limit))
+      .map(candidate => {
+        const theirNeighbours = neighbours(candidate);
+        const mutuals = [...myNeighbours].filter(neighbour => theirNeighbours.has(neighbour));
+        const theirStories = received(candidate);
+
+        return {
+          user: project(candidate.properties, ['id', 'name', 'affiliation', 'nationality']),
+          degree: theirNeighbours.size,
+          mutualConnections: mutuals.map(mutual => ({
+            ...project(mutual.properties, ['id', 'name']),
+            degree: neighbours(mutual).size
+          })),
+          coReceivedStories: [...theirStories].filter(storyId => myStories.has(storyId)).length,
+          userDegree: myNeighbours.size
+        };
+      });
+  }
+
+  /**
+   * Get connections for a specific user
+   *
+   * @param {string} userId - The ID of the user
+   * @param {number} depth - The depth of connections to retrieve
+   * @returns {Promise<object>} - { user, paths, connections }, or undefined if the user does not exist
+   */
+  async getUserConnections(userId, depth = 1) {
+    const user = this.findNode('User', userId);
+
+    if (!user) {
+      return undefined;
+    }
+
+    return { user: this.toRecordNode(user), ...this.connectionPaths(user, traversalDepth(depth)) };
+  }
+
+  /**
+   * Get the IDs of the users within a number of hops of a user, including the user
+   *
+   * @param {string} userId - The ID of the user at the centre
+   * @param {number} depth - The number of hops
+   * @returns {Promise<object>} - The IDs under `ids`, or undefined if the user does not exist
+   */
+  async getNeighbourhoodIds(userId, depth = 1) {
+    const user = this.findNode('User', userId);
+
+    if (!user) {
+      return undefined;
+    }
+
+    const distances = this.distancesFrom(user, { maxDepth: traversalDepth(depth), usersOnly: false });
+    const ids = [...distances.keys()]
+      .map(key => this.nodes.get(key))
+      .filter(node => node.label === 'User')
+      .map(node => node.properties.id);
+
+    return { ids };
+  }
+
+  /**
+   * A user's distinct direct neighbours with the types connecting them
+   *
+   * @param {object} user - The user node
+   * @returns {Array<object>} - { node, relationshipTypes }
+   */
+  directConnections(user) {
+    const connections = new Map();
+
+    this.relationshipsOf(user)
+      .filter(({ other }) => other.label === 'User' && other !== user)
+      .forEach(({ rel, other }) => {
+        const entry = connections.get(other.key) || { node: other, relationshipTypes: [] };
+        if (!entry.relationshipTypes.includes(rel.type)) {
+          entry.relationshipTypes.push(rel.type);
+        }
+        connections.set(other.key, entry);
+      });
+
+    return [...connections.values()];
+  }
+
+  /**
+   * List a user's direct connections, newest first
+   *
+   * @param {string} userId - The ID of the user
+   * @param {object} options - skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - The connected users with their relationship types
+   */
+  async getUserConnectionList(userId, { skip = 0, limit = 50, cursor = null } = {}) {
+    const user = this.findNode('User', userId);
+    const start = parseInt(skip) || 0;
+
+    if (!user) {
+      return [];
+    }
+
+    return this.directConnections(user)
+      .filter(({ node }) => afterCursor(node.properties, cursor))
+      .sort((a, b) => newestFirst(a.node.properties, b.node.properties))
+      .slice(start, start + parseInt(limit))
+      .map(({ node, relationshipTypes }) => ({ user: { ...node.properties }, relationshipTypes }));
+  }
+
+  /**
+   * Count a user's direct connections
+   *
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<number>} - The number of distinct connected users
+   */
+  async countUserConnections(userId) {
+    const user = this.findNode('User', userId);
+    return user ? this.directConnections(user).length : 0;
+  }
+
+  /**
+   * Get connections for a specific character by name
+   *
+   * @param {string} characterName - The name of the character
+   * @param {number} depth - The depth of connections to retrieve
+   * @returns {Promise<object>} - { character, paths, connections }, or undefined if not found
+   */
+  async getCharacterConnections(characterName, depth = 1) {
+    const character = this.nodesOf('User').find(user => user.properties.name === characterName);
+
+    if (!character) {
+      return undefined;
+    }
+
+    return { character: this.toRecordNode(character), ...this.connectionPaths(character, traversalDepth(depth)) };
+  }
+
+  /**
+   * Count the nodes and relationships in the graph
+   *
+   * @returns {Promise<object>} - { nodeCount, relationshipCount, userCount, storyCount }
+   */
+  async getDatabaseStats() {
+    return {
+      nodeCount: this.nodes.size,
+      relationshipCount: this.relationships.size,
+      userCount: this.nodesOf('User').length,
+      storyCount: this.nodesOf('Story').length
+    };
+  }
+
+  /**
+   * Clear the graph (for testing/initialization)
+   */
+  async clearDatabase() {
+    this.reset();
+    return [];
+  }
+}
+
+module.exports = MemoryRepository;
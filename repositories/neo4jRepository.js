@@ -0,0 +1,1944 @@
+const db = require('../config/db');
+const { logger } = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+const { RELATIONSHIP_TYPE_PATTERN, CONNECTION_TYPES } = require('../utils/relationshipTypes');
+const { buildFulltextQuery } = require('../utils/search');
+const { PUBLIC_USER_PROPERTIES, TIMELINE_USER_PROPERTIES, toPublicUser } = require('../utils/publicUser');
+const { traversalDepth } = require('./shared');
+
+const { driver } = db;
+
+/**
+ * Build a keyset condition for `createdAt DESC, id DESC` ordering. Matches every
+ * row when the $cursorCreatedAt parameter is null (first page or offset mode).
+ *
+ * @param {string} alias - The node variable the cursor applies to
+ * @returns {string} - The Cypher predicate
+ */
+const cursorCondition = alias => `(
+  $cursorCreatedAt IS NULL
+  OR ${alias}.createdAt < datetime($cursorCreatedAt)
+  OR (${alias}.createdAt = datetime($cursorCreatedAt) AND ${alias}.id < $cursorId)
+)`;
+
+/**
+ * Build the parameters consumed by cursorCondition
+ *
+ * @param {object} cursor - A decoded { createdAt, id } cursor, or null
+ * @returns {object} - The cursor query parameters
+ */
+const cursorParams = cursor => ({
+  cursorCreatedAt: cursor ? cursor.createdAt : null,
+  cursorId: cursor ? cursor.id : null
+});
+
+/**
+ * Build the node predicate shared by the export queries
+ *
+ * @param {string} alias - The node variable
+ * @returns {string} - Matches nodes with one of $labels, skipping deactivated users when $activeOnly
+ */
+const exportNodeCondition = alias => `(
+  any(label IN labels(${alias}) WHERE label IN $labels)
+  AND (NOT $activeOnly OR NOT ${alias}:User OR coalesce(${alias}.isActive, true) = true)
+)`;
+
+/**
+ * Build a predicate keeping what existed at the $asOf datetime. Matches every
+ * row when $asOf is null; undated entities count as always present.
+ *
+ * @param {string} created - The Cypher expression for the creation time
+ * @returns {string} - The Cypher predicate
+ */
+const asOfCondition = created => `($asOf IS NULL OR ${created} IS NULL OR ${created} <= datetime($asOf))`;
+
+/**
+ * Build a predicate on the type and creation time of a relationship for
+ * network views, using the $types and $asOf parameters
+ *
+ * @param {string} alias - The relationship variable
+ * @returns {string} - The Cypher predicate
+ */
+const networkRelationshipCondition = alias => `(
+  ($types IS NULL OR type(${alias}) IN $types)
+  AND ${asOfCondition(`coalesce(${alias}.createdAt, ${alias}.timestamp)`)}
+)`;
+
+/**
+ * Build the user predicate of network views: $affiliation and $nationality
+ * match one of a user's '/'-separated values and $gender the whole value,
+ * all case-insensitively. Null parameters match every user.
+ *
+ * @param {string} alias - The user variable
+ * @returns {string} - The Cypher predicate
+ */
+const networkUserCondition = alias => `(
+  ${asOfCondition(`${alias}.createdAt`)}
+  AND ($affiliation IS NULL OR any(value IN split(coalesce(${alias}.affiliation, ''), '/') WHERE toLower(trim(value)) = toLower($affiliation)))
+  AND ($nationality IS NULL OR any(value IN split(coalesce(${alias}.nationality, ''), '/') WHERE toLower(trim(value)) = toLower($nationality)))
+  AND ($gender IS NULL OR toLower(coalesce(${alias}.gender, '')) = toLower($gender))
+)`;
+
+/**
+ * Build a Cypher map projection of a user's public properties and labels, so
+ * private properties never leave the database
+ *
+ * @param {string} alias - The user variable
+ * @param {Array<string>} properties - The properties to project
+ * @returns {string} - The Cypher expression
+ */
+const publicUserProjection = (alias, properties = PUBLIC_USER_PROPERTIES) =>
+  `${alias} {${properties.map(property => `.${property}`).join(', ')}, labels: labels(${alias})}`;
+
+/**
+ * Format a user or story node for D3.js visualization; users keep only their public properties
+ *
+ * @param {object} node - A node as returned by executeQuery
+ * @returns {object} - The node with its label and group
+ */
+const toNetworkNode = node => ({
+  id: node.id,
+  label: node.name || node.title,
+  group: node.labels[0],
+  ...toPublicUser(node)
+});
+
+/**
+ * Format a relationship for D3.js visualization
+ *
+ * @param {object} rel - A relationship as returned by executeQuery
+ * @returns {object} - The link with its source, target and type
+ */
+const toNetworkLink = rel => ({
+  source: rel.startNodeId,
+  target: rel.endNodeId,
+  type: rel.type,
+  ...rel
+});
+
+/**
+ * Check whether a query result value is a driver object of a given type
+ *
+ * @param {*} value - The value
+ * @param {string} type - 'Node', 'Relationship' or 'Path'
+ * @returns {boolean}
+ */
+const isGraphType = (value, type) => Boolean(value && value.constructor && value.constructor.name === type);
+
+/**
+ * Record the `id` property of every node in a query result value by its
+ * internal identity, descending into paths and lists
+ *
+ * @param {*} value - The value
+ * @param {Map} nodeIds - Identity strings mapped to node IDs
+ */
+const collectNodeIds = (value, nodeIds) => {
+  if (isGraphType(value, 'Node')) {
+    nodeIds.set(value.identity.toString(), nodeId(value));
+  } else if (isGraphType(value, 'Path')) {
+    value.segments.forEach(segment => [segment.start, segment.end].forEach(node => collectNodeIds(node, nodeIds)));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectNodeIds(item, nodeIds));
+  }
+};
+
+/**
+ * The ID of a node: its `id` property, like the in-memory backend, or the
+ * internal identity for nodes without one
+ *
+ * @param {object} node - A driver node
+ * @returns {string}
+ */
+const nodeId = node => (node.properties.id !== undefined && node.properties.id !== null
+  ? node.properties.id
+  : node.identity.toString());
+
+/**
+ * Format a driver node
+ *
+ * @param {object} node - A driver node
+ * @returns {object} - Its properties with `id` and `labels`
+ */
+const toRecordNode = node => ({
+  ...node.properties,
+  id: nodeId(node),
+  labels: node.labels || []
+});
+
+/**
+ * Format a driver relationship. End nodes returned by the same query resolve
+ * to their IDs; any other end node keeps its internal identity, so queries
+ * that need the IDs without returning the nodes must return them themselves.
+ *
+ * @param {object} rel - A driver relationship
+ * @param {Map} nodeIds - Identity strings mapped to node IDs
+ * @returns {object} - Its properties with id, type and the IDs of its end nodes
+ */
+const toRecordRelationship = (rel, nodeIds) => {
+  const start = rel.startNodeIdentity.toString();
+  const end = rel.endNodeIdentity.toString();
+
+  return {
+    ...rel.properties,
+    id: rel.identity.toString(),
+    type: rel.type || 'UNKNOWN',
+    startNodeId: nodeIds.has(start) ? nodeIds.get(start) : start,
+    endNodeId: nodeIds.has(end) ? nodeIds.get(end) : end
+  };
+};
+
+/**
+ * Format a query result value: nodes, relationships, paths and lists of them
+ * become plain objects, anything else is returned as is
+ *
+ * @param {*} value - The value
+ * @param {Map} nodeIds - Identity strings mapped to node IDs
+ * @returns {*} - The formatted value
+ */
+const toRecordValue = (value, nodeIds) => {
+  if (isGraphType(value, 'Node')) {
+    return toRecordNode(value);
+  }
+  if (isGraphType(value, 'Relationship')) {
+    return toRecordRelationship(value, nodeIds);
+  }
+  if (isGraphType(value, 'Path')) {
+    return {
+      segments: value.segments.map(segment => ({
+        start: toRecordNode(segment.start),
+        relationship: toRecordRelationship(segment.relationship, nodeIds),
+        end: toRecordNode(segment.end)
+      }))
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toRecordValue(item, nodeIds));
+  }
+  return value;
+};
+
+/**
+ * Storage backend running every query against Neo4j through the driver from
+ * config/db.js
+ */
+class Neo4jRepository {
+  /**
+   * Check that the database can be reached
+   * 
+   * @returns {Promise<boolean>} - Whether the database is reachable
+   */
+  async verifyConnectivity() {
+    return db.verifyConnectivity();
+  }
+
+  /**
+   * Create the constraints and indexes the queries rely on
+   * 
+   * @returns {Promise<void>}
+   */
+  async initializeSchema() {
+    return db.initializeDbSchema();
+  }
+
+  /**
+   * Close the driver and its connections
+   * 
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await driver.close();
+    logger.info('Neo4j connection closed');
+  }
+
+  /**
+   * Executes a Cypher query and returns the results
+   * 
+   * @param {string} query - The Cypher query to execute
+   * @param {object} params - The parameters for the query
+   * @param {boolean} singleRecord - Whether to return a single record or all records
+   * @returns {Promise<array|object>} - The query results
+   */
+  async executeQuery(query, params = {}, singleRecord = false) {
+    const session = driver.session();
+    try {
+      logger.debug(`Executing query: ${query}`, { params });
+      
+      // Convert any number parameters to integers if they're used for LIMIT
+      const processedParams = {};
+      for (const key in params) {
+        if (key === 'limit' || key.includes('limit') || key.includes('skip')) {
+          processedParams[key] = parseInt(params[key]) || 0;
+        } else {
+          processedParams[key] = params[key];
+        }
+      }
+      
+      const result = await session.run(query, processedParams);
+      
+      // Relationships point at node identities; resolve them to the nodes' own IDs
+      const nodeIds = new Map();
+      result.records.forEach(record => record.keys.forEach(key => collectNodeIds(record.get(key), nodeIds)));
+      
+      // Process the results
+      const records = result.records.map(record => {
+        const processedRecord = {};
+        
+        record.keys.forEach(key => {
+          processedRecord[key] = toRecordValue(record.get(key), nodeIds);
+        });
+        
+        return processedRecord;
+      });
+      
+      logger.debug(`Query executed successfully with ${records.length} results`);
+      
+      return singleRecord ? records[0] : records;
+    } catch (error) {
+      logger.error(`Query execution failed: ${error.message}`, { query, params, error });
+      throw new ApiError(`Database query failed: ${error.message}`, 500);
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Stream the records of a read query without buffering the whole result
+   * 
+   * @param {string} query - The Cypher query to execute
+   * @param {object} params - The parameters for the query
+   * @returns {AsyncGenerator<object>} - Raw record objects, in result order
+   */
+  async *streamQuery(query, params = {}) {
+    const session = driver.session();
+    
+    try {
+      logger.debug(`Streaming query: ${query}`, { params });
+      
+      for await (const record of session.run(query, params)) {
+        yield record.toObject();
+      }
+    } catch (error) {
+      logger.error(`Streaming query failed: ${error.message}`, { query, params, error });
+      throw new ApiError(`Database query failed: ${error.message}`, 500);
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Run several queries in one explicit write transaction. The work receives a
+   * `run(query, params)` function returning plain record objects; the
+   * transaction commits if the work resolves and rolls back if it throws.
+   * 
+   * @param {Function} work - async run => result
+   * @returns {Promise<*>} - The result of the work
+   */
+  async runInTransaction(work) {
+    const session = driver.session();
+    const tx = session.beginTransaction();
+    
+    try {
+      const run = async (query, params = {}) => {
+        logger.debug(`Executing query in transaction: ${query}`);
+        const result = await tx.run(query, params);
+        return result.records.map(record => record.toObject());
+      };
+      
+      const result = await work(run);
+      await tx.commit();
+      
+      return result;
+    } catch (error) {
+      if (tx.isOpen()) {
+        await tx.rollback();
+      }
+      throw error;
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Delete the graph inside a transaction. Accounts (users with a password) are
+   * kept without their relationships, so clearing never locks out the admin.
+   * 
+   * @param {Function} run - The runner from runInTransaction
+   * @returns {Promise<void>}
+   */
+  async clearGraph(run) {
+    await run(`
+      MATCH (n)
+      WHERE NOT (n:User AND n.passwordHash IS NOT NULL)
+      DETACH DELETE n
+    `);
+    await run('MATCH ()-[r]->() DELETE r');
+  }
+
+  /**
+   * Create a batch of users inside a transaction
+   * 
+   * @param {Function} run - The runner from runInTransaction
+   * @param {Array} rows - { ref, id, name, bio, properties }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importUsers(run, rows) {
+    const records = await run(`
+      UNWIND $rows AS row
+      CREATE (u:User {
+        id: row.id,
+        name: row.name,
+        bio: row.bio,
+        createdAt: datetime(),
+        isActive: true
+      })
+      SET u += row.properties
+      RETURN row.ref AS ref
+    `, { rows });
+    
+    return records.map(record => record.ref);
+  }
+
+  /**
+   * Merge a batch of relationships of one type inside a transaction, so
+   * re-importing a connection does not duplicate it
+   * 
+   * @param {Function} run - The runner from runInTransaction
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {Array} rows - { ref, sourceId, targetId }
+   * @param {object} options - `symmetric` matches existing connections in either direction
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importConnections(run, relationshipType, rows, { symmetric = true } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+    
+    const records = await run(`
+      UNWIND $rows AS row
+      MATCH (u1:User {id: row.sourceId})
+      MATCH (u2:User {id: row.targetId})
+      WHERE u1 <> u2
+      MERGE (u1)-[r:\`${relationshipType}\`]-${symmetric ? '' : '>'}(u2)
+      ON CREATE SET r.createdAt = datetime()
+      RETURN row.ref AS ref
+    `, { rows });
+    
+    return records.map(record => record.ref);
+  }
+
+  /**
+   * Create a batch of stories with their authors inside a transaction
+   * 
+   * @param {Function} run - The runner from runInTransaction
+   * @param {Array} rows - { ref, id, title, content, authorId }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importStories(run, rows) {
+    const records = await run(`
+      UNWIND $rows AS row
+      MATCH (author:User {id: row.authorId})
+      CREATE (s:Story {
+        id: row.id,
+        title: row.title,
+        content: row.content,
+        createdAt: datetime(),
+        authorId: row.authorId
+      })
+      CREATE (author)-[:AUTHORED]->(s)
+      RETURN row.ref AS ref
+    `, { rows });
+    
+    return records.map(record => record.ref);
+  }
+
+  /**
+   * Record a batch of story shares inside a transaction
+   * 
+   * @param {Function} run - The runner from runInTransaction
+   * @param {Array} rows - { ref, storyId, senderId, receiverId }
+   * @returns {Promise<Array<number>>} - The refs of the rows written
+   */
+  async importShares(run, rows) {
+    const records = await run(`
+      UNWIND $rows AS row
+      MATCH (story:Story {id: row.storyId})
+      MATCH (sender:User {id: row.senderId})
+      MATCH (receiver:User {id: row.receiverId})
+      WHERE sender <> receiver
+      CREATE (sender)-[:SHARED {timestamp: datetime()}]->(story)
+      CREATE (sender)-[:SHARED_WITH {timestamp: datetime(), storyId: row.storyId}]->(receiver)
+      RETURN row.ref AS ref
+    `, { rows });
+    
+    return records.map(record => record.ref);
+  }
+
+  /**
+   * Creates a user node in the database
+   * 
+   * @param {object} user - The user data (id, name, bio and any extra scalar properties)
+   * @returns {Promise<object>} - The created user
+   */
+  async createUser(user) {
+    const { id, name, bio = null, ...properties } = user;
+    
+    const query = `
+      CREATE (u:User {
+        id: $id,
+        name: $name,
+        bio: $bio,
+        createdAt: datetime(),
+        isActive: true
+      })
+      SET u += $properties
+      RETURN u
+    `;
+    
+    return this.executeQuery(query, { id, name, bio, properties }, true);
+  }
+
+  /**
+   * Get a user by their ID
+   * 
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserById(id) {
+    const query = `
+      MATCH (u:User {id: $id})
+      RETURN properties(u) AS user
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Get a user by name (case-insensitive)
+   * 
+   * @param {string} name - The name of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserByName(name) {
+    const query = `
+      MATCH (u:User)
+      WHERE LOWER(u.name) = LOWER($name)
+      RETURN properties(u) AS user
+      LIMIT 1
+    `;
+    
+    return this.executeQuery(query, { name }, true);
+  }
+
+  /**
+   * Get the property keys of the nodes and relationships an export will contain,
+   * each with a sample value so exporters can declare attribute types
+   * 
+   * @param {object} filters - `labels`, `types` (null for all) and `activeOnly`
+   * @returns {Promise<object>} - { nodeKeys, relationshipKeys } as [{ key, sample }]
+   */
+  async getExportSchema({ labels, types = null, activeOnly = false }) {
+    const params = { labels, types, activeOnly };
+    
+    const [nodeKeys, relationshipKeys] = await Promise.all([
+      this.executeQuery(`
+        MATCH (n)
+        WHERE ${exportNodeCondition('n')}
+        UNWIND keys(n) AS key
+        WITH key, collect(n[key])[0] AS sample
+        RETURN key, sample
+        ORDER BY key
+      `, params),
+      this.executeQuery(`
+        MATCH (a)-[r]->(b)
+        WHERE ${exportNodeCondition('a')} AND ${exportNodeCondition('b')}
+          AND ($types IS NULL OR type(r) IN $types)
+        UNWIND keys(r) AS key
+        WITH key, collect(r[key])[0] AS sample
+        RETURN key, sample
+        ORDER BY key
+      `, params)
+    ]);
+    
+    return { nodeKeys, relationshipKeys };
+  }
+
+  /**
+   * Stream the nodes of an export
+   * 
+   * @param {object} filters - See getExportSchema
+   * @returns {AsyncGenerator<object>} - { id, labels, properties }
+   */
+  streamExportNodes({ labels, activeOnly = false }) {
+    return this.streamQuery(`
+      MATCH (n)
+      WHERE ${exportNodeCondition('n')}
+      RETURN n.id AS id, labels(n) AS labels, properties(n) AS properties
+      ORDER BY head(labels(n)), n.id
+    `, { labels, activeOnly });
+  }
+
+  /**
+   * Stream the relationships between exported nodes
+   * 
+   * @param {object} filters - See getExportSchema
+   * @returns {AsyncGenerator<object>} - { source, sourceLabels, target, targetLabels, type, properties }
+   */
+  streamExportRelationships({ labels, types = null, activeOnly = false }) {
+    return this.streamQuery(`
+      MATCH (a)-[r]->(b)
+      WHERE ${exportNodeCondition('a')} AND ${exportNodeCondition('b')}
+        AND ($types IS NULL OR type(r) IN $types)
+      RETURN a.id AS source, labels(a) AS sourceLabels, b.id AS target, labels(b) AS targetLabels,
+        type(r) AS type, properties(r) AS properties
+      ORDER BY type(r), a.id, b.id
+    `, { labels, types, activeOnly });
+  }
+
+  /**
+   * Find users by name (case-insensitive)
+   * 
+   * @param {Array<string>} names - The names to look up
+   * @param {object} options - `accountsOnly` to match only users with a password
+   * @returns {Promise<array>} - Matching users as { id, name }
+   */
+  async getUsersByNames(names, { accountsOnly = false } = {}) {
+    const query = `
+      UNWIND $names AS name
+      MATCH (u:User)
+      WHERE LOWER(u.name) = LOWER(name)
+        AND (NOT $accountsOnly OR u.passwordHash IS NOT NULL)
+      RETURN DISTINCT u {.id, .name} AS user
+    `;
+    
+    return this.executeQuery(query, { names, accountsOnly });
+  }
+
+  /**
+   * Get a user by email address (stored lowercased)
+   * 
+   * @param {string} email - The email of the user
+   * @returns {Promise<object>} - The user properties under `user`, or undefined
+   */
+  async getUserByEmail(email) {
+    const query = `
+      MATCH (u:User {email: toLower($email)})
+      RETURN properties(u) AS user
+    `;
+    
+    return this.executeQuery(query, { email }, true);
+  }
+
+  /**
+   * Update properties on a user node. Properties set to null are removed.
+   * 
+   * @param {string} id - The ID of the user
+   * @param {object} updates - The properties to set
+   * @returns {Promise<object>} - The updated user properties under `user`, or undefined
+   */
+  async updateUser(id, updates) {
+    const query = `
+      MATCH (u:User {id: $id})
+      SET u += $updates, u.updatedAt = datetime()
+      RETURN properties(u) AS user
+    `;
+    
+    return this.executeQuery(query, { id, updates }, true);
+  }
+
+  /**
+   * Soft-deactivate a user by clearing their isActive flag
+   * 
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The deactivated user properties under `user`, or undefined
+   */
+  async deactivateUser(id) {
+    const query = `
+      MATCH (u:User {id: $id})
+      SET u.isActive = false, u.deactivatedAt = datetime(), u.updatedAt = datetime()
+      RETURN properties(u) AS user
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Permanently delete a user and all of their relationships
+   * 
+   * @param {string} id - The ID of the user
+   * @returns {Promise<object>} - The number of deleted nodes under `deleted`
+   */
+  async deleteUser(id) {
+    const query = `
+      MATCH (u:User {id: $id})
+      OPTIONAL MATCH (u)-[:EARNED]->(e:RewardEvent)
+      WITH u, collect(e) AS rewards
+      OPTIONAL MATCH (u)-[:HAS_NOTIFICATION]->(n:Notification)
+      WITH u, rewards, collect(n) AS notifications
+      FOREACH (e IN rewards | DETACH DELETE e)
+      FOREACH (n IN notifications | DETACH DELETE n)
+      DETACH DELETE u
+      RETURN count(*) AS deleted
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Creates a story node in the database
+   * 
+   * @param {object} story - The story data
+   * @returns {Promise<object>} - The created story
+   */
+  async createStory(story) {
+    const query = `
+      CREATE (s:Story {
+        id: $id,
+        title: $title,
+        content: $content,
+        createdAt: datetime(),
+        authorId: $authorId
+      })
+      WITH s
+      MATCH (author:User {id: $authorId})
+      CREATE (author)-[:AUTHORED]->(s)
+      RETURN s
+    `;
+    
+    return this.executeQuery(query, story, true);
+  }
+
+  /**
+   * Get a story's properties by ID
+   * 
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - The story properties under `story`, or undefined
+   */
+  async getStory(id) {
+    const query = `
+      MATCH (s:Story {id: $id})
+      RETURN properties(s) AS story
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Get a story with its author and the users who shared it, oldest share first
+   * 
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - { story, author, shares } where shares are { user, timestamp },
+   *   or undefined if the story (or its author) does not exist
+   */
+  async getStoryWithShares(id) {
+    const query = `
+      MATCH (s:Story {id: $id})<-[:AUTHORED]-(author:User)
+      OPTIONAL MATCH (sharer:User)-[shared:SHARED]->(s)
+      WITH s, author, sharer, shared
+      ORDER BY shared.timestamp
+      RETURN properties(s) AS story,
+             author {.id, .name} AS author,
+             collect(CASE WHEN shared IS NULL THEN NULL ELSE {
+               user: sharer {.id, .name},
+               timestamp: shared.timestamp
+             } END) AS shares
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Update a story, archiving its current title and content as a Revision node
+   * 
+   * @param {string} id - The ID of the story
+   * @param {object} updates - The new title and/or content
+   * @param {string} revisionId - The ID to give the archived revision
+   * @returns {Promise<object>} - The updated story properties under `story`, or undefined
+   */
+  async updateStory(id, updates, revisionId) {
+    const query = `
+      MATCH (s:Story {id: $id})
+      CREATE (r:Revision {
+        id: $revisionId,
+        storyId: s.id,
+        version: coalesce(s.version, 1),
+        title: s.title,
+        content: s.content,
+        createdAt: coalesce(s.updatedAt, s.createdAt),
+        supersededAt: datetime()
+      })
+      CREATE (s)-[:HAS_REVISION]->(r)
+      SET s += $updates, s.version = coalesce(s.version, 1) + 1, s.updatedAt = datetime()
+      RETURN properties(s) AS story
+    `;
+    
+    return this.executeQuery(query, { id, updates, revisionId }, true);
+  }
+
+  /**
+   * Get the archived revisions of a story, newest first
+   * 
+   * @param {string} id - The ID of the story
+   * @returns {Promise<array>} - The revisions under `revision`
+   */
+  async getStoryRevisions(id) {
+    const query = `
+      MATCH (s:Story {id: $id})-[:HAS_REVISION]->(r:Revision)
+      RETURN properties(r) AS revision
+      ORDER BY r.version DESC
+    `;
+    
+    return this.executeQuery(query, { id });
+  }
+
+  /**
+   * Get a single archived revision of a story
+   * 
+   * @param {string} id - The ID of the story
+   * @param {number} version - The revision version number
+   * @returns {Promise<object>} - The revision under `revision`, or undefined
+   */
+  async getStoryRevision(id, version) {
+    const query = `
+      MATCH (s:Story {id: $id})-[:HAS_REVISION]->(r:Revision)
+      WHERE r.version = toInteger($version)
+      RETURN properties(r) AS revision
+    `;
+    
+    return this.executeQuery(query, { id, version }, true);
+  }
+
+  /**
+   * Delete a story along with its revisions and the shares recorded for it
+   * 
+   * @param {string} id - The ID of the story
+   * @returns {Promise<object>} - Counts of deleted revisions and shares, or undefined if not found
+   */
+  async deleteStory(id) {
+    const query = `
+      MATCH (s:Story {id: $id})
+      OPTIONAL MATCH (s)-[:HAS_REVISION]->(r:Revision)
+      WITH s, collect(r) AS revisions
+      OPTIONAL MATCH ()-[sw:SHARED_WITH {storyId: $id}]->()
+      WITH s, revisions, collect(sw) AS shares
+      FOREACH (sw IN shares | DELETE sw)
+      FOREACH (r IN revisions | DETACH DELETE r)
+      DETACH DELETE s
+      RETURN size(revisions) AS revisions, size(shares) AS shares
+    `;
+    
+    return this.executeQuery(query, { id }, true);
+  }
+
+  /**
+   * Create a typed connection between two users, or update its properties if
+   * it already exists. Symmetric types match an existing connection in either
+   * direction, so each pair is connected at most once per type.
+   * 
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {object} options - `symmetric`, and `properties` (since as YYYY-MM-DD, strength, note)
+   * @returns {Promise<object>} - The relationship under `connection` and whether it was `created`
+   */
+  async createConnection(sourceId, targetId, relationshipType = 'CONNECTED_TO', { symmetric = true, properties = {} } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+    
+    const { since = null, ...rest } = properties;
+    
+    const query = `
+      MATCH (u1:User {id: $sourceId})
+      MATCH (u2:User {id: $targetId})
+      WHERE u1 <> u2
+      MERGE (u1)-[r:\`${relationshipType}\`]-${symmetric ? '' : '>'}(u2)
+      ON CREATE SET r.createdAt = datetime(), r.isNew = true
+      ON MATCH SET r.updatedAt = datetime()
+      SET r += $properties
+      FOREACH (_ IN CASE WHEN $since IS NULL THEN [] ELSE [1] END | SET r.since = date($since))
+      WITH r, coalesce(r.isNew, false) AS created
+      REMOVE r.isNew
+      RETURN properties(r) AS properties, type(r) AS type,
+        startNode(r).id AS source, endNode(r).id AS target, created
+    `;
+    
+    return this.executeQuery(query, { sourceId, targetId, since, properties: rest }, true);
+  }
+
+  /**
+   * Delete a typed connection between two users. Symmetric types are deleted
+   * in either direction.
+   * 
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {string} relationshipType - A type from the connection registry
+   * @param {object} options - `symmetric`
+   * @returns {Promise<object>} - The number of relationships `deleted`
+   */
+  async deleteConnection(sourceId, targetId, relationshipType, { symmetric = true } = {}) {
+    if (!RELATIONSHIP_TYPE_PATTERN.test(relationshipType)) {
+      throw ApiError.badRequest(`Invalid relationship type '${relationshipType}'`);
+    }
+    
+    const query = `
+      OPTIONAL MATCH (:User {id: $sourceId})-[r:\`${relationshipType}\`]-${symmetric ? '' : '>'}(:User {id: $targetId})
+      WITH collect(r) AS relationships
+      FOREACH (r IN relationships | DELETE r)
+      RETURN size(relationships) AS deleted
+    `;
+    
+    return this.executeQuery(query, { sourceId, targetId }, true);
+  }
+
+  /**
+   * Get all users with pagination, newest first (the order getUsersByCursor pages through)
+   * 
+   * @param {number} skip - The number of records to skip
+   * @param {number} limit - The number of records to return
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<array>} - The list of users
+   */
+  async getUsers(skip = 0, limit = 50, includeInactive = false) {
+    const query = `
+      MATCH (u:User)
+      WHERE $includeInactive OR coalesce(u.isActive, true) = true
+      RETURN properties(u) AS user
+      ORDER BY u.createdAt DESC, u.id DESC
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { skip: parseInt(skip), limit: parseInt(limit), includeInactive });
+  }
+
+  /**
+   * Count users
+   * 
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<number>} - The number of users
+   */
+  async countUsers(includeInactive = false) {
+    const query = `
+      MATCH (u:User)
+      WHERE $includeInactive OR coalesce(u.isActive, true) = true
+      RETURN count(u) AS total
+    `;
+    
+    const result = await this.executeQuery(query, { includeInactive }, true);
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Get users newest first, continuing after a cursor position
+   * 
+   * @param {object} cursor - A decoded { createdAt, id } cursor, or null for the first page
+   * @param {number} limit - The number of records to return
+   * @param {boolean} includeInactive - Whether to include deactivated users
+   * @returns {Promise<array>} - The list of users
+   */
+  async getUsersByCursor(cursor, limit = 50, includeInactive = false) {
+    const query = `
+      MATCH (u:User)
+      WHERE ($includeInactive OR coalesce(u.isActive, true) = true)
+        AND ${cursorCondition('u')}
+      RETURN properties(u) AS user
+      ORDER BY u.createdAt DESC, u.id DESC
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { limit: parseInt(limit), includeInactive, ...cursorParams(cursor) });
+  }
+
+  /**
+   * Get all stories with pagination, newest first
+   * 
+   * @param {number} skip - The number of records to skip
+   * @param {number} limit - The number of records to return
+   * @param {object} cursor - A decoded { createdAt, id } cursor to continue after, or null
+   * @returns {Promise<array>} - The list of stories
+   */
+  async getStories(skip = 0, limit = 50, cursor = null) {
+    // Convert parameters to integers
+    const intSkip = parseInt(skip) || 0;
+    const intLimit = parseInt(limit) || 50;
+    
+    const query = `
+      MATCH (s:Story)<-[:AUTHORED]-(author:User)
+      WHERE ${cursorCondition('s')}
+      RETURN properties(s) AS s, properties(author) AS author
+      ORDER BY s.createdAt DESC, s.id DESC
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { skip: intSkip, limit: intLimit, ...cursorParams(cursor) });
+  }
+
+  /**
+   * Count all stories that have an author
+   * 
+   * @returns {Promise<number>} - The number of stories
+   */
+  async countStories() {
+    const query = `
+      MATCH (s:Story)<-[:AUTHORED]-(:User)
+      RETURN count(DISTINCT s) AS total
+    `;
+    
+    const result = await this.executeQuery(query, {}, true);
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Search stories through the story full-text index
+   * 
+   * @param {Array<string>} terms - The search terms from utils/search tokenize
+   * @param {number} limit - The maximum number of results
+   * @param {object} options - Set `fuzzy` to false to disable edit-distance matching
+   * @returns {Promise<array>} - Matching stories with their author and score
+   */
+  async searchStories(terms, limit = 20, { fuzzy = true } = {}) {
+    const searchQuery = buildFulltextQuery(terms, { fuzzy });
+    const query = `
+      CALL db.index.fulltext.queryNodes('story_fulltext_index', $searchQuery) YIELD node, score
+      OPTIONAL MATCH (author:User)-[:AUTHORED]->(node)
+      RETURN properties(node) AS story, properties(author) AS author, score
+      ORDER BY score DESC
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { searchQuery, limit });
+  }
+
+  /**
+   * Search active users through the user full-text index
+   * 
+   * @param {Array<string>} terms - The search terms from utils/search tokenize
+   * @param {number} limit - The maximum number of results
+   * @param {object} options - Set `fuzzy` to false to disable edit-distance matching
+   * @returns {Promise<array>} - Matching users with their score
+   */
+  async searchUsers(terms, limit = 20, { fuzzy = true } = {}) {
+    const searchQuery = buildFulltextQuery(terms, { fuzzy });
+    const query = `
+      CALL db.index.fulltext.queryNodes('user_fulltext_index', $searchQuery) YIELD node, score
+      WHERE coalesce(node.isActive, true) = true
+      RETURN properties(node) AS user, score
+      ORDER BY score DESC
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { searchQuery, limit });
+  }
+
+  /**
+   * Find the shortest path(s) between two users, travelling only through User nodes
+   * 
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {object} options - `types` (relationship types, null for all), `maxHops`,
+   *   `all` to return every shortest path, and `limit` on how many to return
+   * @returns {Promise<array>} - Paths as `nodes` ({id, name}) and `relationships` ({type, source, target})
+   */
+  async findShortestPaths(sourceId, targetId, { types = null, maxHops = 15, all = false, limit = 10 } = {}) {
+    // Relationship types and hop counts cannot be parameters in a pattern; types
+    // are validated identifiers and are backtick-quoted here as well
+    const typeFilter = types && types.length ? `:${types.map(type => `\`${type}\``).join('|')}` : '';
+    const hops = Math.max(parseInt(maxHops) || 15, 1);
+    
+    const query = `
+      MATCH (source:User {id: $sourceId}), (target:User {id: $targetId})
+      MATCH path = ${all ? 'allShortestPaths' : 'shortestPath'}((source)-[${typeFilter}*..${hops}]-(target))
+      WHERE all(n IN nodes(path) WHERE n:User)
+      RETURN [n IN nodes(path) | n {.id, .name}] AS nodes,
+             [r IN relationships(path) | {type: type(r), source: startNode(r).id, target: endNode(r).id}] AS relationships
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { sourceId, targetId, limit: all ? limit : 1 });
+  }
+
+  /**
+   * Get the network data for visualization: the most connected users
+   * matching the filters and the relationships among them. In focus mode the
+   * ego graph of one user is returned instead, closest users first. Users are
+   * projected to their public properties in the query itself.
+   * 
+   * @param {number} limit - The maximum number of users (and of stories) to return
+   * @param {object} options - `asOf` (ISO datetime) to only include what was created by then;
+   *   `affiliation`, `nationality` and `gender` user filters; relationship `types`; `minDegree`;
+   *   `focus` (a user ID) and `radius` in hops; `includeStories` to add the stories the users
+   *   authored or shared
+   * @returns {Promise<object>} - The network data, each user with its `degree` (and `distance` from the focus)
+   */
+  async getNetworkData(limit = 100, {
+    asOf = null,
+    affiliation = null,
+    nationality = null,
+    gender = null,
+    types = null,
+    minDegree = 0,
+    focus = null,
+    radius = 2,
+    includeStories = false
+  } = {}) {
+    // Convert limit to a proper integer
+    const intLimit = parseInt(limit);
+    
+    // The focus user is always kept, whatever the filters
+    const selection = focus ? `
+      MATCH (center:User {id: $focus})
+      MATCH path = (center)-[rels*0..${traversalDepth(radius)}]-(u:User)
+      WHERE all(n IN nodes(path) WHERE n:User AND ${asOfCondition('n.createdAt')})
+        AND all(r IN rels WHERE ${networkRelationshipCondition('r')})
+      WITH u, min(length(path)) AS distance
+      WHERE distance = 0 OR ${networkUserCondition('u')}
+    ` : `
+      MATCH (u:User)
+      WHERE ${networkUserCondition('u')}
+      WITH u, null AS distance
+    `;
+    
+    const query = `
+      ${selection}
+      CALL {
+        WITH u
+        OPTIONAL MATCH (u)-[r]-(other:User)
+        WHERE other <> u AND ${networkRelationshipCondition('r')} AND ${asOfCondition('other.createdAt')}
+        RETURN count(DISTINCT other) AS degree
+      }
+      WITH u, distance, degree
+      WHERE distance = 0 OR degree >= $minDegree
+      ORDER BY distance, degree DESC, u.name
+      LIMIT toInteger($limit)
+      WITH collect(u) AS users, collect(u.id) AS userIds, collect(degree) AS degrees, collect(distance) AS distances
+      UNWIND users AS a
+      OPTIONAL MATCH (a)-[r]->(b:User)
+      WHERE b IN users AND ${networkRelationshipCondition('r')}
+      WITH users, userIds, degrees, distances, collect(DISTINCT r) AS relationships
+      RETURN [user IN users | ${publicUserProjection('user')}] AS users, userIds, degrees, distances,
+             relationships,
+             [rel IN relationships | startNode(rel).id] AS startIds,
+             [rel IN relationships | endNode(rel).id] AS endIds
+    `;
+    
+    const result = await this.executeQuery(query, {
+      limit: intLimit,
+      asOf,
+      affiliation,
+      nationality,
+      gender,
+      types,
+      minDegree,
+      focus
+    }, true);
+    
+    if (!result) {
+      return { nodes: [], links: [] };
+    }
+    
+    // Transform data for D3.js visualization
+    const nodes = result.users.map((node, i) => ({
+      ...toNetworkNode(node),
+      degree: result.degrees[i],
+      ...(focus && { distance: result.distances[i] })
+    }));
+    const links = result.relationships.map((rel, i) => toNetworkLink({
+      ...rel,
+      startNodeId: result.startIds[i],
+      endNodeId: result.endIds[i]
+    }));
+    
+    if (includeStories) {
+      const stories = await this.getNetworkStories(result.userIds, intLimit, asOf);
+      
+      stories.forEach(record => {
+        nodes.push(toNetworkNode(record.s));
+        links.push(...record.relationships.map((rel, i) => toNetworkLink({ ...rel, startNodeId: record.userIds[i] })));
+      });
+    }
+    
+    return { nodes, links };
+  }
+
+  /**
+   * Get the stories a set of users authored or shared, most involved first,
+   * with the AUTHORED and SHARED relationships from those users
+   * 
+   * @param {Array<string>} userIds - The IDs of the users
+   * @param {number} limit - The maximum number of stories
+   * @param {string} asOf - ISO datetime to only include what was created by then, or null
+   * @returns {Promise<array>} - Records with the story node `s`, its `relationships` and
+   *   the `userIds` they start from, in the same order
+   */
+  async getNetworkStories(userIds, limit, asOf = null) {
+    const query = `
+      MATCH (u:User)-[r:AUTHORED|SHARED]->(s:Story)
+      WHERE u.id IN $userIds
+        AND ${asOfCondition('s.createdAt')}
+        AND ${asOfCondition('r.timestamp')}
+      WITH s, collect(r) AS relationships, collect(u.id) AS userIds
+      ORDER BY size(relationships) DESC, s.createdAt DESC
+      LIMIT toInteger($limit)
+      RETURN s, relationships, userIds
+    `;
+    
+    return this.executeQuery(query, { userIds, limit, asOf });
+  }
+
+  /**
+   * Count the users and the relationships between them that existed at a point in time
+   * 
+   * @param {string} asOf - ISO datetime, or null for now
+   * @returns {Promise<object>} - { nodes, links }
+   */
+  async getNetworkCounts(asOf = null) {
+    const query = `
+      CALL {
+        MATCH (u:User)
+        WHERE ${asOfCondition('u.createdAt')}
+        RETURN count(u) AS nodes
+      }
+      CALL {
+        MATCH (a:User)-[r]->(b:User)
+        WHERE ${asOfCondition('a.createdAt')}
+          AND ${asOfCondition('b.createdAt')}
+          AND ${asOfCondition('coalesce(r.createdAt, r.timestamp)')}
+        RETURN count(r) AS links
+      }
+      RETURN nodes, links
+    `;
+    
+    return this.executeQuery(query, { asOf }, true);
+  }
+
+  /**
+   * Get the users and relationships created in a time range, oldest first, in
+   * the same format as getNetworkData. Only what still exists is returned:
+   * deleted users and connections leave no history. Users carry only their
+   * ID, name, profile and createdAt.
+   * 
+   * @param {string} from - ISO datetime the range starts after (exclusive)
+   * @param {string} to - ISO datetime the range ends at (inclusive)
+   * @returns {Promise<object>} - { nodes, links }, each item with `at` in epoch milliseconds
+   */
+  async getNetworkChanges(from, to) {
+    const nodeQuery = `
+      MATCH (u:User)
+      WHERE u.createdAt > datetime($from) AND u.createdAt <= datetime($to)
+      RETURN ${publicUserProjection('u', TIMELINE_USER_PROPERTIES)} AS u, u.createdAt.epochMillis AS at
+      ORDER BY at
+    `;
+    
+    const linkQuery = `
+      MATCH (a:User)-[r]->(b:User)
+      WITH r, coalesce(r.createdAt, r.timestamp) AS created
+      WHERE created > datetime($from) AND created <= datetime($to)
+      RETURN r, a.id AS startNodeId, b.id AS endNodeId, created.epochMillis AS at
+      ORDER BY at
+    `;
+    
+    const [nodes, links] = await Promise.all([
+      this.executeQuery(nodeQuery, { from, to }),
+      this.executeQuery(linkQuery, { from, to })
+    ]);
+    
+    return {
+      nodes: nodes.map(record => ({ ...toNetworkNode(record.u), at: record.at })),
+      links: links.map(record => ({
+        ...toNetworkLink({ ...record.r, startNodeId: record.startNodeId, endNodeId: record.endNodeId }),
+        at: record.at
+      }))
+    };
+  }
+
+  /**
+   * Load the active user graph (users and the relationships between them)
+   * for in-process analysis
+   * 
+   * @param {Array<string>} types - Relationship types to include, or null for all
+   * @returns {Promise<object>} - { nodes: [{id, name}], edges: [{source, target, type, timestamp, strength}] }
+   *   where timestamp is the relationship's createdAt/timestamp in epoch milliseconds
+   */
+  async getUserGraph(types = null) {
+    const query = `
+      MATCH (u:User)
+      WHERE coalesce(u.isActive, true) = true
+      WITH collect(u {.id, .name}) AS nodes
+      OPTIONAL MATCH (a:User)-[r]->(b:User)
+      WHERE a <> b
+        AND coalesce(a.isActive, true) = true
+        AND coalesce(b.isActive, true) = true
+        AND ($types IS NULL OR type(r) IN $types)
+      RETURN nodes, collect({
+        source: a.id,
+        target: b.id,
+        type: type(r),
+        timestamp: coalesce(r.createdAt, r.timestamp).epochMillis,
+        strength: r.strength
+      }) AS edges
+    `;
+    
+    const result = await this.executeQuery(query, { types }, true);
+    
+    if (!result) {
+      return { nodes: [], edges: [] };
+    }
+    
+    return {
+      nodes: result.nodes,
+      // OPTIONAL MATCH yields a single null row when there are no relationships
+      edges: result.edges.filter(edge => edge.source && edge.target)
+    };
+  }
+
+  /**
+   * Record a story share event
+   * 
+   * @param {string} storyId - The ID of the story
+   * @param {string} senderId - The ID of the user sharing the story
+   * @param {string} receiverId - The ID of the user receiving the story
+   * @returns {Promise<object>} - The created share relationship
+   */
+  async shareStory(storyId, senderId, receiverId) {
+    const query = `
+      MATCH (story:Story {id: $storyId})
+      MATCH (sender:User {id: $senderId})
+      MATCH (receiver:User {id: $receiverId})
+      WHERE sender <> receiver
+      CREATE (sender)-[share:SHARED {timestamp: datetime()}]->(story)
+      CREATE (sender)-[connection:SHARED_WITH {timestamp: datetime(), storyId: $storyId}]->(receiver)
+      RETURN story, sender, receiver, share, connection
+    `;
+    
+    return this.executeQuery(query, { storyId, senderId, receiverId }, true);
+  }
+
+  /**
+   * Get a story, its author and every SHARED_WITH hop recorded for it, oldest first
+   * 
+   * @param {string} storyId - The ID of the story
+   * @returns {Promise<object>} - { story, author, shares } or undefined if the story is missing;
+   *   shares carry sender/receiver IDs and names and `at` in epoch milliseconds
+   */
+  async getStoryCascade(storyId) {
+    const query = `
+      MATCH (author:User)-[:AUTHORED]->(s:Story {id: $storyId})
+      OPTIONAL MATCH (sender:User)-[r:SHARED_WITH {storyId: $storyId}]->(receiver:User)
+      WITH s, author, sender, r, receiver
+      ORDER BY r.timestamp
+      RETURN properties(s) AS story,
+             author {.id, .name} AS author,
+             collect(CASE WHEN r IS NULL THEN NULL ELSE {
+               senderId: sender.id,
+               senderName: sender.name,
+               receiverId: receiver.id,
+               receiverName: receiver.name,
+               at: r.timestamp.epochMillis
+             } END) AS shares
+    `;
+    
+    return this.executeQuery(query, { storyId }, true);
+  }
+
+  /**
+   * Get the shortest KNOWS/SHARED_WITH path length from a story's author to a user
+   * 
+   * @param {string} storyId - The ID of the story
+   * @param {string} userId - The ID of the user
+   * @param {object} options - Set `excludeStoryShares` to ignore SHARED_WITH hops of this story
+   * @returns {Promise<object>} - The length under `pathLength`, or undefined if there is no path
+   */
+  async getAuthorPathLength(storyId, userId, { excludeStoryShares = false } = {}) {
+    const query = `
+      MATCH (author:User)-[:AUTHORED]->(s:Story {id: $storyId})
+      MATCH (receiver:User {id: $userId})
+      CALL {
+        WITH author, receiver
+        MATCH p = shortestPath((author)-[r:KNOWS|SHARED_WITH*]-(receiver))
+        WHERE $excludeStoryShares = false OR NONE(rel IN r WHERE rel.storyId = $storyId)
+        RETURN length(p) AS pathLength
+      }
+      RETURN pathLength
+    `;
+    
+    return this.executeQuery(query, { storyId, userId, excludeStoryShares }, true);
+  }
+
+  /**
+   * Evaluate users near a sender as receivers of a story. For each candidate
+   * within `depth` hops of the sender who does not have the story yet, returns
+   * the author's path to them without this story's shares (`before`) and with
+   * them (`current`); the effect of the new share itself is added by the caller.
+   * 
+   * @param {string} storyId - The ID of the story
+   * @param {string} senderId - The ID of the sender
+   * @param {object} options - depth and limit (the number of candidates, closest to the sender first)
+   * @returns {Promise<array>} - Candidates under `user` with `hops` from the sender, `before` and `current`
+   */
+  async getShareCandidates(storyId, senderId, { depth = 2, limit = 100 } = {}) {
+    const query = `
+      MATCH (author:User)-[:AUTHORED]->(s:Story {id: $storyId})
+      MATCH (sender:User {id: $senderId})
+      MATCH path = (sender)-[:KNOWS|SHARED_WITH*1..${traversalDepth(depth)}]-(candidate:User)
+      WHERE candidate <> sender
+        AND candidate <> author
+        AND coalesce(candidate.isActive, true) = true
+        AND NOT EXISTS { MATCH (:User)-[:SHARED_WITH {storyId: $storyId}]->(candidate) }
+      WITH author, candidate, min(length(path)) AS hops
+      ORDER BY hops, candidate.name
+      LIMIT toInteger($limit)
+      CALL {
+        WITH author, candidate
+        OPTIONAL MATCH p = shortestPath((author)-[r:KNOWS|SHARED_WITH*]-(candidate))
+        WHERE NONE(rel IN r WHERE rel.storyId = $storyId)
+        RETURN length(p) AS before
+      }
+      CALL {
+        WITH author, candidate
+        OPTIONAL MATCH p = shortestPath((author)-[:KNOWS|SHARED_WITH*]-(candidate))
+        RETURN length(p) AS current
+      }
+      RETURN candidate {.id, .name} AS user, hops, before, current
+    `;
+    
+    return this.executeQuery(query, { storyId, senderId, limit });
+  }
+
+  /**
+   * Record reward points for a share. Idempotent per story and receiver: the
+   * event is only created the first time the story reaches that receiver.
+   * 
+   * @param {object} reward - id, userId, storyId, receiverId, points, pathReduction
+   * @returns {Promise<object>} - The event under `event` and whether it was `created` now
+   */
+  async recordReward(reward) {
+    const query = `
+      MATCH (u:User {id: $userId})
+      MATCH (s:Story {id: $storyId})
+      MERGE (e:RewardEvent {key: $storyId + ':' + $receiverId})
+      ON CREATE SET
+        e.id = $id,
+        e.userId = $userId,
+        e.storyId = $storyId,
+        e.receiverId = $receiverId,
+        e.points = $points,
+        e.pathReduction = $pathReduction,
+        e.reason = 'share',
+        e.createdAt = datetime()
+      WITH u, s, e, e.id = $id AS created
+      FOREACH (_ IN CASE WHEN created THEN [1] ELSE [] END |
+        CREATE (u)-[:EARNED]->(e)
+        CREATE (e)-[:FOR_STORY]->(s)
+      )
+      RETURN properties(e) AS event, created
+    `;
+    
+    return this.executeQuery(query, reward, true);
+  }
+
+  /**
+   * Get a user's reward points balance
+   * 
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<object>} - { points, events }
+   */
+  async getUserPointsBalance(userId) {
+    const query = `
+      MATCH (u:User {id: $userId})
+      OPTIONAL MATCH (u)-[:EARNED]->(e:RewardEvent)
+      RETURN coalesce(sum(e.points), 0) AS points, count(e) AS events
+    `;
+    
+    return this.executeQuery(query, { userId }, true);
+  }
+
+  /**
+   * Get a user's reward events, newest first
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {object} options - skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - Events with the story they were earned for
+   */
+  async getUserRewardEvents(userId, { skip = 0, limit = 20, cursor = null } = {}) {
+    const query = `
+      MATCH (u:User {id: $userId})-[:EARNED]->(e:RewardEvent)
+      WHERE ${cursorCondition('e')}
+      OPTIONAL MATCH (e)-[:FOR_STORY]->(s:Story)
+      RETURN properties(e) AS event, s {.id, .title} AS story
+      ORDER BY e.createdAt DESC, e.id DESC
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { userId, skip: parseInt(skip) || 0, limit: parseInt(limit), ...cursorParams(cursor) });
+  }
+
+  /**
+   * Rank users by points earned since a given time
+   * 
+   * @param {string} since - ISO datetime to count events from, or null for all time
+   * @param {number} limit - The number of users to return
+   * @returns {Promise<array>} - Users with their `points` and `events` counts
+   */
+  async getLeaderboard(since = null, limit = 10) {
+    const query = `
+      MATCH (u:User)-[:EARNED]->(e:RewardEvent)
+      WHERE coalesce(u.isActive, true) = true
+        AND ($since IS NULL OR e.createdAt >= datetime($since))
+      WITH u, sum(e.points) AS points, count(e) AS events
+      RETURN u {.id, .name} AS user, points, events
+      ORDER BY points DESC, events DESC, user.name
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { since, limit });
+  }
+
+  /**
+   * Find active users by exact name, through the user name index
+   * 
+   * @param {Array<string>} names - The names to look up
+   * @returns {Promise<array>} - The matching users under `user` ({id, name})
+   */
+  async getActiveUsersByExactNames(names) {
+    const query = `
+      MATCH (u:User)
+      WHERE u.name IN $names
+        AND coalesce(u.isActive, true) = true
+      RETURN u {.id, .name} AS user
+    `;
+    
+    return this.executeQuery(query, { names });
+  }
+
+  /**
+   * Create notifications, skipping types a recipient has muted. Idempotent per
+   * `key`, so replaying the same event never notifies twice.
+   * 
+   * @param {Array<object>} notifications - id, key, userId, type, actorId, storyId and points
+   * @returns {Promise<array>} - The notifications created now under `notification`
+   */
+  async createNotifications(notifications) {
+    const query = `
+      UNWIND $notifications AS row
+      MATCH (u:User {id: row.userId})
+      WHERE NOT row.type IN coalesce(u.mutedNotificationTypes, [])
+      MERGE (n:Notification {key: row.key})
+      ON CREATE SET
+        n.id = row.id,
+        n.userId = row.userId,
+        n.type = row.type,
+        n.actorId = row.actorId,
+        n.storyId = row.storyId,
+        n.points = row.points,
+        n.read = false,
+        n.createdAt = datetime()
+      WITH u, n, n.id = row.id AS created
+      WHERE created
+      CREATE (u)-[:HAS_NOTIFICATION]->(n)
+      RETURN properties(n) AS notification
+    `;
+    
+    return this.executeQuery(query, { notifications });
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {object} options - unreadOnly, type, skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - Notifications with their `actor` and `story`, if they still exist
+   */
+  async getUserNotifications(userId, { unreadOnly = false, type = null, skip = 0, limit = 20, cursor = null } = {}) {
+    const query = `
+      MATCH (:User {id: $userId})-[:HAS_NOTIFICATION]->(n:Notification)
+      WHERE ($unreadOnly = false OR n.read = false)
+        AND ($type IS NULL OR n.type = $type)
+        AND ${cursorCondition('n')}
+      WITH n
+      ORDER BY n.createdAt DESC, n.id DESC
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+      OPTIONAL MATCH (actor:User {id: n.actorId})
+      OPTIONAL MATCH (s:Story {id: n.storyId})
+      RETURN properties(n) AS notification, actor {.id, .name} AS actor, s {.id, .title} AS story
+      ORDER BY notification.createdAt DESC, notification.id DESC
+    `;
+    
+    return this.executeQuery(query, {
+      userId,
+      unreadOnly,
+      type,
+      skip: parseInt(skip) || 0,
+      limit: parseInt(limit),
+      ...cursorParams(cursor)
+    });
+  }
+
+  /**
+   * Count a user's notifications
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {string} type - Only count this notification type, or null for all
+   * @returns {Promise<object>} - { total, unread }
+   */
+  async countUserNotifications(userId, type = null) {
+    const query = `
+      MATCH (u:User {id: $userId})
+      OPTIONAL MATCH (u)-[:HAS_NOTIFICATION]->(n:Notification)
+      WHERE $type IS NULL OR n.type = $type
+      RETURN count(n) AS total, count(CASE WHEN n.read = false THEN 1 END) AS unread
+    `;
+    
+    return this.executeQuery(query, { userId, type }, true);
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {string} notificationId - The ID of the notification
+   * @returns {Promise<object>} - The notification under `notification`, or undefined if not found
+   */
+  async markNotificationRead(userId, notificationId) {
+    const query = `
+      MATCH (:User {id: $userId})-[:HAS_NOTIFICATION]->(n:Notification {id: $notificationId})
+      SET n.readAt = CASE WHEN n.read THEN n.readAt ELSE datetime() END,
+          n.read = true
+      RETURN properties(n) AS notification
+    `;
+    
+    return this.executeQuery(query, { userId, notificationId }, true);
+  }
+
+  /**
+   * Mark all of a user's unread notifications as read
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {string} type - Only mark this notification type, or null for all
+   * @returns {Promise<object>} - The number of notifications marked under `updated`
+   */
+  async markAllNotificationsRead(userId, type = null) {
+    const query = `
+      MATCH (:User {id: $userId})-[:HAS_NOTIFICATION]->(n:Notification)
+      WHERE n.read = false AND ($type IS NULL OR n.type = $type)
+      SET n.read = true, n.readAt = datetime()
+      RETURN count(n) AS updated
+    `;
+    
+    return this.executeQuery(query, { userId, type }, true);
+  }
+
+  /**
+   * Get the notification types a user has muted
+   * 
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<object>} - The types under `muted`, or undefined if the user does not exist
+   */
+  async getMutedNotificationTypes(userId) {
+    const query = `
+      MATCH (u:User {id: $userId})
+      RETURN coalesce(u.mutedNotificationTypes, []) AS muted
+    `;
+    
+    return this.executeQuery(query, { userId }, true);
+  }
+
+  /**
+   * Replace the notification types a user has muted
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {Array<string>} muted - The muted types
+   * @returns {Promise<object>} - The stored types under `muted`, or undefined if the user does not exist
+   */
+  async setMutedNotificationTypes(userId, muted) {
+    const query = `
+      MATCH (u:User {id: $userId})
+      SET u.mutedNotificationTypes = $muted
+      RETURN u.mutedNotificationTypes AS muted
+    `;
+    
+    return this.executeQuery(query, { userId, muted }, true);
+  }
+
+  /**
+   * Get the candidate stories for a user's feed: stories authored or shared by
+   * users within `depth` KNOWS/SHARED_WITH hops, excluding stories the user
+   * already authored, shared or received. Ranking happens in dataService.rankFeed.
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {object} options - depth, recentHours (the share velocity window) and limit
+   * @returns {Promise<array>} - Stories with their author, the `sources` that brought them
+   *   into the network, the closest `distance`, share counts and epoch-millisecond times
+   */
+  async getFeedCandidates(userId, { depth = 2, recentHours = 72, limit = 500 } = {}) {
+    const query = `
+      MATCH (me:User {id: $userId})
+      MATCH path = (me)-[:KNOWS|SHARED_WITH*1..${traversalDepth(depth)}]-(peer:User)
+      WHERE peer <> me AND coalesce(peer.isActive, true) = true
+      WITH me, peer, min(length(path)) AS hops
+      CALL {
+        WITH peer
+        MATCH (peer)-[:AUTHORED]->(s:Story)
+        RETURN s, 'authored' AS via
+        UNION
+        WITH peer
+        MATCH (peer)-[:SHARED]->(s:Story)
+        RETURN s, 'shared' AS via
+      }
+      WITH me, s, collect({id: peer.id, name: peer.name, distance: hops, via: via}) AS sources, min(hops) AS distance
+      WHERE NOT (me)-[:AUTHORED]->(s)
+        AND NOT (me)-[:SHARED]->(s)
+        AND NOT EXISTS { MATCH (:User)-[:SHARED_WITH {storyId: s.id}]->(me) }
+      MATCH (author:User)-[:AUTHORED]->(s)
+      OPTIONAL MATCH (:User)-[share:SHARED]->(s)
+      WITH s, author, sources, distance,
+           count(share) AS shares,
+           count(CASE WHEN share.timestamp >= datetime() - duration({hours: $recentHours}) THEN 1 END) AS recentShares,
+           max(share.timestamp) AS lastShared
+      RETURN s {.id, .title, .content} AS story,
+             author {.id, .name} AS author,
+             sources,
+             distance,
+             shares,
+             recentShares,
+             s.createdAt.epochMillis AS createdAt,
+             lastShared.epochMillis AS lastSharedAt
+      ORDER BY coalesce(lastSharedAt, createdAt) DESC
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { userId, recentHours, limit });
+  }
+
+  /**
+   * Get people a user is not connected to yet, with the signals used to
+   * recommend them: mutual connections (with their degree), the candidate's
+   * degree, affiliation/nationality and stories both of them received.
+   * Candidates are friends of friends, users sharing an affiliation or
+   * nationality, and users who received the same stories. Each source is
+   * ranked by its own cheap score and limited on its own, then friends of
+   * friends are taken first, so a large affiliation never crowds them out.
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {object} options - limit (the number of candidates evaluated)
+   * @returns {Promise<array>} - Candidates under `user` with their `degree`, `mutualConnections`
+   *   ({id, name, degree}), `coReceivedStories` and the user's own `userDegree`
+   */
+  async getConnectionCandidates(userId, { limit = 500 } = {}) {
+    const query = `
+      MATCH (me:User {id: $userId})
+      OPTIONAL MATCH (me)-[mine]-(neighbour:User)
+      WHERE type(mine) IN $types
+      WITH me, count(DISTINCT neighbour) AS degree
+      OPTIONAL MATCH (:User)-[received:SHARED_WITH]->(me)
+      WITH me, degree, collect(DISTINCT received.storyId) AS myStories
+      CALL {
+        WITH me
+        MATCH (me)-[r1]-(mutual:User)-[r2]-(candidate:User)
+        WHERE type(r1) IN $types AND type(r2) IN $types
+          AND candidate <> me
+          AND coalesce(candidate.isActive, true) = true
+          AND NOT EXISTS {
+            MATCH (me)-[r]-(candidate)
+            WHERE type(r) IN $types
+          }
+        WITH candidate, count(DISTINCT mutual) AS score
+        ORDER BY score DESC, candidate.id
+        LIMIT toInteger($limit)
+        RETURN candidate, 0 AS source, score
+        UNION ALL
+        WITH me
+        MATCH (candidate:User)
+        WHERE candidate <> me
+          AND coalesce(candidate.isActive, true) = true
+          AND NOT EXISTS {
+            MATCH (me)-[r]-(candidate)
+            WHERE type(r) IN $types
+          }
+        WITH candidate, size([key IN ['affiliation', 'nationality'] WHERE
+          any(value IN split(coalesce(me[key], ''), '/') WHERE
+            trim(value) <> '' AND trim(value) IN [part IN split(coalesce(candidate[key], ''), '/') | trim(part)])]) AS score
+        WHERE score > 0
+        ORDER BY score DESC, candidate.id
+        LIMIT toInteger($limit)
+        RETURN candidate, 1 AS source, score
+        UNION ALL
+        WITH me, myStories
+        MATCH (:User)-[received:SHARED_WITH]->(candidate:User)
+        WHERE received.storyId IN myStories
+          AND candidate <> me
+          AND coalesce(candidate.isActive, true) = true
+          AND NOT EXISTS {
+            MATCH (me)-[r]-(candidate)
+            WHERE type(r) IN $types
+          }
+        WITH candidate, count(DISTINCT received.storyId) AS score
+        ORDER BY score DESC, candidate.id
+        LIMIT toInteger($limit)
+        RETURN candidate, 2 AS source, score
+      }
+      WITH me, degree, myStories, candidate, min(source) AS bestSource,
+           max(CASE WHEN source = 0 THEN score ELSE 0 END) AS mutualCount
+      ORDER BY bestSource, mutualCount DESC, candidate.id
+      LIMIT toInteger($limit)
+      OPTIONAL MATCH (me)-[r1]-(mutual:User)-[r2]-(candidate)
+      WHERE type(r1) IN $types AND type(r2) IN $types
+      WITH me, degree, myStories, candidate, collect(DISTINCT mutual) AS mutuals
+      CALL {
+        WITH mutuals
+        UNWIND mutuals AS mutual
+        MATCH (mutual)-[r]-(other:User)
+        WHERE type(r) IN $types
+        WITH mutual, count(DISTINCT other) AS mutualDegree
+        RETURN collect(mutual {.id, .name, degree: mutualDegree}) AS mutualConnections
+      }
+      CALL {
+        WITH candidate
+        OPTIONAL MATCH (candidate)-[r]-(other:User)
+        WHERE type(r) IN $types
+        RETURN count(DISTINCT other) AS candidateDegree
+      }
+      OPTIONAL MATCH (:User)-[received:SHARED_WITH]->(candidate)
+      WHERE received.storyId IN myStories
+      RETURN candidate {.id, .name, .affiliation, .nationality} AS user,
+             candidateDegree AS degree,
+             mutualConnections,
+             count(DISTINCT received.storyId) AS coReceivedStories,
+             degree AS userDegree
+    `;
+    
+    return this.executeQuery(query, { userId, types: Object.keys(CONNECTION_TYPES), limit });
+  }
+
+  /**
+   * Get connections for a specific user
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {number} depth - The depth of connections to retrieve
+   * @returns {Promise<array>} - The user's connections
+   */
+  async getUserConnections(userId, depth = 1) {
+    const query = `
+      MATCH (user:User {id: $userId})
+      CALL {
+        WITH user
+        MATCH path = (user)-[*1..${traversalDepth(depth)}]-(connected:User)
+        WHERE user <> connected
+        RETURN path, connected
+        ORDER BY length(path)
+        LIMIT 50
+      }
+      RETURN user, collect(distinct path) as paths, collect(distinct connected) as connections
+    `;
+    
+    return this.executeQuery(query, { userId }, true);
+  }
+
+  /**
+   * Get the IDs of the users within a number of hops of a user, including the user
+   * 
+   * @param {string} userId - The ID of the user at the centre
+   * @param {number} depth - The number of hops
+   * @returns {Promise<object>} - The IDs under `ids`, or undefined if the user does not exist
+   */
+  async getNeighbourhoodIds(userId, depth = 1) {
+    const query = `
+      MATCH (user:User {id: $userId})
+      OPTIONAL MATCH (user)-[*1..${traversalDepth(depth)}]-(neighbour:User)
+      RETURN user.id + collect(DISTINCT neighbour.id) AS ids
+    `;
+    
+    return this.executeQuery(query, { userId }, true);
+  }
+
+  /**
+   * List a user's direct connections, newest first
+   * 
+   * @param {string} userId - The ID of the user
+   * @param {object} options - skip, limit and an optional decoded cursor
+   * @returns {Promise<array>} - The connected users with their relationship types
+   */
+  async getUserConnectionList(userId, { skip = 0, limit = 50, cursor = null } = {}) {
+    const query = `
+      MATCH (user:User {id: $userId})-[r]-(connected:User)
+      WHERE user <> connected AND ${cursorCondition('connected')}
+      WITH connected, collect(DISTINCT type(r)) AS relationshipTypes
+      RETURN properties(connected) AS user, relationshipTypes
+      ORDER BY connected.createdAt DESC, connected.id DESC
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+    `;
+    
+    return this.executeQuery(query, { userId, skip: parseInt(skip) || 0, limit: parseInt(limit), ...cursorParams(cursor) });
+  }
+
+  /**
+   * Count a user's direct connections
+   * 
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<number>} - The number of distinct connected users
+   */
+  async countUserConnections(userId) {
+    const query = `
+      MATCH (user:User {id: $userId})-[]-(connected:User)
+      WHERE user <> connected
+      RETURN count(DISTINCT connected) AS total
+    `;
+    
+    const result = await this.executeQuery(query, { userId }, true);
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Get connections for a specific character by name
+   * 
+   * @param {string} characterName - The name of the character
+   * @param {number} depth - The depth of connections to retrieve
+   * @returns {Promise<array>} - The character's connections
+   */
+  async getCharacterConnections(characterName, depth = 1) {
+    const query = `
+      MATCH (character:User {name: $characterName})
+      CALL {
+        WITH character
+        MATCH path = (character)-[*1..${traversalDepth(depth)}]-(connected:User)
+        WHERE character <> connected
+        RETURN path, connected
+        ORDER BY length(path)
+        LIMIT 50
+      }
+      RETURN character, collect(distinct path) as paths, collect(distinct connected) as connections
+    `;
+    
+    return this.executeQuery(query, { characterName }, true);
+  }
+
+  /**
+   * Count the nodes and relationships in the database
+   * 
+   * @returns {Promise<object>} - { nodeCount, relationshipCount, userCount, storyCount }
+   */
+  async getDatabaseStats() {
+    const query = `
+      CALL { MATCH (n) RETURN count(n) AS nodeCount }
+      CALL { MATCH ()-[r]->() RETURN count(r) AS relationshipCount }
+      CALL { MATCH (u:User) RETURN count(u) AS userCount }
+      CALL { MATCH (s:Story) RETURN count(s) AS storyCount }
+      RETURN nodeCount, relationshipCount, userCount, storyCount
+    `;
+    
+    return this.executeQuery(query, {}, true);
+  }
+
+  /**
+   * Clear the database (for testing/initialization)
+   */
+  async clearDatabase() {
+    const query = 'MATCH (n) DETACH DELETE n';
+    return this.executeQuery(query);
+  }
+}
+
+module.exports = Neo4jRepository;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const MAX_TRAVERSAL_DEPTH = 3;
+
+/**
+ * Clamp a traversal depth. The Neo4j repository interpolates it into
+ * variable-length patterns (Cypher does not accept parameters there), so it
+ * must always be a small integer.
+ *
+ * @param {*} depth - The requested depth
+ * @returns {number} - An integer between 1 and MAX_TRAVERSAL_DEPTH
+ */
+const traversalDepth = depth => Math.min(Math.max(parseInt(depth) || 1, 1), MAX_TRAVERSAL_DEPTH);
+
+module.exports = {
+  MAX_TRAVERSAL_DEPTH,
+  traversalDepth
+};
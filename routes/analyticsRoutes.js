@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { validate } = require('../middleware/validate');
+
+// Relationship types to analyse, all when omitted
+const TYPES_RULE = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9_]+(,\s*[A-Za-z0-9_]+)*$/,
+  message: 'must be a comma-separated list of relationship types'
+};
+
+/**
+ * @route GET /api/analytics/centrality
+ * @desc Rank users by degree, betweenness and/or closeness centrality
+ * @access Public
+ */
+router.get('/analytics/centrality', validate({
+  query: {
+    metric: { type: 'string', enum: ['degree', 'betweenness', 'closeness', 'all'], default: 'all' },
+    limit: { type: 'integer', min: 1, max: 500, default: 10 },
+    types: TYPES_RULE
+  }
+}), analyticsController.getCentrality);
+
+/**
+ * @route GET /api/analytics/communities
+ * @desc Detect communities (Louvain or label propagation) and the users bridging them
+ * @access Public
+ */
+router.get('/analytics/communities', validate({
+  query: {
+    algorithm: { type: 'string', enum: ['louvain', 'label-propagation'], default: 'louvain' },
+    seed: { type: 'integer', min: 0, max: 2147483647 },
+    types: TYPES_RULE
+  }
+}), analyticsController.getCommunities);
+
+/**
+ * @route GET /api/analytics/bridges
+ * @desc Find bridge relationships and articulation-point users
+ * @access Public
+ */
+router.get('/analytics/bridges', validate({
+  query: { types: TYPES_RULE }
+}), analyticsController.getBridges);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route POST /api/auth/signup
+ * @desc Register a new account and receive a token
+ * @access Public
+ */
+router.post('/auth/signup', authController.signup);
+
+/**
+ * @route POST /api/auth/login
+ * @desc Log in with email and password and receive a token
+ * @access Public
+ */
+router.post('/auth/login', authController.login);
+
+/**
+ * @route GET /api/auth/me
+ * @desc Get the authenticated user's profile
+ * @access Private
+ */
+router.get('/auth/me', authenticate, authController.getCurrentUser);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const connectionController = require('../controllers/connectionController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route GET /api/relationship-types
+ * @desc List the relationship types, directions and properties connections can have
+ * @access Public
+ */
+router.get('/relationship-types', connectionController.getRelationshipTypes);
+
+/**
+ * @route POST /api/connections
+ * @desc Create (or update) a typed connection between two users (one of the two users or admin)
+ * @access Private
+ */
+router.post('/connections', authenticate, connectionController.createConnection);
+
+/**
+ * @route DELETE /api/connections
+ * @desc Delete a typed connection between two users (one of the two users or admin)
+ * @access Private
+ */
+router.delete('/connections', authenticate, connectionController.deleteConnection);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+/**
+ * @route GET /api/export
+ * @desc Stream the User/Story graph as graphml, gexf, csv (?table=nodes|relationships), cypher or json,
+ *   optionally filtered by ?labels= (also Revision, RewardEvent, Notification), ?types= and ?activeOnly=true;
+ *   ?snapshot=true exports every label and relationship with password hashes, for a full restore
+ * @access Admin
+ */
+router.get('/export', authenticate, requireRole('admin'), exportController.exportGraph);
+
+module.exports = router;
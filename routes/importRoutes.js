@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+/**
+ * @route POST /api/import
+ * @desc Import characters, associations and stories from a JSON, CSV or JSON Lines upload
+ *   (?dataset=, ?format=, ?mapping=<json>, ?mode=atomic|batch, ?batchSize=, ?clear=true)
+ * @access Admin
+ */
+router.post('/import', authenticate, requireRole('admin'), importController.importData);
+
+module.exports = router;
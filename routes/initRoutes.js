@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const initController = require('../controllers/initController');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 /**
  * @route POST /api/init
- * @desc Initialize the database with demo data
- * @access Public
+ * @desc Initialize the database with demo data (optionally clearing it first)
+ * @access Admin
  */
-router.post('/init', initController.initializeDatabase);
+router.post('/init', authenticate, requireRole('admin'), validate({
+  query: { clear: { type: 'boolean' } },
+  body: { clear: { type: 'boolean' } }
+}), initController.initializeDatabase);
 
 /**
  * @route GET /api/init/status
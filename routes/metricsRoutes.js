@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+/**
+ * @route GET /api/metrics/network
+ * @desc Get average degrees of separation, diameter, clustering, components and degree distribution, with changes since the previous computation (cached, refreshed on a schedule)
+ * @access Public
+ */
+router.get('/metrics/network', metricsController.getNetworkMetrics);
+
+/**
+ * @route POST /api/metrics/network/refresh
+ * @desc Recompute the network metrics now
+ * @access Admin
+ */
+router.post('/metrics/network/refresh', authenticate, requireRole('admin'), metricsController.refreshNetworkMetrics);
+
+module.exports = router;
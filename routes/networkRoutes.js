@@ -1,26 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const networkController = require('../controllers/networkController');
+const { validate } = require('../middleware/validate');
+const { LAYOUT_ALGORITHMS } = require('../utils/graphLayout');
+
+// A date (YYYY-MM-DD) or an ISO datetime
+const DATE_RULE = {
+  type: 'string',
+  trim: true,
+  pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/,
+  message: 'must be a date (YYYY-MM-DD) or ISO datetime'
+};
+
+// A user property filter value
+const FILTER_RULE = { type: 'string', trim: true, maxLength: 100 };
+
+// Optional precomputed node coordinates
+const LAYOUT_RULES = {
+  layout: { type: 'string', enum: LAYOUT_ALGORITHMS },
+  seed: { type: 'integer', min: 0, max: 2147483647, default: 1 }
+};
 
 /**
  * @route GET /api/network
- * @desc Get network data for visualization
+ * @desc Get network data for visualization: the most connected users matching ?affiliation=&nationality=&gender=&types=&minDegree=, or the ego graph around ?focus=&radius=, with ?includeStories=, ?asOf= (a whole day for a bare date) and ?layout=force|circular|radial|hierarchical&seed= coordinates
+ * @access Public
+ */
+router.get('/network', validate({
+  query: {
+    limit: { type: 'integer', min: 1, max: 1000, default: 100 },
+    asOf: DATE_RULE,
+    affiliation: FILTER_RULE,
+    nationality: FILTER_RULE,
+    gender: FILTER_RULE,
+    types: { type: 'string', pattern: /^[A-Za-z0-9_]+(,\s*[A-Za-z0-9_]+)*$/, message: 'must be a comma-separated list of relationship types' },
+    minDegree: { type: 'integer', min: 0, max: 10000, default: 0 },
+    focus: { type: 'uuid' },
+    radius: { type: 'integer', min: 1, max: 3, default: 2 },
+    includeStories: { type: 'boolean', default: false },
+    ...LAYOUT_RULES
+  }
+}), networkController.getNetworkData);
+
+/**
+ * @route GET /api/network/timeline
+ * @desc Get the users and links added per ?step= (hour|day|week|month) between ?from= (default 30 days before ?to=) and ?to= (default now)
  * @access Public
  */
-router.get('/network', networkController.getNetworkData);
+router.get('/network/timeline', validate({
+  query: {
+    from: DATE_RULE,
+    to: DATE_RULE,
+    step: { type: 'string', enum: ['hour', 'day', 'week', 'month'], default: 'day' }
+  }
+}), networkController.getNetworkTimeline);
 
 /**
  * @route GET /api/path
- * @desc Find the shortest path between two nodes
+ * @desc Find the shortest path(s) between two users (?types=&maxHops=&mode=single|all|k&k=&weighted=true)
  * @access Public
  */
-router.get('/path', networkController.getPath);
+router.get('/path', validate({
+  query: {
+    source: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+    target: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 },
+    types: { type: 'string', pattern: /^[A-Za-z0-9_]+(,\s*[A-Za-z0-9_]+)*$/, message: 'must be a comma-separated list of relationship types' },
+    mode: { type: 'string', enum: ['single', 'all', 'k'], default: 'single' },
+    maxHops: { type: 'integer', min: 1, max: 15, default: 15 },
+    k: { type: 'integer', min: 1, max: 10, default: 3 },
+    weighted: { type: 'boolean', default: false }
+  }
+}), networkController.getPath);
 
 /**
  * @route GET /api/connections/:characterName
- * @desc Get connections for a specific character
+ * @desc Get connections for a specific character, with ?layout=force|circular|radial|hierarchical&seed= coordinates
  * @access Public
  */
-router.get('/connections/:characterName', networkController.getCharacterConnections);
+router.get('/connections/:characterName', validate({
+  params: { characterName: { type: 'string', required: true, maxLength: 100 } },
+  query: {
+    depth: { type: 'integer', min: 1, max: 3, default: 1 },
+    ...LAYOUT_RULES
+  }
+}), networkController.getCharacterConnections);
 
 module.exports = router;
\ No newline at end of file
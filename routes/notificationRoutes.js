@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Request schemas shared by several routes
+const userId = { id: { type: 'uuid', required: true } };
+const notificationType = { type: 'string', enum: ['share', 'mention', 'reward'] };
+
+/**
+ * @route GET /api/users/:id/notifications
+ * @desc Get a user's notifications and unread count (?unread=true&type=, page/limit or cursor pagination; the user or admin)
+ * @access Private
+ */
+router.get('/users/:id/notifications', authenticate, validate({
+  params: userId,
+  query: {
+    unread: { type: 'boolean', default: false },
+    type: notificationType,
+    page: { type: 'integer', min: 0 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 500 }
+  }
+}), notificationController.getNotifications);
+
+/**
+ * @route POST /api/users/:id/notifications/read-all
+ * @desc Mark all of a user's notifications as read, optionally only one ?type= (the user or admin)
+ * @access Private
+ */
+router.post('/users/:id/notifications/read-all', authenticate, validate({
+  params: userId,
+  query: { type: notificationType }
+}), notificationController.markAllNotificationsRead);
+
+/**
+ * @route POST /api/users/:id/notifications/:notificationId/read
+ * @desc Mark a notification as read (the user or admin)
+ * @access Private
+ */
+router.post('/users/:id/notifications/:notificationId/read', authenticate, validate({
+  params: { ...userId, notificationId: { type: 'uuid', required: true } }
+}), notificationController.markNotificationRead);
+
+/**
+ * @route GET /api/users/:id/notification-preferences
+ * @desc Get which notification types a user receives (the user or admin)
+ * @access Private
+ */
+router.get('/users/:id/notification-preferences', authenticate, validate({
+  params: userId
+}), notificationController.getPreferences);
+
+/**
+ * @route PATCH /api/users/:id/notification-preferences
+ * @desc Turn notification types on or off, e.g. { "reward": false } (the user or admin)
+ * @access Private
+ */
+router.patch('/users/:id/notification-preferences', authenticate, validate({
+  params: userId,
+  body: {
+    share: { type: 'boolean' },
+    mention: { type: 'boolean' },
+    reward: { type: 'boolean' }
+  }
+}), notificationController.updatePreferences);
+
+module.exports = router;
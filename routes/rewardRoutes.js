@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const rewardController = require('../controllers/rewardController');
+const { validate } = require('../middleware/validate');
+
+/**
+ * @route GET /api/users/:id/points
+ * @desc Get a user's points balance and reward history (page/limit or cursor pagination)
+ * @access Public
+ */
+router.get('/users/:id/points', validate({
+  params: { id: { type: 'uuid', required: true } },
+  query: {
+    page: { type: 'integer', min: 0 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 500 }
+  }
+}), rewardController.getUserPoints);
+
+/**
+ * @route GET /api/leaderboard
+ * @desc Rank users by points earned in a window (week, month or all)
+ * @access Public
+ */
+router.get('/leaderboard', validate({
+  query: {
+    window: { type: 'string', enum: ['week', 'month', 'all'], default: 'all' },
+    limit: { type: 'integer', min: 1, max: 100, default: 10 }
+  }
+}), rewardController.getLeaderboard);
+
+module.exports = router;
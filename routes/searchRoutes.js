@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { validate } = require('../middleware/validate');
+
+/**
+ * @route GET /api/search
+ * @desc Fuzzy full-text search over stories and users (?q=&type=story,user&limit=&fuzzy=)
+ * @access Public
+ */
+router.get('/search', validate({
+  query: {
+    q: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200 },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 },
+    fuzzy: { type: 'boolean', default: true }
+  }
+}), searchController.search);
+
+module.exports = router;
@@ -1,33 +1,150 @@
 const express = require('express');
 const router = express.Router();
 const storyController = require('../controllers/storyController');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { LAYOUT_ALGORITHMS } = require('../utils/graphLayout');
+
+// Request schemas shared by several routes
+const storyId = { id: { type: 'uuid', required: true } };
+const storyVersion = { type: 'string', pattern: /^([1-9]\d*|current)$/, message: "must be a version number or 'current'" };
+const title = { type: 'string', trim: true, minLength: 1, maxLength: 200 };
+const content = { type: 'string', minLength: 1, maxLength: 50000 };
 
 /**
  * @route GET /api/stories
- * @desc Get all stories with pagination
+ * @desc Get all stories (page/limit, or cursor pagination by passing cursor)
  * @access Public
  */
-router.get('/stories', storyController.getStories);
+router.get('/stories', validate({
+  query: {
+    page: { type: 'integer', min: 0 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 500 }
+  }
+}), storyController.getStories);
 
 /**
  * @route GET /api/stories/:id
  * @desc Get a specific story by ID
  * @access Public
  */
-router.get('/stories/:id', storyController.getStoryById);
+router.get('/stories/:id', validate({ params: storyId }), storyController.getStoryById);
 
 /**
- * @route POST /api/stories
- * @desc Create a new story
+ * @route GET /api/stories/:id/cascade
+ * @desc Get the story's share cascade as a D3 hierarchy with per-level stats, with ?layout=force|circular|radial|hierarchical&seed= coordinates
  * @access Public
  */
-router.post('/stories', storyController.createStory);
+router.get('/stories/:id/cascade', validate({
+  params: storyId,
+  query: {
+    layout: { type: 'string', enum: LAYOUT_ALGORITHMS },
+    seed: { type: 'integer', min: 0, max: 2147483647, default: 1 }
+  }
+}), storyController.getStoryCascade);
+
+/**
+ * @route GET /api/stories/:id/share-suggestions
+ * @desc Rank users within ?depth= hops of ?senderId= by the path reduction and reward points sharing the story with them would earn
+ * @access Public
+ */
+router.get('/stories/:id/share-suggestions', validate({
+  params: storyId,
+  query: {
+    senderId: { type: 'uuid', required: true },
+    depth: { type: 'integer', min: 1, max: 3, default: 2 },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 }
+  }
+}), storyController.getShareSuggestions);
+
+/**
+ * @route POST /api/stories
+ * @desc Create a new story authored by the authenticated user
+ * @access Private
+ */
+router.post('/stories', authenticate, validate({
+  body: {
+    title: { ...title, required: true },
+    content: { ...content, required: true }
+  }
+}), storyController.createStory);
 
 /**
  * @route POST /api/stories/share
- * @desc Share a story with another user
+ * @desc Share a story from the authenticated user to another user
+ * @access Private
+ */
+router.post('/stories/share', authenticate, validate({
+  body: {
+    storyId: { type: 'uuid', required: true },
+    receiverId: { type: 'uuid', required: true }
+  }
+}), storyController.shareStory);
+
+/**
+ * @route PUT /api/stories/:id
+ * @desc Replace a story's title and content (author only)
+ * @access Private
+ */
+router.put('/stories/:id', authenticate, validate({
+  params: storyId,
+  body: {
+    title: { ...title, required: true },
+    content: { ...content, required: true }
+  }
+}), storyController.replaceStory);
+
+/**
+ * @route PATCH /api/stories/:id
+ * @desc Partially update a story (author only)
+ * @access Private
+ */
+router.patch('/stories/:id', authenticate, validate({
+  params: storyId,
+  body: { title, content }
+}), storyController.updateStory);
+
+/**
+ * @route DELETE /api/stories/:id
+ * @desc Delete a story with its revisions and shares (author or admin)
+ * @access Private
+ */
+router.delete('/stories/:id', authenticate, validate({ params: storyId }), storyController.deleteStory);
+
+/**
+ * @route GET /api/stories/:id/revisions
+ * @desc List the revision history of a story
+ * @access Public
+ */
+router.get('/stories/:id/revisions', validate({ params: storyId }), storyController.getStoryRevisions);
+
+/**
+ * @route GET /api/stories/:id/revisions/:version
+ * @desc Get a single revision of a story
+ * @access Public
+ */
+router.get('/stories/:id/revisions/:version', validate({
+  params: { ...storyId, version: { ...storyVersion, required: true } }
+}), storyController.getStoryRevision);
+
+/**
+ * @route GET /api/stories/:id/revisions/:version/diff
+ * @desc Diff a revision against another revision (?against=) or the current story
  * @access Public
  */
-router.post('/stories/share', storyController.shareStory);
+router.get('/stories/:id/revisions/:version/diff', validate({
+  params: { ...storyId, version: { ...storyVersion, required: true } },
+  query: { against: { ...storyVersion, default: 'current' } }
+}), storyController.diffStoryRevision);
+
+/**
+ * @route POST /api/stories/:id/revisions/:version/restore
+ * @desc Restore a story to a previous revision (author only)
+ * @access Private
+ */
+router.post('/stories/:id/revisions/:version/restore', authenticate, validate({
+  params: { ...storyId, version: { type: 'integer', required: true, min: 1 } }
+}), storyController.restoreStoryRevision);
 
 module.exports = router;
\ No newline at end of file
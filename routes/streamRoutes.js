@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const { validate } = require('../middleware/validate');
+
+const UUID_LIST = /^[0-9a-f-]{36}(,\s*[0-9a-f-]{36})*$/i;
+
+/**
+ * @route GET /api/stream
+ * @desc Live network events as Server-Sent Events (story.created|updated|shared, connection.created|updated|deleted), filtered by ?users=&stories=&neighbourhood=&depth=&types=
+ * @access Public
+ */
+router.get('/stream', validate({
+  query: {
+    users: { type: 'string', pattern: UUID_LIST, message: 'must be a comma-separated list of user IDs' },
+    stories: { type: 'string', pattern: UUID_LIST, message: 'must be a comma-separated list of story IDs' },
+    neighbourhood: { type: 'uuid' },
+    depth: { type: 'integer', min: 1, max: 2, default: 1 },
+    types: {
+      type: 'string',
+      pattern: /^(story\.(created|updated|shared)|connection\.(created|updated|deleted))(,\s*(story\.(created|updated|shared)|connection\.(created|updated|deleted)))*$/,
+      message: 'must be a comma-separated list of event types'
+    }
+  }
+}), streamController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const userId = { id: { type: 'uuid', required: true } };
+
+// page/limit, or cursor pagination when cursor is passed (empty for the first page)
+const PAGINATION_RULES = {
+  page: { type: 'integer', min: 0 },
+  limit: { type: 'integer', min: 1, max: 100 },
+  cursor: { type: 'string', maxLength: 500 }
+};
+
+/**
+ * @route GET /api/users
+ * @desc Get all users newest first (page/limit, or cursor pagination by passing cursor)
+ * @access Public
+ */
+router.get('/users', validate({
+  query: {
+    ...PAGINATION_RULES,
+    includeInactive: { type: 'boolean', default: false }
+  }
+}), userController.getUsers);
+
+/**
+ * @route GET /api/users/name/:name
+ * @desc Get a specific user by name (case-insensitive)
+ * @access Public
+ */
+router.get('/users/name/:name', validate({
+  params: { name: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100 } }
+}), userController.getUserByName);
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a specific user by ID
+ * @access Public
+ */
+router.get('/users/:id', validate({ params: userId }), userController.getUserById);
+
+/**
+ * @route GET /api/users/:id/connections
+ * @desc List a user's direct connections (page/limit or cursor pagination)
+ * @access Public
+ */
+router.get('/users/:id/connections', validate({
+  params: userId,
+  query: PAGINATION_RULES
+}), userController.getUserConnections);
+
+/**
+ * @route GET /api/users/:id/feed
+ * @desc Get stories the user's network (within ?depth= hops) is passing around, ranked by proximity, recency and share velocity
+ * @access Public
+ */
+router.get('/users/:id/feed', validate({
+  params: userId,
+  query: {
+    depth: { type: 'integer', min: 1, max: 3, default: 2 },
+    page: { type: 'integer', min: 0 },
+    limit: { type: 'integer', min: 1, max: 50 }
+  }
+}), userController.getUserFeed);
+
+/**
+ * @route GET /api/users/:id/recommendations
+ * @desc Recommend people the user is not connected to, scored by mutual connections, shared affiliation/nationality and co-received stories
+ * @access Public
+ */
+router.get('/users/:id/recommendations', validate({
+  params: userId,
+  query: { limit: { type: 'integer', min: 1, max: 50, default: 10 } }
+}), userController.getConnectionRecommendations);
+
+/**
+ * @route POST /api/users
+ * @desc Create a new user without credentials (e.g. a seeded character)
+ * @access Admin
+ */
+router.post('/users', authenticate, requireRole('admin'), userController.createUser);
+
+/**
+ * @route PUT /api/users/:id
+ * @desc Replace a user's editable fields (self or admin)
+ * @access Private
+ */
+router.put('/users/:id', authenticate, validate({ params: userId }), userController.replaceUser);
+
+/**
+ * @route PATCH /api/users/:id
+ * @desc Partially update a user (self or admin)
+ * @access Private
+ */
+router.patch('/users/:id', authenticate, validate({ params: userId }), userController.updateUser);
+
+/**
+ * @route DELETE /api/users/:id
+ * @desc Deactivate a user (self or admin), or delete permanently with ?permanent=true (admin)
+ * @access Private
+ */
+router.delete('/users/:id', authenticate, validate({
+  params: userId,
+  query: { permanent: { type: 'boolean', default: false } }
+}), userController.deleteUser);
+
+module.exports = router;
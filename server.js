@@ -6,28 +6,43 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { errorHandler } = require('./utils/errorHandler');
 const { logger, requestLogger } = require('./utils/logger');
-const db = require('./config/db');
+const neo4jService = require('./services/neo4jService');
 
 // Import routes
 const networkRoutes = require('./routes/networkRoutes');
 const storyRoutes = require('./routes/storyRoutes');
 const initRoutes = require('./routes/initRoutes');
+const userRoutes = require('./routes/userRoutes');
+const authRoutes = require('./routes/authRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const rewardRoutes = require('./routes/rewardRoutes');
+const importRoutes = require('./routes/importRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const connectionRoutes = require('./routes/connectionRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const streamService = require('./services/streamService');
+const metricsService = require('./services/metricsService');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Verify database connectivity
-db.verifyConnectivity()
+neo4jService.verifyConnectivity()
   .then(connected => {
     if (connected) {
       // Initialize database schema (create constraints and indexes)
-      return db.initializeDbSchema();
+      return neo4jService.initializeSchema();
     } else {
       logger.error('Unable to connect to Neo4j database. Check your connection settings.');
       process.exit(1);
     }
   })
+  // Start the scheduled network metrics once the schema is in place
+  .then(() => metricsService.start())
   .catch(error => {
     logger.error(`Database initialization error: ${error.message}`);
     process.exit(1);
@@ -51,9 +66,16 @@ const limiter = rateLimit({
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
+// Imports accept larger uploads, as JSON or as raw CSV/JSON Lines text
+const importLimit = process.env.IMPORT_MAX_SIZE || '10mb';
+app.use('/api/import', express.json({ limit: importLimit }));
+app.use('/api/import', express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+  limit: importLimit
+}));
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } })); // HTTP request logging
@@ -64,6 +86,17 @@ app.use(limiter); // Rate limiting
 app.use('/api', networkRoutes);
 app.use('/api', storyRoutes);
 app.use('/api', initRoutes);
+app.use('/api', userRoutes);
+app.use('/api', authRoutes);
+app.use('/api', searchRoutes);
+app.use('/api', analyticsRoutes);
+app.use('/api', rewardRoutes);
+app.use('/api', importRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', connectionRoutes);
+app.use('/api', streamRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', metricsRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -80,12 +113,37 @@ app.get('/', (req, res) => {
     message: 'StoryBridge API',
     version: '1.0.0',
     endpoints: {
-      network: '/api/network',
+      network: '/api/network?focus=&radius=&affiliation=&minDegree=&includeStories=&asOf=&layout=',
+      networkTimeline: '/api/network/timeline?from=&to=&step=day',
       path: '/api/path?source=X&target=Y',
       stories: '/api/stories',
       shareStory: '/api/stories/share',
+      storyRevisions: '/api/stories/:id/revisions',
+      storyCascade: '/api/stories/:id/cascade',
+      shareSuggestions: '/api/stories/:id/share-suggestions?senderId=X',
       characterConnections: '/api/connections/:characterName',
+      connections: '/api/connections',
+      relationshipTypes: '/api/relationship-types',
+      search: '/api/search?q=X',
+      centrality: '/api/analytics/centrality',
+      communities: '/api/analytics/communities',
+      bridges: '/api/analytics/bridges',
+      networkMetrics: '/api/metrics/network',
+      leaderboard: '/api/leaderboard?window=week|month|all',
+      signup: '/api/auth/signup',
+      login: '/api/auth/login',
+      currentUser: '/api/auth/me',
+      users: '/api/users',
+      userByName: '/api/users/name/:name',
+      userPoints: '/api/users/:id/points',
+      userFeed: '/api/users/:id/feed',
+      userRecommendations: '/api/users/:id/recommendations',
+      notifications: '/api/users/:id/notifications',
+      notificationPreferences: '/api/users/:id/notification-preferences',
       initialize: '/api/init',
+      import: '/api/import',
+      export: '/api/export?format=graphml|gexf|csv|cypher|json',
+      stream: '/api/stream?users=&stories=&neighbourhood=',
       status: '/api/init/status',
       health: '/health'
     }
@@ -127,9 +185,14 @@ const gracefulShutdown = async () => {
   logger.info('Shutting down gracefully...');
   
   try {
-    // Close the Neo4j driver
-    await db.driver.close();
-    logger.info('Neo4j connection closed');
+    // End open event streams so clients reconnect elsewhere
+    streamService.closeAll();
+    
+    // Stop the metrics schedule
+    metricsService.stop();
+    
+    // Close the database connection
+    await neo4jService.close();
     
     // Exit with success
     process.exit(0);
@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const neo4jService = require('./neo4jService');
+const eventService = require('./eventService');
+const { logger } = require('../utils/logger');
+const {
+  createGraph,
+  degreeCentrality,
+  closenessCentrality,
+  betweennessCentrality,
+  labelPropagation,
+  louvain,
+  modularity,
+  findBridges,
+  kShortestPaths,
+  pathCost,
+  connectedComponents,
+  clusteringCoefficients,
+  distanceStatistics
+} = require('../utils/graphAlgorithms');
+const { pairKey, computeTieStrengths } = require('../utils/tieStrength');
+
+// Above this many users betweenness, closeness and path lengths are approximated from a sample of sources
+const EXACT_BETWEENNESS_LIMIT = 1000;
+const BETWEENNESS_SAMPLES = 500;
+
+// How long a loaded user graph is reused before it is read again; changes
+// published on the event bus drop it sooner
+const GRAPH_CACHE_MS = process.env.ANALYTICS_GRAPH_CACHE_MS !== undefined
+  ? parseInt(process.env.ANALYTICS_GRAPH_CACHE_MS) || 0
+  : 60 * 1000;
+
+// Analysis results kept per graph version, least recently used evicted first
+const RESULT_CACHE_SIZE = 100;
+
+/**
+ * Runs graph algorithms over the user graph. Loaded graphs are cached for a
+ * short while and every result is cached by graph version (a hash of the
+ * users and relationships), so repeated requests on an unchanged network do
+ * not reload it or rerun the algorithms.
+ */
+class AnalyticsService {
+  constructor() {
+    this.graphs = new Map();
+    this.results = new Map();
+
+    // Any published change (shares, connections, users) may alter the user graph
+    eventService.on('event', () => this.graphs.clear());
+  }
+
+  /**
+   * Hash the users and relationships of a user graph
+   *
+   * @param {object} data - { nodes, edges } from neo4jService.getUserGraph
+   * @returns {string} - The graph version
+   */
+  graphVersion(data) {
+    const hash = crypto.createHash('sha1');
+
+    hash.update(data.nodes.map(node => `${node.id}|${node.name}`).sort().join('\n'));
+    hash.update('\n--\n');
+    hash.update(data.edges
+      .map(edge => [edge.source, edge.target, edge.type, edge.timestamp, edge.strength].join('|'))
+      .sort()
+      .join('\n'));
+
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Load the active user graph, reusing a recently loaded one
+   *
+   * @param {Array<string>} types - Relationship types to include, or null for all
+   * @param {object} options - Set `refresh` to read the graph again even if a recent one is cached
+   * @returns {Promise<object>} - A graph from createGraph, with its `version`
+   */
+  async loadGraph(types = null, { refresh = false } = {}) {
+    const key = types ? [...types].sort().join(',') : '*';
+    const cached = this.graphs.get(key);
+
+    if (cached && !refresh && Date.now() - cached.loadedAt < GRAPH_CACHE_MS) {
+      return cached.graph;
+    }
+
+    const data = await neo4jService.getUserGraph(types);
+    const graph = createGraph(data.nodes, data.edges);
+
+    // Keep the original relationships so path hops can report their type and direction
+    graph.edges = data.edges;
+    graph.version = this.graphVersion(data);
+
+    this.graphs.set(key, { graph, loadedAt: Date.now() });
+
+    logger.debug(`Loaded user graph ${graph.version} with ${graph.nodes.length} nodes for analysis`);
+
+    return graph;
+  }
+
+  /**
+   * Compute a result once per graph version and parameters
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @param {string} name - The analysis name
+   * @param {object} params - The parameters the result depends on
+   * @param {Function} compute - () => result
+   * @returns {*} - The cached or computed result
+   */
+  cached(graph, name, params, compute) {
+    const key = `${graph.version}:${name}:${JSON.stringify(params)}`;
+
+    if (this.results.has(key)) {
+      const result = this.results.get(key);
+
+      // Refresh its place in the eviction order
+      this.results.delete(key);
+      this.results.set(key, result);
+
+      return result;
+    }
+
+    const result = compute();
+
+    this.results.set(key, result);
+    if (this.results.size > RESULT_CACHE_SIZE) {
+      this.results.delete(this.results.keys().next().value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Count the undirected edges of a graph
+   *
+   * @param {object} graph - A graph from createGraph
+   * @returns {number} - The number of edges
+   */
+  countEdges(graph) {
+    return graph.adjacency.reduce((sum, neighbours) => sum + neighbours.size, 0) / 2;
+  }
+
+  /**
+   * Compute centrality scores for every user
+   *
+   * @param {object} options - `metric` (degree|betweenness|closeness|all) to rank by, `types`, `limit`
+   * @returns {Promise<object>} - The ranked users with their scores
+   */
+  async getCentrality({ metric = 'all', types = null, limit = 10 } = {}) {
+    const graph = await this.loadGraph(types);
+
+    return this.cached(graph, 'centrality', { metric, limit }, () => this.computeCentrality(graph, { metric, limit }));
+  }
+
+  /**
+   * Compute and rank centrality scores over a loaded graph
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @param {object} options - `metric` and `limit`, see getCentrality
+   * @returns {object} - The ranked users with their scores
+   */
+  computeCentrality(graph, { metric, limit }) {
+    const n = graph.nodes.length;
+    const metrics = metric === 'all' ? ['degree', 'betweenness', 'closeness'] : [metric];
+    const approximate = metrics.some(name => name !== 'degree') && n > EXACT_BETWEENNESS_LIMIT;
+    const sampling = approximate ? { samples: BETWEENNESS_SAMPLES } : {};
+
+    const scores = {};
+    if (metrics.includes('degree')) {
+      scores.degree = degreeCentrality(graph);
+    }
+    if (metrics.includes('betweenness')) {
+      scores.betweenness = betweennessCentrality(graph, sampling);
+    }
+    if (metrics.includes('closeness')) {
+      scores.closeness = closenessCentrality(graph, sampling);
+    }
+
+    // Rank by betweenness when all metrics are requested: it best captures bridging
+    const rankBy = metric === 'all' ? 'betweenness' : metric;
+
+    const users = graph.nodes.map((node, i) => {
+      const user = { id: node.id, name: node.name, connections: graph.adjacency[i].size };
+      metrics.forEach(name => {
+        user[name] = scores[name][i];
+      });
+      return user;
+    });
+
+    users.sort((a, b) => b[rankBy] - a[rankBy] || b.connections - a.connections);
+
+    return {
+      metrics,
+      rankedBy: rankBy,
+      approximate,
+      nodeCount: n,
+      edgeCount: this.countEdges(graph),
+      users: users.slice(0, limit)
+    };
+  }
+
+  /**
+   * Detect communities of users
+   *
+   * @param {object} options - `algorithm` (louvain|label-propagation), `types`, `seed`
+   * @returns {Promise<object>} - The communities, per-user assignments and bridging users
+   */
+  async getCommunities({ algorithm = 'louvain', types = null, seed } = {}) {
+    const graph = await this.loadGraph(types);
+
+    return this.cached(graph, 'communities', { algorithm, seed }, () => this.computeCommunities(graph, { algorithm, seed }));
+  }
+
+  /**
+   * Detect communities over a loaded graph
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @param {object} options - `algorithm` and `seed`, see getCommunities
+   * @returns {object} - The communities, per-user assignments and bridging users
+   */
+  computeCommunities(graph, { algorithm, seed }) {
+    const labels = algorithm === 'label-propagation'
+      ? labelPropagation(graph, seed !== undefined ? { seed } : {})
+      : louvain(graph);
+
+    const communities = [];
+    labels.forEach((label, i) => {
+      if (!communities[label]) {
+        communities[label] = { id: label, size: 0, members: [] };
+      }
+      communities[label].size++;
+      communities[label].members.push({ id: graph.nodes[i].id, name: graph.nodes[i].name });
+    });
+
+    // Users whose neighbours belong to other communities connect those clusters
+    const bridgingUsers = graph.nodes
+      .map((node, i) => {
+        const reached = new Set([...graph.adjacency[i]].map(j => labels[j]));
+        reached.delete(labels[i]);
+        return {
+          id: node.id,
+          name: node.name,
+          community: labels[i],
+          connectsCommunities: [...reached].sort((a, b) => a - b)
+        };
+      })
+      .filter(user => user.connectsCommunities.length > 0)
+      .sort((a, b) => b.connectsCommunities.length - a.connectsCommunities.length);
+
+    return {
+      algorithm,
+      modularity: modularity(graph, labels),
+      nodeCount: graph.nodes.length,
+      edgeCount: this.countEdges(graph),
+      communityCount: communities.length,
+      communities,
+      assignments: Object.fromEntries(graph.nodes.map((node, i) => [node.id, labels[i]])),
+      bridgingUsers
+    };
+  }
+
+  /**
+   * Find the relationships and users whose removal would disconnect the network
+   *
+   * @param {object} options - `types`
+   * @returns {Promise<object>} - Bridges and articulation points
+   */
+  async getBridges({ types = null } = {}) {
+    const graph = await this.loadGraph(types);
+
+    return this.cached(graph, 'bridges', {}, () => this.computeBridges(graph));
+  }
+
+  /**
+   * Find bridges and articulation points over a loaded graph
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @returns {object} - Bridges and articulation points
+   */
+  computeBridges(graph) {
+    const { bridges, articulationPoints } = findBridges(graph);
+    const describe = i => ({ id: graph.nodes[i].id, name: graph.nodes[i].name });
+
+    return {
+      nodeCount: graph.nodes.length,
+      edgeCount: this.countEdges(graph),
+      bridges: bridges
+        .map(bridge => ({
+          source: describe(bridge.source),
+          target: describe(bridge.target),
+          separatedSizes: bridge.sizes
+        }))
+        .sort((a, b) => Math.min(...b.separatedSizes) - Math.min(...a.separatedSizes)),
+      articulationPoints: articulationPoints
+        .map(point => ({
+          user: describe(point.node),
+          separatedGroupSizes: point.groupSizes
+        }))
+        .sort((a, b) => b.separatedGroupSizes[1] - a.separatedGroupSizes[1])
+    };
+  }
+
+  /**
+   * Compute network-wide structure metrics: degrees of separation, diameter,
+   * clustering, connected components and the degree distribution
+   *
+   * @param {object} options - `types`, and `refresh` to read the graph again rather than reuse a recent one
+   * @returns {Promise<object>} - The metrics; path lengths are estimated from
+   *   sampled sources on large graphs (`approximate`), making the diameter a lower bound
+   */
+  async getNetworkMetrics({ types = null, refresh = false } = {}) {
+    const graph = await this.loadGraph(types, { refresh });
+
+    return this.cached(graph, 'networkMetrics', {}, () => this.computeNetworkMetrics(graph));
+  }
+
+  /**
+   * Compute the network-wide structure metrics over a loaded graph
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @returns {object} - The metrics, see getNetworkMetrics
+   */
+  computeNetworkMetrics(graph) {
+    const n = graph.nodes.length;
+    const approximate = n > EXACT_BETWEENNESS_LIMIT;
+    const round = value => Math.round(value * 10000) / 10000;
+
+    const distances = distanceStatistics(graph, approximate ? { samples: BETWEENNESS_SAMPLES } : {});
+    const clustering = clusteringCoefficients(graph);
+    const components = connectedComponents(graph);
+    const edgeCount = this.countEdges(graph);
+
+    // Tally how many items share each value, as [{ [key]: value, count }] in ascending order
+    const histogram = (values, key) => {
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return [...counts].sort((a, b) => a[0] - b[0]).map(([value, count]) => ({ [key]: value, count }));
+    };
+
+    return {
+      approximate,
+      nodeCount: n,
+      edgeCount,
+      averageDegree: n ? round((2 * edgeCount) / n) : 0,
+      averagePathLength: round(distances.averagePathLength),
+      diameter: distances.diameter,
+      separationDistribution: distances.histogram
+        .map((pairs, distance) => ({ distance, pairs }))
+        .filter(entry => entry.distance > 0),
+      averageClustering: n ? round(clustering.reduce((sum, value) => sum + value, 0) / n) : 0,
+      components: {
+        count: components.length,
+        largest: components.length ? components[0].length : 0,
+        isolated: components.filter(component => component.length === 1).length,
+        sizes: histogram(components.map(component => component.length), 'size')
+      },
+      degreeDistribution: histogram(graph.adjacency.map(neighbours => neighbours.size), 'degree')
+    };
+  }
+
+  /**
+   * Find the k shortest loopless paths between two users. With `weighted`,
+   * hops cost 1 / tie strength so the strongest-tie routes rank first.
+   *
+   * @param {string} sourceId - The ID of the source user
+   * @param {string} targetId - The ID of the target user
+   * @param {object} options - `k`, `types`, `maxHops` and `weighted`
+   * @returns {Promise<array>} - Paths as `nodes` ({id, name}) and `relationships` ({type, source, target}),
+   *   in the same shape as neo4jService.findShortestPaths; weighted paths also carry
+   *   `cost` and per-relationship `strength`
+   */
+  async findKShortestPaths(sourceId, targetId, { k = 3, types = null, maxHops = 15, weighted = false } = {}) {
+    const graph = await this.loadGraph(types);
+    const source = graph.index.get(sourceId);
+    const target = graph.index.get(targetId);
+
+    if (source === undefined || target === undefined) {
+      return [];
+    }
+
+    return this.cached(graph, 'paths', { sourceId, targetId, k, maxHops, weighted }, () => (
+      this.computeKShortestPaths(graph, source, target, { k, maxHops, weighted })
+    ));
+  }
+
+  /**
+   * Find the k shortest loopless paths over a loaded graph
+   *
+   * @param {object} graph - A graph from loadGraph
+   * @param {number} source - The source node index
+   * @param {number} target - The target node index
+   * @param {object} options - `k`, `maxHops` and `weighted`, see findKShortestPaths
+   * @returns {Array} - The paths
+   */
+  computeKShortestPaths(graph, source, target, { k, maxHops, weighted }) {
+    // First relationship found between each pair of users, in either direction;
+    // kept on the cached graph along with its tie strengths
+    if (!graph.hops) {
+      graph.hops = new Map();
+      for (const edge of graph.edges) {
+        const key = pairKey(edge.source, edge.target);
+        if (!graph.hops.has(key)) {
+          graph.hops.set(key, edge);
+        }
+      }
+    }
+
+    if (weighted && !graph.ties) {
+      graph.ties = computeTieStrengths(graph.edges);
+    }
+
+    const { hops, ties } = graph;
+    const strengthBetween = (a, b) => ties.get(pairKey(a, b)).strength;
+    const cost = weighted
+      ? (i, j) => 1 / strengthBetween(graph.nodes[i].id, graph.nodes[j].id)
+      : null;
+
+    return kShortestPaths(graph, source, target, { k, maxHops, cost }).map(path => {
+      const nodes = path.map(i => ({ id: graph.nodes[i].id, name: graph.nodes[i].name }));
+      const relationships = nodes.slice(1).map((node, i) => {
+        const edge = hops.get(pairKey(nodes[i].id, node.id));
+        return {
+          type: edge.type,
+          source: edge.source,
+          target: edge.target,
+          ...(weighted && { strength: strengthBetween(nodes[i].id, node.id) })
+        };
+      });
+
+      return weighted
+        ? { nodes, relationships, cost: pathCost(path, cost) }
+        : { nodes, relationships };
+    });
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+const { ApiError } = require('../utils/errorHandler');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+class AuthService {
+  constructor() {
+    this.expiresIn = process.env.JWT_EXPIRES_IN || '1d';
+    this.adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the secret used to sign tokens
+   *
+   * @returns {string} - The JWT secret
+   */
+  getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw ApiError.internalServer('JWT_SECRET is not configured');
+    }
+
+    if (!this.warnedAboutSecret) {
+      logger.warn('JWT_SECRET is not set, using an insecure development secret');
+      this.warnedAboutSecret = true;
+    }
+
+    return 'storybridge-development-secret';
+  }
+
+  /**
+   * Hash a password with a random salt
+   *
+   * @param {string} password - The plain-text password
+   * @returns {Promise<string>} - The encoded hash (scrypt$salt$hash)
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   *
+   * @param {string} password - The plain-text password
+   * @param {string} storedHash - The encoded hash from hashPassword
+   * @returns {Promise<boolean>} - Whether the password matches
+   */
+  async verifyPassword(password, storedHash) {
+    if (!storedHash || typeof storedHash !== 'string') {
+      return false;
+    }
+
+    const [scheme, salt, hash] = storedHash.split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Determine the role a new account should receive
+   *
+   * @param {string} email - The email the account signs up with
+   * @returns {string} - 'admin' for emails listed in ADMIN_EMAILS, otherwise 'user'
+   */
+  getRoleForEmail(email) {
+    return this.adminEmails.includes(String(email).toLowerCase()) ? 'admin' : 'user';
+  }
+
+  /**
+   * Issue a signed token for a user
+   *
+   * @param {object} user - The user properties (id, role)
+   * @returns {string} - The signed JWT
+   */
+  signToken(user) {
+    return jwt.sign(
+      { sub: user.id, role: user.role || 'user' },
+      this.getSecret(),
+      { expiresIn: this.expiresIn }
+    );
+  }
+
+  /**
+   * Verify a token and return its payload
+   *
+   * @param {string} token - The JWT to verify
+   * @returns {object} - The decoded payload
+   */
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, this.getSecret());
+    } catch (error) {
+      throw ApiError.unauthorized(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+    }
+  }
+}
+
+module.exports = new AuthService();
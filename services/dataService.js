@@ -1,184 +1,56 @@
-const { v4: uuidv4 } = require('uuid');
-const { logger } = require('../utils/logger');
-const neo4jService = require('./neo4jService');
+const { toPublicUser } = require('../utils/publicUser');
+
+// Feed ranking: relative weight of each signal, and how fast recency decays
+const FEED_WEIGHTS = {
+  proximity: 0.5,
+  recency: 0.3,
+  velocity: 0.2
+};
+const FEED_HALF_LIFE_HOURS = 48;
+
+// Connection recommendations: weight of each similarity signal
+const RECOMMENDATION_WEIGHTS = {
+  adamicAdar: 1,
+  jaccard: 2,
+  sharedProperty: 0.5,
+  coReceivedStory: 0.25
+};
+
+// Profile properties compared for recommendations; values like "Andoran/Aiel" hold several
+const SHARED_PROPERTIES = ['affiliation', 'nationality'];
+
+// Reward points per hop a share cuts from the author-receiver path
+const POINTS_PER_HOP_REDUCTION = 10;
+
+// Network timeline steps and how to advance a UTC date by one of them
+const TIMELINE_STEPS = {
+  hour: date => date.setUTCHours(date.getUTCHours() + 1),
+  day: date => date.setUTCDate(date.getUTCDate() + 1),
+  week: date => date.setUTCDate(date.getUTCDate() + 7),
+  month: date => date.setUTCMonth(date.getUTCMonth() + 1)
+};
 
 class DataService {
   /**
-   * Initialize the database with demo data from Wheel of Time characters
+   * Format a user's public properties for the frontend. Credentials and
+   * preferences such as muted notification types are never included.
    * 
-   * @param {Array} characters - The character data to import
-   * @returns {Promise<object>} - Summary of the import
+   * @param {object} user - Raw user properties
+   * @param {object} options - Set `includePrivate` to add the email and role (own profile/admins)
+   * @returns {object} - Formatted user
    */
-  async initializeWithWotData(characters) {
-    if (!characters || !Array.isArray(characters)) {
-      logger.error('Invalid or missing characters data for initialization');
-      throw new Error('Invalid characters data');
-    }
-
-    logger.info(`Starting database initialization with ${characters.length} characters`);
-    
-    const summary = {
-      characters: 0,
-      relationships: 0,
-      stories: 0
+  formatUser(user, { includePrivate = false } = {}) {
+    return {
+      ...toPublicUser(user),
+      ...(includePrivate && { email: user.email || null, role: user.role || 'user' }),
+      createdAt: user.createdAt ? user.createdAt.toString() : null,
+      updatedAt: user.updatedAt ? user.updatedAt.toString() : undefined,
+      deactivatedAt: user.deactivatedAt ? user.deactivatedAt.toString() : undefined
     };
-    
-    try {
-      // First, create all character nodes
-      for (const character of characters) {
-        if (!character || !character.name) {
-          logger.warn('Skipping invalid character without name');
-          continue;
-        }
-
-        // Generate a unique ID for each character
-        const userId = uuidv4();
-        
-        try {
-          await neo4jService.createUser({
-            id: userId,
-            name: character.name,
-            bio: character.description || `A character from the Wheel of Time series`,
-            // Store original data for reference
-            affiliation: character.affiliation || 'Unknown',
-            nationality: character.nationality || 'Unknown',
-            gender: character.gender || 'Unknown'
-          });
-          
-          // Add character ID for later reference
-          character.id = userId;
-          summary.characters++;
-        } catch (error) {
-          logger.error(`Error creating user ${character.name}: ${error.message}`);
-          // Continue with other characters instead of failing the entire process
-        }
-      }
-      
-      logger.info(`Created ${summary.characters} character nodes`);
-      
-      // Create relationships based on character associations
-      for (const character of characters) {
-        // Skip if no associations or no ID (meaning user creation failed)
-        if (!character.id || !character.associations || !Array.isArray(character.associations) || character.associations.length === 0) {
-          continue;
-        }
-        
-        // For each associated character, create a relationship
-        for (const association of character.associations) {
-          if (!association) {
-            continue;
-          }
-
-          // Find the associated character in our processed list
-          const associatedCharacter = characters.find(c => 
-            c && c.name && c.id && 
-            c.name.toLowerCase() === association.toLowerCase()
-          );
-          
-          // Skip if character not found or has no ID
-          if (!associatedCharacter || !associatedCharacter.id) {
-            continue;
-          }
-          
-          try {
-            // Create relationship
-            await neo4jService.createConnection(
-              character.id, 
-              associatedCharacter.id,
-              'KNOWS'
-            );
-            
-            summary.relationships++;
-          } catch (error) {
-            logger.error(`Error creating relationship between ${character.name} and ${association}: ${error.message}`);
-            // Continue with other relationships
-          }
-        }
-      }
-      
-      logger.info(`Created ${summary.relationships} character relationships`);
-      
-      // Create some sample stories
-      const storyTitles = [
-        "The Dragon Reborn",
-        "The Eye of the World", 
-        "The Great Hunt",
-        "The Shadow Rising",
-        "The Fires of Heaven"
-      ];
-      
-      // Select main characters to be authors
-      const mainCharacters = characters.filter(c => 
-        c && c.id && c.name && (
-          c.name === "Rand al'Thor" || 
-          c.name === "Matrim Cauthon" || 
-          c.name === "Perrin Aybara" ||
-          c.name === "Egwene al'Vere" ||
-          c.name === "Nynaeve al'Meara"
-        )
-      );
-      
-      // Fallback if we couldn't find main characters
-      const authors = mainCharacters.length ? mainCharacters : characters.filter(c => c && c.id).slice(0, 5);
-      
-      // Check if we have any authors
-      if (authors.length === 0) {
-        logger.warn('No valid authors found for stories, skipping story creation');
-      } else {
-        // Create stories
-        for (let i = 0; i < storyTitles.length; i++) {
-          const author = authors[i % authors.length];
-          
-          if (!author || !author.id) {
-            logger.warn(`No valid author for story "${storyTitles[i]}", skipping`);
-            continue;
-          }
-          
-          try {
-            const storyId = uuidv4();
-            await neo4jService.createStory({
-              id: storyId,
-              title: storyTitles[i],
-              content: `This is a sample story about the adventures in the world of the Wheel of Time.`,
-              authorId: author.id
-            });
-            
-            summary.stories++;
-            
-            // Add some story shares
-            const recipients = characters
-              .filter(c => c && c.id && c.id !== author.id)
-              .sort(() => 0.5 - Math.random()) // Shuffle
-              .slice(0, 5); // Take 5 random characters
-            
-            for (const recipient of recipients) {
-              if (recipient && recipient.id) {
-                try {
-                  await neo4jService.shareStory(storyId, author.id, recipient.id);
-                } catch (error) {
-                  logger.error(`Error sharing story ${storyId} from ${author.name} to ${recipient.name}: ${error.message}`);
-                  // Continue with other recipients
-                }
-              }
-            }
-          } catch (error) {
-            logger.error(`Error creating story "${storyTitles[i]}": ${error.message}`);
-            // Continue with other stories
-          }
-        }
-      }
-      
-      logger.info(`Created ${summary.stories} stories with authors and shares`);
-      
-      return summary;
-    } catch (error) {
-      logger.error(`Database initialization failed: ${error.message}`, { error });
-      throw error;
-    }
   }
 
   /**
-   * Format network data for D3.js visualization
+   * Format network data for D3.js visualization; user nodes keep only their public properties
    * 
    * @param {object} data - Raw network data
    * @returns {object} - Formatted network data
@@ -221,7 +93,7 @@ class DataService {
               id: startId,
               name: segment.start.name || 'Unknown',
               group: segment.start.labels && Array.isArray(segment.start.labels) ? segment.start.labels[0] : 'Unknown',
-              ...segment.start
+              ...toPublicUser(segment.start)
             });
           }
           
@@ -231,7 +103,7 @@ class DataService {
               id: endId,
               name: segment.end.name || 'Unknown',
               group: segment.end.labels && Array.isArray(segment.end.labels) ? segment.end.labels[0] : 'Unknown',
-              ...segment.end
+              ...toPublicUser(segment.end)
             });
           }
           
@@ -260,69 +132,372 @@ class DataService {
   /**
    * Format path data for frontend visualization
    * 
-   * @param {object} pathData - Raw path data
+   * @param {object} pathData - A path with `nodes` ({id, name}) and `relationships` ({type, source, target}),
+   *   optionally weighted with a total `cost` and per-relationship `strength`
    * @returns {object} - Formatted path data
    */
   formatPathData(pathData) {
-    if (!pathData || !pathData.path) {
+    if (!pathData || !pathData.nodes) {
       return { nodes: [], links: [], length: 0 };
     }
     
-    const segments = pathData.path.segments || [];
-    const nodes = [];
-    const links = [];
-    const nodeMap = new Map();
+    const nodes = pathData.nodes.map(node => ({
+      id: node.id,
+      name: node.name || 'Unknown',
+      group: 'User'
+    }));
     
-    // Process each segment in the path
-    segments.forEach(segment => {
-      if (!segment || !segment.start || !segment.end || !segment.relationship) {
-        return; // Skip invalid segment
-      }
-      
-      // Ensure IDs exist
-      const startId = segment.start.id || `node-${Math.random().toString(36).substr(2, 9)}`;
-      const endId = segment.end.id || `node-${Math.random().toString(36).substr(2, 9)}`;
+    const links = (pathData.relationships || []).map(rel => ({
+      source: rel.source,
+      target: rel.target,
+      type: rel.type || 'Unknown',
+      ...(rel.strength !== undefined && { strength: rel.strength })
+    }));
+    
+    return {
+      nodes,
+      links,
+      length: links.length,
+      ...(pathData.cost !== undefined && { cost: pathData.cost })
+    };
+  }
+
+  /**
+   * Build a story's diffusion tree in D3 hierarchy format. Each receiver is
+   * attached to the first user who shared the story with them after having it
+   * themselves; later shares to the same user are counted as redundant.
+   * 
+   * @param {object} cascadeData - { story, author, shares } from neo4jService.getStoryCascade
+   * @returns {object} - { tree, stats }
+   */
+  buildCascadeTree(cascadeData) {
+    const { story, author, shares } = cascadeData;
+    const toIso = millis => (millis !== null && millis !== undefined ? new Date(millis).toISOString() : null);
+    
+    const root = {
+      id: author.id,
+      name: author.name,
+      depth: 0,
+      receivedAt: story.createdAt ? story.createdAt.toString() : null,
+      sharedBy: null,
+      children: []
+    };
+    
+    const nodes = new Map([[author.id, root]]);
+    let pending = [...shares];
+    let redundantShares = 0;
+    let unattachedShares = 0;
+    
+    // Shares are chronological; a share whose sender is not in the tree yet is
+    // retried after later shares have been attached
+    while (pending.length) {
+      const deferred = [];
       
-      // Add start node if not already in the map
-      if (!nodeMap.has(startId)) {
-        const startNode = {
-          id: startId,
-          name: segment.start.name || 'Unknown',
-          group: segment.start.labels && Array.isArray(segment.start.labels) ? segment.start.labels[0] : 'Unknown',
-          ...segment.start
+      for (const share of pending) {
+        const sender = nodes.get(share.senderId);
+        
+        if (!sender) {
+          deferred.push(share);
+          continue;
+        }
+        
+        if (nodes.has(share.receiverId)) {
+          redundantShares++;
+          continue;
+        }
+        
+        const node = {
+          id: share.receiverId,
+          name: share.receiverName,
+          depth: sender.depth + 1,
+          receivedAt: toIso(share.at),
+          sharedBy: sender.id,
+          children: []
         };
-        nodes.push(startNode);
-        nodeMap.set(startId, startNode);
+        
+        sender.children.push(node);
+        nodes.set(share.receiverId, node);
       }
       
-      // Add end node if not already in the map
-      if (!nodeMap.has(endId)) {
-        const endNode = {
-          id: endId,
-          name: segment.end.name || 'Unknown',
-          group: segment.end.labels && Array.isArray(segment.end.labels) ? segment.end.labels[0] : 'Unknown',
-          ...segment.end
-        };
-        nodes.push(endNode);
-        nodeMap.set(endId, endNode);
+      if (deferred.length === pending.length) {
+        // Senders who never received the story through a recorded share
+        unattachedShares = deferred.length;
+        break;
+      }
+      pending = deferred;
+    }
+    
+    // Per-level counts and time windows (the author is level 0)
+    const levels = [];
+    for (const node of nodes.values()) {
+      if (node.depth === 0) {
+        continue;
       }
       
-      // Add relationship
-      const relId = segment.relationship.id || `rel-${Math.random().toString(36).substr(2, 9)}`;
-      links.push({
-        source: startId,
-        target: endId,
-        type: segment.relationship.type || 'Unknown',
-        id: relId,
-        ...segment.relationship
-      });
-    });
+      const level = levels[node.depth - 1] || (levels[node.depth - 1] = { depth: node.depth, count: 0, firstAt: null, lastAt: null });
+      level.count++;
+      
+      if (node.receivedAt && (!level.firstAt || node.receivedAt < level.firstAt)) {
+        level.firstAt = node.receivedAt;
+      }
+      if (node.receivedAt && (!level.lastAt || node.receivedAt > level.lastAt)) {
+        level.lastAt = node.receivedAt;
+      }
+    }
+    
+    const shareTimes = shares.map(share => share.at).filter(at => at !== null && at !== undefined);
     
     return {
-      nodes,
-      links,
-      length: pathData.pathLength || (segments ? segments.length : 0)
+      tree: root,
+      stats: {
+        reach: nodes.size - 1,
+        maxDepth: levels.length,
+        totalShares: shares.length,
+        redundantShares,
+        unattachedShares,
+        firstShareAt: shareTimes.length ? toIso(shareTimes[0]) : null,
+        lastShareAt: shareTimes.length ? toIso(shareTimes[shareTimes.length - 1]) : null,
+        levels
+      }
+    };
+  }
+
+  /**
+   * Work out the reward for a share from the author-receiver path length
+   * before the story's shares and after them (including the new share)
+   * 
+   * @param {number} before - The path length ignoring the story's shares, or null if unreachable
+   * @param {number} after - The path length including them, or null if unreachable
+   * @returns {object} - { pathReduction, rewardPoints }
+   */
+  calculateShareReward(before, after) {
+    if (!before || !after) {
+      return { pathReduction: 0, rewardPoints: 0 };
+    }
+    
+    const pathReduction = before - after;
+    
+    return {
+      pathReduction,
+      rewardPoints: pathReduction > 0 ? pathReduction * POINTS_PER_HOP_REDUCTION : 0
+    };
+  }
+
+  /**
+   * Rank candidate receivers of a story by the reward sharing with them would
+   * earn. Adding the share creates a sender-receiver hop, so the receiver's
+   * path afterwards is the shorter of their current path and the sender's + 1.
+   * 
+   * @param {Array} candidates - Rows from neo4jService.getShareCandidates
+   * @param {number} senderDistance - The sender's path length from the author (0 for the author), or null if unreachable
+   * @returns {Array} - Suggestions, best first
+   */
+  rankShareSuggestions(candidates, senderDistance) {
+    return candidates
+      .map(({ user, hops, before, current }) => {
+        const viaSender = senderDistance === null || senderDistance === undefined ? null : senderDistance + 1;
+        const paths = [current, viaSender].filter(length => length !== null && length !== undefined);
+        const after = paths.length ? Math.min(...paths) : null;
+        
+        return {
+          user,
+          hops,
+          pathBefore: before === undefined ? null : before,
+          pathAfter: after,
+          ...this.calculateShareReward(before, after)
+        };
+      })
+      .sort((a, b) => b.rewardPoints - a.rewardPoints || a.hops - b.hops || a.user.name.localeCompare(b.user.name));
+  }
+
+  /**
+   * Score and explain connection recommendations. Mutual connections count
+   * through common neighbours, Adamic-Adar (mutuals with fewer connections
+   * weigh more) and Jaccard similarity of the two neighbourhoods; shared
+   * affiliation/nationality values and co-received stories add to the score.
+   * 
+   * @param {object} user - The user recommendations are for ({ affiliation, nationality })
+   * @param {Array} candidates - Rows from neo4jService.getConnectionCandidates
+   * @returns {Array} - Recommendations, best first
+   */
+  rankConnectionRecommendations(user, candidates) {
+    const valuesOf = (item, key) => (item[key] ? String(item[key]).split('/').map(value => value.trim()).filter(Boolean) : []);
+    const round = value => Math.round(value * 10000) / 10000;
+    const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+    
+    return candidates
+      .map(candidate => {
+        const mutuals = candidate.mutualConnections;
+        const common = mutuals.length;
+        // Every mutual is connected to both users, so their degree is at least 2
+        const adamicAdar = mutuals.reduce((sum, mutual) => sum + 1 / Math.log(Math.max(mutual.degree, 2)), 0);
+        const union = candidate.userDegree + candidate.degree - common;
+        const jaccard = union > 0 ? common / union : 0;
+        
+        const sharedProperties = SHARED_PROPERTIES
+          .map(key => ({ property: key, values: valuesOf(user, key).filter(value => valuesOf(candidate.user, key).includes(value)) }))
+          .filter(shared => shared.values.length);
+        
+        const score = RECOMMENDATION_WEIGHTS.adamicAdar * adamicAdar +
+          RECOMMENDATION_WEIGHTS.jaccard * jaccard +
+          RECOMMENDATION_WEIGHTS.sharedProperty * sharedProperties.length +
+          RECOMMENDATION_WEIGHTS.coReceivedStory * candidate.coReceivedStories;
+        
+        const reasons = [];
+        if (common) {
+          const names = [...mutuals].sort((a, b) => a.degree - b.degree).slice(0, 3).map(mutual => mutual.name);
+          reasons.push(`${plural(common, 'mutual connection')} (${names.join(', ')}${common > names.length ? ', ...' : ''})`);
+        }
+        sharedProperties.forEach(shared => reasons.push(`Same ${shared.property}: ${shared.values.join(', ')}`));
+        if (candidate.coReceivedStories) {
+          reasons.push(`Both received ${plural(candidate.coReceivedStories, 'story', 'stories')}`);
+        }
+        
+        return {
+          user: candidate.user,
+          score: round(score),
+          reasons,
+          metrics: {
+            commonNeighbours: common,
+            adamicAdar: round(adamicAdar),
+            jaccard: round(jaccard),
+            sharedProperties,
+            coReceivedStories: candidate.coReceivedStories
+          },
+          mutualConnections: mutuals.map(({ id, name }) => ({ id, name }))
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name));
+  }
+
+  /**
+   * Rank feed candidates by social proximity, recency and share velocity.
+   * 
+   * Proximity combines every network member who authored or shared the story,
+   * each counting 1/2^distance, so a story passed around by several friends
+   * beats one a single friend-of-a-friend touched. Recency halves every
+   * `halfLifeHours` since the story was created or last shared. Velocity is
+   * the number of recent shares relative to the busiest candidate.
+   * 
+   * @param {Array} candidates - Rows from neo4jService.getFeedCandidates
+   * @param {object} options - halfLifeHours, weights ({ proximity, recency, velocity }) and now (epoch ms)
+   * @returns {Array} - Feed items, best first
+   */
+  rankFeed(candidates, { halfLifeHours = FEED_HALF_LIFE_HOURS, weights = FEED_WEIGHTS, now = Date.now() } = {}) {
+    const maxRecentShares = Math.max(0, ...candidates.map(candidate => candidate.recentShares));
+    const round = value => Math.round(value * 10000) / 10000;
+    
+    return candidates
+      .map(candidate => {
+        // A member can both author and share a story; count them once, at their distance
+        const members = new Map();
+        candidate.sources.forEach(source => {
+          const member = members.get(source.id) || { id: source.id, name: source.name, distance: source.distance, via: [] };
+          member.via.push(source.via);
+          members.set(source.id, member);
+        });
+        
+        const proximity = 1 - [...members.values()]
+          .reduce((remaining, member) => remaining * (1 - Math.pow(0.5, member.distance)), 1);
+        
+        const lastActivity = Math.max(candidate.createdAt || 0, candidate.lastSharedAt || 0);
+        const ageHours = Math.max(now - lastActivity, 0) / (60 * 60 * 1000);
+        const recency = Math.pow(0.5, ageHours / halfLifeHours);
+        
+        const velocity = maxRecentShares ? candidate.recentShares / maxRecentShares : 0;
+        
+        const score = weights.proximity * proximity + weights.recency * recency + weights.velocity * velocity;
+        
+        return {
+          story: {
+            id: candidate.story.id,
+            title: candidate.story.title,
+            content: candidate.story.content,
+            createdAt: candidate.createdAt ? new Date(candidate.createdAt).toISOString() : null
+          },
+          author: candidate.author,
+          score: round(score),
+          signals: {
+            distance: candidate.distance,
+            proximity: round(proximity),
+            recency: round(recency),
+            velocity: round(velocity),
+            recentShares: candidate.recentShares,
+            totalShares: candidate.shares,
+            lastSharedAt: candidate.lastSharedAt ? new Date(candidate.lastSharedAt).toISOString() : null
+          },
+          via: [...members.values()].sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        };
+      })
+      .sort((a, b) => b.score - a.score || (b.story.createdAt || '').localeCompare(a.story.createdAt || ''));
+  }
+
+  /**
+   * Split a time range into consecutive intervals of one step, starting at
+   * `from`; the last interval is cut short at `to`
+   * 
+   * @param {number} from - Range start in epoch milliseconds
+   * @param {number} to - Range end in epoch milliseconds
+   * @param {string} step - hour, day, week or month
+   * @param {number} maxIntervals - Stop once this many intervals have been produced
+   * @returns {Array} - { start, end } pairs in epoch milliseconds
+   */
+  getTimelineIntervals(from, to, step, maxIntervals = Infinity) {
+    const advance = TIMELINE_STEPS[step];
+    const intervals = [];
+    const cursor = new Date(from);
+    
+    while (cursor.getTime() < to && intervals.length < maxIntervals) {
+      const start = cursor.getTime();
+      advance(cursor);
+      intervals.push({ start, end: Math.min(cursor.getTime(), to) });
+    }
+    
+    return intervals;
+  }
+  
+  /**
+   * Group network changes into timeline intervals. Each interval lists the
+   * users and links added during it (start exclusive, end inclusive) and the
+   * running totals at its end, so a client can load the snapshot at the start
+   * of the range and replay the intervals on top of it.
+   * 
+   * @param {Array} intervals - From getTimelineIntervals
+   * @param {object} changes - { nodes, links } from neo4jService.getNetworkChanges
+   * @param {object} baseline - { nodes, links } counts at the start of the range
+   * @returns {Array} - Intervals with `added` and `totals`
+   */
+  buildNetworkTimeline(intervals, changes, baseline) {
+    const toIso = millis => new Date(millis).toISOString();
+    const totals = { nodes: baseline.nodes, links: baseline.links };
+    let nextNode = 0;
+    let nextLink = 0;
+    
+    // Changes are sorted by time, so each interval takes the next run of them
+    const take = (items, index, end) => {
+      let last = index;
+      while (last < items.length && items[last].at <= end) {
+        last++;
+      }
+      return items.slice(index, last).map(({ at, ...item }) => ({ ...item, addedAt: toIso(at) }));
     };
+    
+    return intervals.map(({ start, end }) => {
+      const nodes = take(changes.nodes, nextNode, end);
+      const links = take(changes.links, nextLink, end);
+      
+      nextNode += nodes.length;
+      nextLink += links.length;
+      totals.nodes += nodes.length;
+      totals.links += links.length;
+      
+      return {
+        start: toIso(start),
+        end: toIso(end),
+        added: { nodes, links },
+        totals: { ...totals }
+      };
+    });
   }
 
   /**
@@ -411,6 +586,70 @@ class DataService {
         nationality: "Aiel",
         affiliation: "Wise One",
         associations: ["Rand al'Thor", "Elayne Trakand", "Min Farshaw"]
+      },
+      {
+        name: "Tuon Athaem Kore Paendrag",
+        description: "The Daughter of the Nine Moons, heir to the Seanchan Empire.",
+        gender: "Female",
+        nationality: "Seanchan",
+        affiliation: "Seanchan Empire",
+        associations: ["Matrim Cauthon"]
+      },
+      {
+        name: "Faile Bashere",
+        description: "A Saldaean noblewoman and Hunter of the Horn who marries Perrin.",
+        gender: "Female",
+        nationality: "Saldaean",
+        affiliation: "Hunters of the Horn",
+        associations: ["Perrin Aybara"]
+      },
+      {
+        name: "Siuan Sanche",
+        description: "A fisherman's daughter from Tear who rose to become Amyrlin Seat.",
+        gender: "Female",
+        nationality: "Tairen",
+        affiliation: "Aes Sedai",
+        associations: ["Moiraine Damodred"]
+      }
+    ];
+  }
+
+  /**
+   * Generate sample WoT stories, authored and shared by the sample characters
+   * 
+   * @returns {Array} - Sample story data with author and recipient names
+   */
+  generateSampleWotStories() {
+    return [
+      {
+        title: "The Dragon Reborn",
+        content: "This is a sample story about the adventures in the world of the Wheel of Time.",
+        author: "Rand al'Thor",
+        recipients: ["Egwene al'Vere", "Moiraine Damodred", "Min Farshaw", "Aviendha", "Elayne Trakand"]
+      },
+      {
+        title: "The Eye of the World",
+        content: "This is a sample story about the adventures in the world of the Wheel of Time.",
+        author: "Matrim Cauthon",
+        recipients: ["Perrin Aybara", "Tuon Athaem Kore Paendrag", "Lan Mandragoran", "Nynaeve al'Meara", "Aviendha"]
+      },
+      {
+        title: "The Great Hunt",
+        content: "This is a sample story about the adventures in the world of the Wheel of Time.",
+        author: "Perrin Aybara",
+        recipients: ["Faile Bashere", "Rand al'Thor", "Min Farshaw", "Moiraine Damodred", "Elayne Trakand"]
+      },
+      {
+        title: "The Shadow Rising",
+        content: "This is a sample story about the adventures in the world of the Wheel of Time.",
+        author: "Egwene al'Vere",
+        recipients: ["Nynaeve al'Meara", "Elayne Trakand", "Matrim Cauthon", "Lan Mandragoran", "Faile Bashere"]
+      },
+      {
+        title: "The Fires of Heaven",
+        content: "This is a sample story about the adventures in the world of the Wheel of Time.",
+        author: "Nynaeve al'Meara",
+        recipients: ["Lan Mandragoran", "Egwene al'Vere", "Tuon Athaem Kore Paendrag", "Perrin Aybara", "Rand al'Thor"]
       }
     ];
   }
@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+const { logger } = require('../utils/logger');
+
+// Recent events kept so reconnecting stream clients can catch up
+const HISTORY_SIZE = 200;
+
+/**
+ * In-process bus for domain events (stories created and shared, users and
+ * connections changed). Controllers publish once a write has succeeded; the realtime
+ * stream and other services listen with `on('event', handler)`.
+ */
+class EventService extends EventEmitter {
+  constructor() {
+    super();
+    this.nextId = 1;
+    this.history = [];
+    // Every stream client adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event
+   *
+   * @param {string} type - The event type, e.g. story.shared
+   * @param {object} data - The event payload sent to clients
+   * @param {object} scope - The `userIds` and `storyId` the event concerns, used for filtering
+   * @returns {object} - The published event
+   */
+  publish(type, data, { userIds = [], storyId = null } = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      data,
+      userIds: [...new Set(userIds.filter(Boolean))],
+      storyId,
+      at: new Date().toISOString()
+    };
+
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    logger.debug(`Published ${type} event ${event.id}`);
+
+    try {
+      this.emit('event', event);
+    } catch (error) {
+      // A failing listener must not fail the request that published the event
+      logger.error(`Event listener failed for ${type}: ${error.message}`);
+    }
+
+    return event;
+  }
+
+  /**
+   * Events published after a given event ID that are still in the history
+   *
+   * @param {number} lastId - The last event ID a client received
+   * @returns {Array} - The missed events, oldest first
+   */
+  since(lastId) {
+    return this.history.filter(event => event.id > lastId);
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,429 @@
+const neo4j = require('neo4j-driver');
+const neo4jService = require('./neo4jService');
+const { ApiError } = require('../utils/errorHandler');
+
+// Labels exported by default: the social graph itself
+const GRAPH_LABELS = ['User', 'Story'];
+
+// Every label the app writes; a snapshot exports them all so it can be restored
+const EXPORT_LABELS = [...GRAPH_LABELS, 'Revision', 'RewardEvent', 'Notification'];
+
+// Left out of exports unless credentials are requested (snapshots for restore)
+const CREDENTIAL_PROPERTIES = ['passwordHash'];
+
+// Separator for list values in text formats; matches the importer's default
+const LIST_SEPARATOR = ';';
+
+// Statements per transaction in Cypher dumps
+const CYPHER_TRANSACTION_SIZE = 1000;
+
+// Cypher function recreating each temporal type from its ISO string
+const TEMPORAL_TYPES = [
+  [neo4j.isDateTime, 'datetime'],
+  [neo4j.isLocalDateTime, 'localdatetime'],
+  [neo4j.isDate, 'date'],
+  [neo4j.isTime, 'time'],
+  [neo4j.isLocalTime, 'localtime'],
+  [neo4j.isDuration, 'duration']
+];
+
+const temporalFunction = value => {
+  const match = value && typeof value === 'object' && TEMPORAL_TYPES.find(([test]) => test(value));
+  return match ? match[1] : null;
+};
+
+/**
+ * Convert a property value to plain JSON (temporal values become ISO strings)
+ *
+ * @param {*} value - The Neo4j property value
+ * @returns {*} - The plain value
+ */
+const toPlain = value => {
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+
+  return temporalFunction(value) ? value.toString() : value;
+};
+
+const plainProperties = properties => Object.fromEntries(
+  Object.entries(properties).map(([key, value]) => [key, toPlain(value)])
+);
+
+/**
+ * Render a property value as text for XML and CSV formats
+ *
+ * @param {*} value - The Neo4j property value
+ * @returns {string} - The text, with list items joined by LIST_SEPARATOR
+ */
+const toText = value => {
+  const plain = toPlain(value);
+  return Array.isArray(plain) ? plain.join(LIST_SEPARATOR) : String(plain);
+};
+
+/**
+ * Infer an attribute type from a sample value
+ *
+ * @param {*} sample - A property value
+ * @returns {string} - boolean, long, double or string
+ */
+const attributeType = sample => {
+  if (typeof sample === 'boolean') {
+    return 'boolean';
+  }
+  if (typeof sample === 'number') {
+    return Number.isInteger(sample) ? 'long' : 'double';
+  }
+  return 'string';
+};
+
+// Strip characters XML 1.0 does not allow, then escape markup
+const escapeXml = value => String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = value => {
+  const text = value === undefined || value === null ? '' : toText(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = values => `${values.map(escapeCsv).join(',')}\n`;
+
+/**
+ * Render a value as a Cypher literal
+ *
+ * @param {*} value - The Neo4j property value
+ * @returns {string} - The literal
+ */
+const cypherLiteral = value => {
+  const temporal = temporalFunction(value);
+
+  if (temporal) {
+    return `${temporal}(${JSON.stringify(value.toString())})`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(cypherLiteral).join(', ')}]`;
+  }
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  // JSON string escapes are valid Cypher string escapes
+  return JSON.stringify(value);
+};
+
+const cypherName = name => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${name.replace(/`/g, '``')}\``);
+
+const cypherMap = properties => `{${Object.entries(properties)
+  .map(([key, value]) => `${cypherName(key)}: ${cypherLiteral(value)}`)
+  .join(', ')}}`;
+
+const cypherLabels = labels => labels.map(label => `:${cypherName(label)}`).join('');
+
+// The text used as a node's display label in graph tools
+const displayLabel = node => node.properties.name || node.properties.title || node.id;
+
+/**
+ * Attribute declarations for the GraphML and GEXF formats, which declare typed
+ * attributes up front and reference them by index
+ *
+ * @param {object} schema - { nodeKeys, relationshipKeys } from the export schema
+ * @returns {object} - { nodeAttributes, edgeAttributes } as [{ key, type }]
+ */
+const xmlAttributes = schema => ({
+  nodeAttributes: [{ key: 'labels', type: 'string' }, ...schema.nodeKeys.map(({ key, sample }) => ({
+    key,
+    type: Array.isArray(sample) ? 'string' : attributeType(sample)
+  }))],
+  edgeAttributes: [{ key: 'type', type: 'string' }, ...schema.relationshipKeys.map(({ key, sample }) => ({
+    key,
+    type: Array.isArray(sample) ? 'string' : attributeType(sample)
+  }))]
+});
+
+// Attribute values of a node or relationship, in declaration order, skipping missing ones
+const attributeValues = (attributes, values) => attributes
+  .map((attribute, index) => ({ index, value: values[attribute.key] }))
+  .filter(({ value }) => value !== undefined && value !== null);
+
+const FORMATS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    create: (schema, { exportedAt, filters }) => ({
+      header: () => `{"format":"storybridge-export","version":1,"exportedAt":${JSON.stringify(exportedAt)},`
+        + `"filters":${JSON.stringify(filters)},\n"nodes":[\n`,
+      node: (node, index) => `${index ? ',\n' : ''}${JSON.stringify({
+        id: node.id,
+        labels: node.labels,
+        properties: plainProperties(node.properties)
+      })}`,
+      separator: () => '\n],\n"relationships":[\n',
+      relationship: (rel, index) => `${index ? ',\n' : ''}${JSON.stringify({
+        source: rel.source,
+        target: rel.target,
+        type: rel.type,
+        properties: plainProperties(rel.properties)
+      })}`,
+      footer: () => '\n]}\n'
+    })
+  },
+
+  graphml: {
+    contentType: 'application/graphml+xml',
+    extension: 'graphml',
+    create: schema => {
+      const { nodeAttributes, edgeAttributes } = xmlAttributes(schema);
+      const data = (prefix, attributes, values) => attributeValues(attributes, values)
+        .map(({ index, value }) => `<data key="${prefix}${index}">${escapeXml(toText(value))}</data>`)
+        .join('');
+
+      return {
+        header: () => [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+            + ' xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+          ...nodeAttributes.map((attribute, i) =>
+            `  <key id="n${i}" for="node" attr.name="${escapeXml(attribute.key)}" attr.type="${attribute.type}"/>`),
+          ...edgeAttributes.map((attribute, i) =>
+            `  <key id="e${i}" for="edge" attr.name="${escapeXml(attribute.key)}" attr.type="${attribute.type}"/>`),
+          '  <graph id="storybridge" edgedefault="directed">',
+          ''
+        ].join('\n'),
+        node: node => `    <node id="${escapeXml(node.id)}">`
+          + `${data('n', nodeAttributes, { ...node.properties, labels: node.labels.join(':') })}</node>\n`,
+        separator: () => '',
+        relationship: (rel, index) => `    <edge id="e${index}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}">`
+          + `${data('e', edgeAttributes, { ...rel.properties, type: rel.type })}</edge>\n`,
+        footer: () => '  </graph>\n</graphml>\n'
+      };
+    }
+  },
+
+  gexf: {
+    contentType: 'application/gexf+xml',
+    extension: 'gexf',
+    create: (schema, { exportedAt }) => {
+      const { nodeAttributes, edgeAttributes } = xmlAttributes(schema);
+      const declare = attributes => attributes
+        .map((attribute, i) => `      <attribute id="${i}" title="${escapeXml(attribute.key)}" type="${attribute.type}"/>`)
+        .join('\n');
+      const attvalues = (attributes, values) => {
+        const present = attributeValues(attributes, values);
+        return present.length
+          ? `<attvalues>${present.map(({ index, value }) =>
+            `<attvalue for="${index}" value="${escapeXml(toText(value))}"/>`).join('')}</attvalues>`
+          : '';
+      };
+
+      return {
+        header: () => [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+          `  <meta lastmodifieddate="${exportedAt.slice(0, 10)}"><creator>StoryBridge</creator></meta>`,
+          '  <graph mode="static" defaultedgetype="directed">',
+          '    <attributes class="node">',
+          declare(nodeAttributes),
+          '    </attributes>',
+          '    <attributes class="edge">',
+          declare(edgeAttributes),
+          '    </attributes>',
+          '    <nodes>',
+          ''
+        ].join('\n'),
+        node: node => `      <node id="${escapeXml(node.id)}" label="${escapeXml(displayLabel(node))}">`
+          + `${attvalues(nodeAttributes, { ...node.properties, labels: node.labels.join(':') })}</node>\n`,
+        separator: () => '    </nodes>\n    <edges>\n',
+        relationship: (rel, index) => `      <edge id="${index}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}"`
+          + ` label="${escapeXml(rel.type)}">${attvalues(edgeAttributes, { ...rel.properties, type: rel.type })}</edge>\n`,
+        footer: () => '    </edges>\n  </graph>\n</gexf>\n'
+      };
+    }
+  },
+
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    create: (schema, { table = 'nodes' }) => {
+      const nodeKeys = schema.nodeKeys.map(({ key }) => key).filter(key => key !== 'id');
+      const relationshipKeys = schema.relationshipKeys.map(({ key }) => key);
+
+      // Nodes and relationships are separate tables, as Gephi's spreadsheet import expects
+      return table === 'relationships'
+        ? {
+          sections: ['relationships'],
+          header: () => csvLine(['source', 'target', 'type', ...relationshipKeys]),
+          relationship: rel => csvLine([rel.source, rel.target, rel.type, ...relationshipKeys.map(key => rel.properties[key])])
+        }
+        : {
+          sections: ['nodes'],
+          header: () => csvLine(['id', 'labels', ...nodeKeys]),
+          node: node => csvLine([node.id, node.labels.join(LIST_SEPARATOR), ...nodeKeys.map(key => node.properties[key])])
+        };
+    }
+  },
+
+  cypher: {
+    contentType: 'application/x-cypher-query',
+    extension: 'cypher',
+    create: (schema, { exportedAt, filters }) => {
+      let statements = 0;
+      const contents = filters.includeCredentials
+        ? 'Full snapshot'
+        : `Partial export of ${filters.labels.join(', ')} without credentials`;
+
+      // Group statements into explicit transactions for cypher-shell
+      const statement = text => {
+        const prefix = statements % CYPHER_TRANSACTION_SIZE === 0 ? ':begin\n' : '';
+        statements++;
+        const suffix = statements % CYPHER_TRANSACTION_SIZE === 0 ? ':commit\n' : '';
+        return `${prefix}${text};\n${suffix}`;
+      };
+
+      return {
+        header: () => `// StoryBridge export ${exportedAt}\n// ${contents}\n// Restore into an empty database with: cypher-shell -f <file>\n`,
+        node: node => statement(`CREATE (${cypherLabels(node.labels)} ${cypherMap(node.properties)})`),
+        separator: () => '',
+        relationship: rel => statement(
+          `MATCH (a${cypherLabels(rel.sourceLabels)} {id: ${cypherLiteral(rel.source)}}), `
+          + `(b${cypherLabels(rel.targetLabels)} {id: ${cypherLiteral(rel.target)}}) `
+          + `CREATE (a)-[:${cypherName(rel.type)} ${cypherMap(rel.properties)}]->(b)`
+        ),
+        footer: () => (statements % CYPHER_TRANSACTION_SIZE === 0 ? '' : ':commit\n')
+      };
+    }
+  }
+};
+
+const withoutCredentials = properties => Object.fromEntries(
+  Object.entries(properties).filter(([key]) => !CREDENTIAL_PROPERTIES.includes(key))
+);
+
+class ExportService {
+  constructor() {
+    this.formats = new Map(Object.entries(FORMATS));
+  }
+
+  /**
+   * Register an export format
+   *
+   * @param {string} name - The format name used in `?format=`
+   * @param {object} format - `contentType`, `extension` and `create(schema, options)` returning
+   *   `header`, `node`, `separator`, `relationship` and `footer` chunk writers
+   */
+  registerFormat(name, format) {
+    this.formats.set(name, format);
+  }
+
+  /**
+   * The names of the registered formats
+   *
+   * @returns {Array<string>} - Format names
+   */
+  getFormats() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * Validate export filters and fill in the defaults. A `snapshot` exports
+   * every label, relationship and user (with credentials) so the dump can
+   * restore the whole application state; it ignores the other filters.
+   *
+   * @param {object} filters - `labels` (list of User, Story, Revision, RewardEvent, Notification;
+   *   User and Story by default), `types`, `activeOnly` and `snapshot`
+   * @returns {object} - The normalized filters, with `includeCredentials`
+   */
+  normalizeFilters({ labels, types = null, activeOnly = false, snapshot = false } = {}) {
+    if (snapshot) {
+      return { labels: EXPORT_LABELS, types: null, activeOnly: false, includeCredentials: true };
+    }
+
+    const selected = labels && labels.length ? [...new Set(labels)] : GRAPH_LABELS;
+    const invalid = selected.find(label => !EXPORT_LABELS.includes(label));
+
+    if (invalid) {
+      throw ApiError.badRequest(`Labels must be among ${EXPORT_LABELS.join(', ')}`);
+    }
+
+    return { labels: selected, types, activeOnly: Boolean(activeOnly), includeCredentials: false };
+  }
+
+  /**
+   * Describe the file an export produces
+   *
+   * @param {string} format - The format name
+   * @param {object} options - Format options such as the CSV `table`
+   * @returns {object} - { contentType, filename }
+   */
+  describe(format, options = {}) {
+    const definition = this.formats.get(format);
+
+    if (!definition) {
+      throw ApiError.badRequest(`Format must be one of ${this.getFormats().join(', ')}`);
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = format === 'csv' ? `-${options.table || 'nodes'}` : '';
+
+    return {
+      contentType: definition.contentType,
+      filename: `storybridge-export-${date}${suffix}.${definition.extension}`
+    };
+  }
+
+  /**
+   * Export the graph as a stream of text chunks
+   *
+   * @param {string} format - The format name
+   * @param {object} filters - From normalizeFilters
+   * @param {object} options - Format options such as the CSV `table`
+   * @returns {AsyncGenerator<string>} - The file contents, chunk by chunk
+   */
+  async *export(format, filters, options = {}) {
+    const definition = this.formats.get(format);
+
+    if (!definition) {
+      throw ApiError.badRequest(`Format must be one of ${this.getFormats().join(', ')}`);
+    }
+
+    const schema = await neo4jService.getExportSchema(filters);
+    const nodeProperties = filters.includeCredentials ? properties => properties : withoutCredentials;
+
+    if (!filters.includeCredentials) {
+      schema.nodeKeys = schema.nodeKeys.filter(({ key }) => !CREDENTIAL_PROPERTIES.includes(key));
+    }
+
+    const writer = definition.create(schema, { ...options, filters, exportedAt: new Date().toISOString() });
+    const sections = writer.sections || ['nodes', 'relationships'];
+
+    yield writer.header();
+
+    if (sections.includes('nodes')) {
+      let index = 0;
+      for await (const node of neo4jService.streamExportNodes(filters)) {
+        yield writer.node({ ...node, properties: nodeProperties(node.properties) }, index++);
+      }
+    }
+
+    if (writer.separator) {
+      yield writer.separator();
+    }
+
+    if (sections.includes('relationships')) {
+      let index = 0;
+      for await (const relationship of neo4jService.streamExportRelationships(filters)) {
+        yield writer.relationship(relationship, index++);
+      }
+    }
+
+    if (writer.footer) {
+      yield writer.footer();
+    }
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,704 @@
+const { v4: uuidv4 } = require('uuid');
+const neo4jService = require('./neo4jService');
+const { ApiError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { parseCsv } = require('../utils/csv');
+const { CONNECTION_TYPES, getConnectionType } = require('../utils/relationshipTypes');
+
+const DATASETS = ['characters', 'associations', 'stories'];
+
+// Mappable fields per dataset, the source column each reads by default and its maximum length
+const DATASET_FIELDS = {
+  characters: {
+    name: { column: 'name', required: true, maxLength: 100 },
+    description: { column: 'description', maxLength: 1000 },
+    associations: { column: 'associations', list: true }
+  },
+  associations: {
+    source: { column: 'source', required: true },
+    target: { column: 'target', required: true },
+    type: { column: 'type' }
+  },
+  stories: {
+    title: { column: 'title', required: true, maxLength: 200 },
+    content: { column: 'content', required: true, maxLength: 50000 },
+    author: { column: 'author', required: true },
+    recipients: { column: 'recipients', list: true }
+  }
+};
+
+// Mapping options besides the fields themselves
+const MAPPING_OPTIONS = {
+  characters: ['separator', 'properties'],
+  associations: ['defaultType'],
+  stories: ['separator']
+};
+
+// User properties an import must not overwrite
+const RESERVED_PROPERTIES = [
+  'id', 'name', 'bio', 'email', 'passwordHash', 'role',
+  'isActive', 'createdAt', 'updatedAt', 'deactivatedAt'
+];
+
+const PROPERTY_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEFAULT_SEPARATOR = ';';
+const DEFAULT_RELATIONSHIP_TYPE = 'KNOWS';
+
+const IMPORT_MODES = ['atomic', 'batch'];
+const DEFAULT_BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 1000;
+const MAX_BATCH_SIZE = 10000;
+
+/**
+ * Parse a JSON Lines document, one value per non-empty line
+ *
+ * @param {string} text - The JSON Lines text
+ * @returns {Array} - The parsed values
+ */
+const parseJsonLines = text => String(text || '')
+  .split(/\r?\n/)
+  .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+  .filter(({ line }) => line)
+  .map(({ line, number }) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid JSON on line ${number}: ${error.message}`);
+    }
+  });
+
+/**
+ * Read a cell as a trimmed string, or null when empty
+ *
+ * @param {*} value - The raw cell value
+ * @returns {string|null} - The string value
+ */
+const cellText = value => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  return text || null;
+};
+
+/**
+ * Read a cell holding a list, either as an array or a separated string
+ *
+ * @param {*} value - The raw cell value
+ * @param {string} separator - The separator for string values
+ * @returns {Array<string>} - The non-empty list items
+ */
+const cellList = (value, separator) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(separator);
+  return items.map(cellText).filter(Boolean);
+};
+
+/**
+ * Whether a value can be stored as a Neo4j property
+ *
+ * @param {*} value - The value
+ * @returns {boolean} - True for primitives and arrays of a single primitive type
+ */
+const isStorable = value => {
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+
+  return Array.isArray(value)
+    && value.every(item => ['string', 'number', 'boolean'].includes(typeof item))
+    && new Set(value.map(item => typeof item)).size <= 1;
+};
+
+class ImportService {
+  constructor() {
+    this.formats = new Map();
+
+    this.registerFormat('json', {
+      contentTypes: ['application/json'],
+      parse: input => {
+        if (typeof input !== 'string') {
+          return input;
+        }
+        try {
+          return JSON.parse(input);
+        } catch (error) {
+          throw ApiError.badRequest(`Invalid JSON: ${error.message}`);
+        }
+      }
+    });
+
+    this.registerFormat('jsonl', {
+      contentTypes: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+      parse: parseJsonLines
+    });
+
+    this.registerFormat('csv', {
+      contentTypes: ['text/csv'],
+      parse: input => {
+        try {
+          return parseCsv(input);
+        } catch (error) {
+          throw ApiError.badRequest(`Invalid CSV: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Register a parser for an upload format
+   *
+   * @param {string} name - The format name used in `?format=`
+   * @param {object} parser - `parse(input)` returning rows (or a dataset bundle) and the `contentTypes` it handles
+   */
+  registerFormat(name, parser) {
+    this.formats.set(name, { contentTypes: [], ...parser });
+  }
+
+  /**
+   * The names of the registered formats
+   *
+   * @returns {Array<string>} - Format names
+   */
+  getFormats() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * Find the format handling a content type
+   *
+   * @param {string} contentType - The request Content-Type
+   * @returns {string|undefined} - The format name
+   */
+  detectFormat(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+    for (const [name, parser] of this.formats) {
+      if (parser.contentTypes.includes(type)) {
+        return name;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Validate a mapping for a dataset and fill in the defaults
+   *
+   * @param {string} dataset - characters, associations or stories
+   * @param {object} mapping - Target field to source column, plus dataset options
+   * @returns {object} - The complete mapping
+   */
+  normalizeMapping(dataset, mapping = {}) {
+    if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw ApiError.badRequest(`Mapping for ${dataset} must be an object`);
+    }
+
+    const fields = DATASET_FIELDS[dataset];
+    const options = MAPPING_OPTIONS[dataset];
+    const normalized = {
+      fields: {},
+      separator: DEFAULT_SEPARATOR,
+      properties: null,
+      defaultType: DEFAULT_RELATIONSHIP_TYPE
+    };
+
+    for (const [key, value] of Object.entries(mapping)) {
+      if (!fields[key] && !options.includes(key)) {
+        throw ApiError.badRequest(`Unknown mapping key '${key}' for ${dataset}`);
+      }
+    }
+
+    for (const [field, spec] of Object.entries(fields)) {
+      const column = mapping[field] !== undefined ? mapping[field] : spec.column;
+
+      if (column === null && !spec.required) {
+        continue;
+      }
+
+      if (typeof column !== 'string' || !column.trim()) {
+        throw ApiError.badRequest(`Mapping for ${dataset}.${field} must be a column name`);
+      }
+
+      normalized.fields[field] = column.trim();
+    }
+
+    if (mapping.separator !== undefined) {
+      if (typeof mapping.separator !== 'string' || !mapping.separator) {
+        throw ApiError.badRequest('Mapping separator must be a non-empty string');
+      }
+      normalized.separator = mapping.separator;
+    }
+
+    if (mapping.defaultType !== undefined) {
+      normalized.defaultType = getConnectionType(mapping.defaultType).type;
+    }
+
+    // Without explicit properties, characters keep every unmapped column
+    if (mapping.properties !== undefined && mapping.properties !== '*') {
+      const properties = mapping.properties || {};
+
+      if (typeof properties !== 'object' || Array.isArray(properties)) {
+        throw ApiError.badRequest('Mapping properties must map property names to columns');
+      }
+
+      for (const [property, column] of Object.entries(properties)) {
+        if (!PROPERTY_NAME_PATTERN.test(property) || RESERVED_PROPERTIES.includes(property)) {
+          throw ApiError.badRequest(`Property '${property}' cannot be imported`);
+        }
+        if (typeof column !== 'string' || !column) {
+          throw ApiError.badRequest(`Mapping for property '${property}' must be a column name`);
+        }
+      }
+
+      normalized.properties = properties;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate import options and fill in the defaults
+   *
+   * @param {object} options - `mode` (atomic|batch) and `batchSize`, possibly raw query strings
+   * @returns {object} - { mode, batchSize }
+   */
+  normalizeOptions({ mode, batchSize } = {}) {
+    const normalized = { mode: mode || 'atomic', batchSize: DEFAULT_BATCH_SIZE };
+
+    if (!IMPORT_MODES.includes(normalized.mode)) {
+      throw ApiError.badRequest(`Mode must be one of ${IMPORT_MODES.join(', ')}`);
+    }
+
+    if (batchSize !== undefined && batchSize !== null && batchSize !== '') {
+      const size = parseInt(batchSize);
+
+      if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+        throw ApiError.badRequest(`Batch size must be between 1 and ${MAX_BATCH_SIZE}`);
+      }
+      normalized.batchSize = size;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Read the custom properties of a character row
+   *
+   * @param {object} row - The source row
+   * @param {object} mapping - The normalized mapping
+   * @returns {object} - The properties to store on the user
+   */
+  readProperties(row, mapping) {
+    const properties = {};
+
+    if (mapping.properties) {
+      for (const [property, column] of Object.entries(mapping.properties)) {
+        const value = row[column];
+        if (value === undefined || value === null || value === '') {
+          continue;
+        }
+        if (!isStorable(value)) {
+          throw new Error(`Column '${column}' must hold a string, number, boolean or list of them`);
+        }
+        properties[property] = typeof value === 'string' ? value.trim() : value;
+      }
+
+      return properties;
+    }
+
+    const mappedColumns = new Set(Object.values(mapping.fields));
+
+    for (const [column, value] of Object.entries(row)) {
+      if (mappedColumns.has(column) || !PROPERTY_NAME_PATTERN.test(column) || RESERVED_PROPERTIES.includes(column)) {
+        continue;
+      }
+      if (value === null || value === '' || !isStorable(value)) {
+        continue;
+      }
+      properties[column] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    return properties;
+  }
+
+  /**
+   * Map a single source row to an import record
+   *
+   * @param {string} dataset - characters, associations or stories
+   * @param {object} row - The source row
+   * @param {object} mapping - The normalized mapping
+   * @returns {object} - The record
+   */
+  mapRow(dataset, row, mapping) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error('Row must be an object');
+    }
+
+    const record = {};
+
+    for (const [field, spec] of Object.entries(DATASET_FIELDS[dataset])) {
+      const column = mapping.fields[field];
+      const value = column ? row[column] : undefined;
+
+      if (spec.list) {
+        record[field] = cellList(value, mapping.separator);
+        continue;
+      }
+
+      const text = cellText(value);
+
+      if (spec.required && !text) {
+        throw new Error(`Missing ${field} (column '${column}')`);
+      }
+      if (text && spec.maxLength && text.length > spec.maxLength) {
+        throw new Error(`${field} must be at most ${spec.maxLength} characters`);
+      }
+
+      record[field] = text;
+    }
+
+    if (dataset === 'characters') {
+      record.properties = this.readProperties(row, mapping);
+    }
+
+    if (dataset === 'associations') {
+      record.type = record.type ? record.type.toUpperCase() : mapping.defaultType;
+
+      if (!CONNECTION_TYPES[record.type]) {
+        throw new Error(`Unknown relationship type '${record.type}'`);
+      }
+      if (record.source.toLowerCase() === record.target.toLowerCase()) {
+        throw new Error('A user cannot be associated with themselves');
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Parse an upload and map it to import records. Malformed uploads and
+   * mappings are rejected; invalid rows are reported and skipped.
+   *
+   * @param {object} upload - `format`, `data` (raw text or parsed JSON), and for a single
+   *   dataset `dataset` and `mapping`; bundles map each dataset name to its rows and mapping
+   * @returns {object} - { records: { characters, associations, stories }, errors }
+   */
+  prepare({ format = 'json', dataset = 'characters', data, mapping = {} }) {
+    const parser = this.formats.get(format);
+
+    if (!parser) {
+      throw ApiError.badRequest(`Format must be one of ${this.getFormats().join(', ')}`);
+    }
+
+    const parsed = parser.parse(data);
+    let sources;
+
+    if (Array.isArray(parsed)) {
+      if (!DATASETS.includes(dataset)) {
+        throw ApiError.badRequest(`Dataset must be one of ${DATASETS.join(', ')}`);
+      }
+      sources = { [dataset]: { rows: parsed, mapping } };
+    } else if (parsed && typeof parsed === 'object' && DATASETS.some(name => parsed[name] !== undefined)) {
+      const mappings = parsed.mapping || mapping || {};
+      sources = {};
+
+      for (const name of DATASETS) {
+        if (parsed[name] === undefined) {
+          continue;
+        }
+        if (!Array.isArray(parsed[name])) {
+          throw ApiError.badRequest(`${name} must be an array`);
+        }
+        sources[name] = { rows: parsed[name], mapping: mappings[name] || {} };
+      }
+    } else {
+      throw ApiError.badRequest(`Upload must be an array of rows or an object with ${DATASETS.join(', ')}`);
+    }
+
+    const records = { characters: [], associations: [], stories: [] };
+    const errors = [];
+
+    for (const [name, source] of Object.entries(sources)) {
+      const normalized = this.normalizeMapping(name, source.mapping);
+
+      source.rows.forEach((row, i) => {
+        try {
+          records[name].push({ row: i + 1, ...this.mapRow(name, row, normalized) });
+        } catch (error) {
+          errors.push({ dataset: name, row: i + 1, message: error.message });
+        }
+      });
+    }
+
+    return { records, errors };
+  }
+
+  /**
+   * Resolve names and turn import records into the rows written by each
+   * batched step. Rows that cannot be written are reported and left out.
+   *
+   * @param {object} records - { characters, associations, stories } from prepare
+   * @param {Function} report - (dataset, row, message) error callback
+   * @param {object} options - `clear` when the graph is cleared before writing
+   * @returns {Promise<Array>} - Steps as { counter, rows, write } in dependency order
+   */
+  async planWrites(records, report, { clear = false } = {}) {
+    // Resolve every referenced name against users that already exist
+    const referenced = new Set(records.characters.map(c => c.name));
+    records.characters.forEach(c => c.associations.forEach(name => referenced.add(name)));
+    records.associations.forEach(a => referenced.add(a.source).add(a.target));
+    records.stories.forEach(s => [s.author, ...s.recipients].forEach(name => referenced.add(name)));
+
+    // Clearing keeps only accounts, so they are the users a cleared import can clash with
+    const existing = referenced.size
+      ? await neo4jService.getUsersByNames([...referenced], { accountsOnly: clear })
+      : [];
+    const ids = new Map(existing.map(({ user }) => [user.name.toLowerCase(), user.id]));
+    const resolve = name => ids.get(name.toLowerCase());
+
+    // Refs identify rows in query results; one source row can produce several
+    let nextRef = 0;
+    const row = (dataset, sourceRow, fields) => ({ ref: nextRef++, dataset, row: sourceRow, ...fields });
+
+    const users = [];
+    for (const character of records.characters) {
+      if (resolve(character.name)) {
+        report('characters', character.row, `User '${character.name}' already exists`);
+        continue;
+      }
+
+      const id = uuidv4();
+      ids.set(character.name.toLowerCase(), id);
+      users.push(row('characters', character.row, {
+        id,
+        name: character.name,
+        bio: character.description,
+        properties: character.properties
+      }));
+    }
+
+    // Associations listed on characters become KNOWS relationships
+    const associations = [
+      ...records.characters.flatMap(character => character.associations.map(target => ({
+        dataset: 'characters',
+        row: character.row,
+        source: character.name,
+        target,
+        type: DEFAULT_RELATIONSHIP_TYPE
+      }))),
+      ...records.associations.map(association => ({ dataset: 'associations', ...association }))
+    ];
+    const connectionsByType = new Map();
+    const seen = new Set();
+
+    for (const association of associations) {
+      const sourceId = resolve(association.source);
+      const targetId = resolve(association.target);
+
+      if (!sourceId || !targetId) {
+        report(association.dataset, association.row,
+          `Unknown user '${sourceId ? association.target : association.source}'`);
+        continue;
+      }
+
+      // Symmetric types connect each pair once, whichever way round it is listed
+      const [first, second] = CONNECTION_TYPES[association.type].symmetric
+        ? [sourceId, targetId].sort()
+        : [sourceId, targetId];
+      const key = `${first}|${second}|${association.type}`;
+      if (sourceId === targetId || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      if (!connectionsByType.has(association.type)) {
+        connectionsByType.set(association.type, []);
+      }
+      connectionsByType.get(association.type).push(row(association.dataset, association.row, { sourceId, targetId }));
+    }
+
+    const stories = [];
+    const shares = [];
+    for (const story of records.stories) {
+      const authorId = resolve(story.author);
+
+      if (!authorId) {
+        report('stories', story.row, `Unknown author '${story.author}'`);
+        continue;
+      }
+
+      const storyId = uuidv4();
+      stories.push(row('stories', story.row, { id: storyId, title: story.title, content: story.content, authorId }));
+
+      for (const recipient of story.recipients) {
+        const receiverId = resolve(recipient);
+
+        if (!receiverId) {
+          report('stories', story.row, `Unknown recipient '${recipient}'`);
+        } else if (receiverId !== authorId) {
+          shares.push(row('stories', story.row, { storyId, senderId: authorId, receiverId }));
+        }
+      }
+    }
+
+    return [
+      { counter: 'characters', rows: users, write: (run, rows) => neo4jService.importUsers(run, rows) },
+      ...[...connectionsByType].map(([type, rows]) => ({
+        counter: 'relationships',
+        rows,
+        write: (run, batch) => neo4jService.importConnections(run, type, batch, { symmetric: CONNECTION_TYPES[type].symmetric })
+      })),
+      { counter: 'stories', rows: stories, write: (run, rows) => neo4jService.importStories(run, rows) },
+      { counter: 'shares', rows: shares, write: (run, rows) => neo4jService.importShares(run, rows) }
+    ];
+  }
+
+  /**
+   * Write import records to the database with batched UNWIND queries.
+   * Characters whose name is already taken are skipped but can still be
+   * referenced by associations and stories.
+   *
+   * In `atomic` mode every batch runs in a single transaction that is rolled
+   * back if any row fails, including rows rejected before writing. In `batch`
+   * mode each batch commits on its own and failed batches are reported.
+   *
+   * With `clear` the existing graph, apart from accounts, is deleted first: in
+   * atomic mode in the same transaction as the writes, so a rolled-back import
+   * keeps it, and in batch mode in a transaction of its own that only runs when
+   * no row was rejected before writing.
+   *
+   * @param {object} records - { characters, associations, stories } from prepare
+   * @param {Array} errors - Row errors collected so far; write failures are appended
+   * @param {object} options - `mode` (atomic|batch), `batchSize` and `clear`
+   * @returns {Promise<object>} - The import summary
+   */
+  async importRecords(records, errors = [], options = {}) {
+    const { mode, batchSize } = this.normalizeOptions(options);
+    const clear = Boolean(options.clear);
+    const startedAt = Date.now();
+    const summary = {
+      characters: 0,
+      relationships: 0,
+      stories: 0,
+      shares: 0
+    };
+    const report = (dataset, row, message, batch) => errors.push({
+      dataset,
+      row,
+      message,
+      ...(batch !== undefined && { batch })
+    });
+
+    const steps = await this.planWrites(records, report, { clear });
+    const batches = steps.flatMap(step => {
+      const chunks = [];
+      for (let i = 0; i < step.rows.length; i += batchSize) {
+        chunks.push({ step, rows: step.rows.slice(i, i + batchSize) });
+      }
+      return chunks;
+    });
+
+    // Write one batch, reporting rows the query matched nothing for
+    const writeBatch = async (run, batch, number) => {
+      const written = new Set(await batch.step.write(run, batch.rows));
+      batch.rows
+        .filter(row => !written.has(row.ref))
+        .forEach(row => report(row.dataset, row.row, 'Not written: a referenced user or story no longer exists', number));
+      return written.size;
+    };
+    const failBatch = (batch, number, error) => {
+      logger.error(`Import batch ${number} failed: ${error.message}`);
+      batch.rows.forEach(row => report(row.dataset, row.row, error.message, number));
+    };
+
+    let failedBatches = 0;
+    let committed = false;
+    let cleared = false;
+
+    if (mode === 'atomic') {
+      if (!errors.length) {
+        const counts = { ...summary };
+        let current = 0;
+
+        try {
+          await neo4jService.runInTransaction(async run => {
+            if (clear) {
+              await neo4jService.clearGraph(run);
+            }
+            for (current = 1; current <= batches.length; current++) {
+              const batch = batches[current - 1];
+              counts[batch.step.counter] += await writeBatch(run, batch, current);
+            }
+            if (errors.length) {
+              throw new Error('Rows failed to import');
+            }
+          });
+          Object.assign(summary, counts);
+          committed = true;
+          cleared = clear;
+        } catch (error) {
+          if (current <= batches.length) {
+            failBatch(batches[current - 1], current, error);
+            failedBatches = 1;
+          }
+        }
+      }
+
+      if (!committed) {
+        logger.warn(`Atomic import rolled back with ${errors.length} row errors`);
+      }
+    } else if (clear && errors.length) {
+      logger.warn(`Import with clear refused: ${errors.length} rows were rejected before writing`);
+    } else {
+      if (clear) {
+        await neo4jService.runInTransaction(run => neo4jService.clearGraph(run));
+        cleared = true;
+      }
+
+      for (let number = 1; number <= batches.length; number++) {
+        const batch = batches[number - 1];
+
+        try {
+          const written = await neo4jService.runInTransaction(run => writeBatch(run, batch, number));
+          summary[batch.step.counter] += written;
+        } catch (error) {
+          failBatch(batch, number, error);
+          failedBatches++;
+        }
+      }
+
+      committed = failedBatches === 0;
+    }
+
+    errors.sort((a, b) => DATASETS.indexOf(a.dataset) - DATASETS.indexOf(b.dataset) || a.row - b.row);
+
+    logger.info(`Imported ${summary.characters} characters, ${summary.relationships} relationships, ${summary.stories} stories and ${summary.shares} shares in ${batches.length} batches`);
+
+    return {
+      ...summary,
+      mode,
+      batchSize,
+      batches: batches.length,
+      failedBatches,
+      committed,
+      cleared,
+      durationMs: Date.now() - startedAt,
+      errors
+    };
+  }
+
+  /**
+   * Parse, map and write an upload
+   *
+   * @param {object} upload - See prepare
+   * @param {object} options - See importRecords
+   * @returns {Promise<object>} - The import summary with per-row errors
+   */
+  async importData(upload, options) {
+    const { records, errors } = this.prepare(upload);
+    return this.importRecords(records, errors, options);
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { createGraph } = require('../utils/graphAlgorithms');
+const { computeLayout } = require('../utils/graphLayout');
+
+// Coordinates are returned within this box
+const LAYOUT_WIDTH = 1000;
+const LAYOUT_HEIGHT = 1000;
+
+// Layouts kept in memory, least recently used evicted first
+const LAYOUT_CACHE_SIZE = 200;
+
+/**
+ * Computes node coordinates for network, connection and cascade responses so
+ * clients can render without running a simulation. Layouts are cached by
+ * graph version: a hash of the node IDs and the pairs they link, so an
+ * unchanged graph is laid out once and keeps its positions between visits.
+ */
+class LayoutService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Hash the structure of a graph
+   *
+   * @param {Array<string>} nodeIds - The node IDs
+   * @param {Array<object>} links - { source, target } pairs of node IDs
+   * @returns {string} - The graph version
+   */
+  graphVersion(nodeIds, links) {
+    const pairs = links.map(link => [String(link.source), String(link.target)].sort().join('|'));
+    const hash = crypto.createHash('sha1');
+
+    hash.update([...nodeIds].map(String).sort().join('\n'));
+    hash.update('\n--\n');
+    hash.update([...new Set(pairs)].sort().join('\n'));
+
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Lay out a graph, reusing a cached layout of the same graph version
+   *
+   * @param {Array<string>} nodeIds - The node IDs
+   * @param {Array<object>} links - { source, target } pairs of node IDs; links to unknown nodes are ignored
+   * @param {object} options - `algorithm`, `seed` and `rootId` (where radial and hierarchical layouts start)
+   * @returns {object} - { positions: Map of ID to { x, y }, layout: a description of the layout }
+   */
+  layout(nodeIds, links, { algorithm, seed = 1, rootId = null }) {
+    const version = this.graphVersion(nodeIds, links);
+    const key = `${version}:${algorithm}:${seed}:${rootId === null ? '' : rootId}`;
+    let positions = this.cache.get(key);
+    const cached = Boolean(positions);
+
+    if (cached) {
+      // Refresh its place in the eviction order
+      this.cache.delete(key);
+    } else {
+      const startedAt = Date.now();
+      const graph = createGraph(nodeIds.map(id => ({ id })), links);
+      const root = rootId === null ? undefined : graph.index.get(rootId);
+      const points = computeLayout(graph, { algorithm, seed, root, width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT });
+
+      positions = new Map(graph.nodes.map((node, i) => [node.id, points[i]]));
+      logger.debug(`Computed ${algorithm} layout of ${nodeIds.length} nodes in ${Date.now() - startedAt}ms`);
+    }
+
+    this.cache.set(key, positions);
+    if (this.cache.size > LAYOUT_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return {
+      positions,
+      layout: { algorithm, seed, width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT, version, cached }
+    };
+  }
+
+  /**
+   * Add coordinates to the nodes of a D3 network
+   *
+   * @param {object} network - { nodes, links } where links name their `source` and `target` node IDs
+   * @param {object} options - See layout
+   * @returns {object} - { nodes, links, layout } with `x` and `y` on every node
+   */
+  layoutNetwork(network, options) {
+    const { positions, layout } = this.layout(network.nodes.map(node => node.id), network.links, options);
+
+    return {
+      nodes: network.nodes.map(node => ({ ...node, ...positions.get(node.id) })),
+      links: network.links,
+      layout
+    };
+  }
+
+  /**
+   * Add coordinates to every node of a hierarchy ({ id, children })
+   *
+   * @param {object} tree - The root node
+   * @param {object} options - See layout; the root of the tree is the layout root
+   * @returns {object} - { tree, layout } with `x` and `y` on every node
+   */
+  layoutTree(tree, options) {
+    const nodeIds = [];
+    const links = [];
+    const stack = [tree];
+
+    while (stack.length) {
+      const node = stack.pop();
+      nodeIds.push(node.id);
+      node.children.forEach(child => {
+        links.push({ source: node.id, target: child.id });
+        stack.push(child);
+      });
+    }
+
+    const { positions, layout } = this.layout(nodeIds, links, { ...options, rootId: tree.id });
+    const place = node => ({
+      ...node,
+      ...positions.get(node.id),
+      children: node.children.map(place)
+    });
+
+    return { tree: place(tree), layout };
+  }
+}
+
+module.exports = new LayoutService();
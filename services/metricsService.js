@@ -0,0 +1,143 @@
+const analyticsService = require('./analyticsService');
+const { logger } = require('../utils/logger');
+
+// How often the network metrics are recomputed in the background; 0 disables the schedule
+const REFRESH_INTERVAL_MS = process.env.METRICS_REFRESH_MS !== undefined
+  ? parseInt(process.env.METRICS_REFRESH_MS) || 0
+  : 15 * 60 * 1000;
+
+// Headline metrics compared between computations
+const TRACKED_METRICS = {
+  nodeCount: metrics => metrics.nodeCount,
+  edgeCount: metrics => metrics.edgeCount,
+  averageDegree: metrics => metrics.averageDegree,
+  averagePathLength: metrics => metrics.averagePathLength,
+  diameter: metrics => metrics.diameter,
+  averageClustering: metrics => metrics.averageClustering,
+  componentCount: metrics => metrics.components.count,
+  largestComponent: metrics => metrics.components.largest
+};
+
+/**
+ * Caches the network metrics dashboard. The metrics are recomputed on a
+ * schedule (and on demand by admins) rather than per request, since they
+ * need a breadth-first search from every sampled user. The previous result
+ * is kept so each response can show how the network changed since then.
+ */
+class MetricsService {
+  constructor() {
+    this.current = null;
+    this.previous = null;
+    this.computing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Recompute the metrics. Concurrent calls share one computation.
+   *
+   * @returns {Promise<object>} - The new { computedAt, durationMs, metrics } snapshot
+   */
+  refresh() {
+    if (!this.computing) {
+      this.computing = this.compute().finally(() => {
+        this.computing = null;
+      });
+    }
+
+    return this.computing;
+  }
+
+  /**
+   * Compute the metrics and rotate the cached snapshots
+   *
+   * @returns {Promise<object>} - The new snapshot
+   */
+  async compute() {
+    const startedAt = Date.now();
+    // Always read the graph again: this is the scheduled (or requested) recomputation
+    const metrics = await analyticsService.getNetworkMetrics({ refresh: true });
+    const snapshot = {
+      computedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      metrics
+    };
+
+    if (this.current) {
+      this.previous = this.current;
+    }
+    this.current = snapshot;
+
+    logger.info(`Computed network metrics for ${metrics.nodeCount} users in ${snapshot.durationMs}ms`);
+
+    return snapshot;
+  }
+
+  /**
+   * Compare the tracked metrics of the cached snapshots
+   *
+   * @returns {object} - { metric: { previous, current, change } }, or null before the second computation
+   */
+  compare() {
+    if (!this.previous) {
+      return null;
+    }
+
+    return Object.fromEntries(Object.entries(TRACKED_METRICS).map(([name, read]) => {
+      const previous = read(this.previous.metrics);
+      const current = read(this.current.metrics);
+      return [name, { previous, current, change: Math.round((current - previous) * 10000) / 10000 }];
+    }));
+  }
+
+  /**
+   * Get the cached metrics, computing them first if there are none yet
+   *
+   * @param {object} options - Set `refresh` to recompute before answering
+   * @returns {Promise<object>} - The metrics with when they were computed and the changes since the previous computation
+   */
+  async getNetworkMetrics({ refresh = false } = {}) {
+    if (refresh || !this.current) {
+      await this.refresh();
+    }
+
+    const { computedAt, durationMs, metrics } = this.current;
+
+    return {
+      computedAt,
+      durationMs,
+      refreshIntervalMs: REFRESH_INTERVAL_MS || null,
+      nextRefreshAt: this.timer ? new Date(Date.parse(computedAt) + REFRESH_INTERVAL_MS).toISOString() : null,
+      ...metrics,
+      previousComputedAt: this.previous ? this.previous.computedAt : null,
+      changes: this.compare()
+    };
+  }
+
+  /**
+   * Compute the metrics now and then on the refresh schedule
+   */
+  start() {
+    if (this.timer || !REFRESH_INTERVAL_MS) {
+      return;
+    }
+
+    const run = () => this.refresh().catch(error => {
+      logger.error(`Network metrics refresh failed: ${error.message}`);
+    });
+
+    this.timer = setInterval(run, REFRESH_INTERVAL_MS);
+    // The schedule alone should not keep the process alive
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop the refresh schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new MetricsService();
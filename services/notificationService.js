@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const neo4jService = require('./neo4jService');
+const eventService = require('./eventService');
+const { mentionCandidates, resolveMentions } = require('../utils/mentions');
+const { logger } = require('../utils/logger');
+
+// Notification types and what each one tells the recipient
+const NOTIFICATION_TYPES = {
+  share: 'A story was shared with you',
+  mention: 'You were mentioned in a story',
+  reward: 'You earned points for a share'
+};
+
+/**
+ * Turns domain events into per-user Notification nodes. Listens on the event
+ * bus, so controllers only publish what happened; a failure here is logged and
+ * never fails the request that caused it.
+ */
+class NotificationService {
+  constructor() {
+    eventService.on('event', event => {
+      this.handleEvent(event).catch(error => {
+        logger.error(`Failed to create notifications for ${event.type} event ${event.id}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Get the notification types
+   *
+   * @returns {object} - Type names mapped to descriptions
+   */
+  getTypes() {
+    return NOTIFICATION_TYPES;
+  }
+
+  /**
+   * Create the notifications for an event
+   *
+   * @param {object} event - The published event
+   * @returns {Promise<Array>} - The created notifications
+   */
+  async handleEvent(event) {
+    const notifications = await this.buildNotifications(event);
+
+    if (!notifications.length) {
+      return [];
+    }
+
+    const created = await neo4jService.createNotifications(notifications);
+
+    if (created.length) {
+      logger.info(`Created ${created.length} notification(s) for ${event.type} event ${event.id}`);
+    }
+
+    return created.map(record => record.notification);
+  }
+
+  /**
+   * Work out who an event notifies
+   *
+   * @param {object} event - The published event
+   * @returns {Promise<Array>} - Notification rows for createNotifications
+   */
+  async buildNotifications(event) {
+    switch (event.type) {
+      case 'story.shared': {
+        const { share, rewardPoints } = event.data;
+
+        // Sharing with yourself is rejected, but never notify anyone about it either
+        if (share.senderId === share.receiverId) {
+          return [];
+        }
+
+        const notifications = [{
+          id: uuidv4(),
+          key: `share:${share.storyId}:${share.senderId}:${share.receiverId}`,
+          userId: share.receiverId,
+          type: 'share',
+          actorId: share.senderId,
+          storyId: share.storyId,
+          points: null
+        }];
+
+        if (rewardPoints > 0) {
+          // Keyed like the reward event itself, which is once per story and receiver
+          notifications.push({
+            id: uuidv4(),
+            key: `reward:${share.storyId}:${share.receiverId}`,
+            userId: share.senderId,
+            type: 'reward',
+            actorId: share.receiverId,
+            storyId: share.storyId,
+            points: rewardPoints
+          });
+        }
+
+        return notifications;
+      }
+
+      case 'story.created':
+      case 'story.updated': {
+        const { story } = event.data;
+        const mentioned = await this.getMentionedUsers(story.id);
+
+        // Keyed per story, so editing a story only notifies newly mentioned users
+        return mentioned
+          .filter(({ user }) => user.id !== story.authorId)
+          .map(({ user }) => ({
+            id: uuidv4(),
+            key: `mention:${story.id}:${user.id}`,
+            userId: user.id,
+            type: 'mention',
+            actorId: story.authorId,
+            storyId: story.id,
+            points: null
+          }));
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Find the active users a story mentions as @Name. Each mention resolves to
+   * the longest known name, so "@Rand al'Thor" never notifies a "Rand".
+   *
+   * @param {string} storyId - The ID of the story
+   * @returns {Promise<Array>} - The mentioned users under `user` ({id, name})
+   */
+  async getMentionedUsers(storyId) {
+    const result = await neo4jService.getStory(storyId);
+    const mentions = mentionCandidates(result && result.story.content);
+
+    if (!mentions.length) {
+      return [];
+    }
+
+    const users = await neo4jService.getActiveUsersByExactNames([...new Set(mentions.flat())]);
+    const names = new Set(resolveMentions(mentions, users.map(({ user }) => user.name)));
+
+    return users.filter(({ user }) => names.has(user.name));
+  }
+}
+
+module.exports = new NotificationService();
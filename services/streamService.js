@@ -0,0 +1,238 @@
+const neo4jService = require('./neo4jService');
+const eventService = require('./eventService');
+const { logger } = require('../utils/logger');
+
+// Comment lines sent to keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 25000;
+
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+const MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS) || 1000;
+
+// Clients that stop reading are dropped once this much output is queued
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const CONNECTION_EVENTS = ['connection.created', 'connection.deleted'];
+
+/**
+ * Format an event as a Server-Sent Events message
+ *
+ * @param {object} event - The event
+ * @returns {string} - The message
+ */
+const formatMessage = event => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+  id: event.id,
+  type: event.type,
+  at: event.at,
+  ...event.data
+})}\n\n`;
+
+/**
+ * Keeps the open Server-Sent Events streams and forwards each published
+ * event to the clients whose subscription it matches.
+ *
+ * A client subscribes to any combination of users, stories and the
+ * neighbourhood of a user (everyone within `depth` hops); with none of them it
+ * receives every event. `types` narrows the event types either way.
+ */
+class StreamService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.listener = event => this.dispatch(event);
+  }
+
+  /**
+   * Whether another client can be accepted
+   *
+   * @returns {boolean}
+   */
+  hasCapacity() {
+    return this.clients.size < MAX_CLIENTS;
+  }
+
+  /**
+   * Open a stream on a response
+   *
+   * @param {object} res - The Express response
+   * @param {object} filters - users, stories, neighbourhood, depth and types
+   * @param {number} lastEventId - The last event the client received, to replay missed ones
+   * @returns {Promise<object>} - The client, or undefined if the neighbourhood user does not exist
+   */
+  async subscribe(res, filters, lastEventId) {
+    const client = { res, filters, neighbourhood: null, refreshing: null, stale: false };
+
+    if (filters.neighbourhood) {
+      const loaded = await this.loadNeighbourhood(client);
+      if (!loaded) {
+        return undefined;
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (this.clients.size === 0) {
+      eventService.on('event', this.listener);
+      this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL_MS);
+      this.heartbeat.unref();
+    }
+    this.clients.add(client);
+
+    if (lastEventId) {
+      eventService.since(lastEventId).forEach(event => this.send(client, event));
+    }
+
+    logger.info(`Stream client connected (${this.clients.size} open)`);
+
+    return client;
+  }
+
+  /**
+   * Close a client's stream and forget it
+   *
+   * @param {object} client - The client
+   */
+  unsubscribe(client) {
+    if (!client || !this.clients.delete(client)) {
+      return;
+    }
+
+    if (!client.res.writableEnded) {
+      client.res.end();
+    }
+
+    if (this.clients.size === 0) {
+      eventService.off('event', this.listener);
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    logger.info(`Stream client disconnected (${this.clients.size} open)`);
+  }
+
+  /**
+   * Close every stream, e.g. on shutdown
+   */
+  closeAll() {
+    [...this.clients].forEach(client => this.unsubscribe(client));
+  }
+
+  /**
+   * Load (or reload) the user IDs in a client's neighbourhood
+   *
+   * @param {object} client - The client
+   * @returns {Promise<boolean>} - Whether the centre user exists
+   */
+  async loadNeighbourhood(client) {
+    const { neighbourhood, depth } = client.filters;
+    const result = await neo4jService.getNeighbourhoodIds(neighbourhood, depth);
+
+    if (!result || !result.ids) {
+      return false;
+    }
+
+    client.neighbourhood = new Set(result.ids);
+    return true;
+  }
+
+  /**
+   * Reload a neighbourhood after its connections changed, one reload at a time
+   *
+   * @param {object} client - The client
+   */
+  refreshNeighbourhood(client) {
+    if (client.refreshing) {
+      client.stale = true;
+      return;
+    }
+
+    client.refreshing = this.loadNeighbourhood(client)
+      .catch(error => logger.error(`Failed to refresh stream neighbourhood: ${error.message}`))
+      .finally(() => {
+        client.refreshing = null;
+        if (client.stale && this.clients.has(client)) {
+          client.stale = false;
+          this.refreshNeighbourhood(client);
+        }
+      });
+  }
+
+  /**
+   * Whether an event matches a client's subscription
+   *
+   * @param {object} client - The client
+   * @param {object} event - The event
+   * @returns {boolean}
+   */
+  matches(client, event) {
+    const { users, stories, types } = client.filters;
+
+    if (types && !types.includes(event.type)) {
+      return false;
+    }
+
+    if (!users && !stories && !client.neighbourhood) {
+      return true;
+    }
+
+    return Boolean(
+      (stories && event.storyId && stories.includes(event.storyId)) ||
+      (users && event.userIds.some(id => users.includes(id))) ||
+      (client.neighbourhood && event.userIds.some(id => client.neighbourhood.has(id)))
+    );
+  }
+
+  /**
+   * Forward an event to every matching client
+   *
+   * @param {object} event - The published event
+   */
+  dispatch(event) {
+    for (const client of [...this.clients]) {
+      const touchesNeighbourhood = client.neighbourhood &&
+        event.userIds.some(id => client.neighbourhood.has(id));
+
+      if (this.matches(client, event)) {
+        this.send(client, event);
+      }
+
+      // A new or removed connection can grow or shrink the neighbourhood
+      if (touchesNeighbourhood && CONNECTION_EVENTS.includes(event.type)) {
+        this.refreshNeighbourhood(client);
+      }
+    }
+  }
+
+  /**
+   * Write an event to a client, dropping clients that stopped reading
+   *
+   * @param {object} client - The client
+   * @param {object} event - The event
+   */
+  send(client, event) {
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      logger.warn('Dropping stream client that is not keeping up');
+      this.unsubscribe(client);
+      return;
+    }
+
+    client.res.write(formatMessage(event));
+  }
+
+  /**
+   * Send a comment line to every client
+   */
+  sendHeartbeat() {
+    this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+  }
+}
+
+module.exports = new StreamService();
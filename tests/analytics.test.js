@@ -0,0 +1,111 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const analyticsService = require('../services/analyticsService');
+const eventService = require('../services/eventService');
+const { createGraph, closenessCentrality } = require('../utils/graphAlgorithms');
+
+// A path a-b-c-d plus an isolated node e
+const pathGraph = () => createGraph(
+  ['a', 'b', 'c', 'd', 'e'].map(id => ({ id })),
+  [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }, { source: 'c', target: 'd' }]
+);
+
+describe('closenessCentrality', () => {
+  it('applies the Wasserman-Faust correction', () => {
+    const [a, b] = closenessCentrality(pathGraph());
+
+    // a reaches 3 of 4 others at total distance 6, b reaches 3 at total distance 4
+    expect(a).toBeCloseTo((3 / 6) * (3 / 4));
+    expect(b).toBeCloseTo((3 / 4) * (3 / 4));
+  });
+
+  it('is exact when there are at least as many samples as nodes', () => {
+    const graph = pathGraph();
+
+    expect(closenessCentrality(graph, { samples: 5 })).toEqual(closenessCentrality(graph));
+  });
+
+  it('estimates from the sampled sources only', () => {
+    const graph = pathGraph();
+    const estimate = closenessCentrality(graph, { samples: 2 });
+
+    expect(estimate).toHaveLength(5);
+    // The isolated node reaches no sampled source
+    expect(estimate[4]).toBe(0);
+    estimate.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+  });
+});
+
+describe('analyticsService caching', () => {
+  beforeAll(async () => {
+    await loadSampleData();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reuses the loaded graph and its results until the graph changes', async () => {
+    eventService.publish('test.changed', {});
+    const load = jest.spyOn(neo4jService, 'getUserGraph');
+
+    const first = await analyticsService.getCentrality({ metric: 'closeness', limit: 5 });
+    const second = await analyticsService.getCentrality({ metric: 'closeness', limit: 5 });
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+
+    // A published change drops the cached graph; the same graph version keeps the result
+    eventService.publish('test.changed', {});
+    const third = await analyticsService.getCentrality({ metric: 'closeness', limit: 5 });
+
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(third).toBe(first);
+  });
+});
+
+describe('GET /api/analytics', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+  });
+
+  afterAll(() => api.close());
+
+  it.each([
+    ['an unknown metric', '/api/analytics/centrality?metric=pagerank'],
+    ['a non-numeric limit', '/api/analytics/centrality?limit=abc'],
+    ['a limit above the maximum', '/api/analytics/centrality?limit=501'],
+    ['an unknown algorithm', '/api/analytics/communities?algorithm=girvan-newman'],
+    ['a non-integer seed', '/api/analytics/communities?seed=1.5'],
+    ['a malformed type list', '/api/analytics/bridges?types=KNOWS;DROP']
+  ])('rejects %s with a 400', async (_, path) => {
+    const response = await api.request('GET', path);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details).toHaveLength(1);
+  });
+
+  it('drops deactivated users from the cached graph', async () => {
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Verin Mathwin', email: 'verin@example.com', password: 'long-enough-password' }
+    });
+    const ranked = async () => (await api.request('GET', '/api/analytics/centrality?metric=degree&limit=500')).body.users
+      .map(user => user.id);
+
+    expect(await ranked()).toContain(signup.body.user.id);
+
+    const deactivated = await api.request('DELETE', `/api/users/${signup.body.user.id}`, { token: signup.body.token });
+    expect(deactivated.status).toBe(200);
+
+    expect(await ranked()).not.toContain(signup.body.user.id);
+  });
+
+  it('applies the defaults when no options are given', async () => {
+    const response = await api.request('GET', '/api/analytics/centrality');
+
+    expect(response.status).toBe(200);
+    expect(response.body.metrics).toEqual(['degree', 'betweenness', 'closeness']);
+    expect(response.body.users).toHaveLength(10);
+  });
+});
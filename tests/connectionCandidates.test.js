@@ -0,0 +1,45 @@
+require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const importService = require('../services/importService');
+
+describe('getConnectionCandidates', () => {
+  beforeAll(async () => {
+    await neo4jService.clearDatabase();
+
+    // Ten Aes Sedai crowd the affiliation source. Bukama and Leane are friends of
+    // friends, Leane through two mutual connections
+    const sisters = Array.from({ length: 10 }, (_, index) => ({ name: `Sister ${index}`, affiliation: 'Aes Sedai' }));
+
+    await importService.importData({
+      format: 'json',
+      data: {
+        characters: [
+          { name: 'Moiraine', affiliation: 'Aes Sedai', associations: ['Lan', 'Siuan'] },
+          { name: 'Lan', affiliation: 'Malkier', associations: ['Moiraine', 'Bukama', 'Leane'] },
+          { name: 'Siuan', affiliation: 'Tear', associations: ['Moiraine', 'Leane'] },
+          { name: 'Bukama', affiliation: 'Malkier', associations: ['Lan'] },
+          { name: 'Leane', affiliation: 'Tar Valon', associations: ['Lan', 'Siuan'] },
+          ...sisters
+        ]
+      }
+    });
+  });
+
+  it('takes friends of friends first and limits each source separately', async () => {
+    const moiraine = (await neo4jService.getUsersByNames(['Moiraine']))[0].user;
+    const candidates = await neo4jService.getConnectionCandidates(moiraine.id, { limit: 4 });
+    const names = candidates.map(({ user }) => user.name);
+
+    expect(names).toHaveLength(4);
+    expect(names.slice(0, 2)).toEqual(['Leane', 'Bukama']);
+    expect(candidates[0].mutualConnections.map(mutual => mutual.name).sort()).toEqual(['Lan', 'Siuan']);
+    names.slice(2).forEach(name => expect(name).toMatch(/^Sister /));
+  });
+
+  it('keeps the friends of friends with the most mutual connections', async () => {
+    const moiraine = (await neo4jService.getUsersByNames(['Moiraine']))[0].user;
+    const candidates = await neo4jService.getConnectionCandidates(moiraine.id, { limit: 1 });
+
+    expect(candidates.map(({ user }) => user.name)).toEqual(['Leane']);
+  });
+});
@@ -0,0 +1,59 @@
+const { MAX_DIFF_CELLS, diffLines } = require('../utils/diff');
+
+// Rebuild both texts from the chunks of a diff
+const apply = chunks => ({
+  before: chunks.filter(chunk => chunk.type !== 'added').map(chunk => chunk.value).join('\n'),
+  after: chunks.filter(chunk => chunk.type !== 'removed').map(chunk => chunk.value).join('\n')
+});
+
+const lines = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix} ${i}`).join('\n');
+
+describe('diffLines', () => {
+  it('reports equal, removed and added lines in order', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'equal', value: 'a' },
+      { type: 'removed', value: 'b' },
+      { type: 'added', value: 'x' },
+      { type: 'equal', value: 'c' }
+    ]);
+  });
+
+  it('returns a single equal chunk for identical texts', () => {
+    expect(diffLines('same\ntext', 'same\ntext')).toEqual([{ type: 'equal', value: 'same\ntext' }]);
+  });
+
+  it('diffs the lines between a shared prefix and suffix', () => {
+    const oldText = `${lines(3, 'head')}\none\ntwo\nthree\n${lines(3, 'tail')}`;
+    const newText = `${lines(3, 'head')}\none\n2\nthree\nfour\n${lines(3, 'tail')}`;
+    const chunks = diffLines(oldText, newText);
+
+    expect(apply(chunks)).toEqual({ before: oldText, after: newText });
+    expect(chunks.filter(chunk => chunk.type === 'removed')).toEqual([{ type: 'removed', value: 'two' }]);
+    expect(chunks.filter(chunk => chunk.type === 'added')).toEqual([
+      { type: 'added', value: '2' },
+      { type: 'added', value: 'four' }
+    ]);
+  });
+
+  it('diffs large texts with a small change line by line', () => {
+    const oldText = lines(25000, 'line');
+    const newText = oldText.replace('line 12345\n', 'line 12345 (edited)\n');
+    const chunks = diffLines(oldText, newText);
+
+    expect(apply(chunks)).toEqual({ before: oldText, after: newText });
+    expect(chunks.map(chunk => chunk.type)).toEqual(['equal', 'removed', 'added', 'equal']);
+  });
+
+  it('replaces the whole block when two large texts differ throughout', () => {
+    const oldText = lines(25000, 'old');
+    const newText = lines(25000, 'new');
+    expect(25000 * 25000).toBeGreaterThan(MAX_DIFF_CELLS);
+
+    const chunks = diffLines(oldText, newText);
+
+    expect(chunks).toEqual([
+      { type: 'removed', value: oldText },
+      { type: 'added', value: newText }
+    ]);
+  });
+});
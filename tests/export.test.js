@@ -0,0 +1,58 @@
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { startApp, loadSampleData } = require('./helpers/app');
+
+describe('GET /api/export', () => {
+  let api;
+  let token;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Archive Keeper', email: 'admin@example.com', password: 'amyrlin-seat' }
+    });
+    token = signup.body.token;
+
+    // An edited story leaves a Revision behind
+    const story = await api.request('POST', '/api/stories', {
+      token,
+      body: { title: 'The White Tower', content: 'First draft' }
+    });
+    const edit = await api.request('PATCH', `/api/stories/${story.body.story.id}`, {
+      token,
+      body: { content: 'Second draft' }
+    });
+    expect(edit.status).toBe(200);
+  });
+
+  afterAll(() => api.close());
+
+  it('exports the User/Story graph without credentials by default', async () => {
+    const response = await api.request('GET', '/api/export?format=cypher', { token });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toContain('Partial export of User, Story without credentials');
+    expect(response.body).toContain('CREATE (:User ');
+    expect(response.body).not.toContain(':Revision');
+    expect(response.body).not.toContain('passwordHash');
+  });
+
+  it('exports every label with credentials as a snapshot', async () => {
+    const response = await api.request('GET', '/api/export?format=cypher&snapshot=true', { token });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toContain('Full snapshot');
+    expect(response.body).toContain('CREATE (:Revision ');
+    expect(response.body).toContain('[:HAS_REVISION ');
+    expect(response.body).toContain('passwordHash: "scrypt$');
+    expect(response.body).toContain('role: "admin"');
+  });
+
+  it('accepts the other labels in ?labels=', async () => {
+    const response = await api.request('GET', '/api/export?format=json&labels=Story,Revision', { token });
+
+    expect(response.status).toBe(200);
+  });
+});
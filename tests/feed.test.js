@@ -0,0 +1,163 @@
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const dataService = require('../services/dataService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+
+// A feed candidate as returned by neo4jService.getFeedCandidates
+const candidate = (id, sources, { createdAt = NOW, recentShares = 0, lastSharedAt = null } = {}) => ({
+  story: { id, title: id, content: '' },
+  author: { id: sources[0].id, name: sources[0].name },
+  sources,
+  distance: Math.min(...sources.map(source => source.distance)),
+  shares: recentShares,
+  recentShares,
+  createdAt,
+  lastSharedAt
+});
+
+describe('dataService.rankFeed', () => {
+  it('adds up the proximity of every network member who touched a story', () => {
+    const [first, second] = dataService.rankFeed([
+      candidate('far', [{ id: 'c', name: 'C', distance: 2, via: 'authored' }]),
+      candidate('near', [
+        { id: 'a', name: 'A', distance: 1, via: 'authored' },
+        { id: 'a', name: 'A', distance: 1, via: 'shared' },
+        { id: 'b', name: 'B', distance: 1, via: 'shared' }
+      ])
+    ], { now: NOW });
+
+    expect(first.story.id).toBe('near');
+    expect(first.signals.proximity).toBe(0.75);
+    expect(first.via).toEqual([
+      { id: 'a', name: 'A', distance: 1, via: ['authored', 'shared'] },
+      { id: 'b', name: 'B', distance: 1, via: ['shared'] }
+    ]);
+    expect(second.signals.proximity).toBe(0.25);
+  });
+
+  it('halves recency every half-life since the last activity', () => {
+    const [story] = dataService.rankFeed([
+      candidate('old', [{ id: 'a', name: 'A', distance: 1, via: 'authored' }], {
+        createdAt: NOW - 96 * HOUR_MS,
+        lastSharedAt: NOW - 48 * HOUR_MS
+      })
+    ], { now: NOW });
+
+    expect(story.signals.recency).toBe(0.5);
+  });
+
+  it('scores velocity against the most shared candidate', () => {
+    const ranked = dataService.rankFeed([
+      candidate('quiet', [{ id: 'a', name: 'A', distance: 1, via: 'authored' }], { recentShares: 1 }),
+      candidate('busy', [{ id: 'a', name: 'A', distance: 1, via: 'authored' }], { recentShares: 4 })
+    ], { now: NOW });
+
+    expect(ranked.map(item => [item.story.id, item.signals.velocity])).toEqual([['busy', 1], ['quiet', 0.25]]);
+    expect(ranked[0].score).toBeCloseTo(0.5 * 0.5 + 0.3 + 0.2);
+  });
+});
+
+describe('GET /api/users/:id/feed', () => {
+  let api;
+  const users = {};
+  const stories = {};
+
+  const signup = async name => {
+    const response = await api.request('POST', '/api/auth/signup', {
+      body: { name, email: `${name.toLowerCase()}@example.com`, password: 'long-enough-password' }
+    });
+    users[name] = { id: response.body.user.id, token: response.body.token };
+  };
+
+  const write = async (author, title) => {
+    const response = await api.request('POST', '/api/stories', {
+      token: users[author].token,
+      body: { title, content: `${title}, told by ${author}` }
+    });
+    stories[title] = response.body.story.id;
+  };
+
+  const share = (sender, title, receiver) => api.request('POST', '/api/stories/share', {
+    token: users[sender].token,
+    body: { storyId: stories[title], receiverId: users[receiver].id }
+  });
+
+  const feedOf = async (name, query = '') => {
+    const response = await api.request('GET', `/api/users/${users[name].id}/feed${query}`);
+    expect(response.status).toBe(200);
+    return response.body.feed.map(item => item.story.title);
+  };
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    // Reader knows Friend, who knows Distant; Stranger is not connected
+    for (const name of ['Reader', 'Friend', 'Distant', 'Stranger', 'Listener']) {
+      await signup(name);
+    }
+    for (const [source, target] of [['Reader', 'Friend'], ['Friend', 'Distant'], ['Distant', 'Listener']]) {
+      await api.request('POST', '/api/connections', {
+        token: users[source].token,
+        body: { sourceId: users[source].id, targetId: users[target].id, type: 'KNOWS' }
+      });
+    }
+
+    await write('Friend', 'Near story');
+    await write('Distant', 'Far story');
+    await write('Stranger', 'Hidden story');
+  });
+
+  afterAll(() => api.close());
+
+  it('ranks stories from closer network members first', async () => {
+    const response = await api.request('GET', `/api/users/${users.Reader.id}/feed`);
+
+    expect(response.body).toMatchObject({ userId: users.Reader.id, depth: 2, total: 2 });
+    expect(response.body.feed.map(item => [item.story.title, item.signals.distance])).toEqual([
+      ['Near story', 1],
+      ['Far story', 2]
+    ]);
+    expect(response.body.feed[0].author.name).toBe('Friend');
+    expect(response.body.feed[0].score).toBeGreaterThan(response.body.feed[1].score);
+  });
+
+  it('only reaches as far as the requested depth', async () => {
+    expect(await feedOf('Reader', '?depth=1')).toEqual(['Near story']);
+  });
+
+  it('lifts a story a friend passes on', async () => {
+    expect((await share('Friend', 'Far story', 'Listener')).status).toBe(200);
+
+    const response = await api.request('GET', `/api/users/${users.Reader.id}/feed`);
+    const [top] = response.body.feed;
+
+    expect(top.story.title).toBe('Far story');
+    expect(top.signals).toMatchObject({ distance: 1, recentShares: 1, velocity: 1 });
+    expect(top.via.map(member => [member.name, member.via])).toEqual([
+      ['Friend', ['shared']],
+      ['Distant', ['authored']]
+    ]);
+  });
+
+  it('leaves out stories the user already received', async () => {
+    await share('Friend', 'Near story', 'Reader');
+
+    expect(await feedOf('Reader')).toEqual(['Far story']);
+  });
+
+  it('rejects an out-of-range depth with a 400', async () => {
+    const response = await api.request('GET', `/api/users/${users.Reader.id}/feed?depth=4`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('depth');
+  });
+
+  it('answers an unknown user with a 404', async () => {
+    const response = await api.request('GET', '/api/users/2c1a3e4b-0d5f-4a6b-8c7d-9e0f1a2b3c4d/feed');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,80 @@
+// API tests run against the in-memory storage backend, so no database is needed
+process.env.STORAGE_BACKEND = 'memory';
+process.env.METRICS_REFRESH_MS = '0';
+
+const express = require('express');
+const { errorHandler } = require('../../utils/errorHandler');
+const { logger } = require('../../utils/logger');
+
+logger.silent = true;
+
+const neo4jService = require('../../services/neo4jService');
+const importService = require('../../services/importService');
+const dataService = require('../../services/dataService');
+
+const ROUTES = [
+  'networkRoutes', 'storyRoutes', 'initRoutes', 'userRoutes', 'authRoutes',
+  'searchRoutes', 'analyticsRoutes', 'rewardRoutes', 'importRoutes', 'exportRoutes',
+  'connectionRoutes', 'streamRoutes', 'notificationRoutes', 'metricsRoutes'
+];
+
+/**
+ * Start the API on a free port
+ *
+ * @returns {Promise<object>} - { baseUrl, request(method, path, { body, token }), close() };
+ *   responses carry the parsed JSON body, or the text of other content types
+ */
+const startApp = async () => {
+  const app = express();
+  app.use(express.json());
+  ROUTES.forEach(name => app.use('/api', require(`../../routes/${name}`)));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+
+    return { status: response.status, body: json ? JSON.parse(text) : text };
+  };
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Load the sample dataset into the in-memory graph
+ *
+ * @returns {Promise<object>} - The import summary
+ */
+const loadSampleData = async () => {
+  await neo4jService.clearDatabase();
+
+  return importService.importData({
+    format: 'json',
+    data: {
+      characters: dataService.generateSampleWotCharacters(),
+      stories: dataService.generateSampleWotStories()
+    }
+  });
+};
+
+module.exports = {
+  startApp,
+  loadSampleData
+};
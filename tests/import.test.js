@@ -0,0 +1,206 @@
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { startApp, loadSampleData } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+
+describe('POST /api/import', () => {
+  let api;
+  let token;
+
+  // One valid character and one row without a name
+  const invalidUpload = {
+    characters: [
+      { name: 'Gareth Bryne', affiliation: 'Andor' },
+      { affiliation: 'Nobody' }
+    ]
+  };
+
+  const countUsers = async () => {
+    const response = await api.request('GET', '/api/users?limit=1');
+    return response.body.total;
+  };
+
+  beforeAll(async () => {
+    api = await startApp();
+  });
+
+  beforeEach(async () => {
+    await loadSampleData();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Import Admin', email: 'admin@example.com', password: 'long-enough-password' }
+    });
+    token = signup.body.token;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => api.close());
+
+  it('keeps the graph when an atomic import that asked to clear rolls back', async () => {
+    const before = await countUsers();
+
+    const response = await api.request('POST', '/api/import?clear=true', { token, body: invalidUpload });
+
+    expect(response.status).toBe(422);
+    expect(response.body.message).toBe('Import rolled back: no data was written');
+    expect(response.body.summary).toMatchObject({ committed: false, cleared: false, characters: 0 });
+    expect(response.body.summary.errors).toEqual([
+      { dataset: 'characters', row: 2, message: expect.stringContaining('Missing name') }
+    ]);
+
+    expect(await countUsers()).toBe(before);
+    const rand = await api.request('GET', `/api/users/name/${encodeURIComponent("Rand al'Thor")}`);
+    expect(rand.status).toBe(200);
+  });
+
+  it('refuses to clear for a batch import with rejected rows', async () => {
+    const before = await countUsers();
+
+    const response = await api.request('POST', '/api/import?clear=true&mode=batch', { token, body: invalidUpload });
+
+    expect(response.status).toBe(422);
+    expect(response.body.summary).toMatchObject({ cleared: false, characters: 0 });
+    expect(await countUsers()).toBe(before);
+  });
+
+  it('maps CSV columns to fields, associations and properties', async () => {
+    const response = await api.request('POST', '/api/import', {
+      token,
+      body: {
+        format: 'csv',
+        dataset: 'characters',
+        data: "Full Name,Homeland,Friends\nGareth Bryne,Andor,Siuan Sanche|Egwene al'Vere\nBasel Gill,Andor,\n",
+        mapping: { name: 'Full Name', associations: 'Friends', separator: '|', properties: { nationality: 'Homeland' } }
+      }
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.format).toBe('csv');
+    expect(response.body.summary).toMatchObject({ committed: true, characters: 2, relationships: 2, errors: [] });
+
+    const gareth = await api.request('GET', '/api/users/name/Gareth%20Bryne');
+    expect(gareth.body.nationality).toBe('Andor');
+  });
+
+  it('imports JSON Lines rows, skipping blank lines', async () => {
+    const response = await api.request('POST', '/api/import', {
+      token,
+      body: {
+        format: 'jsonl',
+        dataset: 'associations',
+        data: '{"source":"Siuan Sanche","target":"Min Farshaw","type":"ally"}\n\n{"source":"Lan Mandragoran","target":"Nynaeve al\'Meara","type":"romantic"}\n'
+      }
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.summary).toMatchObject({ committed: true, relationships: 2 });
+  });
+
+  it('rolls back an upload naming an existing user', async () => {
+    const response = await api.request('POST', '/api/import', {
+      token,
+      body: { characters: [{ name: 'Gareth Bryne' }, { name: "rand al'thor" }] }
+    });
+
+    expect(response.status).toBe(422);
+    expect(response.body.summary.errors).toEqual([
+      { dataset: 'characters', row: 2, message: "User 'rand al'thor' already exists" }
+    ]);
+    expect((await api.request('GET', '/api/users/name/Gareth%20Bryne')).status).toBe(404);
+  });
+
+  it.each([
+    ['an unknown format', { format: 'xml', data: '<characters/>' }, 'Format must be one of json, jsonl, csv'],
+    ['malformed JSON Lines', { format: 'jsonl', data: '{"name":' }, expect.stringContaining('Invalid JSON on line 1')],
+    ['an unknown mapping key', { data: [{ name: 'Gareth Bryne' }], mapping: { title: 'name' } }, "Unknown mapping key 'title' for characters"],
+    ['a reserved property', { data: [{ name: 'Gareth Bryne' }], mapping: { properties: { role: 'name' } } }, "Property 'role' cannot be imported"]
+  ])('rejects %s with a 400', async (_, body, message) => {
+    const response = await api.request('POST', '/api/import', { token, body });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toEqual(message);
+  });
+
+  it('is only open to admins', async () => {
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Import Reader', email: 'reader@example.com', password: 'long-enough-password' }
+    });
+
+    const response = await api.request('POST', '/api/import', {
+      token: signup.body.token,
+      body: { characters: [{ name: 'Gareth Bryne' }] }
+    });
+
+    expect(response.status).toBe(403);
+  });
+
+  describe('batches', () => {
+    // Five characters, written two per batch: three batches
+    const guards = {
+      characters: ['Gareth Bryne', 'Basel Gill', 'Talmanes', 'Daerid', 'Nalesean'].map(name => ({ name, affiliation: 'Band' }))
+    };
+
+    // Fail the second batch of characters, as a dropped connection would
+    const failSecondBatch = () => {
+      const importUsers = neo4jService.importUsers.bind(neo4jService);
+      jest.spyOn(neo4jService, 'importUsers')
+        .mockImplementationOnce(importUsers)
+        .mockImplementationOnce(async () => {
+          throw new Error('Connection reset');
+        });
+    };
+
+    it('splits the writes into batches of batchSize', async () => {
+      const before = await countUsers();
+
+      const response = await api.request('POST', '/api/import?batchSize=2', { token, body: guards });
+
+      expect(response.status).toBe(201);
+      expect(response.body.summary).toMatchObject({
+        mode: 'atomic', batchSize: 2, batches: 3, failedBatches: 0, committed: true, characters: 5
+      });
+      expect(await countUsers()).toBe(before + 5);
+    });
+
+    it('rolls back every batch of an atomic import when one fails', async () => {
+      const before = await countUsers();
+      failSecondBatch();
+
+      const response = await api.request('POST', '/api/import?batchSize=2', { token, body: guards });
+
+      expect(response.status).toBe(422);
+      expect(response.body.summary).toMatchObject({ committed: false, failedBatches: 1, characters: 0 });
+      expect(response.body.summary.errors).toEqual([
+        { dataset: 'characters', row: 3, message: 'Connection reset', batch: 2 },
+        { dataset: 'characters', row: 4, message: 'Connection reset', batch: 2 }
+      ]);
+      expect(await countUsers()).toBe(before);
+    });
+
+    it('keeps the other batches of a batch-mode import when one fails', async () => {
+      const before = await countUsers();
+      failSecondBatch();
+
+      const response = await api.request('POST', '/api/import?mode=batch&batchSize=2', { token, body: guards });
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Import completed with failed batches');
+      expect(response.body.summary).toMatchObject({ mode: 'batch', committed: false, failedBatches: 1, characters: 3 });
+      expect(response.body.summary.errors.map(error => error.row)).toEqual([3, 4]);
+      expect(await countUsers()).toBe(before + 3);
+      expect((await api.request('GET', '/api/users/name/Talmanes')).status).toBe(404);
+    });
+
+    it.each([
+      ['an unknown mode', '?mode=eventual', 'Mode must be one of atomic, batch'],
+      ['a batch size of zero', '?batchSize=0', 'Batch size must be between 1 and 10000'],
+      ['a batch size above the maximum', '?batchSize=10001', 'Batch size must be between 1 and 10000']
+    ])('rejects %s with a 400', async (_, query, message) => {
+      const response = await api.request('POST', `/api/import${query}`, { token, body: guards });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(message);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { startApp, loadSampleData } = require('./helpers/app');
+
+describe('POST /api/init', () => {
+  let api;
+  let admin;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Init Admin', email: 'admin@example.com', password: 'long-enough-password' }
+    });
+    admin = { id: signup.body.user.id, token: signup.body.token };
+  });
+
+  afterAll(() => api.close());
+
+  it('keeps accounts when clearing, and drops everything else', async () => {
+    const story = await api.request('POST', '/api/stories', {
+      token: admin.token,
+      body: { title: 'Before the clear', content: 'Gone afterwards' }
+    });
+    const character = await api.request('POST', '/api/users', {
+      token: admin.token,
+      body: { name: 'Gareth Bryne' }
+    });
+
+    const response = await api.request('POST', '/api/init?clear=true', { token: admin.token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toMatchObject({ committed: true, cleared: true });
+
+    // The admin can still sign in and act on the fresh sample data
+    const login = await api.request('POST', '/api/auth/login', {
+      body: { email: 'admin@example.com', password: 'long-enough-password' }
+    });
+    expect(login.status).toBe(200);
+    expect(login.body.user.id).toBe(admin.id);
+    expect((await api.request('POST', '/api/init?clear=true', { token: admin.token })).status).toBe(200);
+
+    expect((await api.request('GET', `/api/stories/${story.body.story.id}`)).status).toBe(404);
+    expect((await api.request('GET', `/api/users/${character.body.user.id}`)).status).toBe(404);
+    expect((await api.request('GET', `/api/users/name/${encodeURIComponent("Rand al'Thor")}`)).status).toBe(200);
+  });
+});
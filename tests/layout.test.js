@@ -0,0 +1,206 @@
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const layoutService = require('../services/layoutService');
+const { createGraph } = require('../utils/graphAlgorithms');
+const { LAYOUT_ALGORITHMS, computeLayout } = require('../utils/graphLayout');
+
+// A hub with three spokes, one of which has a tail
+const graph = () => createGraph(
+  ['hub', 'a', 'b', 'c', 'tail'].map(id => ({ id })),
+  [
+    { source: 'hub', target: 'a' },
+    { source: 'hub', target: 'b' },
+    { source: 'hub', target: 'c' },
+    { source: 'c', target: 'tail' }
+  ]
+);
+
+const distanceFromCentre = point => Math.hypot(point.x - 500, point.y - 500);
+
+// Look points up by node ID; createGraph orders nodes by ID
+const byId = (built, points) => Object.fromEntries(built.nodes.map((node, i) => [node.id, points[i]]));
+
+describe('computeLayout', () => {
+  it.each(LAYOUT_ALGORITHMS)('places every node inside the padded box, the same way every time, with %s', algorithm => {
+    const points = computeLayout(graph(), { algorithm });
+
+    expect(points).toHaveLength(5);
+    points.forEach(point => {
+      expect(point.x).toBeGreaterThanOrEqual(20);
+      expect(point.x).toBeLessThanOrEqual(980);
+      expect(point.y).toBeGreaterThanOrEqual(20);
+      expect(point.y).toBeLessThanOrEqual(980);
+    });
+    expect(computeLayout(graph(), { algorithm })).toEqual(points);
+  });
+
+  // A lone node on a circle sits at the top of it
+  it.each(['force', 'radial', 'hierarchical'])('centres a single node with %s', algorithm => {
+    expect(computeLayout(createGraph([{ id: 'only' }], []), { algorithm })).toEqual([{ x: 500, y: 500 }]);
+  });
+
+  it('returns no positions for an empty graph', () => {
+    expect(computeLayout(createGraph([], []), { algorithm: 'force' })).toEqual([]);
+  });
+
+  it('starts the force layout from the seed', () => {
+    expect(computeLayout(graph(), { algorithm: 'force', seed: 2 }))
+      .not.toEqual(computeLayout(graph(), { algorithm: 'force', seed: 1 }));
+  });
+
+  it('puts every node on one circle for circular', () => {
+    computeLayout(graph(), { algorithm: 'circular' })
+      .forEach(point => expect(distanceFromCentre(point)).toBeCloseTo(480, 1));
+  });
+
+  it('rings nodes around the root by hop distance for radial', () => {
+    const built = graph();
+    const points = byId(built, computeLayout(built, { algorithm: 'radial', root: built.index.get('hub') }));
+
+    const ring = distanceFromCentre(points.a);
+
+    expect(points.hub).toEqual({ x: 500, y: 500 });
+    ['b', 'c'].forEach(id => expect(distanceFromCentre(points[id])).toBeCloseTo(ring, 1));
+    expect(distanceFromCentre(points.tail)).toBeCloseTo(2 * ring, 1);
+  });
+
+  it('stacks layers below the root for hierarchical', () => {
+    const built = graph();
+    const points = byId(built, computeLayout(built, { algorithm: 'hierarchical', root: built.index.get('hub') }));
+
+    expect(['hub', 'a', 'b', 'c', 'tail'].map(id => points[id].y)).toEqual([20, 500, 500, 500, 980]);
+    // The root sits over the middle of its children, the tail under its parent
+    expect(points.hub.x).toBe((points.a.x + points.c.x) / 2);
+    expect(points.tail.x).toBe(points.c.x);
+  });
+});
+
+describe('layoutService.layout', () => {
+  const nodeIds = ['n1', 'n2', 'n3'];
+  const links = [{ source: 'n1', target: 'n2' }, { source: 'n2', target: 'n3' }];
+
+  it('reuses the layout of an unchanged graph', () => {
+    const first = layoutService.layout(nodeIds, links, { algorithm: 'force', seed: 7 });
+    const second = layoutService.layout(nodeIds, links, { algorithm: 'force', seed: 7 });
+
+    expect(first.layout).toMatchObject({ algorithm: 'force', seed: 7, width: 1000, height: 1000, cached: false });
+    expect(second.layout).toMatchObject({ version: first.layout.version, cached: true });
+    expect(second.positions).toEqual(first.positions);
+    expect([...first.positions.keys()]).toEqual(nodeIds);
+  });
+
+  it('versions a graph by its structure, not the order or direction of its links', () => {
+    const version = layoutService.graphVersion(nodeIds, links);
+
+    expect(layoutService.graphVersion([...nodeIds].reverse(), [
+      { source: 'n3', target: 'n2' },
+      { source: 'n2', target: 'n1' }
+    ])).toBe(version);
+    expect(layoutService.graphVersion(nodeIds, [links[0]])).not.toBe(version);
+  });
+
+  it('lays out again for another seed or root', () => {
+    expect(layoutService.layout(nodeIds, links, { algorithm: 'force', seed: 8 }).layout.cached).toBe(false);
+    expect(layoutService.layout(nodeIds, links, { algorithm: 'radial', seed: 1, rootId: 'n1' }).layout.cached).toBe(false);
+    expect(layoutService.layout(nodeIds, links, { algorithm: 'radial', seed: 1, rootId: 'n2' }).layout.cached).toBe(false);
+  });
+});
+
+describe('layouts over HTTP', () => {
+  let api;
+  const users = {};
+
+  const signup = async name => {
+    const response = await api.request('POST', '/api/auth/signup', {
+      body: { name, email: `${name.toLowerCase()}@example.com`, password: 'long-enough-password' }
+    });
+    users[name] = { id: response.body.user.id, token: response.body.token };
+  };
+
+  const expectPositioned = node => {
+    expect(node.x).toEqual(expect.any(Number));
+    expect(node.y).toEqual(expect.any(Number));
+  };
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    // Perrin knows Faile and Elyas; Faile knows Berelain
+    for (const name of ['Perrin', 'Faile', 'Elyas', 'Berelain']) {
+      await signup(name);
+    }
+    for (const [source, target] of [['Perrin', 'Faile'], ['Perrin', 'Elyas'], ['Faile', 'Berelain']]) {
+      await api.request('POST', '/api/connections', {
+        token: users[source].token,
+        body: { sourceId: users[source].id, targetId: users[target].id, type: 'KNOWS' }
+      });
+    }
+  });
+
+  afterAll(() => api.close());
+
+  it('positions the network around the focus user for radial', async () => {
+    const response = await api.request('GET', `/api/network?focus=${users.Perrin.id}&layout=radial`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.layout).toMatchObject({ algorithm: 'radial', seed: 1, width: 1000, height: 1000, cached: false });
+    response.body.nodes.forEach(expectPositioned);
+    expect(response.body.nodes.find(node => node.id === users.Perrin.id)).toMatchObject({ x: 500, y: 500 });
+
+    const again = await api.request('GET', `/api/network?focus=${users.Perrin.id}&layout=radial`);
+    expect(again.body.layout).toMatchObject({ version: response.body.layout.version, cached: true });
+    expect(again.body.nodes).toEqual(response.body.nodes);
+  });
+
+  it('leaves coordinates out unless a layout is asked for', async () => {
+    const response = await api.request('GET', `/api/network?focus=${users.Perrin.id}`);
+
+    expect(response.body).not.toHaveProperty('layout');
+    response.body.nodes.forEach(node => expect(node).not.toHaveProperty('x'));
+  });
+
+  it('positions a character\'s connections around the character', async () => {
+    const response = await api.request('GET', '/api/connections/Faile?layout=radial&seed=3');
+
+    expect(response.status).toBe(200);
+    const { network } = response.body;
+    expect(network.layout).toMatchObject({ algorithm: 'radial', seed: 3 });
+    network.nodes.forEach(expectPositioned);
+    expect(network.nodes.find(node => node.id === users.Faile.id)).toMatchObject({ x: 500, y: 500 });
+  });
+
+  it('positions a share cascade with the author on top', async () => {
+    const story = await api.request('POST', '/api/stories', {
+      token: users.Perrin.token,
+      body: { title: 'The Wolf King', content: 'A tale of the Two Rivers' }
+    });
+    const storyId = story.body.story.id;
+    const share = (sender, receiver) => api.request('POST', '/api/stories/share', {
+      token: users[sender].token,
+      body: { storyId, receiverId: users[receiver].id }
+    });
+    await share('Perrin', 'Faile');
+    await share('Faile', 'Berelain');
+
+    const response = await api.request('GET', `/api/stories/${storyId}/cascade?layout=hierarchical`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.layout).toMatchObject({ algorithm: 'hierarchical', seed: 1 });
+    const { tree } = response.body;
+    expect(tree).toMatchObject({ id: users.Perrin.id, y: 20 });
+    expect(tree.children[0]).toMatchObject({ id: users.Faile.id, y: 500 });
+    expect(tree.children[0].children[0]).toMatchObject({ id: users.Berelain.id, y: 980 });
+  });
+
+  it.each([
+    ['an unknown layout', '/api/network?layout=spiral'],
+    ['a negative seed', '/api/network?layout=force&seed=-1'],
+    ['an unknown cascade layout', '/api/stories/2c1a3e4b-0d5f-4a6b-8c7d-9e0f1a2b3c4d/cascade?layout=spiral']
+  ])('rejects %s with a 400', async (_, path) => {
+    const response = await api.request('GET', path);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toMatch(/layout|seed/);
+  });
+});
@@ -0,0 +1,152 @@
+require('./helpers/app');
+const { createRepository } = require('../repositories');
+
+// The repository contract both backends follow: nodes are identified by their
+// `id` property, and relationships point at those IDs
+describe('memory repository', () => {
+  let repository;
+
+  const user = (id, name, extra = {}) => repository.createUser({ id, name, email: `${id}@example.com`, ...extra });
+
+  beforeEach(async () => {
+    repository = createRepository('memory');
+
+    await user('u-rand', "Rand al'Thor", { affiliation: 'Dragon Reborn' });
+    await user('u-mat', 'Matrim Cauthon');
+    await user('u-perrin', 'Perrin Aybara');
+    await user('u-loial', 'Loial');
+    await repository.createConnection('u-rand', 'u-mat', 'KNOWS');
+    await repository.createConnection('u-mat', 'u-perrin', 'KNOWS');
+  });
+
+  describe('users', () => {
+    it('returns created users under their own ID', async () => {
+      const created = await repository.createUser({ id: 'u-min', name: 'Min Farshaw', email: 'min@example.com' });
+
+      expect(created.u).toMatchObject({ id: 'u-min', name: 'Min Farshaw', isActive: true, labels: ['User'] });
+      expect((await repository.getUserById('u-min')).user.name).toBe('Min Farshaw');
+      expect((await repository.getUserByName('min farshaw')).user.id).toBe('u-min');
+      expect((await repository.getUserByEmail('min@example.com')).user.id).toBe('u-min');
+    });
+
+    it('rejects a second user with the same email', async () => {
+      await expect(repository.createUser({ id: 'u-other', name: 'Other', email: 'u-mat@example.com' }))
+        .rejects.toThrow('already exists');
+    });
+
+    it('hides deactivated users from listings', async () => {
+      await repository.deactivateUser('u-loial');
+
+      const listed = await repository.getUsers(0, 10);
+      expect(listed.map(record => record.user.id)).not.toContain('u-loial');
+      expect(await repository.countUsers()).toBe(3);
+      expect(await repository.countUsers(true)).toBe(4);
+    });
+  });
+
+  describe('relationships', () => {
+    it('creates a connection once and updates it afterwards', async () => {
+      const first = await repository.createConnection('u-rand', 'u-loial', 'KNOWS');
+      const second = await repository.createConnection('u-loial', 'u-rand', 'KNOWS', { properties: { since: '2020' } });
+
+      expect(first).toMatchObject({ type: 'KNOWS', source: 'u-rand', target: 'u-loial', created: true });
+      expect(second).toMatchObject({ created: false });
+      expect(second.properties.since).toBe('2020');
+    });
+
+    it('never connects a user to themselves or to a missing user', async () => {
+      expect(await repository.createConnection('u-rand', 'u-rand', 'KNOWS')).toBeUndefined();
+      expect(await repository.createConnection('u-rand', 'u-missing', 'KNOWS')).toBeUndefined();
+    });
+
+    it('deletes symmetric connections in either direction', async () => {
+      expect(await repository.deleteConnection('u-mat', 'u-rand', 'KNOWS')).toEqual({ deleted: 1 });
+      expect(await repository.deleteConnection('u-mat', 'u-rand', 'KNOWS')).toEqual({ deleted: 0 });
+    });
+  });
+
+  describe('stories', () => {
+    beforeEach(async () => {
+      await repository.createStory({ id: 's-horn', title: 'The Horn', content: 'Found at Fal Dara', authorId: 'u-mat' });
+    });
+
+    it('links stories to their author', async () => {
+      const result = await repository.getStoryWithShares('s-horn');
+
+      expect(result.story).toMatchObject({ id: 's-horn', authorId: 'u-mat' });
+      expect(result.author.id).toBe('u-mat');
+      expect(result.shares).toEqual([]);
+    });
+
+    it('returns shares whose relationships point at user IDs', async () => {
+      const result = await repository.shareStory('s-horn', 'u-mat', 'u-rand');
+
+      expect(result.story.id).toBe('s-horn');
+      expect(result.share).toMatchObject({ type: 'SHARED', startNodeId: 'u-mat', endNodeId: 's-horn' });
+      expect(result.connection).toMatchObject({ type: 'SHARED_WITH', startNodeId: 'u-mat', endNodeId: 'u-rand', storyId: 's-horn' });
+    });
+
+    it('writes nothing when a share names a missing user', async () => {
+      expect(await repository.shareStory('s-horn', 'u-mat', 'u-missing')).toBeUndefined();
+    });
+
+    it('measures the path from the author like shortestPath, failing for the author themselves', async () => {
+      expect(await repository.getAuthorPathLength('s-horn', 'u-perrin')).toEqual({ pathLength: 1 });
+      expect(await repository.getAuthorPathLength('s-horn', 'u-loial')).toBeUndefined();
+      await expect(repository.getAuthorPathLength('s-horn', 'u-mat')).rejects.toThrow('start and end nodes are the same');
+    });
+  });
+
+  describe('network', () => {
+    it('uses user IDs for nodes and link ends', async () => {
+      const { nodes, links } = await repository.getNetworkData(10);
+      const ids = nodes.map(node => node.id);
+
+      expect(ids.sort()).toEqual(['u-loial', 'u-mat', 'u-perrin', 'u-rand']);
+      expect(links).toHaveLength(2);
+      links.forEach(link => {
+        expect(ids).toContain(link.source);
+        expect(ids).toContain(link.target);
+        expect(link.startNodeId).toBe(link.source);
+      });
+    });
+
+    it('keeps the focus user and their neighbourhood', async () => {
+      const { nodes } = await repository.getNetworkData(10, { focus: 'u-rand', radius: 1 });
+
+      expect(nodes.map(node => [node.id, node.distance])).toEqual(expect.arrayContaining([['u-rand', 0], ['u-mat', 1]]));
+      expect(nodes.map(node => node.id)).not.toContain('u-perrin');
+    });
+
+    it('never returns credentials', async () => {
+      const { nodes } = await repository.getNetworkData(10);
+
+      nodes.forEach(node => expect(node).not.toHaveProperty('email'));
+    });
+  });
+
+  describe('paths', () => {
+    it('returns connection paths as segments between user IDs', async () => {
+      const result = await repository.getUserConnections('u-rand', 2);
+      const segments = result.paths.flatMap(path => path.segments);
+
+      expect(result.user.id).toBe('u-rand');
+      expect(result.connections.map(node => node.id).sort()).toEqual(['u-mat', 'u-perrin']);
+      segments.forEach(segment => {
+        expect([segment.start.id, segment.end.id]).toContain(segment.relationship.startNodeId);
+        expect([segment.start.id, segment.end.id]).toContain(segment.relationship.endNodeId);
+      });
+    });
+
+    it('finds the shortest path through user IDs', async () => {
+      const [path] = await repository.findShortestPaths('u-rand', 'u-perrin');
+
+      expect(path.nodes.map(node => node.id)).toEqual(['u-rand', 'u-mat', 'u-perrin']);
+      expect(path.relationships.map(rel => [rel.source, rel.target])).toEqual([['u-rand', 'u-mat'], ['u-mat', 'u-perrin']]);
+    });
+
+    it('finds no path to an unreachable user', async () => {
+      expect(await repository.findShortestPaths('u-rand', 'u-loial')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+const notificationService = require('../services/notificationService');
+const { mentionCandidates, resolveMentions } = require('../utils/mentions');
+
+describe('mentionCandidates', () => {
+  it('offers every prefix that ends on a word boundary, longest first', () => {
+    expect(mentionCandidates("Ask @Rand al'Thor.")).toEqual([
+      ["Rand al'Thor", 'Rand al', 'Rand']
+    ]);
+  });
+
+  it('ignores the @ of email addresses', () => {
+    expect(mentionCandidates('Write to rand@example.com')).toEqual([]);
+  });
+});
+
+describe('resolveMentions', () => {
+  it('picks the longest known name for each mention', () => {
+    const mentions = mentionCandidates("@Rand al'Thor met @Rand and @Randland");
+
+    expect(resolveMentions(mentions, ['Rand', "Rand al'Thor"])).toEqual(["Rand al'Thor", 'Rand']);
+    expect(resolveMentions(mentionCandidates('@Randland'), ['Rand'])).toEqual([]);
+  });
+});
+
+describe('mention notifications', () => {
+  let api;
+  let author;
+  let rand;
+
+  const signup = async (name, email) => {
+    const response = await api.request('POST', '/api/auth/signup', {
+      body: { name, email, password: 'long-enough-password' }
+    });
+    return { id: response.body.user.id, token: response.body.token };
+  };
+
+  const notificationsOf = async user => {
+    const response = await api.request('GET', `/api/users/${user.id}/notifications`, { token: user.token });
+    return response.body.notifications;
+  };
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    author = await signup('Loial', 'loial@example.com');
+    rand = await signup('Rand', 'rand@example.com');
+  });
+
+  afterAll(() => api.close());
+
+  it('notifies only the longest matching name and never the author', async () => {
+    const story = await api.request('POST', '/api/stories', {
+      token: author.token,
+      body: { title: 'Stedding', content: "@Loial travelled with @Rand al'Thor" }
+    });
+
+    const mentioned = await notificationService.getMentionedUsers(story.body.story.id);
+    expect(mentioned.map(({ user }) => user.name)).toEqual(["Rand al'Thor", 'Loial']);
+
+    // Notifications are created off the event bus
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await notificationsOf(rand)).toEqual([]);
+    expect(await notificationsOf(author)).toEqual([]);
+  });
+
+  it('notifies a user mentioned by their own name', async () => {
+    await api.request('POST', '/api/stories', {
+      token: author.token,
+      body: { title: 'The Ways', content: 'Thanks, @Rand!' }
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const notifications = await notificationsOf(rand);
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].type).toBe('mention');
+  });
+});
@@ -0,0 +1,96 @@
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const importService = require('../services/importService');
+
+describe('GET /api/metrics/network', () => {
+  let api;
+  let admin;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    // The admin account stays isolated next to a triangle with a tail
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Metrics Admin', email: 'admin@example.com', password: 'long-enough-password' }
+    });
+    admin = { id: signup.body.user.id, token: signup.body.token };
+
+    await importService.importData({
+      format: 'json',
+      data: {
+        characters: [
+          { name: 'Aram', associations: ['Ila', 'Raen'] },
+          { name: 'Ila', associations: ['Raen'] },
+          { name: 'Raen', associations: ['Elyas'] },
+          { name: 'Elyas' }
+        ]
+      }
+    });
+  });
+
+  afterAll(() => api.close());
+
+  it('reports separation, clustering, components and degrees', async () => {
+    const response = await api.request('GET', '/api/metrics/network');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      approximate: false,
+      nodeCount: 5,
+      edgeCount: 4,
+      averageDegree: 1.6,
+      averagePathLength: 1.3333,
+      diameter: 2,
+      averageClustering: 0.4667,
+      components: {
+        count: 2,
+        largest: 4,
+        isolated: 1,
+        sizes: [{ size: 1, count: 1 }, { size: 4, count: 1 }]
+      },
+      degreeDistribution: [
+        { degree: 0, count: 1 },
+        { degree: 1, count: 1 },
+        { degree: 2, count: 2 },
+        { degree: 3, count: 1 }
+      ],
+      previousComputedAt: null,
+      changes: null
+    });
+    expect(response.body.separationDistribution.map(entry => entry.distance)).toEqual([1, 2]);
+    expect(response.body.separationDistribution[0].pairs / response.body.separationDistribution[1].pairs).toBe(2);
+  });
+
+  it('answers from the cached computation until it is refreshed', async () => {
+    const first = await api.request('GET', '/api/metrics/network');
+
+    const elyas = (await neo4jService.getUsersByNames(['Elyas']))[0].user;
+    await neo4jService.createConnection(elyas.id, admin.id, 'KNOWS');
+
+    const second = await api.request('GET', '/api/metrics/network');
+    expect(second.body.computedAt).toBe(first.body.computedAt);
+    expect(second.body.edgeCount).toBe(4);
+  });
+
+  it('lets only admins refresh, reporting the changes', async () => {
+    const reader = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Metrics Reader', email: 'reader@example.com', password: 'long-enough-password' }
+    });
+    expect((await api.request('POST', '/api/metrics/network/refresh', { token: reader.body.token })).status).toBe(403);
+
+    const response = await api.request('POST', '/api/metrics/network/refresh', { token: admin.token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.previousComputedAt).not.toBeNull();
+    // Elyas now reaches the admin; the reader's new account is isolated
+    expect(response.body.changes).toMatchObject({
+      nodeCount: { previous: 5, current: 6, change: 1 },
+      edgeCount: { previous: 4, current: 5, change: 1 },
+      diameter: { previous: 2, current: 3, change: 1 },
+      largestComponent: { previous: 4, current: 5, change: 1 }
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const importService = require('../services/importService');
+
+describe('GET /api/network', () => {
+  let api;
+  let ids;
+
+  const network = async query => {
+    const response = await api.request('GET', `/api/network${query}`);
+    expect(response.status).toBe(200);
+    return response.body;
+  };
+  const userNames = body => body.nodes.filter(node => node.group === 'User').map(node => node.name);
+  const linkTypes = body => body.links.map(link => link.type).sort();
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    // Thom knows Dena and Bayle; Bayle is Egeanin's rival, who is allied with Noal
+    await importService.importData({
+      format: 'json',
+      data: {
+        characters: [
+          { name: 'Thom', affiliation: 'Gleeman', nationality: 'Andoran', gender: 'Male', associations: ['Dena', 'Bayle'] },
+          { name: 'Dena', affiliation: 'Gleeman', nationality: 'Andoran', gender: 'Female' },
+          { name: 'Bayle', affiliation: 'Sailor', nationality: 'Illianer', gender: 'Male' },
+          { name: 'Egeanin', affiliation: 'Seanchan Empire/Sailor', nationality: 'Seanchan', gender: 'Female' },
+          { name: 'Noal', affiliation: 'Explorer', nationality: 'Andoran', gender: 'Male' }
+        ],
+        associations: [
+          { source: 'Bayle', target: 'Egeanin', type: 'RIVAL' },
+          { source: 'Egeanin', target: 'Noal', type: 'ALLY' }
+        ],
+        stories: [
+          { title: 'The Gleeman', content: 'A tale of Thom', author: 'Thom' }
+        ]
+      }
+    });
+
+    const users = await neo4jService.getUsersByNames(['Thom', 'Noal']);
+    ids = Object.fromEntries(users.map(({ user }) => [user.name, user.id]));
+  });
+
+  afterAll(() => api.close());
+
+  it('returns every user, most connected first, with the links among them', async () => {
+    const body = await network('');
+
+    expect(userNames(body)).toEqual(['Bayle', 'Egeanin', 'Thom', 'Dena', 'Noal']);
+    expect(linkTypes(body)).toEqual(['ALLY', 'KNOWS', 'KNOWS', 'RIVAL']);
+    expect(body.focus).toBeNull();
+  });
+
+  it('matches any of the slash-separated values of a property', async () => {
+    const body = await network('?affiliation=sailor');
+
+    expect(userNames(body)).toEqual(['Bayle', 'Egeanin']);
+    expect(linkTypes(body)).toEqual(['RIVAL']);
+    expect(body.filters).toMatchObject({ affiliation: 'sailor', nationality: null, gender: null });
+  });
+
+  it('combines property filters', async () => {
+    const body = await network('?nationality=Andoran&gender=male');
+
+    expect(userNames(body)).toEqual(['Thom', 'Noal']);
+    expect(body.links).toEqual([]);
+  });
+
+  it('counts degrees over the requested relationship types only', async () => {
+    const body = await network('?types=KNOWS&minDegree=1');
+
+    expect(body.nodes.map(node => [node.name, node.degree])).toEqual([['Thom', 2], ['Bayle', 1], ['Dena', 1]]);
+    expect(linkTypes(body)).toEqual(['KNOWS', 'KNOWS']);
+  });
+
+  it('returns the ego graph around a focus user, closest first', async () => {
+    const near = await network(`?focus=${ids.Thom}&radius=1`);
+    const far = await network(`?focus=${ids.Thom}&radius=3`);
+
+    expect(near.focus).toEqual({ id: ids.Thom, radius: 1 });
+    expect(near.nodes.map(node => [node.name, node.distance])).toEqual([['Thom', 0], ['Bayle', 1], ['Dena', 1]]);
+    expect(far.nodes.map(node => [node.name, node.distance])).toEqual([
+      ['Thom', 0], ['Bayle', 1], ['Dena', 1], ['Egeanin', 2], ['Noal', 3]
+    ]);
+  });
+
+  it('keeps the focus user when the filters exclude them', async () => {
+    const body = await network(`?focus=${ids.Thom}&radius=2&affiliation=sailor`);
+
+    expect(userNames(body)).toEqual(['Thom', 'Bayle', 'Egeanin']);
+  });
+
+  it('adds the stories the users authored when asked', async () => {
+    const body = await network(`?focus=${ids.Thom}&radius=1&includeStories=true`);
+
+    const story = body.nodes.find(node => node.group === 'Story');
+    expect(story).toMatchObject({ label: 'The Gleeman' });
+    expect(body.links).toContainEqual(expect.objectContaining({ type: 'AUTHORED', source: ids.Thom, target: story.id }));
+
+    // Neither Noal nor Egeanin wrote anything
+    const quiet = await network(`?focus=${ids.Noal}&radius=1&includeStories=true`);
+    expect(quiet.nodes.map(node => node.group)).toEqual(['User', 'User']);
+  });
+
+  it.each([
+    ['a malformed type list', '?types=KNOWS;RIVAL'],
+    ['a negative minimum degree', '?minDegree=-1'],
+    ['a focus that is not an ID', '?focus=Thom'],
+    ['a radius above the maximum', '?radius=4']
+  ])('rejects %s with a 400', async (_, query) => {
+    const response = await api.request('GET', `/api/network${query}`);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('answers an unknown focus user with a 404', async () => {
+    const response = await api.request('GET', '/api/network?focus=2c1a3e4b-0d5f-4a6b-8c7d-9e0f1a2b3c4d');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,126 @@
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const { computeTieStrengths, pairKey } = require('../utils/tieStrength');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+
+describe('computeTieStrengths', () => {
+  it('combines explicit strength, share frequency and recency', () => {
+    const ties = computeTieStrengths([
+      { source: 'a', target: 'b', type: 'KNOWS', timestamp: NOW, strength: 1 },
+      { source: 'b', target: 'a', type: 'SHARED_WITH', timestamp: NOW - DAY_MS, strength: null },
+      { source: 'a', target: 'c', type: 'KNOWS', timestamp: NOW - 90 * DAY_MS, strength: null }
+    ], NOW);
+
+    const ab = ties.get(pairKey('a', 'b'));
+    expect(ab).toMatchObject({ shares: 1, lastInteraction: NOW, explicitStrength: 1 });
+    expect(ab.strength).toBeCloseTo(0.5 + 0.3 * (1 - Math.exp(-1 / 3)) + 0.2);
+
+    // No explicit strength falls back to the type default; recency halves after 90 days
+    const ac = ties.get(pairKey('c', 'a'));
+    expect(ac).toMatchObject({ shares: 0, explicitStrength: 0.5 });
+    expect(ac.strength).toBeCloseTo(0.5 * 0.5 + 0.2 * 0.5);
+  });
+
+  it('clamps explicit strengths and keeps a minimum strength', () => {
+    const ties = computeTieStrengths([
+      { source: 'a', target: 'b', type: 'KNOWS', timestamp: null, strength: 7 },
+      { source: 'c', target: 'd', type: 'KNOWS', timestamp: null, strength: -1 }
+    ], NOW);
+
+    expect(ties.get(pairKey('a', 'b')).strength).toBeCloseTo(0.5);
+    expect(ties.get(pairKey('c', 'd')).strength).toBe(0.01);
+  });
+
+  it('ignores self-loops and relationships without both ends', () => {
+    const ties = computeTieStrengths([
+      { source: 'a', target: 'a', type: 'KNOWS', timestamp: NOW },
+      { source: 'a', target: null, type: 'KNOWS', timestamp: NOW }
+    ], NOW);
+
+    expect(ties.size).toBe(0);
+  });
+});
+
+describe('GET /api/path', () => {
+  let api;
+
+  const names = path => path.nodes.map(node => node.name);
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Path Admin', email: 'admin@example.com', password: 'long-enough-password' }
+    });
+    const token = signup.body.token;
+
+    const ids = {};
+    for (const name of ['Thom', 'Elaida', 'Gawyn', 'Morgase', 'Galad']) {
+      const response = await api.request('POST', '/api/users', { token, body: { name } });
+      ids[name] = response.body.user.id;
+    }
+
+    // A short route over weak ties, and a longer one over strong ties
+    const connect = (source, target, strength) => api.request('POST', '/api/connections', {
+      token,
+      body: { sourceId: ids[source], targetId: ids[target], type: 'KNOWS', properties: { strength } }
+    });
+    await connect('Thom', 'Elaida', 0.05);
+    await connect('Elaida', 'Galad', 0.05);
+    await connect('Thom', 'Gawyn', 1);
+    await connect('Gawyn', 'Morgase', 1);
+    await connect('Morgase', 'Galad', 1);
+  });
+
+  afterAll(() => api.close());
+
+  it('takes the fewest hops by default', async () => {
+    const response = await api.request('GET', '/api/path?source=Thom&target=Galad');
+
+    expect(response.status).toBe(200);
+    expect(response.body.weighted).toBe(false);
+    expect(names(response.body)).toEqual(['Thom', 'Elaida', 'Galad']);
+    expect(response.body).not.toHaveProperty('cost');
+  });
+
+  it('takes the strongest ties when weighted', async () => {
+    const response = await api.request('GET', '/api/path?source=Thom&target=Galad&weighted=true');
+
+    expect(response.status).toBe(200);
+    expect(response.body.weighted).toBe(true);
+    expect(names(response.body)).toEqual(['Thom', 'Gawyn', 'Morgase', 'Galad']);
+
+    const { links, cost } = response.body;
+    links.forEach(link => expect(link.strength).toBeGreaterThan(0.5));
+    expect(cost).toBeCloseTo(links.reduce((sum, link) => sum + 1 / link.strength, 0));
+  });
+
+  it('ranks k weighted paths by cost', async () => {
+    const response = await api.request('GET', '/api/path?source=Thom&target=Galad&weighted=true&mode=k&k=2');
+
+    expect(response.status).toBe(200);
+    expect(response.body.paths.map(path => [path.rank, names(path)])).toEqual([
+      [1, ['Thom', 'Gawyn', 'Morgase', 'Galad']],
+      [2, ['Thom', 'Elaida', 'Galad']]
+    ]);
+    expect(response.body.paths[0].cost).toBeLessThan(response.body.paths[1].cost);
+  });
+
+  it('rejects weighted all-shortest-paths with a 400', async () => {
+    const response = await api.request('GET', '/api/path?source=Thom&target=Galad&weighted=true&mode=all');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Weighted path finding supports the single and k modes');
+  });
+
+  it('answers an unknown user with a 404', async () => {
+    const response = await api.request('GET', '/api/path?source=Thom&target=Nobody&weighted=true');
+
+    expect(response.status).toBe(404);
+  });
+});
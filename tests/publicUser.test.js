@@ -0,0 +1,76 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+const { PROFILE_PROPERTIES, PUBLIC_USER_PROPERTIES } = require('../utils/publicUser');
+
+const PRIVATE_PROPERTIES = ['passwordHash', 'email', 'role'];
+
+// Every private property name found anywhere in a response body
+const findPrivateProperties = (value, found = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => findPrivateProperties(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (PRIVATE_PROPERTIES.includes(key)) {
+        found.add(key);
+      }
+      findPrivateProperties(item, found);
+    });
+  }
+
+  return [...found];
+};
+
+describe('public graph views', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Thom Merrilin', email: 'thom@example.com', password: 'gleeman-harp' }
+    });
+    user = signup.body.user;
+
+    const rand = await api.request('GET', `/api/users/name/${encodeURIComponent("Rand al'Thor")}`);
+    const connection = await api.request('POST', '/api/connections', {
+      token: signup.body.token,
+      body: { sourceId: user.id, targetId: rand.body.id, type: 'KNOWS' }
+    });
+    expect(connection.status).toBe(201);
+  });
+
+  afterAll(() => api.close());
+
+  it.each([
+    ['the network', () => '/api/network?limit=100'],
+    ['a focused network', () => `/api/network?focus=${user.id}&radius=2`],
+    ['a network with stories and a layout', () => '/api/network?includeStories=true&layout=radial'],
+    ['character connections', () => `/api/connections/${encodeURIComponent("Rand al'Thor")}?depth=2`],
+    ["the new user's connections", () => `/api/connections/${encodeURIComponent('Thom Merrilin')}`],
+    ['the network timeline', () => '/api/network/timeline?step=day']
+  ])('%s never exposes credentials', async (_, path) => {
+    const response = await api.request('GET', path());
+
+    expect(response.status).toBe(200);
+    expect(JSON.stringify(response.body)).toContain(user.id);
+    expect(findPrivateProperties(response.body)).toEqual([]);
+  });
+
+  it('shows only public properties around a focus user', async () => {
+    const response = await api.request('GET', `/api/network?focus=${user.id}&radius=2`);
+    const allowed = [...PUBLIC_USER_PROPERTIES, 'labels', 'label', 'group', 'degree', 'distance'];
+
+    expect(response.body.nodes[0]).toMatchObject({ id: user.id, distance: 0 });
+    response.body.nodes.forEach(node => Object.keys(node).forEach(key => expect(allowed).toContain(key)));
+  });
+
+  it('shows only who joined when on the network timeline', async () => {
+    const response = await api.request('GET', '/api/network/timeline?step=day');
+    const nodes = response.body.intervals.flatMap(interval => interval.added.nodes);
+    const allowed = ['id', 'name', ...PROFILE_PROPERTIES, 'createdAt', 'labels', 'label', 'group', 'addedAt'];
+
+    expect(nodes.map(node => node.id)).toContain(user.id);
+    nodes.forEach(node => Object.keys(node).forEach(key => expect(allowed).toContain(key)));
+  });
+});
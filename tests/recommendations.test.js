@@ -0,0 +1,116 @@
+const { startApp } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const importService = require('../services/importService');
+const dataService = require('../services/dataService');
+
+describe('dataService.rankConnectionRecommendations', () => {
+  const user = { affiliation: 'Aes Sedai', nationality: 'Andoran/Cairhienin' };
+
+  it('scores mutual connections, shared properties and co-received stories', () => {
+    const [recommendation] = dataService.rankConnectionRecommendations(user, [{
+      user: { id: 'u-elayne', name: 'Elayne', affiliation: 'Aes Sedai', nationality: 'Andoran' },
+      mutualConnections: [{ id: 'u-rand', name: 'Rand', degree: 5 }, { id: 'u-egwene', name: 'Egwene', degree: 2 }],
+      userDegree: 3,
+      degree: 4,
+      coReceivedStories: 2
+    }]);
+
+    const adamicAdar = 1 / Math.log(5) + 1 / Math.log(2);
+    const jaccard = 2 / (3 + 4 - 2);
+
+    expect(recommendation.score).toBeCloseTo(adamicAdar + 2 * jaccard + 0.5 * 2 + 0.25 * 2, 3);
+    expect(recommendation.metrics).toMatchObject({
+      commonNeighbours: 2,
+      jaccard: 0.4,
+      sharedProperties: [
+        { property: 'affiliation', values: ['Aes Sedai'] },
+        { property: 'nationality', values: ['Andoran'] }
+      ],
+      coReceivedStories: 2
+    });
+    // Mutuals with fewer connections say more, so they are named first
+    expect(recommendation.reasons).toEqual([
+      '2 mutual connections (Egwene, Rand)',
+      'Same affiliation: Aes Sedai',
+      'Same nationality: Andoran',
+      'Both received 2 stories'
+    ]);
+    expect(recommendation.mutualConnections).toEqual([{ id: 'u-rand', name: 'Rand' }, { id: 'u-egwene', name: 'Egwene' }]);
+  });
+
+  it('orders equal scores by name', () => {
+    const candidate = name => ({ user: { id: name, name }, mutualConnections: [], userDegree: 1, degree: 1, coReceivedStories: 0 });
+
+    expect(dataService.rankConnectionRecommendations(user, [candidate('Min'), candidate('Aviendha')])
+      .map(recommendation => [recommendation.user.name, recommendation.score, recommendation.reasons]))
+      .toEqual([['Aviendha', 0, []], ['Min', 0, []]]);
+  });
+});
+
+describe('GET /api/users/:id/recommendations', () => {
+  let api;
+  let moiraine;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await neo4jService.clearDatabase();
+
+    // Leane shares two of Moiraine's connections, Bukama one; the sisters only her affiliation
+    await importService.importData({
+      format: 'json',
+      data: {
+        characters: [
+          { name: 'Moiraine', affiliation: 'Aes Sedai', associations: ['Lan', 'Siuan'] },
+          { name: 'Lan', affiliation: 'Malkier', associations: ['Moiraine', 'Bukama', 'Leane'] },
+          { name: 'Siuan', affiliation: 'Tear', associations: ['Moiraine', 'Leane'] },
+          { name: 'Bukama', affiliation: 'Malkier', associations: ['Lan'] },
+          { name: 'Leane', affiliation: 'Tar Valon', associations: ['Lan', 'Siuan'] },
+          { name: 'Verin', affiliation: 'Aes Sedai' },
+          { name: 'Alanna', affiliation: 'Aes Sedai' }
+        ]
+      }
+    });
+
+    moiraine = (await neo4jService.getUsersByNames(['Moiraine']))[0].user;
+  });
+
+  afterAll(() => api.close());
+
+  it('recommends friends of friends first, with their reasons', async () => {
+    const response = await api.request('GET', `/api/users/${moiraine.id}/recommendations`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBe(moiraine.id);
+    expect(response.body.recommendations.map(({ user }) => user.name)).toEqual(['Leane', 'Bukama', 'Alanna', 'Verin']);
+
+    const [leane, , alanna] = response.body.recommendations;
+    expect(leane.reasons).toEqual(['2 mutual connections (Siuan, Lan)']);
+    expect(leane.metrics).toMatchObject({ commonNeighbours: 2, jaccard: 1 });
+    expect(alanna.reasons).toEqual(['Same affiliation: Aes Sedai']);
+  });
+
+  it('never recommends existing connections or the user themselves', async () => {
+    const response = await api.request('GET', `/api/users/${moiraine.id}/recommendations`);
+    const names = response.body.recommendations.map(({ user }) => user.name);
+
+    ['Moiraine', 'Lan', 'Siuan'].forEach(name => expect(names).not.toContain(name));
+  });
+
+  it('returns at most limit recommendations', async () => {
+    const response = await api.request('GET', `/api/users/${moiraine.id}/recommendations?limit=1`);
+
+    expect(response.body.recommendations.map(({ user }) => user.name)).toEqual(['Leane']);
+  });
+
+  it('rejects an out-of-range limit with a 400', async () => {
+    const response = await api.request('GET', `/api/users/${moiraine.id}/recommendations?limit=0`);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('answers an unknown user with a 404', async () => {
+    const response = await api.request('GET', '/api/users/2c1a3e4b-0d5f-4a6b-8c7d-9e0f1a2b3c4d/recommendations');
+
+    expect(response.status).toBe(404);
+  });
+});
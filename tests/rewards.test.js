@@ -0,0 +1,31 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+
+describe('reward endpoints', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+  });
+
+  afterAll(() => api.close());
+
+  it.each([
+    ['an unknown leaderboard window', '/api/leaderboard?window=year'],
+    ['a non-numeric leaderboard limit', '/api/leaderboard?limit=abc'],
+    ['a negative points page', '/api/users/2c1a3e4b-0d5f-4a6b-8c7d-9e0f1a2b3c4d/points?page=-3'],
+    ['a malformed user ID', '/api/users/not-a-uuid/points']
+  ])('rejects %s with a 400', async (_, path) => {
+    const response = await api.request('GET', path);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details).toHaveLength(1);
+  });
+
+  it('lists the all-time leaderboard by default', async () => {
+    const response = await api.request('GET', '/api/leaderboard');
+
+    expect(response.status).toBe(200);
+    expect(response.body.window).toBe('all');
+  });
+});
@@ -0,0 +1,40 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+
+describe('GET /api/search', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+  });
+
+  afterAll(() => api.close());
+
+  it('accepts repeated type parameters like a comma-separated list', async () => {
+    const repeated = await api.request('GET', '/api/search?q=rand&type=story&type=user');
+    const listed = await api.request('GET', '/api/search?q=rand&type=story,user');
+
+    expect(repeated.status).toBe(200);
+    expect(repeated.body.types).toEqual(['story', 'user']);
+    expect(repeated.body.results).toEqual(listed.body.results);
+  });
+
+  it.each([
+    ['a missing query', '/api/search'],
+    ['a blank query', '/api/search?q=%20%20'],
+    ['a non-numeric limit', '/api/search?q=rand&limit=abc'],
+    ['a limit above the maximum', '/api/search?q=rand&limit=51'],
+    ['a non-boolean fuzzy flag', '/api/search?q=rand&fuzzy=maybe']
+  ])('rejects %s with a 400', async (_, path) => {
+    const response = await api.request('GET', path);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details).toHaveLength(1);
+  });
+
+  it('rejects unknown types with a 400', async () => {
+    const response = await api.request('GET', '/api/search?q=rand&type=story&type=place');
+
+    expect(response.status).toBe(400);
+  });
+});
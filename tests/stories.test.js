@@ -0,0 +1,179 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+
+describe('POST /api/stories/share', () => {
+  let api;
+  let author;
+  let reader;
+  let storyId;
+
+  const signup = async (name, email) => {
+    const response = await api.request('POST', '/api/auth/signup', {
+      body: { name, email, password: 'long-enough-password' }
+    });
+    return { id: response.body.user.id, token: response.body.token };
+  };
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    author = await signup('Story Author', 'author@example.com');
+    reader = await signup('Story Reader', 'reader@example.com');
+
+    const story = await api.request('POST', '/api/stories', {
+      token: author.token,
+      body: { title: 'A tale', content: 'Once upon a time' }
+    });
+    storyId = story.body.story.id;
+  });
+
+  afterAll(() => api.close());
+
+  it('rejects sharing a story with yourself without notifying anyone', async () => {
+    const response = await api.request('POST', '/api/stories/share', {
+      token: author.token,
+      body: { storyId, receiverId: author.id }
+    });
+
+    expect(response.status).toBe(400);
+
+    const notifications = await api.request('GET', `/api/users/${author.id}/notifications`, { token: author.token });
+    expect(notifications.body.notifications).toEqual([]);
+  });
+
+  it('shares a story with another user', async () => {
+    const response = await api.request('POST', '/api/stories/share', {
+      token: author.token,
+      body: { storyId, receiverId: reader.id }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.share).toMatchObject({ storyId, senderId: author.id, receiverId: reader.id });
+  });
+
+  it('shares a story back with its author without a reward', async () => {
+    const response = await api.request('POST', '/api/stories/share', {
+      token: reader.token,
+      body: { storyId, receiverId: author.id }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      share: { storyId, senderId: reader.id, receiverId: author.id },
+      pathReduction: 0,
+      rewardPoints: 0,
+      alreadyRewarded: false
+    });
+  });
+});
+
+describe('story revisions', () => {
+  let api;
+  let author;
+  let reader;
+  let storyId;
+
+  const signup = async (name, email) => {
+    const response = await api.request('POST', '/api/auth/signup', {
+      body: { name, email, password: 'long-enough-password' }
+    });
+    return { id: response.body.user.id, token: response.body.token };
+  };
+
+  const revisions = path => `/api/stories/${storyId}/revisions${path}`;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    author = await signup('Revision Author', 'revision-author@example.com');
+    reader = await signup('Revision Reader', 'revision-reader@example.com');
+
+    const story = await api.request('POST', '/api/stories', {
+      token: author.token,
+      body: { title: 'Draft', content: 'The Wheel turns\nAges come and pass' }
+    });
+    storyId = story.body.story.id;
+  });
+
+  afterAll(() => api.close());
+
+  it('archives the previous version on every edit', async () => {
+    const patched = await api.request('PATCH', `/api/stories/${storyId}`, {
+      token: author.token,
+      body: { content: 'The Wheel of Time turns\nAges come and pass' }
+    });
+    expect(patched.status).toBe(200);
+    expect(patched.body.story).toMatchObject({ title: 'Draft', version: 2 });
+
+    const replaced = await api.request('PUT', `/api/stories/${storyId}`, {
+      token: author.token,
+      body: { title: 'The Wheel', content: 'The Wheel of Time turns\nAges come and pass\nleaving memories' }
+    });
+    expect(replaced.body.story).toMatchObject({ title: 'The Wheel', version: 3 });
+
+    const history = await api.request('GET', revisions(''));
+    expect(history.status).toBe(200);
+    expect(history.body.current).toMatchObject({ title: 'The Wheel', version: 3 });
+    expect(history.body.revisions.map(revision => [revision.version, revision.title])).toEqual([[2, 'Draft'], [1, 'Draft']]);
+    expect(history.body.revisions[1].content).toBe('The Wheel turns\nAges come and pass');
+  });
+
+  it('returns a single revision or the current version', async () => {
+    expect((await api.request('GET', revisions('/1'))).body).toMatchObject({ version: 1, content: 'The Wheel turns\nAges come and pass' });
+    expect((await api.request('GET', revisions('/current'))).body).toMatchObject({ version: 3, title: 'The Wheel' });
+  });
+
+  it('diffs a revision against the current version', async () => {
+    const response = await api.request('GET', revisions('/1/diff'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ storyId, from: 1, to: 3 });
+    expect(response.body.content).toEqual([
+      { type: 'removed', value: 'The Wheel turns' },
+      { type: 'added', value: 'The Wheel of Time turns' },
+      { type: 'equal', value: 'Ages come and pass' },
+      { type: 'added', value: 'leaving memories' }
+    ]);
+  });
+
+  it('restores a revision as a new version', async () => {
+    const response = await api.request('POST', revisions('/1/restore'), { token: author.token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Story restored to revision 1');
+    expect(response.body.story).toMatchObject({ title: 'Draft', content: 'The Wheel turns\nAges come and pass', version: 4 });
+
+    const history = await api.request('GET', revisions(''));
+    expect(history.body.revisions.map(revision => revision.version)).toEqual([3, 2, 1]);
+  });
+
+  it('only lets the author edit or restore', async () => {
+    const patched = await api.request('PATCH', `/api/stories/${storyId}`, { token: reader.token, body: { title: 'Mine now' } });
+    const restored = await api.request('POST', revisions('/2/restore'), { token: reader.token });
+
+    expect(patched.status).toBe(403);
+    expect(restored.status).toBe(403);
+    expect((await api.request('GET', revisions('/current'))).body.version).toBe(4);
+  });
+
+  it.each([
+    ['an edit without fields', 400, 'PATCH', () => `/api/stories/${storyId}`, {}],
+    ['a version that is not a number', 400, 'GET', () => revisions('/first'), undefined],
+    ['restoring the current version', 400, 'POST', () => revisions('/current/restore'), undefined],
+    ['a missing revision', 404, 'GET', () => revisions('/9'), undefined],
+    ['restoring a missing revision', 404, 'POST', () => revisions('/9/restore'), undefined]
+  ])('answers %s with a %i', async (_, status, method, path, body) => {
+    const response = await api.request(method, path(), { token: author.token, body });
+
+    expect(response.status).toBe(status);
+  });
+
+  it('deletes the revisions with the story', async () => {
+    const response = await api.request('DELETE', `/api/stories/${storyId}`, { token: author.token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.deletedRevisions).toBe(3);
+    expect((await api.request('GET', revisions(''))).status).toBe(404);
+  });
+});
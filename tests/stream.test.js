@@ -0,0 +1,53 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+const neo4jService = require('../services/neo4jService');
+const streamService = require('../services/streamService');
+
+describe('GET /api/stream', () => {
+  let api;
+  let userId;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    const users = await api.request('GET', '/api/users?limit=1');
+    userId = users.body.users[0].id;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(async () => {
+    streamService.closeAll();
+    await api.close();
+  });
+
+  it('drops the subscription when the client leaves while the neighbourhood loads', async () => {
+    let release;
+    const loading = new Promise(resolve => {
+      release = resolve;
+    });
+    const original = neo4jService.getNeighbourhoodIds.bind(neo4jService);
+    let started;
+    const loadStarted = new Promise(resolve => {
+      started = resolve;
+    });
+    jest.spyOn(neo4jService, 'getNeighbourhoodIds').mockImplementation(async (...args) => {
+      started();
+      await loading;
+      return original(...args);
+    });
+
+    const controller = new AbortController();
+    const response = fetch(`${api.baseUrl}/api/stream?neighbourhood=${userId}`, { signal: controller.signal });
+    response.catch(() => {});
+
+    await loadStarted;
+    controller.abort();
+    // Give the server a moment to see the closed socket
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(streamService.clients.size).toBe(0);
+  });
+});
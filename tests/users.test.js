@@ -0,0 +1,98 @@
+const { startApp, loadSampleData } = require('./helpers/app');
+const { PUBLIC_USER_PROPERTIES } = require('../utils/publicUser');
+
+describe('GET /api/users', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+  });
+
+  afterAll(() => api.close());
+
+  it('lists users in the same order with offset and cursor pagination', async () => {
+    const offsetIds = [];
+    for (let page = 0; ; page++) {
+      const response = await api.request('GET', `/api/users?page=${page}&limit=4`);
+      offsetIds.push(...response.body.users.map(user => user.id));
+      if (!response.body.hasMore) {
+        break;
+      }
+    }
+
+    const cursorIds = [];
+    let cursor = '';
+    do {
+      const response = await api.request('GET', `/api/users?cursor=${cursor}&limit=4`);
+      cursorIds.push(...response.body.users.map(user => user.id));
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    expect(offsetIds.length).toBeGreaterThan(4);
+    expect(cursorIds).toEqual(offsetIds);
+  });
+
+  it('rejects a cursor whose timestamp is not a date', async () => {
+    const cursor = Buffer.from(JSON.stringify({ id: 'u-rand', createdAt: 'yesterday' })).toString('base64url');
+    const response = await api.request('GET', `/api/users?cursor=${cursor}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toBe('Invalid cursor');
+  });
+
+  it.each([
+    ['a non-numeric limit', '/api/users?limit=abc', 'query.limit'],
+    ['a negative page', '/api/users?page=-3', 'query.page'],
+    ['a limit above the maximum', '/api/users?limit=101', 'query.limit'],
+    ['a malformed ID', '/api/users/not-a-uuid', 'params.id'],
+    ['a malformed ID for connections', '/api/users/not-a-uuid/connections', 'params.id']
+  ])('rejects %s with a 400', async (_, path, field) => {
+    const response = await api.request('GET', path);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details.map(detail => `${detail.location}.${detail.field}`)).toEqual([field]);
+  });
+});
+
+describe('user responses', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApp();
+    await loadSampleData();
+
+    const signup = await api.request('POST', '/api/auth/signup', {
+      body: { name: 'Bayle Domon', email: 'bayle@example.com', password: 'long-enough-password' }
+    });
+    user = { ...signup.body.user, token: signup.body.token };
+
+    const muted = await api.request('PATCH', `/api/users/${user.id}/notification-preferences`, {
+      token: user.token,
+      body: { reward: false }
+    });
+    expect(muted.status).toBe(200);
+  });
+
+  afterAll(() => api.close());
+
+  it.each([
+    ['the user list', () => '/api/users?limit=100', body => body.users],
+    ['a user by ID', () => `/api/users/${user.id}`, body => [body]],
+    ['a user by name', () => `/api/users/name/${encodeURIComponent('Bayle Domon')}`, body => [body]]
+  ])('%s shows only public properties', async (_, path, users) => {
+    const response = await api.request('GET', path());
+
+    expect(response.status).toBe(200);
+    users(response.body).forEach(listed => Object.keys(listed).forEach(key => expect(PUBLIC_USER_PROPERTIES).toContain(key)));
+    expect(JSON.stringify(response.body)).not.toContain('mutedNotificationTypes');
+  });
+
+  it('keeps the muted types on the preferences endpoint', async () => {
+    const response = await api.request('GET', `/api/users/${user.id}/notification-preferences`, { token: user.token });
+
+    expect(response.status).toBe(200);
+    expect(JSON.stringify(response.body)).toContain('reward');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line
+ * endings) into rows of objects keyed by the header row
+ *
+ * @param {string} text - The CSV text
+ * @param {object} options - The field `delimiter` (default ',')
+ * @returns {Array<object>} - One object per data row; empty lines are skipped
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    // A lone empty field is a blank line
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length) {
+    endRecord();
+  }
+
+  if (!records.length) {
+    return [];
+  }
+
+  const header = records[0].map(name => name.trim());
+
+  return records.slice(1).map(values => Object.fromEntries(
+    header.map((name, column) => [name, values[column] !== undefined ? values[column] : ''])
+  ));
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,107 @@
+// Largest LCS table (lines changed in the old text x lines changed in the new
+// one) diffed line by line; bigger rewrites are reported as one replaced block
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Compute a line-based diff between two texts using the longest common
+ * subsequence. Unchanged leading and trailing lines are matched first; when
+ * the lines left in between would need more than MAX_DIFF_CELLS table cells,
+ * they are reported as removed and added whole.
+ *
+ * @param {string} oldText - The original text
+ * @param {string} newText - The updated text
+ * @returns {Array} - Ordered chunks of { type: 'equal'|'added'|'removed', value }
+ */
+const diffLines = (oldText = '', newText = '') => {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  const chunks = [];
+
+  // Append a line, merging it into the previous chunk when the type matches
+  const push = (type, line) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+      last.value += `\n${line}`;
+    } else {
+      chunks.push({ type, value: line });
+    }
+  };
+
+  // Common prefix and suffix
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let k = 0; k < start; k++) {
+    push('equal', a[k]);
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    for (let i = start; i < endA; i++) {
+      push('removed', a[i]);
+    }
+    for (let j = start; j < endB; j++) {
+      push('added', b[j]);
+    }
+  } else {
+    // LCS lengths of the changed middle, from the end of both texts, in one flat table
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        push('equal', a[start + i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        push('removed', a[start + i]);
+        i++;
+      } else {
+        push('added', b[start + j]);
+        j++;
+      }
+    }
+
+    while (i < n) {
+      push('removed', a[start + i++]);
+    }
+
+    while (j < m) {
+      push('added', b[start + j++]);
+    }
+  }
+
+  for (let k = endA; k < a.length; k++) {
+    push('equal', a[k]);
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  MAX_DIFF_CELLS,
+  diffLines
+};
@@ -29,6 +29,8 @@ const errorHandler = (err, req, res, next) => {
     error: {
       message: err.message || 'Internal Server Error',
       statusCode,
+      // Field-level problems from request validation
+      ...(err.details && { details: err.details }),
       // Include stack trace in development mode only
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
@@ -40,9 +42,10 @@ const errorHandler = (err, req, res, next) => {
 
 // Custom error class for API errors
 class ApiError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -66,6 +69,14 @@ class ApiError extends Error {
   static unauthorized(message) {
     return new ApiError(message || 'Unauthorized', 401);
   }
+
+  static conflict(message) {
+    return new ApiError(message || 'Conflict', 409);
+  }
+
+  static validation(details) {
+    return new ApiError(`Validation failed: ${details.map(detail => detail.message).join('; ')}`, 400, details);
+  }
 }
 
 module.exports = {
@@ -0,0 +1,876 @@
+/**
+ * In-process graph algorithms over a simple undirected graph.
+ *
+ * Graphs are built with createGraph and use integer node indexes internally;
+ * results are mapped back to node IDs by the callers.
+ */
+
+/**
+ * Build a simple undirected graph from node and edge lists. Self-loops and
+ * parallel edges are collapsed, and nodes are ordered by ID so every
+ * algorithm below is deterministic.
+ *
+ * @param {Array} nodes - Node objects with an `id`
+ * @param {Array} edges - Edge objects with `source` and `target` node IDs
+ * @returns {object} - { nodes, index, adjacency } where adjacency[i] is a Set of neighbour indexes
+ */
+const createGraph = (nodes, edges) => {
+  const sortedNodes = [...nodes].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const index = new Map(sortedNodes.map((node, i) => [node.id, i]));
+  const adjacency = sortedNodes.map(() => new Set());
+
+  for (const edge of edges) {
+    const i = index.get(edge.source);
+    const j = index.get(edge.target);
+
+    if (i === undefined || j === undefined || i === j) {
+      continue;
+    }
+
+    adjacency[i].add(j);
+    adjacency[j].add(i);
+  }
+
+  return { nodes: sortedNodes, index, adjacency };
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - The seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Breadth-first distances from a source node
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {number} source - The source node index
+ * @returns {Int32Array} - Hop distances (-1 when unreachable)
+ */
+const bfsDistances = (graph, source) => {
+  const distances = new Int32Array(graph.nodes.length).fill(-1);
+  const queue = [source];
+  distances[source] = 0;
+
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+
+    for (const w of graph.adjacency[v]) {
+      if (distances[w] === -1) {
+        distances[w] = distances[v] + 1;
+        queue.push(w);
+      }
+    }
+  }
+
+  return distances;
+};
+
+/**
+ * Breadth-first shortest path between two nodes, avoiding blocked nodes and edges
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {number} source - The source node index
+ * @param {number} target - The target node index
+ * @param {object} options - `blockedNodes` (Set of indexes), `blockedEdges` (Set of "i|j" keys), `maxHops`
+ * @returns {Array<number>|null} - The node indexes along the path, or null
+ */
+const shortestPathBfs = (graph, source, target, { blockedNodes = new Set(), blockedEdges = new Set(), maxHops = Infinity } = {}) => {
+  const previous = new Int32Array(graph.nodes.length).fill(-1);
+  const distances = new Int32Array(graph.nodes.length).fill(-1);
+  const queue = [source];
+  distances[source] = 0;
+
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+
+    if (v === target) {
+      const path = [target];
+      while (path[0] !== source) {
+        path.unshift(previous[path[0]]);
+      }
+      return path;
+    }
+
+    if (distances[v] >= maxHops) {
+      continue;
+    }
+
+    for (const w of graph.adjacency[v]) {
+      if (distances[w] !== -1 || blockedNodes.has(w) || blockedEdges.has(`${v}|${w}`)) {
+        continue;
+      }
+
+      distances[w] = distances[v] + 1;
+      previous[w] = v;
+      queue.push(w);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Minimal binary min-heap keyed by a numeric priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push({ priority, value });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) {
+        break;
+      }
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && items[left].priority < items[smallest].priority) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].priority < items[smallest].priority) {
+          smallest = right;
+        }
+        if (smallest === i) {
+          break;
+        }
+
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Cheapest path between two nodes (Dijkstra), avoiding blocked nodes and
+ * edges. When `maxHops` is smaller than the graph, the search runs over
+ * (node, hops) states so the hop limit is respected exactly.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {number} source - The source node index
+ * @param {number} target - The target node index
+ * @param {object} options - `cost(i, j)` returning a positive hop cost, plus
+ *   `blockedNodes`, `blockedEdges` and `maxHops` as for shortestPathBfs
+ * @returns {Array<number>|null} - The node indexes along the path, or null
+ */
+const dijkstraPath = (graph, source, target, { cost, blockedNodes = new Set(), blockedEdges = new Set(), maxHops = Infinity } = {}) => {
+  const n = graph.nodes.length;
+  const trackHops = maxHops < n - 1;
+  const levels = trackHops ? maxHops + 1 : 1;
+  const stateOf = (v, hops) => (trackHops ? v * levels + hops : v);
+
+  const distances = new Map([[stateOf(source, 0), 0]]);
+  const previous = new Map();
+  const heap = new MinHeap();
+  heap.push(0, { v: source, hops: 0 });
+
+  while (heap.size) {
+    const { priority, value: { v, hops } } = heap.pop();
+    const state = stateOf(v, hops);
+
+    if (priority > distances.get(state)) {
+      continue;
+    }
+
+    if (v === target) {
+      const path = [];
+      for (let current = state; current !== undefined; current = previous.get(current)) {
+        path.unshift(trackHops ? Math.floor(current / levels) : current);
+      }
+      return path;
+    }
+
+    if (hops >= maxHops) {
+      continue;
+    }
+
+    for (const w of graph.adjacency[v]) {
+      if (blockedNodes.has(w) || blockedEdges.has(`${v}|${w}`)) {
+        continue;
+      }
+
+      const nextState = stateOf(w, hops + 1);
+      const distance = priority + cost(v, w);
+
+      if (!distances.has(nextState) || distance < distances.get(nextState)) {
+        distances.set(nextState, distance);
+        previous.set(nextState, state);
+        heap.push(distance, { v: w, hops: hops + 1 });
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Total cost of a path; hop count when no cost function is given
+ *
+ * @param {Array<number>} path - Node indexes along the path
+ * @param {Function} cost - Optional `cost(i, j)` hop cost
+ * @returns {number} - The path cost
+ */
+const pathCost = (path, cost) => {
+  if (!cost) {
+    return path.length - 1;
+  }
+
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    total += cost(path[i - 1], path[i]);
+  }
+  return total;
+};
+
+/**
+ * The k shortest loopless paths between two nodes (Yen's algorithm), ranked
+ * by hop count, or by total cost when a `cost` function is given
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {number} source - The source node index
+ * @param {number} target - The target node index
+ * @param {object} options - `k` paths to return, `maxHops` per path and an optional `cost(i, j)`
+ * @returns {Array<Array<number>>} - Paths as lists of node indexes
+ */
+const kShortestPaths = (graph, source, target, { k = 3, maxHops = Infinity, cost = null } = {}) => {
+  const findPath = (from, options) => (cost
+    ? dijkstraPath(graph, from, target, { ...options, cost })
+    : shortestPathBfs(graph, from, target, options));
+
+  const first = findPath(source, { maxHops });
+
+  if (!first) {
+    return [];
+  }
+
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([first.join(',')]);
+
+  while (accepted.length < k) {
+    const previousPath = accepted[accepted.length - 1];
+
+    for (let i = 0; i < previousPath.length - 1; i++) {
+      const spurNode = previousPath[i];
+      const rootPath = previousPath.slice(0, i + 1);
+      const rootKey = rootPath.join(',');
+      const blockedEdges = new Set();
+
+      // Block the next hop of every accepted path sharing this root
+      for (const path of accepted) {
+        if (path.length > i + 1 && path.slice(0, i + 1).join(',') === rootKey) {
+          blockedEdges.add(`${path[i]}|${path[i + 1]}`);
+          blockedEdges.add(`${path[i + 1]}|${path[i]}`);
+        }
+      }
+
+      const blockedNodes = new Set(rootPath.slice(0, -1));
+      const spurPath = findPath(spurNode, {
+        blockedNodes,
+        blockedEdges,
+        maxHops: maxHops - i
+      });
+
+      if (!spurPath) {
+        continue;
+      }
+
+      const candidate = rootPath.slice(0, -1).concat(spurPath);
+      const key = candidate.join(',');
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate);
+      }
+    }
+
+    if (candidates.length === 0) {
+      break;
+    }
+
+    candidates.sort((a, b) => pathCost(a, cost) - pathCost(b, cost));
+    accepted.push(candidates.shift());
+  }
+
+  return accepted;
+};
+
+/**
+ * Degree centrality normalized by the maximum possible degree
+ *
+ * @param {object} graph - A graph from createGraph
+ * @returns {Array<number>} - Centrality per node index
+ */
+const degreeCentrality = graph => {
+  const n = graph.nodes.length;
+
+  return graph.adjacency.map(neighbours => (n > 1 ? neighbours.size / (n - 1) : 0));
+};
+
+/**
+ * Closeness centrality using the Wasserman-Faust correction, so nodes in
+ * small disconnected components are not over-ranked. When `samples` is
+ * smaller than the node count, only that many evenly spaced BFS sources are
+ * used and each node's distances to them stand in for its distances to
+ * everyone (an approximation for large graphs).
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `samples`: the maximum number of BFS sources
+ * @returns {Array<number>} - Centrality per node index
+ */
+const closenessCentrality = (graph, { samples = Infinity } = {}) => {
+  const n = graph.nodes.length;
+  const sourceCount = Math.min(n, samples);
+  const step = sourceCount > 0 ? n / sourceCount : 1;
+  const reached = new Float64Array(n);
+  const total = new Float64Array(n);
+  const sampled = new Uint8Array(n);
+
+  // Distances are symmetric, so one BFS gives every node its distance to the source
+  for (let i = 0; i < sourceCount; i++) {
+    const source = Math.floor(i * step);
+    sampled[source] = 1;
+
+    bfsDistances(graph, source).forEach((distance, node) => {
+      if (distance > 0) {
+        reached[node]++;
+        total[node] += distance;
+      }
+    });
+  }
+
+  return graph.nodes.map((_, node) => {
+    // The sources other than the node itself; all n - 1 of them when exact
+    const others = sourceCount - sampled[node];
+
+    if (total[node] === 0 || n <= 1 || others === 0) {
+      return 0;
+    }
+
+    return (reached[node] / total[node]) * (reached[node] / others);
+  });
+};
+
+/**
+ * Betweenness centrality with Brandes' algorithm. When `samples` is smaller
+ * than the node count, only that many evenly spaced sources are used and the
+ * result is scaled up (an approximation for large graphs).
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `samples`: the maximum number of BFS sources
+ * @returns {Array<number>} - Normalized centrality per node index
+ */
+const betweennessCentrality = (graph, { samples = Infinity } = {}) => {
+  const n = graph.nodes.length;
+  const centrality = new Array(n).fill(0);
+
+  const sourceCount = Math.min(n, samples);
+  const step = sourceCount > 0 ? n / sourceCount : 1;
+  const sources = Array.from({ length: sourceCount }, (_, i) => Math.floor(i * step));
+
+  for (const source of sources) {
+    const stack = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    const sigma = new Array(n).fill(0);
+    const distances = new Int32Array(n).fill(-1);
+    const queue = [source];
+
+    sigma[source] = 1;
+    distances[source] = 0;
+
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+
+      for (const w of graph.adjacency[v]) {
+        if (distances[w] < 0) {
+          distances[w] = distances[v] + 1;
+          queue.push(w);
+        }
+
+        if (distances[w] === distances[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    const delta = new Array(n).fill(0);
+
+    while (stack.length) {
+      const w = stack.pop();
+
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+
+      if (w !== source) {
+        centrality[w] += delta[w];
+      }
+    }
+  }
+
+  // Each undirected path is counted from both ends; rescale sampled runs
+  const scale = (sourceCount > 0 ? n / sourceCount : 1) / 2;
+  const normalizer = n > 2 ? 2 / ((n - 1) * (n - 2)) : 1;
+
+  return centrality.map(value => value * scale * normalizer);
+};
+
+/**
+ * Relabel community assignments to 0..k-1, largest community first
+ *
+ * @param {Array<number>} labels - A community label per node index
+ * @returns {Array<number>} - Compact labels per node index
+ */
+const compactLabels = labels => {
+  const sizes = new Map();
+
+  labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const mapping = new Map(order.map((label, i) => [label, i]));
+
+  return labels.map(label => mapping.get(label));
+};
+
+/**
+ * Community detection by asynchronous label propagation. Nodes are visited in
+ * a shuffled order and ties are broken randomly, both driven by a seeded
+ * generator so results are reproducible.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `maxIterations` and `seed`
+ * @returns {Array<number>} - A community label per node index
+ */
+const labelPropagation = (graph, { maxIterations = 100, seed = 42 } = {}) => {
+  const random = createRandom(seed);
+  const labels = graph.nodes.map((_, i) => i);
+  const order = graph.nodes.map((_, i) => i);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    // Fisher-Yates shuffle of the visiting order
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    for (const v of order) {
+      const neighbours = graph.adjacency[v];
+
+      if (neighbours.size === 0) {
+        continue;
+      }
+
+      const counts = new Map();
+      for (const w of neighbours) {
+        counts.set(labels[w], (counts.get(labels[w]) || 0) + 1);
+      }
+
+      const maxCount = Math.max(...counts.values());
+      const candidates = [...counts.keys()].filter(label => counts.get(label) === maxCount);
+
+      // Keep the current label on ties so the process converges
+      if (candidates.includes(labels[v])) {
+        continue;
+      }
+
+      labels[v] = candidates[Math.floor(random() * candidates.length)];
+      changed = true;
+    }
+
+    if (!changed) {
+      break;
+    }
+  }
+
+  return compactLabels(labels);
+};
+
+/**
+ * Community detection with the Louvain method (modularity optimization with
+ * repeated aggregation)
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `maxLevels` of aggregation
+ * @returns {Array<number>} - A community label per node index
+ */
+const louvain = (graph, { maxLevels = 10 } = {}) => {
+  const n = graph.nodes.length;
+  let membership = graph.nodes.map((_, i) => i);
+
+  // Weighted adjacency of the current level; self-loops hold internal weight
+  let adjacency = graph.adjacency.map(neighbours => new Map([...neighbours].map(j => [j, 1])));
+  const totalWeight = adjacency.reduce((sum, neighbours) => sum + [...neighbours.values()].reduce((a, b) => a + b, 0), 0);
+
+  if (totalWeight === 0) {
+    return compactLabels(membership);
+  }
+
+  for (let level = 0; level < maxLevels; level++) {
+    const size = adjacency.length;
+    const degree = adjacency.map(neighbours => [...neighbours.values()].reduce((a, b) => a + b, 0));
+    const community = adjacency.map((_, i) => i);
+    const communityTotal = [...degree];
+    let moved = false;
+
+    for (let pass = 0; pass < 100; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < size; i++) {
+        const current = community[i];
+        const linksTo = new Map();
+
+        for (const [j, weight] of adjacency[i]) {
+          if (j !== i) {
+            linksTo.set(community[j], (linksTo.get(community[j]) || 0) + weight);
+          }
+        }
+
+        communityTotal[current] -= degree[i];
+
+        let best = current;
+        let bestGain = (linksTo.get(current) || 0) - (communityTotal[current] * degree[i]) / totalWeight;
+
+        for (const [candidate, weight] of linksTo) {
+          const gain = weight - (communityTotal[candidate] * degree[i]) / totalWeight;
+
+          if (gain > bestGain + 1e-12) {
+            best = candidate;
+            bestGain = gain;
+          }
+        }
+
+        communityTotal[best] += degree[i];
+
+        if (best !== current) {
+          community[i] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+
+      if (!improved) {
+        break;
+      }
+    }
+
+    if (!moved) {
+      break;
+    }
+
+    // Aggregate each community into a single node for the next level
+    const renumber = new Map();
+    community.forEach(c => {
+      if (!renumber.has(c)) {
+        renumber.set(c, renumber.size);
+      }
+    });
+
+    membership = membership.map(node => renumber.get(community[node]));
+
+    const aggregated = Array.from({ length: renumber.size }, () => new Map());
+    adjacency.forEach((neighbours, i) => {
+      const ci = renumber.get(community[i]);
+
+      for (const [j, weight] of neighbours) {
+        const cj = renumber.get(community[j]);
+        aggregated[ci].set(cj, (aggregated[ci].get(cj) || 0) + weight);
+      }
+    });
+
+    adjacency = aggregated;
+
+    if (adjacency.length === 1) {
+      break;
+    }
+  }
+
+  return compactLabels(membership.slice(0, n));
+};
+
+/**
+ * Newman modularity of a community assignment
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {Array<number>} labels - A community label per node index
+ * @returns {number} - The modularity (0 for graphs without edges)
+ */
+const modularity = (graph, labels) => {
+  const totalWeight = graph.adjacency.reduce((sum, neighbours) => sum + neighbours.size, 0);
+
+  if (totalWeight === 0) {
+    return 0;
+  }
+
+  let internal = 0;
+  const communityDegree = new Map();
+
+  graph.adjacency.forEach((neighbours, i) => {
+    communityDegree.set(labels[i], (communityDegree.get(labels[i]) || 0) + neighbours.size);
+
+    for (const j of neighbours) {
+      if (labels[i] === labels[j]) {
+        internal++;
+      }
+    }
+  });
+
+  let expected = 0;
+  for (const degree of communityDegree.values()) {
+    expected += (degree / totalWeight) ** 2;
+  }
+
+  return internal / totalWeight - expected;
+};
+
+/**
+ * Find bridges and articulation points with an iterative Tarjan DFS
+ *
+ * @param {object} graph - A graph from createGraph
+ * @returns {object} - { bridges, articulationPoints } where each bridge is
+ *   { source, target, sizes: [sideA, sideB] } and each articulation point is
+ *   { node, groupSizes } listing the sizes of the groups its removal separates
+ */
+const findBridges = graph => {
+  const n = graph.nodes.length;
+  const neighbours = graph.adjacency.map(set => [...set]);
+  const discovery = new Int32Array(n).fill(-1);
+  const low = new Int32Array(n);
+  const parent = new Int32Array(n).fill(-1);
+  const subtreeSize = new Int32Array(n).fill(1);
+  const bridges = [];
+  const articulationPoints = [];
+  let timer = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (discovery[root] !== -1) {
+      continue;
+    }
+
+    discovery[root] = low[root] = timer++;
+    const stack = [[root, 0]];
+    const component = [root];
+    // Sizes of child subtrees that would be cut off from each node
+    const separated = new Map();
+
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const v = frame[0];
+
+      if (frame[1] < neighbours[v].length) {
+        const w = neighbours[v][frame[1]++];
+
+        if (discovery[w] === -1) {
+          parent[w] = v;
+          discovery[w] = low[w] = timer++;
+          component.push(w);
+          stack.push([w, 0]);
+        } else if (w !== parent[v]) {
+          low[v] = Math.min(low[v], discovery[w]);
+        }
+        continue;
+      }
+
+      stack.pop();
+      const p = parent[v];
+
+      if (p === -1) {
+        continue;
+      }
+
+      low[p] = Math.min(low[p], low[v]);
+      subtreeSize[p] += subtreeSize[v];
+
+      if (low[v] > discovery[p]) {
+        bridges.push({ source: p, target: v, childSize: subtreeSize[v] });
+      }
+
+      if (low[v] >= discovery[p]) {
+        if (!separated.has(p)) {
+          separated.set(p, []);
+        }
+        separated.get(p).push(subtreeSize[v]);
+      }
+    }
+
+    const componentSize = component.length;
+
+    for (const bridge of bridges.filter(b => b.sizes === undefined)) {
+      bridge.sizes = [componentSize - bridge.childSize, bridge.childSize];
+      delete bridge.childSize;
+    }
+
+    for (const [node, groups] of separated) {
+      const rest = componentSize - 1 - groups.reduce((a, b) => a + b, 0);
+      const groupSizes = rest > 0 ? [rest, ...groups] : groups;
+
+      // The DFS root is only an articulation point with more than one child
+      if (groupSizes.length > 1) {
+        articulationPoints.push({ node, groupSizes: groupSizes.sort((a, b) => b - a) });
+      }
+    }
+  }
+
+  return { bridges, articulationPoints };
+};
+
+/**
+ * Connected components, largest first
+ *
+ * @param {object} graph - A graph from createGraph
+ * @returns {Array<Array<number>>} - The node indexes of each component
+ */
+const connectedComponents = graph => {
+  const seen = new Uint8Array(graph.nodes.length);
+  const components = [];
+
+  for (let root = 0; root < graph.nodes.length; root++) {
+    if (seen[root]) {
+      continue;
+    }
+
+    const component = [root];
+    seen[root] = 1;
+
+    for (let head = 0; head < component.length; head++) {
+      for (const w of graph.adjacency[component[head]]) {
+        if (!seen[w]) {
+          seen[w] = 1;
+          component.push(w);
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return components.sort((a, b) => b.length - a.length || a[0] - b[0]);
+};
+
+/**
+ * Local clustering coefficient: the share of a node's neighbour pairs that
+ * are connected themselves (0 for nodes with fewer than two neighbours)
+ *
+ * @param {object} graph - A graph from createGraph
+ * @returns {Array<number>} - Coefficient per node index
+ */
+const clusteringCoefficients = graph => graph.adjacency.map(neighbours => {
+  const degree = neighbours.size;
+
+  if (degree < 2) {
+    return 0;
+  }
+
+  let links = 0;
+  for (const v of neighbours) {
+    for (const w of graph.adjacency[v]) {
+      if (neighbours.has(w)) {
+        links++;
+      }
+    }
+  }
+
+  // Each link between neighbours was counted from both ends
+  return links / (degree * (degree - 1));
+});
+
+/**
+ * Shortest path statistics over every pair of connected nodes. When
+ * `samples` is smaller than the node count, only that many evenly spaced
+ * sources are used: the average is then an estimate and the diameter a lower
+ * bound.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `samples`: the maximum number of BFS sources
+ * @returns {object} - { averagePathLength, diameter, pairs, histogram } where
+ *   histogram[d] counts the sampled pairs d hops apart
+ */
+const distanceStatistics = (graph, { samples = Infinity } = {}) => {
+  const n = graph.nodes.length;
+  const sourceCount = Math.min(n, samples);
+  const step = sourceCount > 0 ? n / sourceCount : 1;
+  const histogram = [];
+  let total = 0;
+  let pairs = 0;
+
+  for (let i = 0; i < sourceCount; i++) {
+    for (const distance of bfsDistances(graph, Math.floor(i * step))) {
+      if (distance > 0) {
+        histogram[distance] = (histogram[distance] || 0) + 1;
+        total += distance;
+        pairs++;
+      }
+    }
+  }
+
+  return {
+    averagePathLength: pairs ? total / pairs : 0,
+    diameter: Math.max(histogram.length - 1, 0),
+    pairs,
+    histogram: Array.from(histogram, count => count || 0)
+  };
+};
+
+module.exports = {
+  createRandom,
+  createGraph,
+  bfsDistances,
+  shortestPathBfs,
+  dijkstraPath,
+  pathCost,
+  kShortestPaths,
+  degreeCentrality,
+  closenessCentrality,
+  betweennessCentrality,
+  labelPropagation,
+  louvain,
+  modularity,
+  findBridges,
+  connectedComponents,
+  clusteringCoefficients,
+  distanceStatistics
+};
@@ -0,0 +1,328 @@
+/**
+ * Deterministic 2D layouts for graphs built with createGraph.
+ *
+ * Every layout returns one { x, y } per node index, fitted into a
+ * width x height box. The same graph, options and seed always give the same
+ * coordinates, so clients can render them directly and positions stay stable
+ * between requests.
+ */
+
+const { createRandom } = require('./graphAlgorithms');
+
+const LAYOUT_ALGORITHMS = ['force', 'circular', 'radial', 'hierarchical'];
+
+// Force layout: the pairwise repulsion work allowed per layout, the iteration
+// bounds, and the pull towards the centre that keeps components together
+const FORCE_WORK_BUDGET = 2e7;
+const MIN_FORCE_ITERATIONS = 30;
+const MAX_FORCE_ITERATIONS = 300;
+const FORCE_GRAVITY = 1;
+
+/**
+ * Hash a string with a seed (FNV-1a), so each node gets its own stable random stream
+ *
+ * @param {string} value - The string
+ * @param {number} seed - The seed
+ * @returns {number} - An unsigned 32-bit hash
+ */
+const hashString = (value, seed) => {
+  let hash = (0x811C9DC5 ^ seed) >>> 0;
+
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash;
+};
+
+/**
+ * Breadth-first spanning forest. Trees are grown from `root` first, then from
+ * the highest-degree node not reached yet; children are visited in index
+ * order.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {number} root - The preferred root node index, or undefined
+ * @returns {object} - { roots, depth, children } per node index
+ */
+const spanningForest = (graph, root) => {
+  const n = graph.nodes.length;
+  const depth = new Int32Array(n).fill(-1);
+  const children = graph.nodes.map(() => []);
+  const roots = [];
+  const byDegree = graph.nodes
+    .map((_, i) => i)
+    .sort((a, b) => graph.adjacency[b].size - graph.adjacency[a].size || a - b);
+  const candidates = root !== undefined ? [root, ...byDegree] : byDegree;
+
+  for (const start of candidates) {
+    if (depth[start] !== -1) {
+      continue;
+    }
+
+    roots.push(start);
+    depth[start] = 0;
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+
+      for (const w of [...graph.adjacency[v]].sort((a, b) => a - b)) {
+        if (depth[w] === -1) {
+          depth[w] = depth[v] + 1;
+          children[v].push(w);
+          queue.push(w);
+        }
+      }
+    }
+  }
+
+  return { roots, depth, children };
+};
+
+/**
+ * Position nodes along one axis the way tidy trees do: leaves take equal
+ * consecutive slots in depth-first order and parents sit over the middle of
+ * their children
+ *
+ * @param {object} forest - From spanningForest
+ * @returns {object} - { position, order } where position[i] is in [0, 1) and order is the depth-first visit order
+ */
+const treeSlots = forest => {
+  const slot = new Float64Array(forest.depth.length);
+  const order = [];
+  let leaves = 0;
+
+  // Iterative post-order walk, so deep trees do not overflow the stack
+  for (const root of forest.roots) {
+    const stack = [[root, 0]];
+    order.push(root);
+
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const [v, next] = frame;
+      const kids = forest.children[v];
+
+      if (next < kids.length) {
+        frame[1]++;
+        order.push(kids[next]);
+        stack.push([kids[next], 0]);
+        continue;
+      }
+
+      stack.pop();
+      slot[v] = kids.length
+        ? (slot[kids[0]] + slot[kids[kids.length - 1]]) / 2
+        : leaves++;
+    }
+  }
+
+  return {
+    position: Array.from(slot, value => (value + 0.5) / Math.max(leaves, 1)),
+    order
+  };
+};
+
+/**
+ * Nodes on a circle, in depth-first order of the spanning forest so that
+ * connected nodes sit next to each other
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `root`
+ * @returns {Array<object>} - { x, y } per node index, around the origin
+ */
+const circularLayout = (graph, { root } = {}) => {
+  const { order } = treeSlots(spanningForest(graph, root));
+  const angles = new Float64Array(graph.nodes.length);
+
+  order.forEach((node, i) => {
+    angles[node] = (2 * Math.PI * i) / order.length - Math.PI / 2;
+  });
+
+  return Array.from(angles, angle => ({ x: Math.cos(angle), y: Math.sin(angle) }));
+};
+
+/**
+ * Concentric rings by hop distance from the root, each subtree keeping its
+ * own angular sector. Separate components hang off a virtual centre.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `root`
+ * @returns {Array<object>} - { x, y } per node index, around the origin
+ */
+const radialLayout = (graph, { root } = {}) => {
+  const forest = spanningForest(graph, root);
+  const { position } = treeSlots(forest);
+  const offset = forest.roots.length > 1 ? 1 : 0;
+
+  return position.map((value, i) => {
+    const radius = forest.depth[i] + offset;
+    const angle = 2 * Math.PI * value - Math.PI / 2;
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  });
+};
+
+/**
+ * Top-down layers by hop distance from the root (a tidy tree), components side by side
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `root`
+ * @returns {Array<object>} - { x, y } per node index
+ */
+const hierarchicalLayout = (graph, { root } = {}) => {
+  const forest = spanningForest(graph, root);
+  const { position } = treeSlots(forest);
+
+  return position.map((value, i) => ({ x: value, y: forest.depth[i] }));
+};
+
+/**
+ * Force-directed layout (Fruchterman-Reingold) with a linear cooling
+ * schedule and gravity towards the centre. Each node starts at a position
+ * drawn from its own seeded stream, so adding a node does not reshuffle the
+ * rest of the graph.
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `seed` and `iterations` (by default as many as the work budget allows)
+ * @returns {Array<object>} - { x, y } per node index
+ */
+const forceLayout = (graph, { seed = 1, iterations } = {}) => {
+  const n = graph.nodes.length;
+  const size = Math.sqrt(Math.max(n, 1)) * 100;
+  const k = size / Math.sqrt(Math.max(n, 1));
+  const rounds = iterations || Math.min(MAX_FORCE_ITERATIONS,
+    Math.max(MIN_FORCE_ITERATIONS, Math.floor(FORCE_WORK_BUDGET / Math.max(n * n, 1))));
+
+  const x = new Float64Array(n);
+  const y = new Float64Array(n);
+  graph.nodes.forEach((node, i) => {
+    const random = createRandom(hashString(String(node.id), seed));
+    x[i] = (random() - 0.5) * size;
+    y[i] = (random() - 0.5) * size;
+  });
+
+  const dx = new Float64Array(n);
+  const dy = new Float64Array(n);
+
+  for (let round = 0; round < rounds; round++) {
+    const temperature = (size / 10) * (1 - round / rounds);
+    dx.fill(0);
+    dy.fill(0);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const ex = x[i] - x[j];
+        const ey = y[i] - y[j];
+        const distance = Math.max(Math.hypot(ex, ey), 0.01);
+        const force = (k * k) / distance;
+        dx[i] += (ex / distance) * force;
+        dy[i] += (ey / distance) * force;
+        dx[j] -= (ex / distance) * force;
+        dy[j] -= (ey / distance) * force;
+      }
+    }
+
+    graph.adjacency.forEach((neighbours, i) => {
+      for (const j of neighbours) {
+        // Each edge is seen from both ends; pull only from the lower index
+        if (j < i) {
+          continue;
+        }
+        const ex = x[i] - x[j];
+        const ey = y[i] - y[j];
+        const distance = Math.max(Math.hypot(ex, ey), 0.01);
+        const force = (distance * distance) / k;
+        dx[i] -= (ex / distance) * force;
+        dy[i] -= (ey / distance) * force;
+        dx[j] += (ex / distance) * force;
+        dy[j] += (ey / distance) * force;
+      }
+    });
+
+    for (let i = 0; i < n; i++) {
+      dx[i] -= x[i] * FORCE_GRAVITY;
+      dy[i] -= y[i] * FORCE_GRAVITY;
+
+      const moved = Math.max(Math.hypot(dx[i], dy[i]), 0.01);
+      const step = Math.min(moved, temperature);
+      x[i] += (dx[i] / moved) * step;
+      y[i] += (dy[i] / moved) * step;
+    }
+  }
+
+  return Array.from(x, (value, i) => ({ x: value, y: y[i] }));
+};
+
+/**
+ * Scale and translate coordinates into a box
+ *
+ * @param {Array<object>} points - { x, y } per node
+ * @param {object} options - `width`, `height`, `padding`, `keepAspect` to scale both axes
+ *   alike and `centred` to keep the origin in the middle of the box
+ * @returns {Array<object>} - The fitted points, rounded to two decimals
+ */
+const fitToBox = (points, { width, height, padding, keepAspect, centred }) => {
+  const round = value => Math.round(value * 100) / 100;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const extent = Math.max(...xs.map(Math.abs), ...ys.map(Math.abs));
+  const minX = centred ? -extent : Math.min(...xs);
+  const minY = centred ? -extent : Math.min(...ys);
+  const spanX = (centred ? extent : Math.max(...xs)) - minX;
+  const spanY = (centred ? extent : Math.max(...ys)) - minY;
+  const innerWidth = width - 2 * padding;
+  const innerHeight = height - 2 * padding;
+  let scaleX = spanX ? innerWidth / spanX : Infinity;
+  let scaleY = spanY ? innerHeight / spanY : Infinity;
+
+  if (keepAspect) {
+    scaleX = scaleY = Math.min(scaleX, scaleY);
+  }
+
+  // A flat axis (a single node, or a single layer) stays centred
+  const factorX = Number.isFinite(scaleX) ? scaleX : 0;
+  const factorY = Number.isFinite(scaleY) ? scaleY : 0;
+  const offsetX = padding + (innerWidth - spanX * factorX) / 2;
+  const offsetY = padding + (innerHeight - spanY * factorY) / 2;
+
+  return points.map(point => ({
+    x: round(offsetX + (point.x - minX) * factorX),
+    y: round(offsetY + (point.y - minY) * factorY)
+  }));
+};
+
+/**
+ * Lay out a graph
+ *
+ * @param {object} graph - A graph from createGraph
+ * @param {object} options - `algorithm` (force|circular|radial|hierarchical), `seed`,
+ *   `root` (the node index radial and hierarchical layouts start from), `width`, `height` and `padding`
+ * @returns {Array<object>} - { x, y } per node index
+ */
+const computeLayout = (graph, { algorithm = 'force', seed = 1, root, width = 1000, height = 1000, padding = 20 } = {}) => {
+  if (!graph.nodes.length) {
+    return [];
+  }
+
+  const layouts = {
+    force: forceLayout,
+    circular: circularLayout,
+    radial: radialLayout,
+    hierarchical: hierarchicalLayout
+  };
+
+  // Layers and slots of a hierarchy are stretched to fill the box; the other
+  // layouts keep their proportions, and rings stay around the centre
+  return fitToBox(layouts[algorithm](graph, { seed, root }), {
+    width,
+    height,
+    padding,
+    keepAspect: algorithm !== 'hierarchical',
+    centred: algorithm === 'circular' || algorithm === 'radial'
+  });
+};
+
+module.exports = {
+  LAYOUT_ALGORITHMS,
+  computeLayout
+};
@@ -0,0 +1,70 @@
+// Longest text after an @ that can still be a user name
+const MAX_MENTION_LENGTH = 100;
+
+// Letters and digits continue a word; anything else ends one
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+/**
+ * Find the possible names behind each @ in a text. Names can contain spaces, so
+ * every prefix after the @ that ends on a word boundary is a candidate:
+ * "@Rand al'Thor" gives "Rand", "Rand al" and "Rand al'Thor", but never "Ran".
+ *
+ * @param {string} content - The text to scan
+ * @returns {Array<Array<string>>} - The candidates of each mention, longest first
+ */
+const mentionCandidates = content => {
+  const text = String(content || '');
+  const mentions = [];
+
+  for (let at = text.indexOf('@'); at !== -1; at = text.indexOf('@', at + 1)) {
+    // An @ inside a word is an email address or similar, not a mention
+    if (at > 0 && WORD_CHARACTER.test(text[at - 1])) {
+      continue;
+    }
+
+    const rest = text.slice(at + 1, at + 1 + MAX_MENTION_LENGTH + 1);
+    const candidates = [];
+
+    for (let end = 1; end <= Math.min(rest.length, MAX_MENTION_LENGTH); end++) {
+      const last = rest[end - 1];
+      const next = rest[end];
+
+      if (WORD_CHARACTER.test(last) && (next === undefined || !WORD_CHARACTER.test(next))) {
+        candidates.unshift(rest.slice(0, end));
+      }
+    }
+
+    if (candidates.length) {
+      mentions.push(candidates);
+    }
+  }
+
+  return mentions;
+};
+
+/**
+ * Resolve each mention to the longest candidate that is a known name
+ *
+ * @param {Array<Array<string>>} mentions - The output of mentionCandidates
+ * @param {Iterable<string>} names - The known user names
+ * @returns {Array<string>} - The mentioned names, without duplicates
+ */
+const resolveMentions = (mentions, names) => {
+  const known = new Set(names);
+  const found = new Set();
+
+  mentions.forEach(candidates => {
+    const name = candidates.find(candidate => known.has(candidate));
+    if (name) {
+      found.add(name);
+    }
+  });
+
+  return [...found];
+};
+
+module.exports = {
+  MAX_MENTION_LENGTH,
+  mentionCandidates,
+  resolveMentions
+};
@@ -0,0 +1,114 @@
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Encode an opaque cursor pointing just after an item ordered by createdAt+id
+ *
+ * @param {object} item - The last item of a page (raw properties with createdAt and id)
+ * @returns {string} - The base64url-encoded cursor
+ */
+const encodeCursor = item => {
+  const payload = {
+    createdAt: item.createdAt ? item.createdAt.toString() : null,
+    id: item.id
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - The opaque cursor
+ * @returns {object} - The { createdAt, id } position
+ */
+const decodeCursor = cursor => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!payload || typeof payload.id !== 'string' || typeof payload.createdAt !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+
+    // The timestamp is compared with datetime() in Cypher, which fails on anything else
+    if (Number.isNaN(Date.parse(payload.createdAt))) {
+      throw new Error('Malformed cursor timestamp');
+    }
+
+    return payload;
+  } catch (error) {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+};
+
+/**
+ * Parse pagination query parameters. Passing `cursor` (empty for the first page)
+ * switches from page/offset mode to cursor mode.
+ *
+ * @param {object} query - The request query
+ * @param {object} options - defaultLimit and maxLimit
+ * @returns {object} - { mode, limit, page, skip, cursor }
+ */
+const parsePagination = (query = {}, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (query.cursor !== undefined) {
+    return {
+      mode: 'cursor',
+      limit,
+      cursor: query.cursor ? decodeCursor(query.cursor) : null
+    };
+  }
+
+  const page = Math.max(parseInt(query.page) || 0, 0);
+
+  return {
+    mode: 'offset',
+    limit,
+    page,
+    skip: page * limit
+  };
+};
+
+/**
+ * Build the pagination fields of a response. Cursor queries fetch limit + 1
+ * rows so hasMore can be determined without a second query.
+ *
+ * @param {Array} items - The fetched raw items
+ * @param {object} pagination - The result of parsePagination
+ * @param {number} total - The total number of matching items
+ * @param {Function} getPosition - Maps an item to its { createdAt, id } properties
+ * @returns {object} - { items, meta }
+ */
+const buildPage = (items, pagination, total, getPosition = item => item) => {
+  if (pagination.mode === 'cursor') {
+    const hasMore = items.length > pagination.limit;
+    const pageItems = items.slice(0, pagination.limit);
+
+    return {
+      items: pageItems,
+      meta: {
+        limit: pagination.limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(getPosition(pageItems[pageItems.length - 1])) : null
+      }
+    };
+  }
+
+  return {
+    items,
+    meta: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      hasMore: pagination.skip + items.length < total
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  buildPage
+};
@@ -0,0 +1,34 @@
+// What users tell about themselves on their profile
+const PROFILE_PROPERTIES = ['bio', 'description', 'affiliation', 'nationality', 'gender'];
+
+// User properties the public graph views may show. Everything else on a User
+// node (password hash, email, role, notification preferences) stays private.
+const PUBLIC_USER_PROPERTIES = ['id', 'name', ...PROFILE_PROPERTIES, 'isActive', 'createdAt', 'updatedAt', 'deactivatedAt'];
+
+// The network timeline only shows who joined when
+const TIMELINE_USER_PROPERTIES = ['id', 'name', ...PROFILE_PROPERTIES, 'createdAt'];
+
+/**
+ * Keep only the public properties of a user node. Nodes with other labels are
+ * returned unchanged.
+ *
+ * @param {object} node - A node as returned by the repository (properties with `labels`), or a user property map
+ * @param {Array<string>} properties - The properties to keep
+ * @returns {object} - The public view of the node
+ */
+const toPublicUser = (node, properties = PUBLIC_USER_PROPERTIES) => {
+  if (!node || (node.labels && !node.labels.includes('User'))) {
+    return node;
+  }
+
+  const keys = node.labels ? [...properties, 'labels'] : properties;
+
+  return Object.fromEntries(keys.filter(key => node[key] !== undefined).map(key => [key, node[key]]));
+};
+
+module.exports = {
+  PROFILE_PROPERTIES,
+  PUBLIC_USER_PROPERTIES,
+  TIMELINE_USER_PROPERTIES,
+  toPublicUser
+};
@@ -0,0 +1,62 @@
+const { ApiError } = require('./errorHandler');
+
+// Relationship types are interpolated into Cypher patterns, so they must be plain identifiers
+const RELATIONSHIP_TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Relationship types users and imports may create between users. Symmetric types
+// are stored once per pair whichever way round they were created.
+const CONNECTION_TYPES = {
+  KNOWS: { description: 'The users know each other', symmetric: true },
+  FRIEND: { description: 'The users are friends', symmetric: true },
+  FAMILY: { description: 'The users are related', symmetric: true },
+  ALLY: { description: 'The users are allies', symmetric: true },
+  RIVAL: { description: 'The users are rivals', symmetric: true },
+  ROMANTIC: { description: 'The users are romantically involved', symmetric: true },
+  MENTOR: { description: 'The source user mentors the target user', symmetric: false },
+  SERVES: { description: 'The source user serves or follows the target user', symmetric: false },
+  CONNECTED_TO: { description: 'A generic connection', symmetric: true }
+};
+
+/**
+ * Parse a comma-separated list of relationship types from the query string
+ *
+ * @param {string} value - e.g. "KNOWS,SHARED_WITH"
+ * @returns {Array<string>|null} - The types, or null to include every type
+ */
+const parseRelationshipTypes = value => {
+  if (!value) {
+    return null;
+  }
+
+  const types = String(value).split(',').map(type => type.trim().toUpperCase()).filter(Boolean);
+  const invalid = types.find(type => !RELATIONSHIP_TYPE_PATTERN.test(type));
+
+  if (invalid) {
+    throw ApiError.badRequest(`Invalid relationship type '${invalid}'`);
+  }
+
+  return types.length ? [...new Set(types)] : null;
+};
+
+/**
+ * Look up a creatable connection type
+ *
+ * @param {string} value - The requested type, in any case
+ * @returns {object} - { type, description, symmetric }
+ */
+const getConnectionType = value => {
+  const type = String(value || '').trim().toUpperCase();
+
+  if (!Object.prototype.hasOwnProperty.call(CONNECTION_TYPES, type)) {
+    throw ApiError.badRequest(`Relationship type must be one of ${Object.keys(CONNECTION_TYPES).join(', ')}`);
+  }
+
+  return { type, ...CONNECTION_TYPES[type] };
+};
+
+module.exports = {
+  RELATIONSHIP_TYPE_PATTERN,
+  CONNECTION_TYPES,
+  parseRelationshipTypes,
+  getConnectionType
+};
@@ -0,0 +1,155 @@
+// Characters with special meaning in Lucene query syntax
+const LUCENE_SPECIAL = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split a free-text search into lowercase terms, stripping Lucene syntax
+ *
+ * @param {string} text - The raw search text
+ * @returns {Array<string>} - The search terms
+ */
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .replace(LUCENE_SPECIAL, ' ')
+  .split(/\s+/)
+  .filter(term => term && !['and', 'or', 'not'].includes(term));
+
+/**
+ * Maximum edit distance allowed for a fuzzy term
+ *
+ * @param {string} term - The search term
+ * @returns {number} - 0 for very short terms, 1 for short terms, otherwise 2
+ */
+const fuzzyDistance = term => {
+  if (term.length <= 2) {
+    return 0;
+  }
+
+  return term.length <= 5 ? 1 : 2;
+};
+
+/**
+ * Build a Lucene query for Neo4j full-text indexes. Every term must match,
+ * either exactly (boosted), as a prefix, or within a small edit distance, and
+ * the whole phrase is boosted so exact titles rank first.
+ *
+ * @param {Array<string>} terms - The search terms from tokenize
+ * @param {object} options - Set `fuzzy` to false to disable edit-distance matching
+ * @returns {string} - The Lucene query
+ */
+const buildFulltextQuery = (terms, { fuzzy = true } = {}) => {
+  const clauses = terms.map(term => {
+    const variants = [`${term}^2`, `${term}*`];
+    const distance = fuzzyDistance(term);
+
+    if (fuzzy && distance > 0) {
+      variants.push(`${term}~${distance}`);
+    }
+
+    return `(${variants.join(' OR ')})`;
+  });
+
+  const allTerms = clauses.join(' AND ');
+
+  return terms.length > 1 ? `("${terms.join(' ')}"^3) OR (${allTerms})` : allTerms;
+};
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} - The edit distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Whether a word from a document matches any search term the way the index would
+ *
+ * @param {string} word - A word from the document
+ * @param {Array<string>} terms - The search terms
+ * @param {boolean} fuzzy - Whether edit-distance matches count
+ * @returns {boolean} - Whether the word matches
+ */
+const matchesTerm = (word, terms, fuzzy) => {
+  const lower = word.toLowerCase();
+
+  return terms.some(term => lower.startsWith(term)
+    || (fuzzy && fuzzyDistance(term) > 0 && editDistance(lower, term) <= fuzzyDistance(term)));
+};
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Highlight matching words in a text and trim it to a snippet around the first match
+ *
+ * @param {string} text - The document text
+ * @param {Array<string>} terms - The search terms
+ * @param {object} options - `fuzzy` matching and the maximum snippet `length`
+ * @returns {object} - { snippet, matched } where the snippet is HTML-escaped with <mark> tags
+ */
+const highlight = (text, terms, { fuzzy = true, length = SNIPPET_LENGTH } = {}) => {
+  const source = String(text || '');
+  const words = [...source.matchAll(/[\p{L}\p{N}']+/gu)];
+  const matches = words.filter(match => matchesTerm(match[0], terms, fuzzy));
+
+  // Center the snippet on the first match
+  let start = 0;
+  if (source.length > length && matches.length) {
+    start = Math.max(0, Math.min(matches[0].index - Math.floor(length / 3), source.length - length));
+  }
+  const end = Math.min(source.length, start + length);
+
+  let snippet = '';
+  let cursor = start;
+
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+
+    if (match.index < start || matchEnd > end) {
+      continue;
+    }
+
+    snippet += escapeHtml(source.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = matchEnd;
+  }
+
+  snippet += escapeHtml(source.slice(cursor, end));
+
+  return {
+    snippet: `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`,
+    matched: matches.length > 0
+  };
+};
+
+module.exports = {
+  tokenize,
+  fuzzyDistance,
+  editDistance,
+  buildFulltextQuery,
+  highlight
+};
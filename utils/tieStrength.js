@@ -0,0 +1,90 @@
+/**
+ * Tie strength between pairs of users, derived from the relationships
+ * connecting them. Strength is in (0, 1]; path finding uses 1 / strength as
+ * the cost of a hop, so strong ties are cheap to travel along.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How quickly an interaction stops counting as recent
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+// Number of shares at which the frequency component reaches ~63%
+const SHARE_SATURATION = 3;
+
+// Strength assumed for relationships without an explicit `strength` property
+const DEFAULT_EXPLICIT_STRENGTH = {
+  SHARED_WITH: 0.3,
+  default: 0.5
+};
+
+// Contribution of each component to the final strength
+const WEIGHTS = {
+  explicit: 0.5,
+  frequency: 0.3,
+  recency: 0.2
+};
+
+const MIN_STRENGTH = 0.01;
+
+/**
+ * Key identifying an unordered pair of user IDs
+ *
+ * @param {string} a - A user ID
+ * @param {string} b - Another user ID
+ * @returns {string} - The pair key
+ */
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Compute tie strengths for every connected pair of users
+ *
+ * @param {Array} edges - Relationships as { source, target, type, timestamp (epoch ms), strength }
+ * @param {number} now - The reference time in epoch ms
+ * @returns {Map<string, object>} - Pair key to { strength, shares, lastInteraction, explicitStrength }
+ */
+const computeTieStrengths = (edges, now = Date.now()) => {
+  const pairs = new Map();
+
+  for (const edge of edges) {
+    if (!edge.source || !edge.target || edge.source === edge.target) {
+      continue;
+    }
+
+    const key = pairKey(edge.source, edge.target);
+    const pair = pairs.get(key) || { shares: 0, lastInteraction: null, explicitStrength: 0 };
+
+    if (edge.type === 'SHARED_WITH') {
+      pair.shares++;
+    }
+
+    if (edge.timestamp && (!pair.lastInteraction || edge.timestamp > pair.lastInteraction)) {
+      pair.lastInteraction = edge.timestamp;
+    }
+
+    const explicit = typeof edge.strength === 'number'
+      ? Math.min(Math.max(edge.strength, 0), 1)
+      : (DEFAULT_EXPLICIT_STRENGTH[edge.type] || DEFAULT_EXPLICIT_STRENGTH.default);
+    pair.explicitStrength = Math.max(pair.explicitStrength, explicit);
+
+    pairs.set(key, pair);
+  }
+
+  for (const pair of pairs.values()) {
+    const frequency = 1 - Math.exp(-pair.shares / SHARE_SATURATION);
+    const ageDays = pair.lastInteraction ? Math.max(now - pair.lastInteraction, 0) / DAY_MS : Infinity;
+    const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+    pair.strength = Math.max(
+      WEIGHTS.explicit * pair.explicitStrength + WEIGHTS.frequency * frequency + WEIGHTS.recency * recency,
+      MIN_STRENGTH
+    );
+  }
+
+  return pairs;
+};
+
+module.exports = {
+  pairKey,
+  computeTieStrengths
+};